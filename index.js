@@ -1,15 +1,23 @@
 const express = require("express");
+const crypto = require("crypto");
 const mysql = require("mysql2/promise");
 const nodemailer = require("nodemailer");
 const cors = require("cors");
-const { Storage } = require("@google-cloud/storage");
-const { generateReciboPDF } = require("./pdf/recibo_pago_pdf");
-const { generateCortePDF } = require("./pdf/corte_pdf"); 
+const { generateReciboPDF: generateReciboPDFBase } = require("./pdf/recibo_pago_pdf");
+const { generateCortePDF, generateReporteCortesPDF } = require("./pdf/corte_pdf");
+const { generateEstadoCuentaPDF } = require("./pdf/estado_cuenta_pdf");
+const { generateCarteraVencidaPDF } = require("./pdf/cartera_vencida_pdf");
 const emitirReciboFactory = require("./services/emitir-recibo");
 const generarCargosMensualesFactory = require("./services/generar-cargos-mensuales");
 const sincronizarProductosAlumnoFactory = require("./services/sincronizar-productos-alumno");
 const cancelarCargosFactory = require("./services/cancelar-cargos");
 const emitirProductoUnicoLoteFactory = require('./services/emitir-producto-unico-lote');
+const pagosReciboFactory = require("./services/pagos-recibo");
+const estadoCuentaFactory = require("./services/estado-cuenta");
+const motorPrecios = require("./services/motor-precios");
+const cotizarReciboFactory = require("./services/cotizar-recibo");
+const devengarRecargosFactory = require("./services/devengar-recargos");
+const carteraVencidaFactory = require("./services/cartera-vencida");
 const crearCuentasAlumnosFactory = require("./modules/monedero/crear-cuentas-alumnos");
 const procesarRecargaReciboFactory = require("./modules/monedero/procesar-recarga-recibo");
 const cancelarCargosMensualesFactory = require("./services/cancelar-cargos-mensuales");
@@ -22,6 +30,26 @@ const qrCuentasFactory = require("./modules/monedero/qr_cuentas");
 const procesarAjusteFactory = require("./modules/monedero/procesar-ajuste");
 const procesarReversoRecargaReciboFactory =require("./modules/monedero/procesar-reverso-recarga-recibo");
 const procesarEstadoOrdenFactory = require("./modules/monedero/procesar-estado-orden");
+const facturarReciboFactory = require("./modules/facturacion/facturar-recibo");
+const { crearPacAdapter } = require("./modules/facturacion/pac-adapters");
+const tutoresFactory = require("./modules/familias/tutores");
+const recordatoriosPagoFactory = require("./modules/notificaciones/recordatorios-pago");
+const envioRecibosFactory = require("./modules/notificaciones/envio-recibos");
+const enlacesReciboFactory = require("./modules/recibos/enlaces-recibo");
+const verificacionReciboFactory = require("./modules/recibos/verificacion-recibo");
+const foliosFactory = require("./modules/recibos/folios");
+const devolucionesReciboFactory = require("./modules/recibos/devoluciones-recibo");
+const saldoFavorFactory = require("./modules/recibos/saldo-favor");
+const solicitudesCancelacionFactory = require("./modules/recibos/solicitudes-cancelacion");
+const cierreCorteFactory = require("./modules/cortes/cierre-corte");
+const reporteCortesFactory = require("./modules/cortes/reporte-cortes");
+const gastosCorteFactory = require("./modules/cortes/gastos-corte");
+const conciliacionBancariaFactory = require("./modules/conciliacion/conciliacion-bancaria");
+const liquidacionesTarjetaFactory = require("./modules/conciliacion/liquidaciones-tarjeta");
+const { esFolio } = foliosFactory;
+const { crearAlmacenamiento } = require("./modules/almacenamiento/storage-drivers");
+const migrarRutasFactory = require("./modules/almacenamiento/migrar-rutas");
+const documentosVersionesFactory = require("./modules/almacenamiento/documentos-versiones");
 
 console.log("DEBUG PDF IMPORT:", {
   generateReciboPDF_type: typeof generateReciboPDF,
@@ -103,6 +131,53 @@ const config = {
     bucket: process.env.GCS_BUCKET
   },
 
+  // Almacenamiento de PDFs: "gcs", "s3" (AWS/MinIO) o "local" (desarrollo)
+  storage: {
+    driver: process.env.STORAGE_DRIVER || "gcs",
+    localDir:
+      process.env.STORAGE_LOCAL_DIR ||
+      (process.env.STORAGE_DRIVER === "local" ? "./storage" : null),
+    s3: {
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || "us-east-1",
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true"
+    }
+  },
+
+  // PAC para timbrado CFDI: "fake" (local, sin validez fiscal) o "http".
+  // Sin definir, la facturación queda deshabilitada (/facturacion/* → 503);
+  // "fake" se rechaza con NODE_ENV=production.
+  pac: {
+    proveedor: process.env.PAC_PROVIDER,
+    produccion: process.env.NODE_ENV === "production",
+    url: process.env.PAC_URL,
+    usuario: process.env.PAC_USER,
+    password: process.env.PAC_PASSWORD
+  },
+
+  // URL pública del servicio (enlaces en correos y páginas para compartir)
+  publicBaseUrl:
+    process.env.PUBLIC_BASE_URL ||
+    "https://billing-system-bgk-23846829930.us-central1.run.app",
+
+  // Enlaces para compartir recibos. Sin secreto propio se deriva uno del
+  // de autenticación para que los tokens no sean intercambiables.
+  recibosEnlaces: {
+    secret: process.env.RECIBOS_LINK_SECRET,
+    vigenciaHoras: Number(process.env.RECIBOS_LINK_HORAS || 720)
+  },
+
+  // Firma del QR de verificación impreso en los recibos. Cambiarla
+  // invalida los QR ya impresos.
+  recibosVerificacionSecret: process.env.RECIBOS_VERIFICACION_SECRET,
+
+  // Días (desde la fecha operativa del recibo) en que el cajero que lo
+  // emitió puede cancelarlo sin autorización. 0 = solo el mismo día.
+  cancelacionDiasCajero: Number(process.env.CANCELACION_DIAS_CAJERO || 0),
+
   port: process.env.PORT || 8080,
   timezone: "America/Mexico_City"
 };
@@ -114,12 +189,15 @@ function validateConfig() {
   "database.user",
   "database.password",
   "database.database",
-  "gcs.bucket",
   "monederoAuthSecret",
   "smtp.host",
   "smtp.user",
   "smtp.password",
-  "smtp.from"
+  "smtp.from",
+  ...(config.storage.driver === "gcs" ? ["gcs.bucket"] : []),
+  ...(config.storage.driver === "s3"
+    ? ["storage.s3.bucket", "storage.s3.accessKeyId", "storage.s3.secretAccessKey"]
+    : [])
 ];
   const missing = required.filter(key => {
     const value = key.split(".").reduce((obj, k) => obj?.[k], config);
@@ -148,6 +226,21 @@ function requireToken(req, res, next) {
   next();
 }
 
+// PDFs que se abren desde el navegador: token en header o en query string
+function requireTokenQuery(req, res, next) {
+  const token = req.headers["x-api-token"] || req.query.token;
+
+  if (!token) {
+    return res.status(401).json({ ok: false, error: "Token requerido" });
+  }
+
+  if (token !== config.apiToken) {
+    return res.status(401).json({ ok: false, error: "Token inválido" });
+  }
+
+  next();
+}
+
 async function requireTokenUsuario(req, res, next) {
   const token = req.headers["x-api-token"];
 
@@ -374,41 +467,53 @@ async function sendAuthCode({
   );
 }
 
-/* ================= GOOGLE CLOUD STORAGE ================= */
-const storage = new Storage();
-const bucket = storage.bucket(config.gcs.bucket);
+/* ================= ALMACENAMIENTO DE PDFs ================= */
+const almacenamiento = crearAlmacenamiento({
+  driver: config.storage.driver,
+  gcs: { bucket: config.gcs.bucket },
+  s3: config.storage.s3,
+  local: {
+    dir: config.storage.localDir,
+    secret: crypto
+      .createHmac("sha256", config.monederoAuthSecret)
+      .update("almacenamiento-local")
+      .digest("hex"),
+    publicBaseUrl: config.publicBaseUrl
+  },
+  logger
+});
 
-async function deleteFileIfExists(filepath) {
-  try {
-    await bucket.file(filepath).delete();
-    logger.info("Archivo eliminado", { filepath });
-  } catch (error) {
-    if (error.code !== 404) {
-      logger.warn("Error al eliminar archivo", { 
-        filepath, 
-        error: error.message 
-      });
-    }
-  }
-}
+// Los PDFs no se sobrescriben ni se eliminan: cada generación es una
+// versión nueva (ver documentos_versiones)
+const documentosVersiones = documentosVersionesFactory({
+  pool,
+  logger,
+  almacenamiento
+});
 
-async function uploadPdfToGCS(buffer, filepath) {
-  const file = bucket.file(filepath);
-  
-  await file.save(buffer, {
-    contentType: "application/pdf",
-    resumable: false,
-    metadata: { 
-      cacheControl: "no-store",
-      contentDisposition: `inline; filename="${filepath.split('/').pop()}"`,
-    },
-  });
+/**
+ * Guarda el PDF como nueva versión del documento y devuelve la
+ * ubicación canónica para ruta_pdf.
+ */
+async function guardarVersionPdf(opciones) {
+  const { ubicacion } = await documentosVersiones.guardarVersion(opciones);
+  return ubicacion;
+}
 
-  const publicUrl = `https://storage.googleapis.com/${config.gcs.bucket}/${filepath}`;
+async function downloadPdfFromStorage(rutaPdf) {
+  return almacenamiento.descargar(rutaPdf);
+}
 
-  logger.info("PDF subido a GCS", { filepath, publicUrl });
+/**
+ * URL temporal de lectura para una ruta_pdf guardada.
+ * URLs https ajenas al almacenamiento se devuelven tal cual.
+ */
+async function getPdfUrlTemporal(rutaPdf, segundos = 60) {
+  if (!almacenamiento.normalizar(rutaPdf) && rutaPdf.startsWith("https://")) {
+    return rutaPdf;
+  }
 
-  return `gs://${config.gcs.bucket}/${filepath}`;
+  return almacenamiento.urlTemporal(rutaPdf, segundos);
 }
 
 /* ================= DATE HELPERS ================= */
@@ -442,6 +547,94 @@ function getCortePdfPath(nombre) {
 
 // ================== HELPERS ==================
 
+/**
+ * Recalcula los totales de un corte.
+ * sp_recalcular_corte suma los recibos emitidos por su forma_pago en el
+ * corte de emisión; los recibos cobrados en parcialidades se reatribuyen
+ * aquí a los cortes de cada pago (recibos_pagos.encorte) y se suman los
+ * ajustes por cancelaciones de cortes ya cerrados (cortes_ajustes).
+ * gastos_efectivo sale de cortes_gastos cuando el corte tiene gastos
+ * capturados (los cortes previos conservan su valor).
+ * Un corte cerrado no se toca: devuelve false.
+ */
+async function recalcularCorte(conn, id_corte) {
+  const [[estado]] = await conn.execute(
+    `SELECT status_corte FROM cortes WHERE id_corte = ? FOR UPDATE`,
+    [id_corte]
+  );
+
+  if (estado?.status_corte === "Cerrado") {
+    return false;
+  }
+
+  await conn.execute(`CALL sp_recalcular_corte(?)`, [id_corte]);
+
+  await conn.execute(
+    `
+    UPDATE cortes c
+    JOIN (
+      SELECT
+        COALESCE(SUM(CASE WHEN x.forma_pago = 'Efectivo' THEN x.monto END), 0) AS efectivo,
+        COALESCE(SUM(CASE WHEN x.forma_pago = 'Tarjeta' THEN x.monto END), 0) AS tarjeta,
+        COALESCE(SUM(CASE WHEN x.forma_pago = 'Transferencia' THEN x.monto END), 0) AS transferencia
+      FROM (
+        SELECT rp.forma_pago, rp.monto
+        FROM recibos_pagos rp
+        WHERE rp.encorte = ?
+          AND rp.status_pago = 'Aplicado'
+
+        UNION ALL
+
+        SELECT r.forma_pago, -r.total_recibo
+        FROM recibos r
+        WHERE r.encorte = ?
+          AND r.status_recibo = 'Emitido'
+          AND EXISTS (
+            SELECT 1
+            FROM recibos_pagos rp2
+            WHERE rp2.id_recibo = r.id_recibo
+              AND rp2.status_pago = 'Aplicado'
+          )
+
+        UNION ALL
+
+        SELECT ca.forma_pago, ca.monto
+        FROM cortes_ajustes ca
+        WHERE ca.id_corte = ?
+      ) x
+    ) ajuste
+    SET
+      c.total_efectivo = c.total_efectivo + ajuste.efectivo,
+      c.total_tarjeta = c.total_tarjeta + ajuste.tarjeta,
+      c.total_transferencia = c.total_transferencia + ajuste.transferencia,
+      c.total = c.total + ajuste.efectivo + ajuste.tarjeta + ajuste.transferencia,
+      c.total_efectivo_neto = c.total_efectivo_neto + ajuste.efectivo
+    WHERE c.id_corte = ?
+    `,
+    [id_corte, id_corte, id_corte, id_corte]
+  );
+
+  await conn.execute(
+    `
+    UPDATE cortes c
+    JOIN (
+      SELECT
+        COALESCE(SUM(CASE WHEN g.status_gasto = 'Activo' THEN g.monto END), 0) AS gastos,
+        COUNT(*) AS registros
+      FROM cortes_gastos g
+      WHERE g.id_corte = ?
+    ) gasto
+    SET
+      c.gastos_efectivo = gasto.gastos,
+      c.total_efectivo_neto = c.total_efectivo - gasto.gastos
+    WHERE c.id_corte = ?
+      AND gasto.registros > 0
+    `,
+    [id_corte, id_corte]
+  );
+
+  return true;
+}
 
 async function getCorteHydrated(id_corte, conn = pool) {
 
@@ -463,6 +656,8 @@ async function getCorteHydrated(id_corte, conn = pool) {
       c.total,
       c.gastos_efectivo,
       c.total_efectivo_neto,
+      c.status_corte,
+      c.cerrado_en,
 
       -- Plantel
       p.nombre_plantel,
@@ -542,18 +737,84 @@ async function getCorteHydrated(id_corte, conn = pool) {
     totalesColumnas.Efectivo;
 
   // ==========================================================
-  // 4️⃣ RETORNO FINAL ESTRUCTURADO
+  // 4️⃣ PAGOS EN PARCIALIDADES COBRADOS EN ESTE CORTE
+  // ==========================================================
+  const [pagosRows] = await conn.execute(
+    `
+    SELECT
+      forma_pago,
+      COUNT(*) AS cantidad,
+      COALESCE(SUM(monto), 0) AS monto
+    FROM recibos_pagos
+    WHERE encorte = ?
+      AND status_pago = 'Aplicado'
+    GROUP BY forma_pago
+    `,
+    [id_corte]
+  );
+
+  const pagosParciales = {
+    Efectivo: { cantidad: 0, monto: 0 },
+    Tarjeta: { cantidad: 0, monto: 0 },
+    Transferencia: { cantidad: 0, monto: 0 },
+    cantidad: 0,
+    monto: 0
+  };
+
+  for (const row of pagosRows) {
+    if (!pagosParciales[row.forma_pago]) continue;
+
+    const cantidad = Number(row.cantidad || 0);
+    const monto = Number(row.monto || 0);
+
+    pagosParciales[row.forma_pago] = { cantidad, monto };
+    pagosParciales.cantidad += cantidad;
+    pagosParciales.monto += monto;
+  }
+
+  // ==========================================================
+  // 5️⃣ CIERRE, AJUSTES (CANCELACIONES / DEVOLUCIONES) Y GASTOS
+  // ==========================================================
+  const { cierre, ajustes_recibidos } =
+    await cierreCortes.obtenerCierre(id_corte, conn);
+
+  const resumirAjustes = (motivo) => {
+    const ajustes = ajustes_recibidos.filter(a => a.motivo === motivo);
+
+    return {
+      cantidad: ajustes.length,
+      monto: ajustes.reduce((suma, a) => suma + Number(a.monto || 0), 0)
+    };
+  };
+
+  const ajustesCancelacion = resumirAjustes("Cancelacion");
+  const ajustesDevolucion = resumirAjustes("Devolucion");
+
+  // Gastos en efectivo capturados (solo activos en el PDF)
+  const gastos = (await gastosCortes.listarGastos(id_corte, conn))
+    .filter(g => g.status_gasto === "Activo");
+
+  // ==========================================================
+  // 6️⃣ RETORNO FINAL ESTRUCTURADO
   // ==========================================================
   return {
     ...corte,
 
+    status_corte: corte.status_corte || "Abierto",
+    cierre,
+    ajustes_cancelacion: ajustesCancelacion,
+    ajustes_devolucion: ajustesDevolucion,
+    gastos,
+
     usuario_nombre_completo:
       `${corte.usuario_nombre} ${corte.usuario_apellidos}`,
 
     // Tabla 2
     recibos_matrix: matrix,
     totales_columnas: totalesColumnas,
-    total_global_recibos: totalGlobal
+    total_global_recibos: totalGlobal,
+
+    pagos_parciales: pagosParciales
   };
 }
 
@@ -561,6 +822,27 @@ async function getCorteHydrated(id_corte, conn = pool) {
 
 
 
+/* ================= VERIFICACIÓN DE RECIBOS ================= */
+const verificacionRecibos = verificacionReciboFactory({
+  pool,
+  logger,
+  secret:
+    config.recibosVerificacionSecret ||
+    crypto
+      .createHmac("sha256", config.monederoAuthSecret)
+      .update("recibos-verificacion")
+      .digest("hex"),
+  publicBaseUrl: config.publicBaseUrl
+});
+
+// Todos los PDFs de recibo llevan el QR de verificación
+async function generateReciboPDF(recibo, detalles, opciones = {}) {
+  return generateReciboPDFBase(recibo, detalles, {
+    ...opciones,
+    verificacion: verificacionRecibos.datosVerificacion(recibo)
+  });
+}
+
 async function getReciboHydrated(id_recibo, conn = pool) {
   const [[recibo]] = await conn.execute(
     `
@@ -697,19 +979,281 @@ const cancelarCargosMensualesHandler =
     logger
   });
 
+const enlacesReciboService = enlacesReciboFactory({
+  pool,
+  logger,
+  secret:
+    config.recibosEnlaces.secret ||
+    crypto
+      .createHmac("sha256", config.monederoAuthSecret)
+      .update("recibos-enlaces")
+      .digest("hex"),
+  publicBaseUrl: config.publicBaseUrl,
+  vigenciaHorasDefault: config.recibosEnlaces.vigenciaHoras
+});
+
+const {
+  esVistaPrevia,
+  leerEnlace: leerEnlaceRecibo,
+  crearEnlace: crearEnlaceRecibo,
+  validarEnlace: validarEnlaceRecibo,
+  crearEnlaceHandler,
+  revocarEnlaceHandler,
+  listarEnlacesHandler
+} = enlacesReciboService;
+
+const { migrarRutasHandler } = migrarRutasFactory({
+  pool,
+  logger,
+  almacenamiento
+});
+
+const envioRecibosService = envioRecibosFactory({
+  pool,
+  logger,
+  mailTransporter,
+  mailFrom: config.smtp.from,
+  getReciboHydrated,
+  downloadPdf: downloadPdfFromStorage,
+  crearEnlaceRecibo: async (recibo) => {
+    const enlace = await crearEnlaceRecibo({
+      id_recibo: recibo.id_recibo,
+      origen: "correo"
+    });
+    return enlace.url;
+  }
+});
+
+const {
+  leerModo: leerModoEnvioCorreo,
+  enviarReciboCorreo,
+  obtenerUltimoEnvio,
+  reenviarReciboHandler,
+  listarEnviosHandler
+} = envioRecibosService;
+
+const foliosService = foliosFactory({
+  pool,
+  executeInTransaction,
+  logger
+});
+
+const {
+  asignarFolio,
+  resolverFolio,
+  guardarSerieHandler,
+  listarSeriesHandler,
+  buscarPorFolioHandler
+} = foliosService;
+
+const cierreCortes = cierreCorteFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  generateCorteId,
+  recalcularCorte
+});
+
+const {
+  obtenerCorteAbierto,
+  reflejarCancelacion,
+  cerrarCorteHandler,
+  obtenerCierreHandler
+} = cierreCortes;
+
+const gastosCortes = gastosCorteFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  obtenerCorteAbierto,
+  recalcularCorte
+});
+
+const {
+  registrarGastoHandler,
+  cancelarGastoHandler,
+  listarGastosHandler
+} = gastosCortes;
+
 const emitirReciboHandler = emitirReciboFactory({
   pool,
   executeInTransaction,
   logger,
   generateReciboPDF,
   getReciboHydrated,
-  generateCorteId,
+  obtenerCorteAbierto,
   getReciboPdfPath,
-  deleteFileIfExists,
-  uploadPdfToGCS,
+  guardarVersionPdf,
   calculateReciboTotal,
+  recalcularCorte,
   procesarRecargaRecibo,
-  guardarErrorRecargaRecibo
+  guardarErrorRecargaRecibo,
+  leerModoEnvioCorreo,
+  enviarReciboCorreo,
+  crearEnlaceRecibo,
+  asignarFolio
+});
+
+const saldoFavor = saldoFavorFactory({
+  pool,
+  executeInTransaction,
+  logger
+});
+
+const pagosReciboService = pagosReciboFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  calculateReciboTotal,
+  obtenerCorteAbierto,
+  recalcularCorte,
+  emitirRecibo: emitirReciboHandler,
+  saldoFavor
+});
+
+const {
+  registrarPagoHandler,
+  listarPagosHandler
+} = pagosReciboService;
+
+const {
+  solicitarDevolucionHandler,
+  resolverDevolucionHandler,
+  listarDevolucionesHandler,
+  pendientesHandler: devolucionesPendientesHandler
+} = devolucionesReciboFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  obtenerCorteAbierto,
+  recalcularCorte,
+  registrarPago: pagosReciboService.registrarPago,
+  emitirReciboLiquidado: pagosReciboService.emitirReciboLiquidado,
+  saldoFavor
+});
+
+const solicitudesCancelacion = solicitudesCancelacionFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  diasCajero: config.cancelacionDiasCajero
+});
+
+const facturacionService = facturarReciboFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  pac: crearPacAdapter({
+    ...config.pac,
+    logger
+  })
+});
+
+const {
+  requiereFacturacion,
+  guardarDatosFiscalesHandler,
+  obtenerDatosFiscalesHandler,
+  facturarReciboHandler,
+  cancelarFacturaRecibo,
+  cancelarFacturaHandler,
+  descargarXmlHandler
+} = facturacionService;
+
+const cotizarReciboHandler = cotizarReciboFactory({
+  pool,
+  logger,
+  obtenerSaldoFavor: saldoFavor.obtenerSaldo
+});
+
+const {
+  estadoCuentaHandler,
+  estadoCuentaPdfHandler
+} = estadoCuentaFactory({
+  pool,
+  logger,
+  generateEstadoCuentaPDF
+});
+
+const {
+  guardarTutorHandler,
+  vincularAlumnoHandler,
+  desvincularAlumnoHandler,
+  obtenerFamiliaHandler
+} = tutoresFactory({
+  pool,
+  executeInTransaction,
+  logger
+});
+
+const {
+  devengarRecargosHandler,
+  resumenRecargosHandler,
+  historialRecargosHandler
+} = devengarRecargosFactory({
+  pool,
+  executeInTransaction,
+  logger
+});
+
+const {
+  carteraVencidaHandler,
+  carteraVencidaPdfHandler
+} = carteraVencidaFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  generateCarteraVencidaPDF
+});
+
+const {
+  reporteCortesHandler,
+  reporteCortesPdfHandler
+} = reporteCortesFactory({
+  pool,
+  logger,
+  generateReporteCortesPDF
+});
+
+const {
+  importarEstadoCuentaHandler,
+  pendientesHandler: pendientesBancariosHandler,
+  conciliarManualHandler,
+  desconciliarHandler,
+  ignorarMovimientoHandler,
+  conciliacionReciboHandler,
+  conciliacionCorteHandler
+} = conciliacionBancariaFactory({
+  pool,
+  executeInTransaction,
+  logger
+});
+
+const {
+  importarLiquidacionHandler,
+  excepcionesHandler: excepcionesTarjetaHandler,
+  comisionesHandler: comisionesTarjetaHandler,
+  conciliarManualHandler: conciliarTarjetaHandler,
+  desconciliarHandler: desconciliarTarjetaHandler,
+  ignorarTransaccionHandler,
+  liquidacionCorteHandler,
+  liquidacionReciboHandler
+} = liquidacionesTarjetaFactory({
+  pool,
+  executeInTransaction,
+  logger
+});
+
+const {
+  enviarRecordatoriosHandler,
+  guardarPlantillaHandler,
+  preferenciaRecordatoriosHandler,
+  listarNotificacionesHandler
+} = recordatoriosPagoFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  mailTransporter,
+  mailFrom: config.smtp.from
 });
 
 const generarCargosMensualesHandler = generarCargosMensualesFactory({
@@ -763,11 +1307,6 @@ async function calculateReciboTotal(conn, reciboId) {
     throw new Error("El recibo no tiene fecha operativa");
   }
   
-  const fechaStr = recibo.fecha.split(" ")[0]; // "YYYY-MM-DD"
-  const [yearStr, monthStr] = fechaStr.split("-");
-  const year = Number(yearStr);
-  const month = Number(monthStr);
-  
   const [detalles] = await conn.execute(
     `SELECT * 
      FROM recibos_detalle
@@ -789,174 +1328,39 @@ async function calculateReciboTotal(conn, reciboId) {
     return { reciboId, total: 0 };
   }
 
+  // Con pagos en parcialidades el precio queda fijo desde el primer pago:
+  // si bajara después (beca nueva, hermanos, ventana de pronto pago), los
+  // pagos excederían el total y el recibo no podría emitirse. Solo se
+  // calculan los detalles agregados después (sin traza).
+  const [[pagos]] = await conn.execute(
+    `
+    SELECT COUNT(*) AS cantidad
+    FROM recibos_pagos
+    WHERE id_recibo = ?
+      AND status_pago = 'Aplicado'
+    `,
+    [reciboId]
+  );
+
+  const precioFijo = Number(pagos.cantidad) > 0;
   
   let totalRecibo = 0;
   
   for (const detalle of detalles) {
-    const precioBase = Number(detalle.precio_base);
-    let descuento = 0;
-    let recargo = 0;
-    let beca = 0;
-    
-    let reglas;
-
-    // ✅ CAMBIO 2 — Validación obligatoria para productos Mensuales
-    if (
-      detalle.frecuencia_producto === "Mensual" &&
-      (!detalle.mes || !detalle.anio)
-    ) {
-      throw new Error(
-        `ERROR: Producto mensual ${detalle.id_producto} en recibo ${reciboId} no tiene mes o año`
-      );
-    }
-    
-    if (detalle.frecuencia_producto === "Mensual") {
-      let caso = "Corriente";
-      if (detalle.mes && detalle.anio) {
-        if (
-          detalle.anio > year ||
-          (detalle.anio === year && detalle.mes > month)
-        ) {
-          caso = "Adelantado";
-        } else if (
-          detalle.anio < year ||
-          (detalle.anio === year && detalle.mes < month)
-        ) {
-          caso = "Vencido";
-        }
-      }
-      
-      // ✅ CAMBIO 1 — Lógica de reglas periódicas vs no periódicas (Mensual)
-      [reglas] = await conn.execute(
-        `
-        SELECT rp.*
-        FROM reglas_producto rp
-        JOIN reglas_producto_formas_pago rpfp
-          ON rpfp.id_regla = rp.id_regla
-        JOIN reglas_producto_casos rpc
-          ON rpc.id_regla = rp.id_regla
-        WHERE rp.id_producto = ?
-          AND rpfp.forma_pago = ?
-          AND rpc.caso = ?
-          AND (
-            (
-              rp.es_periodica = 1
-              AND DAY(?) BETWEEN rp.dia_mes_inicio AND rp.dia_mes_fin
-            )
-            OR
-            (
-              rp.es_periodica = 0
-              AND (rp.fecha_inicio IS NULL OR rp.fecha_inicio <= ?)
-              AND (rp.fecha_fin IS NULL OR rp.fecha_fin >= ?)
-            )
-          )
-        ORDER BY rp.prioridad DESC
-        `,
-        [
-          detalle.id_producto,
-          recibo.forma_pago,
-          caso,
-          recibo.fecha,
-          recibo.fecha,
-          recibo.fecha
-        ]
-      );
-    } else {
-      // ✅ CAMBIO 1 — Lógica de reglas periódicas vs no periódicas (No mensual)
-      [reglas] = await conn.execute(
-        `
-        SELECT rp.*
-        FROM reglas_producto rp
-        JOIN reglas_producto_formas_pago rpfp
-          ON rpfp.id_regla = rp.id_regla
-        WHERE rp.id_producto = ?
-          AND rpfp.forma_pago = ?
-          AND (
-            (
-              rp.es_periodica = 1
-              AND DAY(?) BETWEEN rp.dia_mes_inicio AND rp.dia_mes_fin
-            )
-            OR
-            (
-              rp.es_periodica = 0
-              AND (rp.fecha_inicio IS NULL OR rp.fecha_inicio <= ?)
-              AND (rp.fecha_fin IS NULL OR rp.fecha_fin >= ?)
-            )
-          )
-        ORDER BY rp.prioridad DESC
-        `,
-        [
-          detalle.id_producto,
-          recibo.forma_pago,
-          recibo.fecha,
-          recibo.fecha,
-          recibo.fecha
-        ]
-      );
-    }
-
-    // ✅ CAMBIO 3 — Validación de integridad de reglas
-    for (const regla of reglas) {
-      if (regla.es_periodica) {
-        if (
-          regla.dia_mes_inicio == null ||
-          regla.dia_mes_fin == null
-        ) {
-          throw new Error(
-            `ERROR CONFIGURACION: Regla ${regla.id_regla} es periódica pero no tiene dia_mes_inicio o dia_mes_fin`
-          );
-        }
-      } else {
-        if (
-          regla.fecha_inicio == null &&
-          regla.fecha_fin == null
-        ) {
-          throw new Error(
-            `ERROR CONFIGURACION: Regla ${regla.id_regla} no es periódica pero no tiene fecha_inicio ni fecha_fin`
-          );
-        }
-      }
-    }
-
-    // ✅ 1. Calcular beca primero
-    if (detalle.frecuencia_producto === "Mensual") {
-      const [[alumnoMensual]] = await conn.execute(
-        `
-        SELECT beca_monto
-        FROM alumnos_mensuales
-        WHERE id_alumno = ?
-          AND id_producto = ?
-        `,
-        [recibo.id_alumno, detalle.id_producto]
-      );
-
-      const becaPct = Number(alumnoMensual?.beca_monto || 0);
-      beca = Math.ceil(precioBase * becaPct);
-    }
-
-    // ✅ 2. Base post beca
-    const basePostBeca = precioBase - beca;
-
-    // ✅ 3. Descuentos y recargos sobre base post beca
-    for (const regla of reglas) {
-      if (regla.pct_descuento) {
-        descuento += basePostBeca * regla.pct_descuento;
-      }
-      if (regla.pct_recargo) {
-        recargo += basePostBeca * regla.pct_recargo;
-      }
+    if (precioFijo && detalle.traza_calculo != null) {
+      totalRecibo += Number(detalle.precio_final);
+      continue;
     }
 
-    descuento = Math.ceil(descuento);
-    recargo = Math.ceil(recargo);
+    const contexto = {
+      id_alumno: recibo.id_alumno,
+      fecha: recibo.fecha,
+      forma_pago: recibo.forma_pago,
+      id_recibo: reciboId
+    };
 
-    // ✅ 4. Precio final sobre base post beca
-    const montoAjuste = detalle.ajuste_manual
-      ? Number(detalle.monto_ajuste || 0)
-      : 0;
-    const precioCalculado =
-      basePostBeca - descuento + recargo + montoAjuste;
-    const precioFinal = Math.max(0, Math.ceil(precioCalculado));
+    const calculo = await motorPrecios.calcularDetalle(conn, detalle, contexto);
+    const traza = motorPrecios.construirTraza(calculo, contexto);
     
     await conn.execute(
       `
@@ -964,13 +1368,23 @@ async function calculateReciboTotal(conn, reciboId) {
       SET descuento = ?,
           recargo = ?,
           beca = ?,
-          precio_final = ?
+          precio_final = ?,
+          descuento_hermanos = ?,
+          traza_calculo = ?
       WHERE id_detalle = ?
       `,
-      [descuento, recargo, beca, precioFinal, detalle.id_detalle]
+      [
+        calculo.descuento,
+        calculo.recargo,
+        calculo.beca,
+        calculo.precio_final,
+        calculo.descuento_hermanos,
+        JSON.stringify(traza),
+        detalle.id_detalle
+      ]
     );
     
-    totalRecibo += precioFinal;
+    totalRecibo += calculo.precio_final;
   }
   
   await conn.execute(
@@ -1101,25 +1515,111 @@ app.get(
   sesionHandler
 );
 
-// ===========================
+// ===========================
+
+
+
+// GENERACIÓN Y CANCELACIÓN MASIVA DE CARGOS
+app.post(
+  "/cargos/cancelar-mensuales",
+  requireToken,
+  cancelarCargosMensualesHandler
+);
+
+// Lote en segundo plano: responde 202 y se sondea el estado
+app.post(
+  "/recibos/emitir-producto-unico/lote",
+  requireToken,
+  emitirProductoUnicoLote.crearLoteHandler
+);
+
+app.get(
+  "/recibos/emitir-producto-unico/lote/:id_lote",
+  requireToken,
+  emitirProductoUnicoLote.estadoLoteHandler
+);
+
+app.post(
+  "/recibos/emitir-producto-unico/lote/:id_lote/reintentar",
+  requireToken,
+  emitirProductoUnicoLote.reintentarLoteHandler
+);
+
+app.post(
+  "/recibos/emitir-producto-unico/lote/:id_lote/cancelar",
+  requireToken,
+  emitirProductoUnicoLote.cancelarLoteHandler
+);
+
+
+app.post("/cargos/cancelar", requireToken, cancelarCargosHandler);
+
+
+// DEVENGO DE RECARGOS SOBRE CARGOS VENCIDOS (Cloud Scheduler)
+app.post("/cargos/devengar-recargos", requireToken, devengarRecargosHandler);
+
+app.get("/cargos/recargos-devengados", requireToken, resumenRecargosHandler);
+
+app.get("/cargos/:id_cargo/recargos", requireToken, historialRecargosHandler);
+
+
+// ============================================================================
+// CARTERA VENCIDA (antigüedad de cargos pendientes, JSON + PDF)
+// ============================================================================
+app.get("/reportes/cartera-vencida", requireToken, carteraVencidaHandler);
+
+app.get(
+  "/reportes/cartera-vencida/pdf",
+  requireTokenQuery,
+  carteraVencidaPdfHandler
+);
+
+// ============================================================================
+// REPORTE CONSOLIDADO DE CORTES (plantel + rango o mes, JSON + PDF)
+// ============================================================================
+app.get("/reportes/cortes", requireToken, reporteCortesHandler);
+
+app.get(
+  "/reportes/cortes/pdf",
+  requireTokenQuery,
+  reporteCortesPdfHandler
+);
+
+// ============================================================================
+// CONCILIACIÓN BANCARIA (estados de cuenta CSV/OFX vs transferencias)
+// ============================================================================
+app.post("/conciliacion/bancaria/importar", requireToken, importarEstadoCuentaHandler);
+
+app.get("/conciliacion/bancaria/pendientes", requireToken, pendientesBancariosHandler);
+
+app.post("/conciliacion/bancaria/conciliar", requireToken, conciliarManualHandler);
+
+app.post("/conciliacion/bancaria/desconciliar", requireToken, desconciliarHandler);
+
+app.post("/conciliacion/bancaria/ignorar", requireToken, ignorarMovimientoHandler);
+
+app.get("/recibos/:id_recibo/conciliacion", requireToken, conciliacionReciboHandler);
+
+app.get("/cortes/:id_corte/conciliacion", requireToken, conciliacionCorteHandler);
+
+// ============================================================================
+// CONCILIACIÓN DE TARJETA (liquidaciones de terminal/adquirente vs cobros)
+// ============================================================================
+app.post("/conciliacion/tarjeta/importar", requireToken, importarLiquidacionHandler);
+
+app.get("/conciliacion/tarjeta/excepciones", requireToken, excepcionesTarjetaHandler);
 
+app.get("/conciliacion/tarjeta/comisiones", requireToken, comisionesTarjetaHandler);
 
+app.post("/conciliacion/tarjeta/conciliar", requireToken, conciliarTarjetaHandler);
 
-// GENERACIÓN Y CANCELACIÓN MASIVA DE CARGOS
-app.post(
-  "/cargos/cancelar-mensuales",
-  requireToken,
-  cancelarCargosMensualesHandler
-);
+app.post("/conciliacion/tarjeta/desconciliar", requireToken, desconciliarTarjetaHandler);
 
-app.post(
-  "/recibos/emitir-producto-unico/lote",
-  requireToken,
-  emitirProductoUnicoLote
-);
+app.post("/conciliacion/tarjeta/ignorar", requireToken, ignorarTransaccionHandler);
 
+app.get("/recibos/:id_recibo/liquidacion-tarjeta", requireToken, liquidacionReciboHandler);
 
-app.post("/cargos/cancelar", requireToken, cancelarCargosHandler);
+app.get("/cortes/:id_corte/liquidacion-tarjeta", requireToken, liquidacionCorteHandler);
 
 
 
@@ -1278,11 +1778,247 @@ app.post("/calcular-recibo", requireToken, async (req, res, next) => {
 });
 
 
+ // ============================================================================
+// COTIZAR (vista previa sin escrituras del mismo motor de cálculo)
+// ============================================================================
+app.post("/recibos/cotizar", requireToken, cotizarReciboHandler);
+
+
+// ============================================================================
+// TRAZA DEL CÁLCULO (reglas, caso y beca usados en cada detalle)
+// ============================================================================
+app.get("/recibos/:id_recibo/traza", requireToken, async (req, res, next) => {
+  try {
+    const idRecibo = String(req.params.id_recibo || "").trim();
+
+    const recibo = await getReciboHydrated(idRecibo);
+
+    if (!recibo) {
+      const err = new Error("Recibo no encontrado");
+      err.statusCode = 404;
+      throw err;
+    }
+
+    const [detalles] = await pool.execute(
+      `
+      SELECT
+        id_detalle,
+        id_producto,
+        descripcion,
+        mes,
+        anio,
+        precio_base,
+        beca,
+        descuento,
+        recargo,
+        monto_ajuste,
+        precio_final,
+        descuento_hermanos,
+        traza_calculo
+      FROM recibos_detalle
+      WHERE id_recibo = ?
+      ORDER BY id_detalle
+      `,
+      [idRecibo]
+    );
+
+    return res.json({
+      ok: true,
+      id_recibo: recibo.id_recibo,
+      status_recibo: recibo.status_recibo,
+      fecha: recibo.fecha,
+      forma_pago: recibo.forma_pago,
+      total_recibo: Number(recibo.total_recibo || 0),
+      detalles: detalles.map(({ traza_calculo, ...d }) => ({
+        ...d,
+        traza: motorPrecios.leerTraza(traza_calculo)
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+
  // ============================================================================
 // EMITIR RECIBO
 // ============================================================================
 app.post("/emitir-recibo", requireToken, emitirReciboHandler);
 
+// ============================================================================
+// FOLIOS
+// ============================================================================
+app.post("/folios/series/guardar", requireToken, guardarSerieHandler);
+
+app.get("/folios/series", requireToken, listarSeriesHandler);
+
+app.get("/recibos/folios/buscar", requireToken, buscarPorFolioHandler);
+
+
+// ============================================================================
+// ENVÍO DE RECIBOS POR CORREO (reenvío + bitácora)
+// ============================================================================
+app.post("/recibos/enviar-correo", requireToken, reenviarReciboHandler);
+
+app.get("/recibos/:id_recibo/envios", requireToken, listarEnviosHandler);
+
+// ============================================================================
+// ENLACES PARA COMPARTIR RECIBOS
+// ============================================================================
+app.post("/recibos/enlaces/crear", requireToken, crearEnlaceHandler);
+
+app.post("/recibos/enlaces/revocar", requireToken, revocarEnlaceHandler);
+
+app.get("/recibos/:id_recibo/enlaces", requireToken, listarEnlacesHandler);
+
+// ============================================================================
+// ALMACENAMIENTO Y VERSIONES DE DOCUMENTOS
+// ============================================================================
+app.post("/almacenamiento/migrar-rutas", requireToken, migrarRutasHandler);
+
+app.get(
+  "/documentos/:tipo/:id/versiones",
+  requireToken,
+  documentosVersiones.listarVersionesHandler
+);
+
+app.get(
+  "/documentos/:tipo/:id/versiones/:version",
+  requireTokenQuery,
+  documentosVersiones.obtenerVersionHandler
+);
+
+// URLs temporales del driver local (firma HMAC en query, sin API token)
+if (almacenamiento.servirArchivoHandler) {
+  app.get("/almacenamiento/local", almacenamiento.servirArchivoHandler);
+}
+
+
+// ============================================================================
+// PAGOS EN PARCIALIDADES / PAGOS MIXTOS
+// ============================================================================
+app.post("/recibos/pagos/registrar", requireToken, registrarPagoHandler);
+
+app.get("/recibos/:id_recibo/pagos", requireToken, listarPagosHandler);
+
+
+// ============================================================================
+// DEVOLUCIONES DE RECIBOS CANCELADOS (solicitud en caja, autorización por rol)
+// ============================================================================
+app.post("/recibos/devoluciones/solicitar", requireUsuarioOperacion, solicitarDevolucionHandler);
+
+app.post("/recibos/devoluciones/resolver", requireUsuarioOperacion, resolverDevolucionHandler);
+
+app.get("/recibos/devoluciones/pendientes", requireToken, devolucionesPendientesHandler);
+
+app.get("/recibos/:id_recibo/devoluciones", requireToken, listarDevolucionesHandler);
+
+
+// ============================================================================
+// SOLICITUDES DE CANCELACIÓN (motivo obligatorio, autorización por rol o
+// ventana del cajero; /cancelar-recibo ejecuta solo las aprobadas)
+// ============================================================================
+app.post("/recibos/cancelacion/solicitar", requireUsuarioOperacion, solicitudesCancelacion.solicitarCancelacionHandler);
+
+app.post("/recibos/cancelacion/resolver", requireUsuarioOperacion, solicitudesCancelacion.resolverCancelacionHandler);
+
+app.get("/recibos/cancelacion/pendientes", requireToken, solicitudesCancelacion.pendientesHandler);
+
+app.get("/recibos/:id_recibo/cancelacion", requireToken, solicitudesCancelacion.listarSolicitudesHandler);
+
+
+// ============================================================================
+// SALDO A FAVOR (crédito por alumno; se consume con forma_pago SaldoFavor)
+// ============================================================================
+app.post("/saldos-favor/ajustar", requireUsuarioOperacion, saldoFavor.ajustarSaldoHandler);
+
+app.get("/alumnos/:id_alumno/saldo-favor", requireToken, saldoFavor.consultarSaldoHandler);
+
+
+// ============================================================================
+// ESTADO DE CUENTA POR ALUMNO (JSON + PDF)
+// ============================================================================
+app.get(
+  "/alumnos/:id_alumno/estado-cuenta",
+  requireToken,
+  estadoCuentaHandler
+);
+
+app.get(
+  "/alumnos/:id_alumno/estado-cuenta/pdf",
+  requireTokenQuery,
+  estadoCuentaPdfHandler
+);
+
+
+// ============================================================================
+// FACTURACIÓN CFDI 4.0
+// ============================================================================
+app.use("/facturacion", requiereFacturacion);
+
+app.post(
+  "/facturacion/datos-fiscales",
+  requireToken,
+  guardarDatosFiscalesHandler
+);
+
+app.get(
+  "/facturacion/datos-fiscales/:id_alumno",
+  requireToken,
+  obtenerDatosFiscalesHandler
+);
+
+app.post("/facturacion/facturar", requireToken, facturarReciboHandler);
+
+app.post(
+  "/facturacion/facturas/:id_recibo/cancelar",
+  requireToken,
+  cancelarFacturaHandler
+);
+
+app.get(
+  "/facturacion/facturas/:id_recibo/xml",
+  requireTokenQuery,
+  descargarXmlHandler
+);
+
+
+// ============================================================================
+// FAMILIAS (tutores y hermanos para descuento por hermanos)
+// ============================================================================
+app.post("/familias/tutores/guardar", requireToken, guardarTutorHandler);
+
+app.post("/familias/tutores/vincular", requireToken, vincularAlumnoHandler);
+
+app.post("/familias/tutores/desvincular", requireToken, desvincularAlumnoHandler);
+
+app.post(
+  "/familias/tutores/recordatorios",
+  requireToken,
+  preferenciaRecordatoriosHandler
+);
+
+app.get("/familias/tutores/:id_tutor", requireToken, obtenerFamiliaHandler);
+
+
+// ============================================================================
+// RECORDATORIOS DE PAGO POR CORREO (Cloud Scheduler)
+// ============================================================================
+app.post(
+  "/notificaciones/recordatorios/enviar",
+  requireToken,
+  enviarRecordatoriosHandler
+);
+
+app.post(
+  "/notificaciones/plantillas/guardar",
+  requireToken,
+  guardarPlantillaHandler
+);
+
+app.get("/notificaciones/enviadas", requireToken, listarNotificacionesHandler);
+
 
  // ============================================================================
   // ENDPOINT: CANCELAR RECIBO
@@ -1290,7 +2026,7 @@ app.post("/emitir-recibo", requireToken, emitirReciboHandler);
 
 app.post("/cancelar-recibo", requireToken, async (req, res, next) => {
   const startTime = Date.now();
-  const { id_recibo } = req.body;
+  const { id_recibo, enviar_correo } = req.body;
 
   if (!id_recibo) {
     return res.status(400).json({
@@ -1303,8 +2039,17 @@ app.post("/cancelar-recibo", requireToken, async (req, res, next) => {
 let rutaPdfFinal = null;
 let resultadoReverso = null;
 let reversoWarning = null;
+let resultadoFactura = null;
+let facturaWarning = null;
+let resultadoCorreo = null;
+let correoWarning = null;
+let ajustesCorte = [];
+let saldoFavorReintegrado = [];
+let solicitudCancelacion = null;
 
   try {
+    const modoCorreo = leerModoEnvioCorreo(enviar_correo);
+
     // ============================================================
     // FASE 1: TRANSACCIÓN (VALIDAR + CANCELAR + RECALCULAR CORTE)
     // ============================================================
@@ -1315,7 +2060,6 @@ let reversoWarning = null;
         SELECT *
         FROM recibos
         WHERE id_recibo = ?
-          AND solicita_cancelacion = TRUE
           AND status_recibo = 'Emitido'
           AND (generando_pdf IS NULL OR generando_pdf = FALSE)
         FOR UPDATE
@@ -1327,6 +2071,10 @@ let reversoWarning = null;
         throw new Error("Recibo no válido para cancelación");
       }
 
+      // Solo se ejecutan solicitudes aprobadas (ver solicitudes-cancelacion)
+      solicitudCancelacion =
+        await solicitudesCancelacion.tomarSolicitudAprobada(conn, id_recibo);
+
       reciboSnapshot = recibo;
 
       // Cancelar recibo + activar lock técnico
@@ -1343,13 +2091,44 @@ let reversoWarning = null;
         [id_recibo]
       );
 
-      // Recalcular corte SOLO si el recibo estaba en uno
-      if (recibo.encorte) {
-        await conn.execute(
-          `CALL sp_recalcular_corte(?)`,
-          [recibo.encorte]
-        );
-      }
+      // Pagos en parcialidades: se anulan y se recalculan sus cortes
+      const [pagosAplicados] = await conn.execute(
+        `
+        SELECT id_pago, encorte, forma_pago, monto
+        FROM recibos_pagos
+        WHERE id_recibo = ?
+          AND status_pago = 'Aplicado'
+        `,
+        [id_recibo]
+      );
+
+      await conn.execute(
+        `
+        UPDATE recibos_pagos
+        SET status_pago = 'Cancelado'
+        WHERE id_recibo = ?
+          AND status_pago = 'Aplicado'
+        `,
+        [id_recibo]
+      );
+
+      // Recalcular cortes abiertos; lo que salga de un corte cerrado
+      // se aplica como ajuste en el corte abierto del cajero
+      ajustesCorte = await reflejarCancelacion(conn, {
+        recibo,
+        pagos: pagosAplicados
+      });
+
+      // Lo pagado con saldo a favor regresa al saldo del alumno
+      saldoFavorReintegrado = await saldoFavor.reintegrarPagos(conn, {
+        recibo,
+        pagos: pagosAplicados
+      });
+
+      await solicitudesCancelacion.marcarEjecutada(
+        conn,
+        solicitudCancelacion.id_solicitud
+      );
     });
 
     // ============================================================
@@ -1390,6 +2169,27 @@ try {
   );
 }
 
+    // ============================================================
+    // FASE 1.6: CANCELAR CFDI SI EL RECIBO ESTABA FACTURADO
+    // ============================================================
+    try {
+      resultadoFactura = await cancelarFacturaRecibo(id_recibo);
+
+      if (resultadoFactura.aplica && resultadoFactura.status !== "Cancelada") {
+        facturaWarning = resultadoFactura.status === "CancelacionEnProceso"
+          ? "La cancelación del CFDI está en proceso ante el SAT. Consulta de nuevo en /facturacion/facturas/:id_recibo/cancelar."
+          : `El PAC rechazó la cancelación del CFDI (${resultadoFactura.status_pac || "sin estatus"}).`;
+      }
+    } catch (facturaError) {
+      facturaWarning =
+        "Recibo cancelado pero la factura no se pudo cancelar ante el PAC. Reintenta en /facturacion/facturas/:id_recibo/cancelar.";
+
+      logger.error("Recibo cancelado pero cancelación de CFDI falló", {
+        id_recibo,
+        error: facturaError.message
+      });
+    }
+
     // ============================================================
     // FASE 2: REGENERAR PDF (CANCELADO)
     // ============================================================
@@ -1414,27 +2214,21 @@ if (reciboParaPdf.status_recibo !== 'Cancelado') {
 
     const pdfBuffer = await generateReciboPDF(reciboParaPdf, detalles);
 
-    // Resolver ruta PDF (sobrescritura)
+    // Resolver clave base del PDF (nueva versión junto a las anteriores)
     if (reciboParaPdf.ruta_pdf) {
-
-  if (reciboParaPdf.ruta_pdf.startsWith("https://")) {
-    const prefix = `https://storage.googleapis.com/${config.gcs.bucket}/`;
-    rutaPdfFinal = reciboParaPdf.ruta_pdf.replace(prefix, "");
-
-  } else if (reciboParaPdf.ruta_pdf.startsWith(`gs://${config.gcs.bucket}/`)) {
-    const prefix = `gs://${config.gcs.bucket}/`;
-    rutaPdfFinal = reciboParaPdf.ruta_pdf.replace(prefix, "");
-
-  } else {
-    throw new Error("Formato de ruta_pdf inválido en cancelación");
-  }
-
+  rutaPdfFinal = almacenamiento.clave(reciboParaPdf.ruta_pdf);
 } else {
   rutaPdfFinal = `recibos/${id_recibo}.pdf`;
 }
 
-    await deleteFileIfExists(rutaPdfFinal);
-    const rutaGs = await uploadPdfToGCS(pdfBuffer, rutaPdfFinal);
+    const rutaGs = await guardarVersionPdf({
+      tipo_documento: "recibo",
+      id_documento: id_recibo,
+      clave: rutaPdfFinal,
+      buffer: pdfBuffer,
+      motivo: "Cancelacion",
+      ruta_actual: reciboParaPdf.ruta_pdf
+    });
 
     // Guardar ruta + liberar lock
     await pool.execute(
@@ -1448,6 +2242,32 @@ if (reciboParaPdf.status_recibo !== 'Cancelado') {
       [rutaGs, id_recibo]
     );
 
+    // ============================================================
+    // FASE 3: AVISO DE CANCELACIÓN POR CORREO
+    // Se envía si se pidió explícitamente o si el recibo ya se había
+    // enviado al tutor al emitirse (mismo correo y modo).
+    // ============================================================
+    const ultimoEnvio = modoCorreo ? null : await obtenerUltimoEnvio(id_recibo);
+
+    if (modoCorreo || ultimoEnvio) {
+      try {
+        resultadoCorreo = await enviarReciboCorreo({
+          id_recibo,
+          tipo: "Cancelacion",
+          modo: modoCorreo || ultimoEnvio.modo,
+          correo: ultimoEnvio?.correo || null,
+          origen: "cancelacion"
+        });
+      } catch (correoError) {
+        correoWarning = "Recibo cancelado pero el aviso por correo no se pudo enviar.";
+
+        logger.error("Aviso de cancelación por correo falló", {
+          id_recibo,
+          error: correoError.message
+        });
+      }
+    }
+
     // ============================================================
     // RESPUESTA EXITOSA
     // ============================================================
@@ -1469,8 +2289,17 @@ if (reciboParaPdf.status_recibo !== 'Cancelado') {
       }
     : null,
 
-  ...(reversoWarning && {
-    warning: reversoWarning
+  factura: resultadoFactura,
+  correo: resultadoCorreo,
+  id_solicitud: solicitudCancelacion.id_solicitud,
+  motivo_codigo: solicitudCancelacion.motivo_codigo,
+  ajustes_corte: ajustesCorte,
+  saldo_favor_reintegrado: saldoFavorReintegrado,
+
+  ...((reversoWarning || facturaWarning || correoWarning) && {
+    warning: [reversoWarning, facturaWarning, correoWarning]
+      .filter(Boolean)
+      .join(" | ")
   }),
 
   duration_ms: Date.now() - startTime
@@ -1481,15 +2310,15 @@ if (reciboParaPdf.status_recibo !== 'Cancelado') {
 
   } finally {
     // ============================================================
-    // LIMPIEZA GARANTIZADA (FLAG + LOCK)
+    // LIMPIEZA GARANTIZADA (LOCK)
+    // solicita_cancelacion se limpia al cancelar o al rechazar la
+    // solicitud; si la cancelación falla la solicitud sigue aprobada.
     // ============================================================
     try {
       await pool.execute(
         `
         UPDATE recibos
-        SET
-          generando_pdf = FALSE,
-          solicita_cancelacion = FALSE
+        SET generando_pdf = FALSE
         WHERE id_recibo = ?
         `,
         [id_recibo]
@@ -1509,16 +2338,88 @@ if (reciboParaPdf.status_recibo !== 'Cancelado') {
 // VER PDF GENÉRICO (RECIBOS, CORTES, ETC) - URL FIRMADO
 // ============================================================================
 app.get("/pdf/:tipo/:id/ver", async (req, res, next) => {
-  const { tipo, id } = req.params;
+  const { tipo } = req.params;
+  let { id } = req.params;
   const token = req.query.token;
+  const tokenEnlace = req.query.t;
 
   try {
     // ------------------------------------------------------------------------
-    // 1. Validación de entrada
+    // 1. Autenticación (antes de tocar la BD)
+    // Token administrativo, o enlace para compartir (solo recibos)
     // ------------------------------------------------------------------------
-    if (!token || token !== config.apiToken) {
-      logger.warn("Intento de acceso sin token válido", { tipo, id });
-      return res.status(401).send("Token inválido");
+    const porEnlace = token !== config.apiToken;
+
+    if (porEnlace) {
+      if (tipo !== "recibo" || !tokenEnlace) {
+        logger.warn("Intento de acceso sin token válido", { tipo, id });
+        return res.status(401).send("Token inválido");
+      }
+
+      try {
+        leerEnlaceRecibo(tokenEnlace);
+      } catch (enlaceError) {
+        logger.warn("Enlace de recibo rechazado", {
+          id,
+          error: enlaceError.message
+        });
+        return res
+          .status(enlaceError.statusCode || 401)
+          .send(enlaceError.message);
+      }
+    }
+
+    // Recibos también se pueden abrir por folio (PLT1-A-000123). Con
+    // enlace, un folio inexistente responde igual que un enlace ajeno.
+    if (tipo === "recibo" && esFolio(id)) {
+      const idRecibo = await resolverFolio(id);
+
+      if (!idRecibo) {
+        return porEnlace
+          ? res.status(401).send("Enlace inválido")
+          : res.status(404).send("PDF no disponible");
+      }
+
+      id = idRecibo;
+    }
+
+    // Las vistas previas (HEAD, crawlers) validan sin consumir y no reciben
+    // acceso al PDF, igual que /genix-recibos; todo lo demás consume.
+    if (porEnlace) {
+      const vistaPrevia = esVistaPrevia(req);
+
+      try {
+        await validarEnlaceRecibo(tokenEnlace, id, {
+          consumir: !vistaPrevia
+        });
+      } catch (enlaceError) {
+        logger.warn("Enlace de recibo rechazado", {
+          id,
+          error: enlaceError.message
+        });
+        return res
+          .status(enlaceError.statusCode || 401)
+          .send(enlaceError.message);
+      }
+
+      if (vistaPrevia) {
+        res.set("Content-Type", "text/html; charset=utf-8");
+        res.set("Cache-Control", "no-store");
+
+        return res.send(`<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="UTF-8" />
+<meta property="og:title" content="Recibo de pago" />
+<meta property="og:image" content="${config.publicBaseUrl}/assets/logo_recibos.png" />
+<meta property="og:type" content="website" />
+<meta name="robots" content="noindex, nofollow" />
+</head>
+<body>
+Recibo de pago
+</body>
+</html>`);
+      }
     }
 
     if (!id || id.trim().length === 0) {
@@ -1607,39 +2508,25 @@ if (tipo === "corte") {
     // ------------------------------------------------------------------------
     const rutaPdf = row.ruta_pdf;
 
-// 👉 CASO NUEVO: URL pública
-if (rutaPdf.startsWith("https://")) {
-  return res.redirect(rutaPdf);
-}
-
-// 👉 CASO LEGACY: gs:// (signed URL)
-const bucketPrefix = `gs://${config.gcs.bucket}/`;
-
-if (!rutaPdf.startsWith(bucketPrefix)) {
-  logger.error("Formato de ruta_pdf inválido", { 
-    tipo, 
-    id, 
-    ruta_pdf: rutaPdf 
-  });
-  return res.status(500).send("Error en formato de archivo");
-}
-
-const filePath = rutaPdf.replace(bucketPrefix, "");
+    if (!rutaPdf.startsWith("https://") && !almacenamiento.normalizar(rutaPdf)) {
+      logger.error("Formato de ruta_pdf inválido", {
+        tipo,
+        id,
+        ruta_pdf: rutaPdf
+      });
+      return res.status(500).send("Error en formato de archivo");
+    }
 
     // ------------------------------------------------------------------------
-    // 5. Generar signed URL con expiración corta
+    // 5. Generar URL temporal con expiración corta
     // ------------------------------------------------------------------------
-    const [signedUrl] = await bucket.file(filePath).getSignedUrl({
-      version: "v4",
-      action: "read",
-      expires: Date.now() + 60 * 1000 // 60 segundos
-    });
+    const signedUrl = await getPdfUrlTemporal(rutaPdf, 60);
 
-    logger.info("Signed URL generado exitosamente", {
+    logger.info("URL temporal generada exitosamente", {
       tipo,
       id,
       tabla: config_tipo.tabla,
-      filePath,
+      driver: almacenamiento.driver,
       expira_en_segundos: 60
     });
 
@@ -1661,10 +2548,27 @@ const filePath = rutaPdf.replace(bucketPrefix, "");
 
 
 
+// ============================================================================
+// CIERRE DE CORTE (declaración del cajero + bloqueo)
+// ============================================================================
+app.post("/cortes/cerrar", requireToken, cerrarCorteHandler);
+
+app.get("/cortes/:id_corte/cierre", requireToken, obtenerCierreHandler);
+
+// ============================================================================
+// GASTOS EN EFECTIVO DEL CORTE
+// ============================================================================
+app.post("/cortes/gastos/registrar", requireUsuarioOperacion, registrarGastoHandler);
+
+app.post("/cortes/gastos/cancelar", requireUsuarioOperacion, cancelarGastoHandler);
+
+app.get("/cortes/:id_corte/gastos", requireToken, listarGastosHandler);
+
 // Generar PDF de corte
 app.post("/cortes/generar-pdf", requireToken, async (req, res, next) => {
 
   const { idcorte, nombrecorte } = req.body;
+  let rutaAnterior = null;
 
   try {
 
@@ -1680,11 +2584,12 @@ app.post("/cortes/generar-pdf", requireToken, async (req, res, next) => {
     // ==========================================================
     await executeInTransaction(async (conn) => {
 
-      await conn.execute(`CALL sp_recalcular_corte(?)`, [idcorte]);
+      // Un corte cerrado se imprime con sus totales congelados
+      await recalcularCorte(conn, idcorte);
 
       const [[exists]] = await conn.execute(
         `
-        SELECT id_corte
+        SELECT id_corte, ruta_pdf
         FROM cortes
         WHERE id_corte = ?
           AND (generando_pdf IS NULL OR generando_pdf = 0)
@@ -1699,6 +2604,8 @@ app.post("/cortes/generar-pdf", requireToken, async (req, res, next) => {
         throw err;
       }
 
+      rutaAnterior = exists.ruta_pdf;
+
       await conn.execute(
         `
         UPDATE cortes
@@ -1725,8 +2632,14 @@ app.post("/cortes/generar-pdf", requireToken, async (req, res, next) => {
 
     const pdfPath = getCortePdfPath(nombrecorte);
 
-    await deleteFileIfExists(pdfPath);
-    const rutaPdf = await uploadPdfToGCS(pdfBuffer, pdfPath);
+    const rutaPdf = await guardarVersionPdf({
+      tipo_documento: "corte",
+      id_documento: idcorte,
+      clave: pdfPath,
+      buffer: pdfBuffer,
+      motivo: "Generacion",
+      ruta_actual: rutaAnterior
+    });
 
     // ==========================================================
     // FASE 4: Guardar ruta
@@ -1777,7 +2690,7 @@ app.post("/cortes/generar-pdf", requireToken, async (req, res, next) => {
     // ------------------------------------------------------------------------
 
 app.post("/recibos/regenerar-pdf", requireToken, async (req, res, next) => {
-  const { id_recibo } = req.body;
+  const { id_recibo, incluir_traza, motivo } = req.body;
   const startTime = Date.now();
   const correlationId = `regen-${Date.now()}`;
 
@@ -1881,26 +2794,10 @@ await executeInTransaction(async (conn) => {
     // ============================================================
     if (recibo.ruta_pdf) {
 
-  let rutaOriginal = recibo.ruta_pdf;
-
-  if (rutaOriginal.startsWith("https://")) {
-    const prefix = `https://storage.googleapis.com/${config.gcs.bucket}/`;
-    rutaPdfFinal = rutaOriginal.replace(prefix, "");
-
-  } else if (rutaOriginal.startsWith(`gs://${config.gcs.bucket}/`)) {
-    const prefix = `gs://${config.gcs.bucket}/`;
-    rutaPdfFinal = rutaOriginal.replace(prefix, "");
-
-  } else {
-    throw new Error("ruta_pdf en BD no coincide con bucket configurado");
-  }
-
-  // Validar seguridad
-  if (rutaPdfFinal.includes('..') || rutaPdfFinal.startsWith('/')) {
-    throw new Error("ruta_pdf contiene caracteres peligrosos");
-  }
+  // Valida formato y que la clave no salga del contenedor
+  rutaPdfFinal = almacenamiento.clave(recibo.ruta_pdf);
 
-  logger.info("Usando ruta_pdf existente para sobrescritura", {
+  logger.info("Usando ruta_pdf existente como base de la nueva versión", {
     correlation_id: correlationId,
     id_recibo: reciboIdSanitized,
     ruta_pdf: recibo.ruta_pdf
@@ -1964,7 +2861,9 @@ logger.info("Iniciando generación de PDF", {
   alumno: reciboParaPdf.alumno_nombre_completo
 });
 
-pdfBuffer = await generateReciboPDF(reciboParaPdf, detalles);
+pdfBuffer = await generateReciboPDF(reciboParaPdf, detalles, {
+  incluirTraza: incluir_traza === true
+});
 
 // Validar que el PDF se generó correctamente
 if (!pdfBuffer || pdfBuffer.length === 0) {
@@ -1980,25 +2879,29 @@ logger.info("PDF generado en memoria", {
 });
 
     // ============================================================
-    // FASE 4: SOBRESCRIBIR ARCHIVO EN GCS
+    // FASE 4: GUARDAR NUEVA VERSIÓN (la anterior se conserva)
     // ============================================================
-    logger.info("Iniciando subida a GCS", {
+    logger.info("Iniciando subida de PDF", {
       correlation_id: correlationId,
       id_recibo: reciboIdSanitized,
       ruta_destino: rutaPdfFinal,
       buffer_size_kb: (pdfBuffer.length / 1024).toFixed(2)
     });
 
-    await deleteFileIfExists(rutaPdfFinal);
-    const rutaGs = await uploadPdfToGCS(pdfBuffer, rutaPdfFinal);
+    const rutaGs = await guardarVersionPdf({
+      tipo_documento: "recibo",
+      id_documento: reciboIdSanitized,
+      clave: rutaPdfFinal,
+      buffer: pdfBuffer,
+      motivo: "Regeneracion",
+      detalle: motivo ? String(motivo).trim().slice(0, 255) : null,
+      ruta_actual: recibo.ruta_pdf
+    });
 
-    // Validar que GCS retornó ruta válida
-    if (
-  !rutaGs ||
-  (!rutaGs.startsWith('gs://') && !rutaGs.startsWith('https://'))
-) {
+    // Validar que el almacenamiento retornó una ubicación válida
+    if (!rutaGs || !almacenamiento.esActiva(rutaGs)) {
   throw new Error(
-    "Ruta GCS inválida devuelta por uploadPdfToGCS"
+    "Ubicación inválida devuelta por guardarVersionPdf"
   );
 }
 
@@ -2006,7 +2909,7 @@ logger.info("PDF generado en memoria", {
   correlation_id: correlationId,
   id_recibo: reciboIdSanitized,
   ruta: rutaGs,
-  tipo_ruta: rutaGs.startsWith("https://") ? "public" : "gs"
+  driver: almacenamiento.driver
 });
 
    // ============================================================
@@ -2192,9 +3095,33 @@ app.get("/assets/logo_recibos.png", (req, res) => {
 });
 
 
+// Verificación pública del QR impreso en el recibo
+app.get("/verificar/recibo/:id", verificacionRecibos.verificarReciboHandler);
+
+// Página para compartir: requiere enlace firmado (?t=). Las vistas previas
+// (WhatsApp, redes) reciben solo las etiquetas Open Graph y no consumen
+// enlaces de un solo uso; el enlace se consume al redirigir al PDF.
 app.get("/genix-recibos/:id", async (req, res) => {
   try {
     const { id } = req.params;
+    const tokenEnlace = String(req.query.t || "");
+    const debug = req.query.debug;
+    const vistaPrevia = esVistaPrevia(req);
+
+    try {
+      await validarEnlaceRecibo(tokenEnlace, id, {
+        consumir: !vistaPrevia && !debug
+      });
+    } catch (enlaceError) {
+      logger.warn("Enlace de recibo rechazado", {
+        id,
+        vista_previa: vistaPrevia,
+        error: enlaceError.message
+      });
+      return res
+        .status(enlaceError.statusCode || 401)
+        .send(enlaceError.statusCode === 410 ? enlaceError.message : "No disponible");
+    }
 
     const recibo = await getReciboHydrated(id);
 
@@ -2211,30 +3138,17 @@ app.get("/genix-recibos/:id", async (req, res) => {
     const logoUrl = `https://billing-system-bgk-23846829930.us-central1.run.app/assets/logo_recibos.png`;
 
     // Generar acceso temporal al PDF sin exponer el API_TOKEN administrativo.
-let urlSeguro;
+let urlSeguro = null;
 
-if (recibo.ruta_pdf.startsWith("https://")) {
-  urlSeguro = recibo.ruta_pdf;
+if (vistaPrevia || debug) {
+  // Crawlers y modo debug: sin acceso al PDF
 } else {
-  const bucketPrefix = `gs://${config.gcs.bucket}/`;
-
-  if (!recibo.ruta_pdf.startsWith(bucketPrefix)) {
-    throw new Error("Formato de ruta_pdf inválido");
-  }
-
-  const filePath = recibo.ruta_pdf.replace(bucketPrefix, "");
-
-  [urlSeguro] = await bucket.file(filePath).getSignedUrl({
-    version: "v4",
-    action: "read",
-    expires: Date.now() + 60 * 1000
-  });
+  urlSeguro = await getPdfUrlTemporal(recibo.ruta_pdf, 60);
 }
 
     res.set("Content-Type", "text/html; charset=utf-8");
     res.set("Cache-Control", "no-store");
 
-    const debug = req.query.debug;
     res.send(`<!DOCTYPE html>
 <html lang="es">
 <head>
@@ -2244,11 +3158,12 @@ if (recibo.ruta_pdf.startsWith("https://")) {
 <meta property="og:description" content="${recibo.alumno_nombre_completo} (${fechaCorta})" />
 <meta property="og:image" content="${logoUrl}" />
 <meta property="og:type" content="website" />
-<meta property="og:url" content="https://billing-system-bgk-23846829930.us-central1.run.app/genix-recibos/${id}" />
+<meta property="og:url" content="${config.publicBaseUrl}/genix-recibos/${id}?t=${encodeURIComponent(tokenEnlace)}" />
+<meta name="robots" content="noindex, nofollow" />
 
 <meta name="viewport" content="width=device-width, initial-scale=1.0" />
 
-${debug ? "" : `<meta http-equiv="refresh" content="0; url=${urlSeguro}" />`}
+${debug || !urlSeguro ? "" : `<meta http-equiv="refresh" content="0; url=${urlSeguro}" />`}
 </head>
 <body>
 Redirigiendo...
@@ -2281,4 +3196,12 @@ app.listen(config.port, () => {
   console.log(`🚀 BGK Backend ejecutándose en puerto ${config.port}`);
   console.log(`   Entorno: ${process.env.NODE_ENV || "development"}`);
   console.log(`   Timezone: ${config.timezone}`);
+
+  emitirProductoUnicoLote.reanudarLotes()
+    .then(total => {
+      if (total > 0) console.log(`   Lotes de recibos reanudados: ${total}`);
+    })
+    .catch(err => {
+      logger.error("No se pudieron reanudar lotes de recibos", { error: err.message });
+    });
 });
@@ -0,0 +1,332 @@
+const crypto = require("crypto");
+
+// ============================================================================
+// VERSIONES DE DOCUMENTOS (PDFs de recibos y cortes)
+// Cada PDF generado se guarda como versión inmutable en su propia clave
+// (<base>.v<N>.pdf) y queda registrado en documentos_versiones con hash,
+// fecha y motivo. ruta_pdf del documento apunta siempre a la última.
+// ============================================================================
+
+const TIPOS = {
+  recibo: { tabla: "recibos", campo_id: "id_recibo" },
+  corte: { tabla: "cortes", campo_id: "id_corte" }
+};
+
+const MOTIVOS = ["Original", "Emision", "Regeneracion", "Cancelacion", "Generacion"];
+
+const MAX_INTENTOS_VERSION = 3;
+
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// "recibos/abc.v3.pdf" | "recibos/abc.pdf" → "recibos/abc"
+function claveBase(clave) {
+  return String(clave).replace(/(\.v\d+)?\.pdf$/i, "");
+}
+
+module.exports = function documentosVersionesFactory({
+  pool,
+  logger,
+  almacenamiento
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function leerTipo(tipo) {
+    if (!TIPOS[tipo]) {
+      throw crearError(`tipo debe ser uno de: ${Object.keys(TIPOS).join(", ")}`, 400);
+    }
+
+    return TIPOS[tipo];
+  }
+
+  async function siguienteVersion(tipoDocumento, idDocumento) {
+    const [[row]] = await pool.execute(
+      `
+      SELECT COALESCE(MAX(version), 0) + 1 AS siguiente
+      FROM documentos_versiones
+      WHERE tipo_documento = ?
+        AND id_documento = ?
+      `,
+      [tipoDocumento, idDocumento]
+    );
+
+    return Number(row.siguiente);
+  }
+
+  async function insertarVersion(version) {
+    await pool.execute(
+      `
+      INSERT INTO documentos_versiones (
+        id_version,
+        tipo_documento,
+        id_documento,
+        version,
+        motivo,
+        detalle,
+        ubicacion,
+        sha256,
+        tamano_bytes,
+        generado_en
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+      `,
+      [
+        version.id_version,
+        version.tipo_documento,
+        version.id_documento,
+        version.version,
+        version.motivo,
+        version.detalle || null,
+        version.ubicacion,
+        version.sha256,
+        version.tamano_bytes
+      ]
+    );
+  }
+
+  // Documentos generados antes del historial: el PDF vigente se registra
+  // como versión "Original" antes de agregar la nueva.
+  async function registrarOriginal(tipoDocumento, idDocumento, rutaActual) {
+    const [[existe]] = await pool.execute(
+      `
+      SELECT 1 AS existe
+      FROM documentos_versiones
+      WHERE tipo_documento = ?
+        AND id_documento = ?
+      LIMIT 1
+      `,
+      [tipoDocumento, idDocumento]
+    );
+
+    if (existe) return;
+
+    try {
+      const buffer = await almacenamiento.descargar(rutaActual);
+
+      await insertarVersion({
+        id_version: crypto.randomUUID(),
+        tipo_documento: tipoDocumento,
+        id_documento: idDocumento,
+        version: 1,
+        motivo: "Original",
+        detalle: "PDF previo al historial de versiones",
+        ubicacion: almacenamiento.normalizar(rutaActual) || rutaActual,
+        sha256: sha256(buffer),
+        tamano_bytes: buffer.length
+      });
+    } catch (error) {
+      if (error.code === "ER_DUP_ENTRY") return;
+
+      // Sin el archivo anterior no se bloquea la nueva versión
+      logger.warn("No se pudo registrar la versión original del documento", {
+        tipo_documento: tipoDocumento,
+        id_documento: idDocumento,
+        ruta_pdf: rutaActual,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Guarda un PDF como nueva versión inmutable y devuelve su ubicación.
+   * La fila se reserva antes de subir para que dos generaciones
+   * simultáneas no compartan número de versión ni archivo.
+   */
+  async function guardarVersion({
+    tipo_documento,
+    id_documento,
+    clave,
+    buffer,
+    motivo,
+    detalle = null,
+    ruta_actual = null
+  }) {
+    leerTipo(tipo_documento);
+
+    if (!MOTIVOS.includes(motivo)) {
+      throw crearError(`motivo debe ser uno de: ${MOTIVOS.join(", ")}`, 400);
+    }
+
+    if (!buffer || buffer.length === 0) {
+      throw crearError("El PDF a versionar está vacío", 500);
+    }
+
+    if (ruta_actual) {
+      await registrarOriginal(tipo_documento, id_documento, ruta_actual);
+    }
+
+    const hash = sha256(buffer);
+    const base = claveBase(clave);
+
+    for (let intento = 1; intento <= MAX_INTENTOS_VERSION; intento++) {
+      const version = await siguienteVersion(tipo_documento, id_documento);
+      const claveVersion = `${base}.v${version}.pdf`;
+      const idVersion = crypto.randomUUID();
+
+      try {
+        await insertarVersion({
+          id_version: idVersion,
+          tipo_documento,
+          id_documento,
+          version,
+          motivo,
+          detalle,
+          ubicacion: `${almacenamiento.prefijo}${claveVersion}`,
+          sha256: hash,
+          tamano_bytes: buffer.length
+        });
+      } catch (error) {
+        if (error.code === "ER_DUP_ENTRY" && intento < MAX_INTENTOS_VERSION) {
+          continue;
+        }
+        throw error;
+      }
+
+      let ubicacion;
+
+      try {
+        ubicacion = await almacenamiento.guardarPdf(claveVersion, buffer);
+      } catch (error) {
+        await pool.execute(
+          `DELETE FROM documentos_versiones WHERE id_version = ?`,
+          [idVersion]
+        );
+        throw error;
+      }
+
+      logger.info("Versión de documento guardada", {
+        tipo_documento,
+        id_documento,
+        version,
+        motivo,
+        sha256: hash
+      });
+
+      return { id_version: idVersion, version, ubicacion, sha256: hash };
+    }
+  }
+
+  // ============================================================
+  // GET /documentos/:tipo/:id/versiones
+  // ============================================================
+  async function listarVersionesHandler(req, res, next) {
+    try {
+      const { tipo } = req.params;
+      const id = String(req.params.id || "").trim();
+      const { tabla, campo_id } = leerTipo(tipo);
+
+      const [[documento]] = await pool.execute(
+        `SELECT ruta_pdf FROM ${tabla} WHERE ${campo_id} = ?`,
+        [id]
+      );
+
+      if (!documento) {
+        throw crearError("Documento no encontrado", 404);
+      }
+
+      const [versiones] = await pool.execute(
+        `
+        SELECT
+          id_version,
+          version,
+          motivo,
+          detalle,
+          sha256,
+          tamano_bytes,
+          ubicacion,
+          generado_en
+        FROM documentos_versiones
+        WHERE tipo_documento = ?
+          AND id_documento = ?
+        ORDER BY version DESC
+        `,
+        [tipo, id]
+      );
+
+      const vigente = almacenamiento.normalizar(documento.ruta_pdf);
+
+      return res.json({
+        ok: true,
+        tipo,
+        id,
+        versiones: versiones.map(({ ubicacion, ...v }) => ({
+          ...v,
+          vigente: ubicacion === vigente
+        }))
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /documentos/:tipo/:id/versiones/:version
+  // Entrega el PDF de esa versión verificando su hash.
+  // ============================================================
+  async function obtenerVersionHandler(req, res, next) {
+    try {
+      const { tipo } = req.params;
+      const id = String(req.params.id || "").trim();
+      const numero = Number(req.params.version);
+
+      leerTipo(tipo);
+
+      if (!Number.isInteger(numero) || numero < 1) {
+        throw crearError("version debe ser un entero mayor a 0", 400);
+      }
+
+      const [[version]] = await pool.execute(
+        `
+        SELECT version, motivo, ubicacion, sha256, generado_en
+        FROM documentos_versiones
+        WHERE tipo_documento = ?
+          AND id_documento = ?
+          AND version = ?
+        `,
+        [tipo, id, numero]
+      );
+
+      if (!version) {
+        throw crearError("Versión no encontrada", 404);
+      }
+
+      const buffer = await almacenamiento.descargar(version.ubicacion);
+
+      if (sha256(buffer) !== version.sha256) {
+        logger.error("Hash de versión de documento no coincide", {
+          tipo,
+          id,
+          version: numero
+        });
+        throw crearError("El archivo de la versión no coincide con su hash registrado", 409);
+      }
+
+      res.set("Content-Type", "application/pdf");
+      res.set("Cache-Control", "no-store");
+      res.set("X-Documento-Version", String(version.version));
+      res.set("X-Documento-Sha256", version.sha256);
+      res.set(
+        "Content-Disposition",
+        `inline; filename="${tipo}-${id}-v${version.version}.pdf"`
+      );
+
+      return res.send(buffer);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    guardarVersion,
+    listarVersionesHandler,
+    obtenerVersionHandler
+  };
+};
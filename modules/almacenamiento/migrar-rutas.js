@@ -0,0 +1,206 @@
+// ============================================================================
+// MIGRACIÓN DE ruta_pdf
+// Normaliza ubicaciones legacy (URL pública de GCS) al formato canónico
+// <esquema>://<contenedor>/<clave>. Con copiar=true además copia al driver
+// activo los PDFs que viven en otro almacenamiento configurado.
+// Avanza por id con un cursor por tabla: las filas que no se pueden
+// resolver (ruta inválida, objeto inexistente) se reportan y se saltan en
+// lugar de volver a seleccionarse en cada corrida.
+// ============================================================================
+
+const TABLAS = [
+  { tabla: "recibos", campo_id: "id_recibo" },
+  { tabla: "cortes", campo_id: "id_corte" }
+];
+
+const MAX_LIMITE = 5000;
+const MAX_MUESTRA = 50;
+
+module.exports = function migrarRutasFactory({
+  pool,
+  logger,
+  almacenamiento
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  async function migrarTabla({ tabla, campo_id }, { dry_run, copiar, limite, desde_id }) {
+    // Sin copiar solo interesan las no canónicas; con copiar, todo lo
+    // que no esté ya en el driver activo.
+    const params = copiar ? [`${almacenamiento.prefijo}%`] : [];
+    if (desde_id) params.push(desde_id);
+
+    const [filas] = await pool.execute(
+      `
+      SELECT ${campo_id} AS id, ruta_pdf
+      FROM ${tabla}
+      WHERE ruta_pdf IS NOT NULL
+        AND ${copiar ? "ruta_pdf NOT LIKE ?" : "ruta_pdf NOT REGEXP '^[a-z0-9]+://[^/]+/'"}
+        ${desde_id ? `AND ${campo_id} > ?` : ""}
+      ORDER BY ${campo_id}
+      LIMIT ${limite}
+      `,
+      params
+    );
+
+    const completada = filas.length < limite;
+
+    const resumen = {
+      tabla,
+      revisadas: filas.length,
+      completada,
+      // Para la siguiente corrida (null si ya no hay filas por revisar)
+      siguiente_id: completada ? null : filas[filas.length - 1].id,
+      normalizadas: 0,
+      copiadas: 0,
+      sin_cambio: 0,
+      no_resueltas: 0,
+      muestra_no_resueltas: [],
+      fallidas: 0,
+      errores: []
+    };
+
+    for (const fila of filas) {
+      let destino = almacenamiento.normalizar(fila.ruta_pdf);
+
+      if (!destino) {
+        resumen.no_resueltas++;
+
+        if (resumen.muestra_no_resueltas.length < MAX_MUESTRA) {
+          resumen.muestra_no_resueltas.push({ id: fila.id, ruta_pdf: fila.ruta_pdf });
+        }
+        continue;
+      }
+
+      try {
+        if (copiar && !almacenamiento.esActiva(destino)) {
+          const clave = almacenamiento.clave(destino);
+
+          destino = dry_run
+            ? `${almacenamiento.prefijo}${clave}`
+            : await almacenamiento.guardarPdf(
+                clave,
+                await almacenamiento.descargar(destino)
+              );
+
+          resumen.copiadas++;
+        }
+
+        if (destino === fila.ruta_pdf) {
+          resumen.sin_cambio++;
+          continue;
+        }
+
+        if (!dry_run) {
+          // Solo si nadie la cambió mientras tanto (p. ej. regeneración)
+          await pool.execute(
+            `
+            UPDATE ${tabla}
+            SET ruta_pdf = ?
+            WHERE ${campo_id} = ?
+              AND ruta_pdf = ?
+            `,
+            [destino, fila.id, fila.ruta_pdf]
+          );
+        }
+
+        resumen.normalizadas++;
+
+      } catch (error) {
+        resumen.fallidas++;
+
+        if (resumen.errores.length < MAX_MUESTRA) {
+          resumen.errores.push({ id: fila.id, error: error.message });
+        }
+
+        logger.error("Error migrando ruta_pdf", {
+          tabla,
+          id: fila.id,
+          error: error.message
+        });
+      }
+    }
+
+    return resumen;
+  }
+
+  // ============================================================
+  // POST /almacenamiento/migrar-rutas
+  // { dry_run?, copiar?, limite?, cursor?: { recibos?, cortes? } }
+  // Idempotente. Se repite pasando el cursor de la respuesta hasta que
+  // completada = true (false en el cursor = tabla terminada); no_resueltas
+  // y fallidas quedan en el reporte.
+  // ============================================================
+  async function migrarRutasHandler(req, res, next) {
+    const startTime = Date.now();
+
+    try {
+      const dryRun = req.body?.dry_run === true;
+      const copiar = req.body?.copiar === true;
+      const limite = Number(req.body?.limite ?? 1000);
+      const cursor = req.body?.cursor && typeof req.body.cursor === "object"
+        ? req.body.cursor
+        : {};
+
+      if (!Number.isInteger(limite) || limite < 1 || limite > MAX_LIMITE) {
+        throw crearError(`limite debe ser un entero entre 1 y ${MAX_LIMITE}`, 400);
+      }
+
+      const tablas = [];
+
+      for (const tabla of TABLAS) {
+        if (cursor[tabla.tabla] === false) continue;
+
+        tablas.push(
+          await migrarTabla(tabla, {
+            dry_run: dryRun,
+            copiar,
+            limite,
+            desde_id: cursor[tabla.tabla] ? String(cursor[tabla.tabla]) : null
+          })
+        );
+      }
+
+      logger.info("Migración de ruta_pdf ejecutada", {
+        driver: almacenamiento.driver,
+        dry_run: dryRun,
+        copiar,
+        tablas: tablas.map(t => ({
+          tabla: t.tabla,
+          revisadas: t.revisadas,
+          normalizadas: t.normalizadas,
+          copiadas: t.copiadas,
+          no_resueltas: t.no_resueltas,
+          fallidas: t.fallidas
+        })),
+        duration_ms: Date.now() - startTime
+      });
+
+      return res.json({
+        ok: true,
+        driver: almacenamiento.driver,
+        dry_run: dryRun,
+        copiar,
+        completada: tablas.every(t => t.completada),
+        cursor: Object.fromEntries(
+          TABLAS.map(({ tabla }) => {
+            const resumen = tablas.find(t => t.tabla === tabla);
+            return [tabla, !resumen || resumen.completada ? false : resumen.siguiente_id];
+          })
+        ),
+        tablas
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    migrarRutasHandler
+  };
+};
@@ -0,0 +1,538 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+// ============================================================
+// ALMACENAMIENTO DE DOCUMENTOS (PDFs)
+//
+// Todos los drivers exponen la misma interfaz:
+//   guardar(clave, buffer, { contentType, contentDisposition })
+//   descargar(clave)            -> Buffer
+//   eliminar(clave)             -> true | false (no existía)
+//   urlTemporal(clave, segundos) -> URL de lectura con vigencia
+//
+// La ubicación canónica que se guarda en BD (ruta_pdf) es
+//   <esquema>://<contenedor>/<clave>
+//   gs://bucket/recibos/x.pdf · s3://bucket/recibos/x.pdf · local://local/recibos/x.pdf
+// ============================================================
+
+const GCS_PUBLIC_PREFIX = "https://storage.googleapis.com/";
+
+function crearError(message, statusCode = 500) {
+  const error = new Error(`Almacenamiento: ${message}`);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Claves relativas, sin saltos de directorio
+function validarClave(clave) {
+  const valor = String(clave || "");
+
+  if (
+    !valor ||
+    valor.length > 512 ||
+    valor.startsWith("/") ||
+    valor.includes("..") ||
+    valor.includes("\\") ||
+    /[\x00-\x1f]/.test(valor)
+  ) {
+    throw crearError(`clave inválida: ${valor}`, 400);
+  }
+
+  return valor;
+}
+
+// ============================================================
+// GOOGLE CLOUD STORAGE
+// ============================================================
+function crearDriverGcs({ bucket: nombreBucket, logger }) {
+  if (!nombreBucket) {
+    throw new Error("GCS_BUCKET es requerido para el driver gcs");
+  }
+
+  // Carga diferida: en local/S3 no se necesita la librería de GCP
+  const { Storage } = require("@google-cloud/storage");
+  const bucket = new Storage().bucket(nombreBucket);
+
+  return {
+    nombre: "gcs",
+    esquema: "gs",
+    contenedor: nombreBucket,
+
+    async guardar(clave, buffer, { contentType, contentDisposition }) {
+      await bucket.file(clave).save(buffer, {
+        contentType,
+        resumable: false,
+        metadata: {
+          cacheControl: "no-store",
+          contentDisposition
+        }
+      });
+    },
+
+    async descargar(clave) {
+      const [buffer] = await bucket.file(clave).download();
+      return buffer;
+    },
+
+    async eliminar(clave) {
+      try {
+        await bucket.file(clave).delete();
+        return true;
+      } catch (error) {
+        if (error.code === 404) return false;
+        throw error;
+      }
+    },
+
+    async urlTemporal(clave, segundos) {
+      const [url] = await bucket.file(clave).getSignedUrl({
+        version: "v4",
+        action: "read",
+        expires: Date.now() + segundos * 1000
+      });
+
+      logger.info("Signed URL GCS generado", { clave, expira_en_segundos: segundos });
+
+      return url;
+    }
+  };
+}
+
+// ============================================================
+// S3 / MinIO (API compatible con S3, firma AWS SigV4)
+// ============================================================
+function crearDriverS3({
+  endpoint,
+  region = "us-east-1",
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  logger
+}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("S3_BUCKET, S3_ACCESS_KEY_ID y S3_SECRET_ACCESS_KEY son requeridos para el driver s3");
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  const sha256 = (valor) =>
+    crypto.createHash("sha256").update(valor).digest("hex");
+
+  const hmac = (llave, valor) =>
+    crypto.createHmac("sha256", llave).update(valor).digest();
+
+  // RFC 3986 por segmento (S3 no codifica las "/")
+  const codificarClave = (clave) =>
+    clave
+      .split("/")
+      .map(seg =>
+        encodeURIComponent(seg).replace(/[!'()*]/g, c =>
+          `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+        )
+      )
+      .join("/");
+
+  function destino(clave) {
+    const ruta = forcePathStyle
+      ? `${base.pathname.replace(/\/$/, "")}/${bucket}/${codificarClave(clave)}`
+      : `${base.pathname.replace(/\/$/, "")}/${codificarClave(clave)}`;
+
+    const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+
+    return { host, ruta, origen: `${base.protocol}//${host}` };
+  }
+
+  function credencial(fecha) {
+    const dia = fecha.slice(0, 8);
+    const alcance = `${dia}/${region}/s3/aws4_request`;
+
+    const llave = hmac(
+      hmac(hmac(hmac(`AWS4${secretAccessKey}`, dia), region), "s3"),
+      "aws4_request"
+    );
+
+    return { alcance, llave };
+  }
+
+  function fechaAmz() {
+    return new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  }
+
+  function firmar(llave, fecha, alcance, canonica) {
+    const textoFirma = [
+      "AWS4-HMAC-SHA256",
+      fecha,
+      alcance,
+      sha256(canonica)
+    ].join("\n");
+
+    return crypto.createHmac("sha256", llave).update(textoFirma).digest("hex");
+  }
+
+  async function solicitar(metodo, clave, { body, headers = {} } = {}) {
+    const { host, ruta, origen } = destino(clave);
+    const fecha = fechaAmz();
+    const hashPayload = sha256(body || "");
+
+    const firmados = {
+      ...Object.fromEntries(
+        Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)])
+      ),
+      host,
+      "x-amz-content-sha256": hashPayload,
+      "x-amz-date": fecha
+    };
+
+    const nombres = Object.keys(firmados).sort();
+    const canonica = [
+      metodo,
+      ruta,
+      "",
+      nombres.map(n => `${n}:${firmados[n].trim()}\n`).join(""),
+      nombres.join(";"),
+      hashPayload
+    ].join("\n");
+
+    const { alcance, llave } = credencial(fecha);
+    const firma = firmar(llave, fecha, alcance, canonica);
+
+    const { host: _host, ...headersEnvio } = firmados;
+
+    return fetch(`${origen}${ruta}`, {
+      method: metodo,
+      headers: {
+        ...headersEnvio,
+        Authorization:
+          `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${alcance}, ` +
+          `SignedHeaders=${nombres.join(";")}, Signature=${firma}`
+      },
+      body,
+      signal: AbortSignal.timeout(30000)
+    });
+  }
+
+  async function validarRespuesta(response, accion, clave) {
+    if (response.ok) return;
+
+    const detalle = await response.text().catch(() => "");
+    const codigo = detalle.match(/<Code>([^<]+)<\/Code>/)?.[1];
+
+    throw crearError(
+      `${accion} ${clave} falló (HTTP ${response.status}${codigo ? ` ${codigo}` : ""})`,
+      response.status === 404 ? 404 : 502
+    );
+  }
+
+  return {
+    nombre: "s3",
+    esquema: "s3",
+    contenedor: bucket,
+
+    async guardar(clave, buffer, { contentType, contentDisposition }) {
+      const response = await solicitar("PUT", clave, {
+        body: buffer,
+        headers: {
+          "Content-Type": contentType,
+          "Content-Disposition": contentDisposition,
+          "Cache-Control": "no-store"
+        }
+      });
+
+      await validarRespuesta(response, "guardar", clave);
+    },
+
+    async descargar(clave) {
+      const response = await solicitar("GET", clave);
+      await validarRespuesta(response, "descargar", clave);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async eliminar(clave) {
+      // S3 responde 204 aunque el objeto no exista
+      const response = await solicitar("DELETE", clave);
+
+      if (response.status === 404) return false;
+
+      await validarRespuesta(response, "eliminar", clave);
+      return true;
+    },
+
+    async urlTemporal(clave, segundos) {
+      const { host, ruta, origen } = destino(clave);
+      const fecha = fechaAmz();
+      const { alcance, llave } = credencial(fecha);
+
+      const query = new URLSearchParams({
+        "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+        "X-Amz-Credential": `${accessKeyId}/${alcance}`,
+        "X-Amz-Date": fecha,
+        "X-Amz-Expires": String(segundos),
+        "X-Amz-SignedHeaders": "host"
+      });
+
+      query.sort();
+
+      const queryCanonica = query.toString().replace(/\+/g, "%20");
+
+      const canonica = [
+        "GET",
+        ruta,
+        queryCanonica,
+        `host:${host}\n`,
+        "host",
+        "UNSIGNED-PAYLOAD"
+      ].join("\n");
+
+      const firma = firmar(llave, fecha, alcance, canonica);
+
+      logger.info("URL prefirmada S3 generada", { clave, expira_en_segundos: segundos });
+
+      return `${origen}${ruta}?${queryCanonica}&X-Amz-Signature=${firma}`;
+    }
+  };
+}
+
+// ============================================================
+// DISCO LOCAL (desarrollo)
+// Las URLs temporales apuntan a GET /almacenamiento/local, servido
+// por esta misma app con firma HMAC y vigencia.
+// ============================================================
+function crearDriverLocal({ dir, secret, publicBaseUrl, logger }) {
+  if (!secret) {
+    throw new Error("Se requiere un secreto para firmar URLs del driver local");
+  }
+
+  const raiz = path.resolve(dir || "./storage");
+
+  function rutaArchivo(clave) {
+    const archivo = path.resolve(raiz, clave);
+
+    if (!archivo.startsWith(raiz + path.sep)) {
+      throw crearError(`clave fuera del directorio: ${clave}`, 400);
+    }
+
+    return archivo;
+  }
+
+  function firmaLocal(clave, exp) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${clave}:${exp}`)
+      .digest("base64url");
+  }
+
+  async function descargar(clave) {
+    try {
+      return await fs.readFile(rutaArchivo(clave));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw crearError(`archivo no encontrado: ${clave}`, 404);
+      }
+      throw error;
+    }
+  }
+
+  return {
+    nombre: "local",
+    esquema: "local",
+    contenedor: "local",
+
+    async guardar(clave, buffer) {
+      const archivo = rutaArchivo(clave);
+      await fs.mkdir(path.dirname(archivo), { recursive: true });
+      await fs.writeFile(archivo, buffer);
+    },
+
+    descargar,
+
+    async eliminar(clave) {
+      try {
+        await fs.unlink(rutaArchivo(clave));
+        return true;
+      } catch (error) {
+        if (error.code === "ENOENT") return false;
+        throw error;
+      }
+    },
+
+    async urlTemporal(clave, segundos) {
+      const exp = Math.floor(Date.now() / 1000) + segundos;
+      const query = new URLSearchParams({
+        k: clave,
+        exp: String(exp),
+        sig: firmaLocal(clave, exp)
+      });
+
+      return `${publicBaseUrl}/almacenamiento/local?${query}`;
+    },
+
+    // GET /almacenamiento/local?k=&exp=&sig=
+    async servirArchivoHandler(req, res, next) {
+      try {
+        const clave = validarClave(req.query.k);
+        const exp = Number(req.query.exp);
+        const firma = Buffer.from(String(req.query.sig || ""));
+        const esperada = Buffer.from(firmaLocal(clave, exp));
+
+        if (
+          firma.length !== esperada.length ||
+          !crypto.timingSafeEqual(firma, esperada)
+        ) {
+          return res.status(401).send("Firma inválida");
+        }
+
+        if (!exp || exp <= Math.floor(Date.now() / 1000)) {
+          return res.status(410).send("URL expirada");
+        }
+
+        const buffer = await descargar(clave);
+
+        logger.info("Archivo local servido", { clave });
+
+        res.set("Content-Type", "application/pdf");
+        res.set("Cache-Control", "no-store");
+        res.set("Content-Disposition", `inline; filename="${path.basename(clave)}"`);
+
+        return res.send(buffer);
+
+      } catch (error) {
+        next(error);
+      }
+    }
+  };
+}
+
+// ============================================================
+// FACHADA
+// Escribe siempre en el driver activo; lee de cualquier driver
+// configurado según el esquema de la ubicación guardada.
+// ============================================================
+function crearAlmacenamiento({
+  driver = "gcs",
+  gcs = {},
+  s3 = {},
+  local = {},
+  logger
+}) {
+  const fabricas = {
+    gcs: () => crearDriverGcs({ ...gcs, logger }),
+    s3: () => crearDriverS3({ ...s3, logger }),
+    local: () => crearDriverLocal({ ...local, logger })
+  };
+
+  if (!fabricas[driver]) {
+    throw new Error(`Driver de almacenamiento no soportado: ${driver}`);
+  }
+
+  const activo = fabricas[driver]();
+  const drivers = [activo];
+
+  // Drivers adicionales solo para leer ubicaciones existentes
+  const configurados = {
+    gcs: Boolean(gcs.bucket),
+    s3: Boolean(s3.bucket && s3.accessKeyId && s3.secretAccessKey),
+    local: Boolean(local.dir && local.secret)
+  };
+
+  for (const [nombre, disponible] of Object.entries(configurados)) {
+    if (nombre !== driver && disponible) {
+      drivers.push(fabricas[nombre]());
+    }
+  }
+
+  function ubicacion(drv, clave) {
+    return `${drv.esquema}://${drv.contenedor}/${clave}`;
+  }
+
+  // Ubicación guardada → { driver, clave }. Acepta el formato
+  // canónico y la URL pública de GCS que se guardaba antes.
+  function resolver(ruta) {
+    let valor = String(ruta || "").trim();
+
+    if (valor.startsWith(GCS_PUBLIC_PREFIX)) {
+      valor = `gs://${decodeURIComponent(valor.slice(GCS_PUBLIC_PREFIX.length))}`;
+    }
+
+    const match = valor.match(/^([a-z0-9]+):\/\/([^/]+)\/(.+)$/);
+
+    if (!match) {
+      throw crearError(`ubicación inválida: ${ruta}`, 500);
+    }
+
+    const [, esquema, contenedor, clave] = match;
+    const drv = drivers.find(d => d.esquema === esquema && d.contenedor === contenedor);
+
+    if (!drv) {
+      throw crearError(`la ubicación ${esquema}://${contenedor} no corresponde a un almacenamiento configurado`, 500);
+    }
+
+    return {
+      driver: drv,
+      clave: validarClave(clave),
+      ubicacion: ubicacion(drv, clave)
+    };
+  }
+
+  return {
+    driver: activo.nombre,
+    prefijo: ubicacion(activo, ""),
+
+    // Ubicación canónica o null si no se puede interpretar
+    normalizar(ruta) {
+      try {
+        return resolver(ruta).ubicacion;
+      } catch {
+        return null;
+      }
+    },
+
+    esActiva(ruta) {
+      try {
+        return resolver(ruta).driver === activo;
+      } catch {
+        return false;
+      }
+    },
+
+    clave(ruta) {
+      return resolver(ruta).clave;
+    },
+
+    async guardarPdf(clave, buffer) {
+      validarClave(clave);
+
+      await activo.guardar(clave, buffer, {
+        contentType: "application/pdf",
+        contentDisposition: `inline; filename="${clave.split("/").pop()}"`
+      });
+
+      const destino = ubicacion(activo, clave);
+
+      logger.info("PDF guardado", { driver: activo.nombre, ubicacion: destino });
+
+      return destino;
+    },
+
+    async eliminar(clave) {
+      return activo.eliminar(validarClave(clave));
+    },
+
+    async descargar(ruta) {
+      const { driver: drv, clave } = resolver(ruta);
+      return drv.descargar(clave);
+    },
+
+    async urlTemporal(ruta, segundos = 60) {
+      const { driver: drv, clave } = resolver(ruta);
+      return drv.urlTemporal(clave, segundos);
+    },
+
+    servirArchivoHandler: drivers
+      .find(d => d.nombre === "local")
+      ?.servirArchivoHandler
+  };
+}
+
+module.exports = { crearAlmacenamiento };
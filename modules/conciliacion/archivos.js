@@ -0,0 +1,276 @@
+const crypto = require("crypto");
+
+// ============================================================================
+// LECTURA DE ARCHIVOS DE CONCILIACIÓN (estados de cuenta y liquidaciones)
+// CSV con encabezados variables según el banco/adquirente y OFX (SGML o
+// XML). Todo se normaliza a { fecha: "YYYY-MM-DD", monto, referencia,
+// descripcion, id_externo }.
+// ============================================================================
+
+// "Fecha Operación" → "fecha_operacion"
+function normalizarEncabezado(valor) {
+  return String(valor || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+}
+
+function detectarSeparador(linea) {
+  const candidatos = [",", ";", "\t", "|"];
+  let mejor = ",";
+  let maximo = -1;
+
+  for (const sep of candidatos) {
+    const cuenta = linea.split(sep).length;
+    if (cuenta > maximo) {
+      maximo = cuenta;
+      mejor = sep;
+    }
+  }
+
+  return mejor;
+}
+
+// Una línea CSV respetando comillas ("a,b" y "" como comilla escapada)
+function dividirLinea(linea, sep) {
+  const campos = [];
+  let actual = "";
+  let enComillas = false;
+
+  for (let i = 0; i < linea.length; i++) {
+    const c = linea[i];
+
+    if (enComillas) {
+      if (c === '"' && linea[i + 1] === '"') {
+        actual += '"';
+        i++;
+      } else if (c === '"') {
+        enComillas = false;
+      } else {
+        actual += c;
+      }
+    } else if (c === '"') {
+      enComillas = true;
+    } else if (c === sep) {
+      campos.push(actual.trim());
+      actual = "";
+    } else {
+      actual += c;
+    }
+  }
+
+  campos.push(actual.trim());
+  return campos;
+}
+
+/**
+ * CSV → [{ encabezado_normalizado: valor, _linea }]. El encabezado es la
+ * primera línea que contiene alguno de los nombres esperados (los bancos
+ * suelen poner datos de la cuenta arriba).
+ */
+function parsearCsv(texto, encabezadosEsperados = []) {
+  const lineas = String(texto || "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map(l => l.trimEnd());
+
+  let indiceEncabezado = lineas.findIndex(linea => {
+    const normalizada = normalizarEncabezado(linea);
+    return encabezadosEsperados.some(e => normalizada.includes(e));
+  });
+
+  if (indiceEncabezado === -1) indiceEncabezado = 0;
+
+  const sep = detectarSeparador(lineas[indiceEncabezado] || "");
+  const encabezados = dividirLinea(lineas[indiceEncabezado] || "", sep)
+    .map(normalizarEncabezado);
+
+  const filas = [];
+
+  for (let i = indiceEncabezado + 1; i < lineas.length; i++) {
+    if (!lineas[i].trim()) continue;
+
+    const campos = dividirLinea(lineas[i], sep);
+    const fila = { _linea: i + 1 };
+
+    encabezados.forEach((encabezado, j) => {
+      if (encabezado) fila[encabezado] = campos[j] ?? "";
+    });
+
+    filas.push(fila);
+  }
+
+  return { encabezados, filas };
+}
+
+// Primer valor presente entre varios nombres de columna posibles
+function columna(fila, nombres) {
+  for (const nombre of nombres) {
+    if (fila[nombre] != null && String(fila[nombre]).trim() !== "") {
+      return String(fila[nombre]).trim();
+    }
+  }
+  return null;
+}
+
+// "$1,234.56" | "1.234,56" | "1,500" | "(150.00)" | "-150" → número (NaN si no aplica)
+// La coma es decimal solo si es el último separador y le siguen 1-2
+// dígitos ("1,5", "1.234,56"); si no, es separador de miles ("1,500").
+function leerImporte(valor) {
+  if (valor == null) return NaN;
+
+  let texto = String(valor).trim().replace(/[$\s]/g, "");
+  let negativo = false;
+
+  if (/^\(.*\)$/.test(texto)) {
+    negativo = true;
+    texto = texto.slice(1, -1);
+  }
+
+  if (texto === "") return NaN;
+
+  const comaDecimal =
+    texto.lastIndexOf(",") > texto.lastIndexOf(".") && /,\d{1,2}$/.test(texto);
+
+  if (comaDecimal) {
+    const ultimaComa = texto.lastIndexOf(",");
+    texto =
+      texto.slice(0, ultimaComa).replace(/[.,]/g, "") +
+      "." +
+      texto.slice(ultimaComa + 1);
+  } else {
+    texto = texto.replace(/,/g, "");
+  }
+
+  const numero = Number(texto);
+  if (!Number.isFinite(numero)) return NaN;
+
+  return Math.round((negativo ? -numero : numero) * 100) / 100;
+}
+
+// Fecha real del calendario ("2024-02-30" no lo es) → "YYYY-MM-DD" o null
+function fechaCalendario(anio, mes, dia) {
+  const fecha = `${anio}-${String(mes).padStart(2, "0")}-${String(dia).padStart(2, "0")}`;
+  const tiempo = Date.parse(`${fecha}T00:00:00Z`);
+
+  if (!Number.isFinite(tiempo)) return null;
+
+  return new Date(tiempo).toISOString().slice(0, 10) === fecha ? fecha : null;
+}
+
+// "2024-03-02" | "02/03/2024" | "02-03-2024" | "20240302[hhmmss]" → "YYYY-MM-DD"
+// null si no tiene forma de fecha o no existe en el calendario
+function leerFecha(valor) {
+  const texto = String(valor || "").trim();
+  let m;
+
+  if ((m = texto.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+    return fechaCalendario(m[1], m[2], m[3]);
+  }
+
+  if ((m = texto.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})/))) {
+    return fechaCalendario(m[3], m[2], m[1]);
+  }
+
+  if ((m = texto.match(/^(\d{4})(\d{2})(\d{2})/))) {
+    return fechaCalendario(m[1], m[2], m[3]);
+  }
+
+  return null;
+}
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Días completos entre dos fechas "YYYY-MM-DD" (sin signo)
+function diasEntre(a, b) {
+  return Math.abs(Date.parse(`${a}T00:00:00Z`) - Date.parse(`${b}T00:00:00Z`)) / DIA_MS;
+}
+
+function moverFecha(fecha, dias) {
+  return new Date(Date.parse(`${fecha}T00:00:00Z`) + dias * DIA_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+// Valor de una etiqueta OFX (<TAG>valor  o  <TAG>valor</TAG>)
+function etiquetaOfx(bloque, etiqueta) {
+  const m = bloque.match(new RegExp(`<${etiqueta}>([^<\\r\\n]*)`, "i"));
+  return m ? m[1].trim() : null;
+}
+
+/**
+ * OFX → transacciones { fecha, monto, referencia, descripcion,
+ * id_externo, tipo }. Sirve para las versiones SGML (1.x) y XML (2.x).
+ */
+function parsearOfx(texto) {
+  const bloques = String(texto || "").match(/<STMTTRN>[\s\S]*?(<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi) || [];
+
+  return bloques.map(bloque => ({
+    tipo: etiquetaOfx(bloque, "TRNTYPE"),
+    fecha: leerFecha(etiquetaOfx(bloque, "DTPOSTED")),
+    monto: leerImporte(etiquetaOfx(bloque, "TRNAMT")),
+    id_externo: etiquetaOfx(bloque, "FITID"),
+    referencia: etiquetaOfx(bloque, "REFNUM") || etiquetaOfx(bloque, "CHECKNUM"),
+    descripcion: [etiquetaOfx(bloque, "NAME"), etiquetaOfx(bloque, "MEMO")]
+      .filter(Boolean)
+      .join(" ")
+  }));
+}
+
+// Identificador estable para filas sin id del banco: mismo contenido →
+// mismo id; filas idénticas dentro del archivo se distinguen por ocurrencia.
+function asignarIdsExternos(movimientos) {
+  const ocurrencias = new Map();
+
+  for (const mov of movimientos) {
+    if (mov.id_externo) continue;
+
+    const base = [mov.fecha, mov.monto, mov.referencia || "", mov.descripcion || ""].join("|");
+    const n = (ocurrencias.get(base) || 0) + 1;
+    ocurrencias.set(base, n);
+
+    mov.id_externo = crypto
+      .createHash("sha256")
+      .update(`${base}|${n}`)
+      .digest("hex")
+      .slice(0, 40);
+  }
+
+  return movimientos;
+}
+
+// Contenido del archivo desde el body: texto plano o base64
+function leerContenido(body = {}) {
+  if (body.contenido_base64) {
+    return Buffer.from(String(body.contenido_base64), "base64").toString("utf8");
+  }
+
+  return String(body.contenido || "");
+}
+
+function hashContenido(contenido) {
+  return crypto.createHash("sha256").update(contenido).digest("hex");
+}
+
+// Para buscar folios o ids dentro de referencias/descripciones bancarias
+function compactar(valor) {
+  return String(valor || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+module.exports = {
+  normalizarEncabezado,
+  parsearCsv,
+  columna,
+  leerImporte,
+  leerFecha,
+  diasEntre,
+  moverFecha,
+  parsearOfx,
+  asignarIdsExternos,
+  leerContenido,
+  hashContenido,
+  compactar
+};
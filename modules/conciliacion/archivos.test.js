@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { leerImporte, leerFecha } = require("./archivos");
+
+test("leerImporte: coma como separador de miles", () => {
+  assert.equal(leerImporte("1,500"), 1500);
+  assert.equal(leerImporte("$1,500"), 1500);
+  assert.equal(leerImporte("1,234,567"), 1234567);
+  assert.equal(leerImporte("1,234.56"), 1234.56);
+  assert.equal(leerImporte("$ 12,000.00"), 12000);
+});
+
+test("leerImporte: coma decimal", () => {
+  assert.equal(leerImporte("1,5"), 1.5);
+  assert.equal(leerImporte("1,50"), 1.5);
+  assert.equal(leerImporte("1.234,56"), 1234.56);
+});
+
+test("leerImporte: negativos y valores no numéricos", () => {
+  assert.equal(leerImporte("(1,500.00)"), -1500);
+  assert.equal(leerImporte("-150"), -150);
+  assert.ok(Number.isNaN(leerImporte("")));
+  assert.ok(Number.isNaN(leerImporte("abc")));
+  assert.ok(Number.isNaN(leerImporte(null)));
+});
+
+test("leerFecha: formatos aceptados", () => {
+  assert.equal(leerFecha("2024-03-02"), "2024-03-02");
+  assert.equal(leerFecha("2024-03-02 10:15:00"), "2024-03-02");
+  assert.equal(leerFecha("2/3/2024"), "2024-03-02");
+  assert.equal(leerFecha("02-03-2024"), "2024-03-02");
+  assert.equal(leerFecha("20240302120000"), "2024-03-02");
+  assert.equal(leerFecha("2024-02-29"), "2024-02-29");
+});
+
+test("leerFecha: fechas inexistentes son null", () => {
+  assert.equal(leerFecha("2024-13-45"), null);
+  assert.equal(leerFecha("2023-02-29"), null);
+  assert.equal(leerFecha("31/04/2024"), null);
+  assert.equal(leerFecha("20240230"), null);
+  assert.equal(leerFecha("marzo"), null);
+});
@@ -0,0 +1,254 @@
+// ============================================================================
+// COBROS REGISTRADOS EN CAJA PARA CONCILIAR
+// Un cobro es un recibo emitido con la forma de pago indicada y sin pagos en
+// parcialidades, o un pago en parcialidades aplicado con esa forma. Cada
+// conciliación (banco, terminal) guarda sus movimientos en su propia tabla
+// con id_recibo / id_pago / status_conciliacion.
+// ============================================================================
+
+// Tablas de movimientos externos → columna id
+const TABLAS = {
+  conciliacion_bancaria_movimientos: "id_movimiento",
+  conciliacion_tarjeta_transacciones: "id_transaccion"
+};
+
+function columnaId(tabla) {
+  const columna = TABLAS[tabla];
+  if (!columna) throw new Error(`Tabla de conciliación desconocida: ${tabla}`);
+  return columna;
+}
+
+/**
+ * Cobros con fecha dentro del rango que aún no tienen movimiento
+ * conciliado en `tabla`.
+ */
+async function cobrosSinConciliar(conn, { tabla, forma_pago, desde, hasta, id_plantel = null }) {
+  columnaId(tabla);
+
+  const filtroPlantel = id_plantel ? "AND r.id_plantel = ?" : "";
+
+  const [filas] = await conn.execute(
+    `
+    SELECT
+      'recibo' AS origen,
+      r.id_recibo,
+      NULL AS id_pago,
+      r.total_recibo AS monto,
+      DATE_FORMAT(r.fecha, '%Y-%m-%d') AS fecha,
+      r.folio_completo,
+      NULL AS referencia,
+      r.id_plantel,
+      r.encorte
+    FROM recibos r
+    WHERE r.forma_pago = ?
+      AND r.status_recibo = 'Emitido'
+      AND DATE(r.fecha) BETWEEN ? AND ?
+      ${filtroPlantel}
+      AND NOT EXISTS (
+        SELECT 1
+        FROM recibos_pagos rp
+        WHERE rp.id_recibo = r.id_recibo
+          AND rp.status_pago = 'Aplicado'
+      )
+      AND NOT EXISTS (
+        SELECT 1
+        FROM ${tabla} m
+        WHERE m.id_recibo = r.id_recibo
+          AND m.id_pago IS NULL
+          AND m.status_conciliacion = 'Conciliado'
+      )
+
+    UNION ALL
+
+    SELECT
+      'pago' AS origen,
+      rp.id_recibo,
+      rp.id_pago,
+      rp.monto,
+      DATE_FORMAT(rp.fecha_pago, '%Y-%m-%d') AS fecha,
+      r.folio_completo,
+      rp.referencia,
+      r.id_plantel,
+      rp.encorte
+    FROM recibos_pagos rp
+    JOIN recibos r
+      ON r.id_recibo = rp.id_recibo
+    WHERE rp.forma_pago = ?
+      AND rp.status_pago = 'Aplicado'
+      AND DATE(rp.fecha_pago) BETWEEN ? AND ?
+      ${filtroPlantel}
+      AND NOT EXISTS (
+        SELECT 1
+        FROM ${tabla} m
+        WHERE m.id_pago = rp.id_pago
+          AND m.status_conciliacion = 'Conciliado'
+      )
+
+    ORDER BY fecha
+    `,
+    id_plantel
+      ? [forma_pago, desde, hasta, id_plantel, forma_pago, desde, hasta, id_plantel]
+      : [forma_pago, desde, hasta, forma_pago, desde, hasta]
+  );
+
+  return filas;
+}
+
+/**
+ * Cobros de un recibo (campo = "id_recibo") o de un corte
+ * (campo = "encorte") con el movimiento de `tabla` que los concilia.
+ * `columnas` son columnas extra del movimiento (alias m).
+ */
+async function cobrosConEstado(conn, { tabla, forma_pago, campo, valor, columnas = [] }) {
+  const id = columnaId(tabla);
+
+  if (!["id_recibo", "encorte"].includes(campo)) {
+    throw new Error(`Campo de cobros desconocido: ${campo}`);
+  }
+
+  const extra = columnas.map(c => `,\n        m.${c}`).join("");
+
+  const [filas] = await conn.execute(
+    `
+    SELECT
+      t.origen,
+      t.id_recibo,
+      t.id_pago,
+      t.folio_completo,
+      t.monto,
+      t.fecha,
+      m.${id} AS id_conciliacion,
+      DATE_FORMAT(m.fecha, '%Y-%m-%d') AS fecha_externa,
+      m.criterio,
+      m.conciliado_en${extra}
+    FROM (
+      SELECT
+        'recibo' AS origen,
+        r.id_recibo,
+        NULL AS id_pago,
+        r.folio_completo,
+        r.total_recibo AS monto,
+        DATE_FORMAT(r.fecha, '%Y-%m-%d') AS fecha
+      FROM recibos r
+      WHERE r.${campo} = ?
+        AND r.forma_pago = ?
+        AND r.status_recibo = 'Emitido'
+        AND NOT EXISTS (
+          SELECT 1
+          FROM recibos_pagos rp
+          WHERE rp.id_recibo = r.id_recibo
+            AND rp.status_pago = 'Aplicado'
+        )
+
+      UNION ALL
+
+      SELECT
+        'pago' AS origen,
+        rp.id_recibo,
+        rp.id_pago,
+        r.folio_completo,
+        rp.monto,
+        DATE_FORMAT(rp.fecha_pago, '%Y-%m-%d') AS fecha
+      FROM recibos_pagos rp
+      JOIN recibos r
+        ON r.id_recibo = rp.id_recibo
+      WHERE rp.${campo} = ?
+        AND rp.forma_pago = ?
+        AND rp.status_pago = 'Aplicado'
+    ) t
+    LEFT JOIN ${tabla} m
+      ON m.id_recibo = t.id_recibo
+     AND m.id_pago <=> t.id_pago
+     AND m.status_conciliacion = 'Conciliado'
+    ORDER BY t.fecha
+    `,
+    [valor, forma_pago, valor, forma_pago]
+  );
+
+  return filas.map(f => ({ ...f, conciliado: Boolean(f.id_conciliacion) }));
+}
+
+// Cobro vigente (recibo sin parcialidades o pago aplicado); null si no existe
+async function obtenerCobro(conn, { forma_pago, id_recibo, id_pago = null }) {
+  const [[cobro]] = id_pago
+    ? await conn.execute(
+        `
+        SELECT rp.monto, r.id_plantel
+        FROM recibos_pagos rp
+        JOIN recibos r
+          ON r.id_recibo = rp.id_recibo
+        WHERE rp.id_pago = ?
+          AND rp.id_recibo = ?
+          AND rp.forma_pago = ?
+          AND rp.status_pago = 'Aplicado'
+        `,
+        [id_pago, id_recibo, forma_pago]
+      )
+    : await conn.execute(
+        `
+        SELECT r.total_recibo AS monto, r.id_plantel
+        FROM recibos r
+        WHERE r.id_recibo = ?
+          AND r.forma_pago = ?
+          AND r.status_recibo = 'Emitido'
+        `,
+        [id_recibo, forma_pago]
+      );
+
+  return cobro || null;
+}
+
+// Id del movimiento de `tabla` que ya concilia el cobro (null si ninguno)
+async function conciliacionDeCobro(conn, { tabla, id_recibo, id_pago = null }) {
+  const id = columnaId(tabla);
+
+  const [[fila]] = await conn.execute(
+    `
+    SELECT ${id} AS id_conciliacion
+    FROM ${tabla}
+    WHERE id_recibo = ?
+      AND ${id_pago ? "id_pago = ?" : "id_pago IS NULL"}
+      AND status_conciliacion = 'Conciliado'
+    `,
+    id_pago ? [id_recibo, id_pago] : [id_recibo]
+  );
+
+  return fila ? fila.id_conciliacion : null;
+}
+
+function redondear(valor) {
+  return Math.round(Number(valor || 0) * 100) / 100;
+}
+
+function mismoMonto(a, b) {
+  return Math.abs(Number(a) - Number(b)) < 0.005;
+}
+
+// Conciliado / Parcial / Pendiente / No aplica, con cantidades y montos
+function resumirCobros(cobros) {
+  const conciliados = cobros.filter(c => c.conciliado);
+
+  let status = "No aplica";
+  if (cobros.length > 0) {
+    status = conciliados.length === cobros.length
+      ? "Conciliado"
+      : conciliados.length > 0 ? "Parcial" : "Pendiente";
+  }
+
+  return {
+    status_conciliacion: status,
+    cobros: cobros.length,
+    conciliados: conciliados.length,
+    monto_cobros: redondear(cobros.reduce((s, c) => s + Number(c.monto), 0)),
+    monto_conciliado: redondear(conciliados.reduce((s, c) => s + Number(c.monto), 0))
+  };
+}
+
+module.exports = {
+  cobrosSinConciliar,
+  cobrosConEstado,
+  obtenerCobro,
+  conciliacionDeCobro,
+  mismoMonto,
+  resumirCobros
+};
@@ -0,0 +1,669 @@
+const { randomUUID } = require("crypto");
+const {
+  parsearCsv,
+  columna,
+  leerImporte,
+  leerFecha,
+  diasEntre,
+  moverFecha,
+  parsearOfx,
+  asignarIdsExternos,
+  leerContenido,
+  hashContenido,
+  compactar
+} = require("./archivos");
+const {
+  cobrosSinConciliar,
+  cobrosConEstado,
+  obtenerCobro,
+  conciliacionDeCobro,
+  mismoMonto,
+  resumirCobros
+} = require("./cobros");
+
+// ============================================================================
+// CONCILIACIÓN BANCARIA DE TRANSFERENCIAS
+// Se importan estados de cuenta (CSV u OFX); cada abono queda en
+// conciliacion_bancaria_movimientos y se cruza contra las transferencias
+// registradas en caja: recibos con forma_pago 'Transferencia' (sin pagos
+// en parcialidades) y pagos en parcialidades por transferencia.
+//   1. Referencia: el folio o id del recibo (o la referencia del pago)
+//      aparece en la referencia/descripción del banco y el monto coincide.
+//   2. Monto y fecha: mismo monto dentro de ±tolerancia_dias y una sola
+//      transferencia candidata; si hay varias queda pendiente.
+// ============================================================================
+
+const COLUMNAS_CSV = {
+  fecha: ["fecha", "fecha_operacion", "fecha_movimiento", "fecha_valor", "fecha_aplicacion", "date"],
+  descripcion: ["descripcion", "concepto", "detalle", "description", "memo"],
+  referencia: ["referencia", "referencia_numerica", "ref", "clave_de_rastreo", "clave_rastreo", "reference"],
+  abono: ["abono", "abonos", "deposito", "depositos", "credito", "creditos", "credit"],
+  cargo: ["cargo", "cargos", "retiro", "retiros", "debito", "debitos", "debit"],
+  monto: ["monto", "importe", "amount"]
+};
+
+const FORMATOS = ["csv", "ofx"];
+
+const TABLA_MOVIMIENTOS = "conciliacion_bancaria_movimientos";
+
+const TOLERANCIA_DIAS_DEFAULT = 3;
+const MAX_TOLERANCIA_DIAS = 15;
+const VENTANA_REFERENCIA_DIAS = 30;
+const MAX_MOVIMIENTOS = 5000;
+const MAX_MUESTRA = 50;
+
+function redondear(valor) {
+  return Math.round(Number(valor || 0) * 100) / 100;
+}
+
+// Solo abonos: los cargos del estado de cuenta no corresponden a cobros
+function movimientosCsv(texto) {
+  const esperados = [...COLUMNAS_CSV.fecha, ...COLUMNAS_CSV.abono, ...COLUMNAS_CSV.monto];
+  const { filas } = parsearCsv(texto, esperados);
+
+  return filas.map(fila => {
+    const abono = leerImporte(columna(fila, COLUMNAS_CSV.abono));
+    const cargo = leerImporte(columna(fila, COLUMNAS_CSV.cargo));
+    const monto = leerImporte(columna(fila, COLUMNAS_CSV.monto));
+
+    return {
+      linea: fila._linea,
+      fecha: leerFecha(columna(fila, COLUMNAS_CSV.fecha)),
+      monto: Number.isFinite(abono) && abono !== 0
+        ? abono
+        : Number.isFinite(cargo) && cargo !== 0
+          ? -Math.abs(cargo)
+          : monto,
+      referencia: columna(fila, COLUMNAS_CSV.referencia),
+      descripcion: columna(fila, COLUMNAS_CSV.descripcion),
+      id_externo: null
+    };
+  });
+}
+
+module.exports = function conciliacionBancariaFactory({
+  pool,
+  executeInTransaction,
+  logger
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function limpiar(valor) {
+    return String(valor ?? "").trim();
+  }
+
+  function coincidePorReferencia(movimiento, candidato) {
+    const texto = compactar(`${movimiento.referencia || ""} ${movimiento.descripcion || ""}`);
+    if (!texto) return false;
+
+    return [candidato.folio_completo, candidato.id_recibo, candidato.referencia]
+      .map(compactar)
+      .some(clave => clave.length >= 4 && texto.includes(clave));
+  }
+
+  /**
+   * Cruza los movimientos pendientes indicados contra las transferencias
+   * sin conciliar. Cada transferencia se usa una sola vez por corrida.
+   */
+  async function conciliarPendientes(conn, { ids_movimientos, tolerancia_dias, id_plantel }) {
+    const resultado = { por_referencia: 0, por_monto_fecha: 0, ambiguos: 0, sin_candidato: 0 };
+
+    if (ids_movimientos.length === 0) return resultado;
+
+    const [movimientos] = await conn.query(
+      `
+      SELECT
+        id_movimiento,
+        DATE_FORMAT(fecha, '%Y-%m-%d') AS fecha,
+        monto,
+        referencia,
+        descripcion
+      FROM conciliacion_bancaria_movimientos
+      WHERE id_movimiento IN (?)
+        AND status_conciliacion = 'Pendiente'
+      ORDER BY fecha, id_movimiento
+      `,
+      [ids_movimientos]
+    );
+
+    if (movimientos.length === 0) return resultado;
+
+    const fechas = movimientos.map(m => m.fecha).sort();
+
+    let candidatos = await cobrosSinConciliar(conn, {
+      tabla: TABLA_MOVIMIENTOS,
+      forma_pago: "Transferencia",
+      desde: moverFecha(fechas[0], -VENTANA_REFERENCIA_DIAS),
+      hasta: moverFecha(fechas[fechas.length - 1], VENTANA_REFERENCIA_DIAS),
+      id_plantel
+    });
+
+    for (const mov of movimientos) {
+      const mismoImporte = candidatos.filter(c => mismoMonto(c.monto, mov.monto));
+
+      let elegido = mismoImporte.find(c => coincidePorReferencia(mov, c));
+      let criterio = "referencia";
+
+      if (!elegido) {
+        const enFecha = mismoImporte.filter(c => diasEntre(c.fecha, mov.fecha) <= tolerancia_dias);
+
+        if (enFecha.length === 1) {
+          elegido = enFecha[0];
+          criterio = "monto_fecha";
+        } else {
+          resultado[enFecha.length > 1 ? "ambiguos" : "sin_candidato"]++;
+
+          if (enFecha.length > 1) {
+            await conn.execute(
+              `
+              UPDATE conciliacion_bancaria_movimientos
+              SET nota = ?
+              WHERE id_movimiento = ?
+              `,
+              [`${enFecha.length} transferencias con el mismo monto y fecha; conciliar manualmente`, mov.id_movimiento]
+            );
+          }
+          continue;
+        }
+      }
+
+      await conn.execute(
+        `
+        UPDATE conciliacion_bancaria_movimientos
+        SET status_conciliacion = 'Conciliado',
+            id_recibo = ?,
+            id_pago = ?,
+            criterio = ?,
+            nota = NULL,
+            conciliado_en = NOW()
+        WHERE id_movimiento = ?
+          AND status_conciliacion = 'Pendiente'
+        `,
+        [elegido.id_recibo, elegido.id_pago, criterio, mov.id_movimiento]
+      );
+
+      candidatos = candidatos.filter(c => c !== elegido);
+      resultado[criterio === "referencia" ? "por_referencia" : "por_monto_fecha"]++;
+    }
+
+    return resultado;
+  }
+
+  // ============================================================
+  // POST /conciliacion/bancaria/importar
+  // { formato: csv|ofx, contenido | contenido_base64, nombre_archivo,
+  //   cuenta, id_plantel?, tolerancia_dias?, id_usuario? }
+  // ============================================================
+  async function importarEstadoCuentaHandler(req, res, next) {
+    const startTime = Date.now();
+
+    try {
+      const formato = limpiar(req.body?.formato).toLowerCase();
+      const cuenta = limpiar(req.body?.cuenta);
+      const nombreArchivo = limpiar(req.body?.nombre_archivo) || null;
+      const idPlantel = limpiar(req.body?.id_plantel) || null;
+      const toleranciaDias = Number(req.body?.tolerancia_dias ?? TOLERANCIA_DIAS_DEFAULT);
+      const contenido = leerContenido(req.body);
+
+      if (!FORMATOS.includes(formato)) {
+        throw crearError(`formato debe ser uno de: ${FORMATOS.join(", ")}`, 400);
+      }
+
+      if (!cuenta) {
+        throw crearError("cuenta es requerida", 400);
+      }
+
+      if (!contenido.trim()) {
+        throw crearError("contenido o contenido_base64 es requerido", 400);
+      }
+
+      if (!Number.isInteger(toleranciaDias) || toleranciaDias < 0 || toleranciaDias > MAX_TOLERANCIA_DIAS) {
+        throw crearError(`tolerancia_dias debe ser un entero entre 0 y ${MAX_TOLERANCIA_DIAS}`, 400);
+      }
+
+      const leidos = formato === "ofx" ? parsearOfx(contenido) : movimientosCsv(contenido);
+
+      const invalidos = leidos.filter(m => !m.fecha || !Number.isFinite(m.monto));
+      const abonos = asignarIdsExternos(
+        leidos.filter(m => m.fecha && Number.isFinite(m.monto) && m.monto > 0)
+      );
+
+      if (abonos.length === 0) {
+        throw crearError("El archivo no contiene abonos reconocibles", 422);
+      }
+
+      if (abonos.length > MAX_MOVIMIENTOS) {
+        throw crearError(`El archivo excede ${MAX_MOVIMIENTOS} abonos`, 413);
+      }
+
+      const sha256 = hashContenido(contenido);
+      const idArchivo = randomUUID();
+
+      const resumen = await executeInTransaction(async (conn) => {
+        const [[previo]] = await conn.execute(
+          `
+          SELECT id_archivo
+          FROM conciliacion_bancaria_archivos
+          WHERE cuenta = ?
+            AND sha256 = ?
+          `,
+          [cuenta, sha256]
+        );
+
+        if (previo) {
+          throw crearError(`El archivo ya fue importado (id_archivo ${previo.id_archivo})`, 409);
+        }
+
+        await conn.execute(
+          `
+          INSERT INTO conciliacion_bancaria_archivos (
+            id_archivo,
+            formato,
+            nombre_archivo,
+            cuenta,
+            id_plantel,
+            sha256,
+            importado_por,
+            created_at
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+          `,
+          [
+            idArchivo,
+            formato,
+            nombreArchivo,
+            cuenta,
+            idPlantel,
+            sha256,
+            limpiar(req.body?.id_usuario) || null
+          ]
+        );
+
+        // Estados de cuenta que se traslapan: el mismo abono no se duplica
+        const nuevos = [];
+
+        for (const mov of abonos) {
+          const idMovimiento = randomUUID();
+
+          const [insert] = await conn.execute(
+            `
+            INSERT IGNORE INTO conciliacion_bancaria_movimientos (
+              id_movimiento,
+              id_archivo,
+              cuenta,
+              id_externo,
+              fecha,
+              monto,
+              referencia,
+              descripcion,
+              status_conciliacion,
+              created_at
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'Pendiente', NOW())
+            `,
+            [
+              idMovimiento,
+              idArchivo,
+              cuenta,
+              mov.id_externo,
+              mov.fecha,
+              mov.monto,
+              mov.referencia ? mov.referencia.slice(0, 100) : null,
+              mov.descripcion ? mov.descripcion.slice(0, 255) : null
+            ]
+          );
+
+          if (insert.affectedRows > 0) nuevos.push(idMovimiento);
+        }
+
+        const conciliacion = await conciliarPendientes(conn, {
+          ids_movimientos: nuevos,
+          tolerancia_dias: toleranciaDias,
+          id_plantel: idPlantel
+        });
+
+        await conn.execute(
+          `
+          UPDATE conciliacion_bancaria_archivos
+          SET movimientos = ?,
+              duplicados = ?,
+              conciliados = ?
+          WHERE id_archivo = ?
+          `,
+          [
+            nuevos.length,
+            abonos.length - nuevos.length,
+            conciliacion.por_referencia + conciliacion.por_monto_fecha,
+            idArchivo
+          ]
+        );
+
+        return {
+          abonos: abonos.length,
+          nuevos: nuevos.length,
+          duplicados: abonos.length - nuevos.length,
+          ...conciliacion
+        };
+      });
+
+      logger.info("Estado de cuenta importado", {
+        id_archivo: idArchivo,
+        formato,
+        cuenta,
+        ...resumen,
+        duration_ms: Date.now() - startTime
+      });
+
+      return res.json({
+        ok: true,
+        id_archivo: idArchivo,
+        ...resumen,
+        cargos_ignorados: leidos.length - abonos.length - invalidos.length,
+        lineas_invalidas: invalidos.length,
+        muestra_invalidas: invalidos.slice(0, MAX_MUESTRA).map(m => m.linea || m.id_externo)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /conciliacion/bancaria/pendientes?desde=&hasta=&id_plantel=
+  // Abonos sin recibo y transferencias sin abono en el rango.
+  // ============================================================
+  async function pendientesHandler(req, res, next) {
+    try {
+      const desde = leerFecha(limpiar(req.query.desde));
+      const hasta = leerFecha(limpiar(req.query.hasta));
+      const idPlantel = limpiar(req.query.id_plantel) || null;
+      const cuenta = limpiar(req.query.cuenta) || null;
+
+      if (!desde || !hasta) {
+        throw crearError("desde y hasta (YYYY-MM-DD) son requeridos", 400);
+      }
+
+      const [movimientos] = await pool.execute(
+        `
+        SELECT
+          m.id_movimiento,
+          m.cuenta,
+          DATE_FORMAT(m.fecha, '%Y-%m-%d') AS fecha,
+          m.monto,
+          m.referencia,
+          m.descripcion,
+          m.nota
+        FROM conciliacion_bancaria_movimientos m
+        WHERE m.status_conciliacion = 'Pendiente'
+          AND m.fecha BETWEEN ? AND ?
+          ${cuenta ? "AND m.cuenta = ?" : ""}
+        ORDER BY m.fecha
+        `,
+        cuenta ? [desde, hasta, cuenta] : [desde, hasta]
+      );
+
+      const transferencias = await cobrosSinConciliar(pool, {
+        tabla: TABLA_MOVIMIENTOS,
+        forma_pago: "Transferencia",
+        desde,
+        hasta,
+        id_plantel: idPlantel
+      });
+
+      return res.json({
+        ok: true,
+        desde,
+        hasta,
+        movimientos_sin_recibo: {
+          cantidad: movimientos.length,
+          monto: redondear(movimientos.reduce((s, m) => s + Number(m.monto), 0)),
+          movimientos
+        },
+        transferencias_sin_abono: {
+          cantidad: transferencias.length,
+          monto: redondear(transferencias.reduce((s, t) => s + Number(t.monto), 0)),
+          transferencias
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // POST /conciliacion/bancaria/conciliar
+  // { id_movimiento, id_recibo, id_pago?, forzar?, nota?, id_usuario? }
+  // Con montos distintos se exige forzar=true y nota.
+  // ============================================================
+  async function conciliarManualHandler(req, res, next) {
+    try {
+      const idMovimiento = limpiar(req.body?.id_movimiento);
+      const idRecibo = limpiar(req.body?.id_recibo);
+      const idPago = limpiar(req.body?.id_pago) || null;
+      const forzar = req.body?.forzar === true;
+      const nota = limpiar(req.body?.nota) || null;
+
+      if (!idMovimiento || !idRecibo) {
+        throw crearError("id_movimiento e id_recibo son requeridos", 400);
+      }
+
+      await executeInTransaction(async (conn) => {
+        const [[mov]] = await conn.execute(
+          `
+          SELECT monto, status_conciliacion
+          FROM conciliacion_bancaria_movimientos
+          WHERE id_movimiento = ?
+          FOR UPDATE
+          `,
+          [idMovimiento]
+        );
+
+        if (!mov) {
+          throw crearError("Movimiento no encontrado", 404);
+        }
+
+        if (mov.status_conciliacion !== "Pendiente") {
+          throw crearError(`El movimiento está ${mov.status_conciliacion}`, 409);
+        }
+
+        const transferencia = await obtenerCobro(conn, {
+          forma_pago: "Transferencia",
+          id_recibo: idRecibo,
+          id_pago: idPago
+        });
+
+        if (!transferencia) {
+          throw crearError("La transferencia no existe o no está vigente", 404);
+        }
+
+        const yaConciliada = await conciliacionDeCobro(conn, {
+          tabla: TABLA_MOVIMIENTOS,
+          id_recibo: idRecibo,
+          id_pago: idPago
+        });
+
+        if (yaConciliada) {
+          throw crearError(
+            `La transferencia ya está conciliada con el movimiento ${yaConciliada}`,
+            409
+          );
+        }
+
+        if (!mismoMonto(mov.monto, transferencia.monto) && !(forzar && nota)) {
+          throw crearError(
+            "Los montos no coinciden; usa forzar=true con una nota para conciliar",
+            409
+          );
+        }
+
+        await conn.execute(
+          `
+          UPDATE conciliacion_bancaria_movimientos
+          SET status_conciliacion = 'Conciliado',
+              id_recibo = ?,
+              id_pago = ?,
+              criterio = 'manual',
+              nota = ?,
+              conciliado_por = ?,
+              conciliado_en = NOW()
+          WHERE id_movimiento = ?
+          `,
+          [idRecibo, idPago, nota, limpiar(req.body?.id_usuario) || null, idMovimiento]
+        );
+      });
+
+      logger.info("Movimiento bancario conciliado manualmente", {
+        id_movimiento: idMovimiento,
+        id_recibo: idRecibo,
+        id_pago: idPago,
+        forzado: forzar
+      });
+
+      return res.json({ ok: true, id_movimiento: idMovimiento, id_recibo: idRecibo, id_pago: idPago });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // POST /conciliacion/bancaria/desconciliar  { id_movimiento }
+  // POST /conciliacion/bancaria/ignorar       { id_movimiento, nota }
+  // ============================================================
+  async function cambiarEstadoMovimiento(req, res, next, { status, requiereNota }) {
+    try {
+      const idMovimiento = limpiar(req.body?.id_movimiento);
+      const nota = limpiar(req.body?.nota) || null;
+
+      if (!idMovimiento) {
+        throw crearError("id_movimiento es requerido", 400);
+      }
+
+      if (requiereNota && !nota) {
+        throw crearError("nota es requerida", 400);
+      }
+
+      const [resultado] = await pool.execute(
+        `
+        UPDATE conciliacion_bancaria_movimientos
+        SET status_conciliacion = ?,
+            id_recibo = NULL,
+            id_pago = NULL,
+            criterio = NULL,
+            nota = ?,
+            conciliado_por = ?,
+            conciliado_en = NULL
+        WHERE id_movimiento = ?
+          AND status_conciliacion <> ?
+        `,
+        [status, nota, limpiar(req.body?.id_usuario) || null, idMovimiento, status]
+      );
+
+      if (resultado.affectedRows === 0) {
+        throw crearError(`Movimiento no encontrado o ya está ${status}`, 404);
+      }
+
+      logger.info("Estado de movimiento bancario actualizado", {
+        id_movimiento: idMovimiento,
+        status_conciliacion: status
+      });
+
+      return res.json({ ok: true, id_movimiento: idMovimiento, status_conciliacion: status });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  function desconciliarHandler(req, res, next) {
+    return cambiarEstadoMovimiento(req, res, next, { status: "Pendiente", requiereNota: false });
+  }
+
+  function ignorarMovimientoHandler(req, res, next) {
+    return cambiarEstadoMovimiento(req, res, next, { status: "Ignorado", requiereNota: true });
+  }
+
+  // Transferencias de un recibo o de un corte con su movimiento bancario
+  async function transferenciasConEstado({ campo, valor }) {
+    const cobros = await cobrosConEstado(pool, {
+      tabla: TABLA_MOVIMIENTOS,
+      forma_pago: "Transferencia",
+      campo,
+      valor
+    });
+
+    return cobros.map(({ id_conciliacion, fecha_externa, ...cobro }) => ({
+      ...cobro,
+      id_movimiento: id_conciliacion,
+      fecha_banco: fecha_externa
+    }));
+  }
+
+  function resumir(transferencias) {
+    const resumen = resumirCobros(transferencias);
+
+    return {
+      status_conciliacion: resumen.status_conciliacion,
+      transferencias: resumen.cobros,
+      conciliadas: resumen.conciliados,
+      monto_transferencias: resumen.monto_cobros,
+      monto_conciliado: resumen.monto_conciliado
+    };
+  }
+
+  // ============================================================
+  // GET /recibos/:id_recibo/conciliacion
+  // ============================================================
+  async function conciliacionReciboHandler(req, res, next) {
+    try {
+      const idRecibo = limpiar(req.params.id_recibo);
+      const transferencias = await transferenciasConEstado({ campo: "id_recibo", valor: idRecibo });
+
+      return res.json({
+        ok: true,
+        id_recibo: idRecibo,
+        ...resumir(transferencias),
+        detalle: transferencias
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /cortes/:id_corte/conciliacion
+  // ============================================================
+  async function conciliacionCorteHandler(req, res, next) {
+    try {
+      const idCorte = limpiar(req.params.id_corte);
+      const transferencias = await transferenciasConEstado({ campo: "encorte", valor: idCorte });
+
+      return res.json({
+        ok: true,
+        id_corte: idCorte,
+        ...resumir(transferencias),
+        detalle: transferencias
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    importarEstadoCuentaHandler,
+    pendientesHandler,
+    conciliarManualHandler,
+    desconciliarHandler,
+    ignorarMovimientoHandler,
+    conciliacionReciboHandler,
+    conciliacionCorteHandler
+  };
+};
@@ -0,0 +1,845 @@
+const { randomUUID } = require("crypto");
+const {
+  parsearCsv,
+  columna,
+  leerImporte,
+  leerFecha,
+  diasEntre,
+  moverFecha,
+  asignarIdsExternos,
+  leerContenido,
+  hashContenido,
+  compactar
+} = require("./archivos");
+const {
+  cobrosSinConciliar,
+  cobrosConEstado,
+  obtenerCobro,
+  conciliacionDeCobro,
+  mismoMonto,
+  resumirCobros
+} = require("./cobros");
+
+// ============================================================================
+// CONCILIACIÓN DE LIQUIDACIONES DE TARJETA
+// Se importa el reporte de liquidación de la terminal/adquirente (CSV);
+// cada venta queda en conciliacion_tarjeta_transacciones con su comisión,
+// IVA y neto depositado, y se cruza contra los cobros con forma_pago
+// 'Tarjeta' (recibos sin parcialidades y pagos en parcialidades):
+//   1. Autorización: el número de autorización aparece en la referencia
+//      del pago (o el folio en la referencia de la terminal) y el monto
+//      coincide.
+//   2. Monto y fecha: mismo monto dentro de ±tolerancia_dias (y del plantel
+//      del archivo, si se indicó) con un solo cobro candidato.
+// Las ventas sin cobro y los cobros sin venta forman las excepciones.
+// ============================================================================
+
+const COLUMNAS_CSV = {
+  fecha: ["fecha", "fecha_transaccion", "fecha_venta", "fecha_operacion", "date"],
+  fecha_liquidacion: ["fecha_liquidacion", "fecha_deposito", "fecha_abono", "fecha_pago", "settlement_date"],
+  monto: ["monto", "importe", "monto_bruto", "importe_bruto", "bruto", "monto_venta", "amount"],
+  comision: ["comision", "comision_bancaria", "monto_comision", "fee"],
+  iva: ["iva", "iva_comision", "iva_de_comision"],
+  neto: ["neto", "monto_neto", "importe_neto", "abono", "monto_liquidado", "net"],
+  autorizacion: ["autorizacion", "num_autorizacion", "numero_autorizacion", "codigo_autorizacion", "auth"],
+  tarjeta: ["tarjeta", "ultimos_4", "ultimos_digitos", "terminacion", "numero_tarjeta", "card"],
+  terminal: ["terminal", "id_terminal", "afiliacion", "numero_afiliacion"],
+  referencia: ["referencia", "folio", "ticket", "id_transaccion", "reference"]
+};
+
+const TABLA_TRANSACCIONES = "conciliacion_tarjeta_transacciones";
+
+const TOLERANCIA_DIAS_DEFAULT = 1;
+const MAX_TOLERANCIA_DIAS = 5;
+const VENTANA_AUTORIZACION_DIAS = 7;
+const MAX_TRANSACCIONES = 5000;
+const MAX_MUESTRA = 50;
+const MAX_RANGO_DIAS = 366;
+
+function redondear(valor) {
+  return Math.round(Number(valor || 0) * 100) / 100;
+}
+
+// Comisión, IVA y neto: lo que no venga en el reporte se deduce del resto
+function desglosarImportes(monto, comision, iva, neto) {
+  const ivaFinal = Number.isFinite(iva) ? iva : 0;
+
+  let comisionFinal = comision;
+  let netoFinal = neto;
+
+  if (!Number.isFinite(comisionFinal)) {
+    comisionFinal = Number.isFinite(netoFinal) ? monto - netoFinal - ivaFinal : 0;
+  }
+
+  if (!Number.isFinite(netoFinal)) {
+    netoFinal = monto - comisionFinal - ivaFinal;
+  }
+
+  return {
+    comision: redondear(Math.abs(comisionFinal)),
+    iva: redondear(Math.abs(ivaFinal)),
+    neto: redondear(netoFinal)
+  };
+}
+
+function transaccionesCsv(texto) {
+  const esperados = [...COLUMNAS_CSV.autorizacion, ...COLUMNAS_CSV.monto];
+  const { filas } = parsearCsv(texto, esperados);
+
+  return filas.map(fila => {
+    const monto = leerImporte(columna(fila, COLUMNAS_CSV.monto));
+    const fecha = leerFecha(columna(fila, COLUMNAS_CSV.fecha));
+
+    return {
+      linea: fila._linea,
+      fecha,
+      fecha_liquidacion: leerFecha(columna(fila, COLUMNAS_CSV.fecha_liquidacion)),
+      monto,
+      ...(Number.isFinite(monto)
+        ? desglosarImportes(
+            monto,
+            leerImporte(columna(fila, COLUMNAS_CSV.comision)),
+            leerImporte(columna(fila, COLUMNAS_CSV.iva)),
+            leerImporte(columna(fila, COLUMNAS_CSV.neto))
+          )
+        : {}),
+      autorizacion: columna(fila, COLUMNAS_CSV.autorizacion),
+      tarjeta: (columna(fila, COLUMNAS_CSV.tarjeta) || "").replace(/\D/g, "").slice(-4) || null,
+      terminal: columna(fila, COLUMNAS_CSV.terminal),
+      referencia: columna(fila, COLUMNAS_CSV.referencia),
+      // Terminal + autorización identifican la venta en el adquirente
+      id_externo: columna(fila, COLUMNAS_CSV.autorizacion)
+        ? [columna(fila, COLUMNAS_CSV.terminal) || "", columna(fila, COLUMNAS_CSV.autorizacion), fecha, monto].join("|")
+        : null
+    };
+  });
+}
+
+module.exports = function liquidacionesTarjetaFactory({
+  pool,
+  executeInTransaction,
+  logger
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function limpiar(valor) {
+    return String(valor ?? "").trim();
+  }
+
+  function leerRango(query) {
+    const desde = leerFecha(limpiar(query.desde));
+    const hasta = leerFecha(limpiar(query.hasta));
+
+    if (!desde || !hasta) {
+      throw crearError("desde y hasta (YYYY-MM-DD) son requeridos", 400);
+    }
+
+    if (desde > hasta) {
+      throw crearError("desde no puede ser posterior a hasta", 400);
+    }
+
+    if (diasEntre(desde, hasta) > MAX_RANGO_DIAS) {
+      throw crearError(`El rango no puede exceder ${MAX_RANGO_DIAS} días`, 400);
+    }
+
+    return { desde, hasta };
+  }
+
+  function coincidePorAutorizacion(transaccion, candidato) {
+    const autorizacion = compactar(transaccion.autorizacion);
+    const referenciaPago = compactar(candidato.referencia);
+
+    if (autorizacion.length >= 4 && referenciaPago.includes(autorizacion)) {
+      return true;
+    }
+
+    const referenciaTerminal = compactar(transaccion.referencia);
+
+    return [candidato.folio_completo, candidato.id_recibo]
+      .map(compactar)
+      .some(clave => clave.length >= 4 && referenciaTerminal.includes(clave));
+  }
+
+  /**
+   * Cruza las ventas pendientes indicadas contra los cobros con tarjeta
+   * sin conciliar. Cada cobro se usa una sola vez por corrida.
+   */
+  async function conciliarPendientes(conn, { ids_transacciones, tolerancia_dias, id_plantel }) {
+    const resultado = { por_autorizacion: 0, por_monto_fecha: 0, ambiguas: 0, sin_cobro: 0 };
+
+    if (ids_transacciones.length === 0) return resultado;
+
+    const [transacciones] = await conn.query(
+      `
+      SELECT
+        id_transaccion,
+        DATE_FORMAT(fecha, '%Y-%m-%d') AS fecha,
+        monto,
+        autorizacion,
+        referencia
+      FROM conciliacion_tarjeta_transacciones
+      WHERE id_transaccion IN (?)
+        AND status_conciliacion = 'Pendiente'
+        AND monto > 0
+      ORDER BY fecha, id_transaccion
+      `,
+      [ids_transacciones]
+    );
+
+    if (transacciones.length === 0) return resultado;
+
+    const fechas = transacciones.map(t => t.fecha).sort();
+
+    let candidatos = await cobrosSinConciliar(conn, {
+      tabla: TABLA_TRANSACCIONES,
+      forma_pago: "Tarjeta",
+      desde: moverFecha(fechas[0], -VENTANA_AUTORIZACION_DIAS),
+      hasta: moverFecha(fechas[fechas.length - 1], VENTANA_AUTORIZACION_DIAS),
+      id_plantel
+    });
+
+    for (const trx of transacciones) {
+      const mismoImporte = candidatos.filter(c => mismoMonto(c.monto, trx.monto));
+
+      let elegido = mismoImporte.find(c => coincidePorAutorizacion(trx, c));
+      let criterio = "autorizacion";
+
+      if (!elegido) {
+        const enFecha = mismoImporte.filter(c => diasEntre(c.fecha, trx.fecha) <= tolerancia_dias);
+
+        if (enFecha.length !== 1) {
+          resultado[enFecha.length > 1 ? "ambiguas" : "sin_cobro"]++;
+
+          if (enFecha.length > 1) {
+            await conn.execute(
+              `
+              UPDATE conciliacion_tarjeta_transacciones
+              SET nota = ?
+              WHERE id_transaccion = ?
+              `,
+              [`${enFecha.length} cobros con el mismo monto y fecha; conciliar manualmente`, trx.id_transaccion]
+            );
+          }
+          continue;
+        }
+
+        elegido = enFecha[0];
+        criterio = "monto_fecha";
+      }
+
+      await conn.execute(
+        `
+        UPDATE conciliacion_tarjeta_transacciones
+        SET status_conciliacion = 'Conciliado',
+            id_recibo = ?,
+            id_pago = ?,
+            id_plantel = ?,
+            criterio = ?,
+            nota = NULL,
+            conciliado_en = NOW()
+        WHERE id_transaccion = ?
+          AND status_conciliacion = 'Pendiente'
+        `,
+        [elegido.id_recibo, elegido.id_pago, elegido.id_plantel, criterio, trx.id_transaccion]
+      );
+
+      candidatos = candidatos.filter(c => c !== elegido);
+      resultado[criterio === "autorizacion" ? "por_autorizacion" : "por_monto_fecha"]++;
+    }
+
+    return resultado;
+  }
+
+  // ============================================================
+  // POST /conciliacion/tarjeta/importar
+  // { contenido | contenido_base64, nombre_archivo, adquirente,
+  //   id_plantel?, tolerancia_dias?, id_usuario? }
+  // ============================================================
+  async function importarLiquidacionHandler(req, res, next) {
+    const startTime = Date.now();
+
+    try {
+      const adquirente = limpiar(req.body?.adquirente);
+      const nombreArchivo = limpiar(req.body?.nombre_archivo) || null;
+      const idPlantel = limpiar(req.body?.id_plantel) || null;
+      const toleranciaDias = Number(req.body?.tolerancia_dias ?? TOLERANCIA_DIAS_DEFAULT);
+      const contenido = leerContenido(req.body);
+
+      if (!adquirente) {
+        throw crearError("adquirente es requerido", 400);
+      }
+
+      if (!contenido.trim()) {
+        throw crearError("contenido o contenido_base64 es requerido", 400);
+      }
+
+      if (!Number.isInteger(toleranciaDias) || toleranciaDias < 0 || toleranciaDias > MAX_TOLERANCIA_DIAS) {
+        throw crearError(`tolerancia_dias debe ser un entero entre 0 y ${MAX_TOLERANCIA_DIAS}`, 400);
+      }
+
+      const leidas = transaccionesCsv(contenido);
+      const invalidas = leidas.filter(t => !t.fecha || !Number.isFinite(t.monto) || t.monto === 0);
+      const validas = asignarIdsExternos(
+        leidas.filter(t => t.fecha && Number.isFinite(t.monto) && t.monto !== 0)
+      );
+
+      if (validas.length === 0) {
+        throw crearError("El archivo no contiene transacciones reconocibles", 422);
+      }
+
+      if (validas.length > MAX_TRANSACCIONES) {
+        throw crearError(`El archivo excede ${MAX_TRANSACCIONES} transacciones`, 413);
+      }
+
+      const sha256 = hashContenido(contenido);
+      const idArchivo = randomUUID();
+
+      const resumen = await executeInTransaction(async (conn) => {
+        const [[previo]] = await conn.execute(
+          `
+          SELECT id_archivo
+          FROM conciliacion_tarjeta_archivos
+          WHERE adquirente = ?
+            AND sha256 = ?
+          `,
+          [adquirente, sha256]
+        );
+
+        if (previo) {
+          throw crearError(`El archivo ya fue importado (id_archivo ${previo.id_archivo})`, 409);
+        }
+
+        await conn.execute(
+          `
+          INSERT INTO conciliacion_tarjeta_archivos (
+            id_archivo,
+            adquirente,
+            nombre_archivo,
+            id_plantel,
+            sha256,
+            importado_por,
+            created_at
+          )
+          VALUES (?, ?, ?, ?, ?, ?, NOW())
+          `,
+          [
+            idArchivo,
+            adquirente,
+            nombreArchivo,
+            idPlantel,
+            sha256,
+            limpiar(req.body?.id_usuario) || null
+          ]
+        );
+
+        // Reportes que se traslapan: la misma venta no se duplica
+        const nuevas = [];
+
+        for (const trx of validas) {
+          const idTransaccion = randomUUID();
+
+          const [insert] = await conn.execute(
+            `
+            INSERT IGNORE INTO conciliacion_tarjeta_transacciones (
+              id_transaccion,
+              id_archivo,
+              adquirente,
+              id_externo,
+              id_plantel,
+              terminal,
+              fecha,
+              fecha_liquidacion,
+              monto,
+              comision,
+              iva,
+              neto,
+              autorizacion,
+              tarjeta,
+              referencia,
+              status_conciliacion,
+              created_at
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'Pendiente', NOW())
+            `,
+            [
+              idTransaccion,
+              idArchivo,
+              adquirente,
+              trx.id_externo.slice(0, 100),
+              idPlantel,
+              trx.terminal ? trx.terminal.slice(0, 50) : null,
+              trx.fecha,
+              trx.fecha_liquidacion,
+              trx.monto,
+              trx.comision,
+              trx.iva,
+              trx.neto,
+              trx.autorizacion ? trx.autorizacion.slice(0, 30) : null,
+              trx.tarjeta,
+              trx.referencia ? trx.referencia.slice(0, 100) : null
+            ]
+          );
+
+          if (insert.affectedRows > 0) nuevas.push(idTransaccion);
+        }
+
+        const conciliacion = await conciliarPendientes(conn, {
+          ids_transacciones: nuevas,
+          tolerancia_dias: toleranciaDias,
+          id_plantel: idPlantel
+        });
+
+        await conn.execute(
+          `
+          UPDATE conciliacion_tarjeta_archivos
+          SET transacciones = ?,
+              duplicadas = ?,
+              conciliadas = ?
+          WHERE id_archivo = ?
+          `,
+          [
+            nuevas.length,
+            validas.length - nuevas.length,
+            conciliacion.por_autorizacion + conciliacion.por_monto_fecha,
+            idArchivo
+          ]
+        );
+
+        return {
+          transacciones: validas.length,
+          nuevas: nuevas.length,
+          duplicadas: validas.length - nuevas.length,
+          ...conciliacion
+        };
+      });
+
+      const totales = validas.reduce(
+        (acc, t) => ({
+          bruto: acc.bruto + t.monto,
+          comision: acc.comision + t.comision,
+          iva: acc.iva + t.iva,
+          neto: acc.neto + t.neto
+        }),
+        { bruto: 0, comision: 0, iva: 0, neto: 0 }
+      );
+
+      logger.info("Liquidación de tarjeta importada", {
+        id_archivo: idArchivo,
+        adquirente,
+        ...resumen,
+        duration_ms: Date.now() - startTime
+      });
+
+      return res.json({
+        ok: true,
+        id_archivo: idArchivo,
+        ...resumen,
+        totales: {
+          bruto: redondear(totales.bruto),
+          comision: redondear(totales.comision),
+          iva: redondear(totales.iva),
+          neto: redondear(totales.neto)
+        },
+        lineas_invalidas: invalidas.length,
+        muestra_invalidas: invalidas.slice(0, MAX_MUESTRA).map(t => t.linea)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /conciliacion/tarjeta/excepciones?desde=&hasta=&id_plantel=
+  // Ventas liquidadas sin cobro y cobros con tarjeta sin liquidación.
+  // ============================================================
+  async function excepcionesHandler(req, res, next) {
+    try {
+      const { desde, hasta } = leerRango(req.query);
+      const idPlantel = limpiar(req.query.id_plantel) || null;
+
+      // Contracargos y devoluciones del adquirente (monto negativo) también
+      // se listan: nunca tienen cobro en caja que los explique.
+      const [ventas] = await pool.execute(
+        `
+        SELECT
+          t.id_transaccion,
+          t.adquirente,
+          t.id_plantel,
+          t.terminal,
+          DATE_FORMAT(t.fecha, '%Y-%m-%d') AS fecha,
+          DATE_FORMAT(t.fecha_liquidacion, '%Y-%m-%d') AS fecha_liquidacion,
+          t.monto,
+          t.comision,
+          t.iva,
+          t.neto,
+          t.autorizacion,
+          t.tarjeta,
+          t.nota
+        FROM conciliacion_tarjeta_transacciones t
+        WHERE t.status_conciliacion = 'Pendiente'
+          AND t.fecha BETWEEN ? AND ?
+          ${idPlantel ? "AND t.id_plantel = ?" : ""}
+        ORDER BY t.fecha
+        `,
+        idPlantel ? [desde, hasta, idPlantel] : [desde, hasta]
+      );
+
+      const cobros = await cobrosSinConciliar(pool, {
+        tabla: TABLA_TRANSACCIONES,
+        forma_pago: "Tarjeta",
+        desde,
+        hasta,
+        id_plantel: idPlantel
+      });
+
+      return res.json({
+        ok: true,
+        desde,
+        hasta,
+        ventas_sin_cobro: {
+          cantidad: ventas.length,
+          monto: redondear(ventas.reduce((s, v) => s + Number(v.monto), 0)),
+          transacciones: ventas
+        },
+        cobros_sin_liquidacion: {
+          cantidad: cobros.length,
+          monto: redondear(cobros.reduce((s, c) => s + Number(c.monto), 0)),
+          cobros
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /conciliacion/tarjeta/comisiones?desde=&hasta=&id_plantel=
+  // Comisiones del adquirente por plantel (fecha de la venta). El plantel
+  // es el del recibo conciliado o, si no hay, el del archivo importado.
+  // ============================================================
+  async function comisionesHandler(req, res, next) {
+    try {
+      const { desde, hasta } = leerRango(req.query);
+      const idPlantel = limpiar(req.query.id_plantel) || null;
+
+      const [filas] = await pool.execute(
+        `
+        SELECT
+          t.id_plantel,
+          p.nombre_plantel AS plantel,
+          t.adquirente,
+          COUNT(*) AS transacciones,
+          SUM(t.status_conciliacion = 'Conciliado') AS conciliadas,
+          SUM(t.monto) AS bruto,
+          SUM(t.comision) AS comision,
+          SUM(t.iva) AS iva,
+          SUM(t.neto) AS neto
+        FROM conciliacion_tarjeta_transacciones t
+        LEFT JOIN planteles p
+          ON p.id_plantel = t.id_plantel
+        WHERE t.fecha BETWEEN ? AND ?
+          AND t.status_conciliacion <> 'Ignorado'
+          ${idPlantel ? "AND t.id_plantel = ?" : ""}
+        GROUP BY t.id_plantel, p.nombre_plantel, t.adquirente
+        ORDER BY p.nombre_plantel, t.adquirente
+        `,
+        idPlantel ? [desde, hasta, idPlantel] : [desde, hasta]
+      );
+
+      const planteles = filas.map(f => {
+        const bruto = redondear(f.bruto);
+        const comision = redondear(f.comision);
+        const iva = redondear(f.iva);
+
+        return {
+          id_plantel: f.id_plantel,
+          plantel: f.plantel,
+          adquirente: f.adquirente,
+          transacciones: Number(f.transacciones),
+          conciliadas: Number(f.conciliadas),
+          bruto,
+          comision,
+          iva,
+          neto: redondear(f.neto),
+          tasa_efectiva_pct: bruto > 0 ? redondear(((comision + iva) / bruto) * 100) : 0
+        };
+      });
+
+      const total = planteles.reduce(
+        (acc, p) => ({
+          transacciones: acc.transacciones + p.transacciones,
+          bruto: redondear(acc.bruto + p.bruto),
+          comision: redondear(acc.comision + p.comision),
+          iva: redondear(acc.iva + p.iva),
+          neto: redondear(acc.neto + p.neto)
+        }),
+        { transacciones: 0, bruto: 0, comision: 0, iva: 0, neto: 0 }
+      );
+
+      return res.json({ ok: true, desde, hasta, total, planteles });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // POST /conciliacion/tarjeta/conciliar
+  // { id_transaccion, id_recibo, id_pago?, forzar?, nota?, id_usuario? }
+  // ============================================================
+  async function conciliarManualHandler(req, res, next) {
+    try {
+      const idTransaccion = limpiar(req.body?.id_transaccion);
+      const idRecibo = limpiar(req.body?.id_recibo);
+      const idPago = limpiar(req.body?.id_pago) || null;
+      const forzar = req.body?.forzar === true;
+      const nota = limpiar(req.body?.nota) || null;
+
+      if (!idTransaccion || !idRecibo) {
+        throw crearError("id_transaccion e id_recibo son requeridos", 400);
+      }
+
+      await executeInTransaction(async (conn) => {
+        const [[trx]] = await conn.execute(
+          `
+          SELECT monto, status_conciliacion
+          FROM conciliacion_tarjeta_transacciones
+          WHERE id_transaccion = ?
+          FOR UPDATE
+          `,
+          [idTransaccion]
+        );
+
+        if (!trx) {
+          throw crearError("Transacción no encontrada", 404);
+        }
+
+        if (trx.status_conciliacion !== "Pendiente") {
+          throw crearError(`La transacción está ${trx.status_conciliacion}`, 409);
+        }
+
+        const cobro = await obtenerCobro(conn, {
+          forma_pago: "Tarjeta",
+          id_recibo: idRecibo,
+          id_pago: idPago
+        });
+
+        if (!cobro) {
+          throw crearError("El cobro con tarjeta no existe o no está vigente", 404);
+        }
+
+        const yaConciliado = await conciliacionDeCobro(conn, {
+          tabla: TABLA_TRANSACCIONES,
+          id_recibo: idRecibo,
+          id_pago: idPago
+        });
+
+        if (yaConciliado) {
+          throw crearError(
+            `El cobro ya está conciliado con la transacción ${yaConciliado}`,
+            409
+          );
+        }
+
+        if (!mismoMonto(trx.monto, cobro.monto) && !(forzar && nota)) {
+          throw crearError(
+            "Los montos no coinciden; usa forzar=true con una nota para conciliar",
+            409
+          );
+        }
+
+        await conn.execute(
+          `
+          UPDATE conciliacion_tarjeta_transacciones
+          SET status_conciliacion = 'Conciliado',
+              id_recibo = ?,
+              id_pago = ?,
+              id_plantel = ?,
+              criterio = 'manual',
+              nota = ?,
+              conciliado_por = ?,
+              conciliado_en = NOW()
+          WHERE id_transaccion = ?
+          `,
+          [
+            idRecibo,
+            idPago,
+            cobro.id_plantel,
+            nota,
+            limpiar(req.body?.id_usuario) || null,
+            idTransaccion
+          ]
+        );
+      });
+
+      logger.info("Transacción de tarjeta conciliada manualmente", {
+        id_transaccion: idTransaccion,
+        id_recibo: idRecibo,
+        id_pago: idPago,
+        forzado: forzar
+      });
+
+      return res.json({ ok: true, id_transaccion: idTransaccion, id_recibo: idRecibo, id_pago: idPago });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // POST /conciliacion/tarjeta/desconciliar  { id_transaccion }
+  // POST /conciliacion/tarjeta/ignorar       { id_transaccion, nota }
+  // ============================================================
+  async function cambiarEstadoTransaccion(req, res, next, { status, requiereNota }) {
+    try {
+      const idTransaccion = limpiar(req.body?.id_transaccion);
+      const nota = limpiar(req.body?.nota) || null;
+
+      if (!idTransaccion) {
+        throw crearError("id_transaccion es requerido", 400);
+      }
+
+      if (requiereNota && !nota) {
+        throw crearError("nota es requerida", 400);
+      }
+
+      const [resultado] = await pool.execute(
+        `
+        UPDATE conciliacion_tarjeta_transacciones
+        SET status_conciliacion = ?,
+            id_recibo = NULL,
+            id_pago = NULL,
+            criterio = NULL,
+            nota = ?,
+            conciliado_por = ?,
+            conciliado_en = NULL
+        WHERE id_transaccion = ?
+          AND status_conciliacion <> ?
+        `,
+        [status, nota, limpiar(req.body?.id_usuario) || null, idTransaccion, status]
+      );
+
+      if (resultado.affectedRows === 0) {
+        throw crearError(`Transacción no encontrada o ya está ${status}`, 404);
+      }
+
+      logger.info("Estado de transacción de tarjeta actualizado", {
+        id_transaccion: idTransaccion,
+        status_conciliacion: status
+      });
+
+      return res.json({ ok: true, id_transaccion: idTransaccion, status_conciliacion: status });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  function desconciliarHandler(req, res, next) {
+    return cambiarEstadoTransaccion(req, res, next, { status: "Pendiente", requiereNota: false });
+  }
+
+  function ignorarTransaccionHandler(req, res, next) {
+    return cambiarEstadoTransaccion(req, res, next, { status: "Ignorado", requiereNota: true });
+  }
+
+  // ============================================================
+  // GET /cortes/:id_corte/liquidacion-tarjeta
+  // total_tarjeta del corte contra lo liquidado por el adquirente.
+  // ============================================================
+  async function liquidacionCorteHandler(req, res, next) {
+    try {
+      const idCorte = limpiar(req.params.id_corte);
+
+      const [[corte]] = await pool.execute(
+        `
+        SELECT id_corte, total_tarjeta
+        FROM cortes
+        WHERE id_corte = ?
+        `,
+        [idCorte]
+      );
+
+      if (!corte) {
+        throw crearError("Corte no encontrado", 404);
+      }
+
+      const cobros = await cobrosConEstado(pool, {
+        tabla: TABLA_TRANSACCIONES,
+        forma_pago: "Tarjeta",
+        campo: "encorte",
+        valor: idCorte,
+        columnas: ["adquirente", "autorizacion", "comision", "iva", "neto"]
+      });
+
+      const liquidados = cobros.filter(c => c.conciliado);
+      const sumar = campo => redondear(liquidados.reduce((s, c) => s + Number(c[campo] || 0), 0));
+      const resumen = resumirCobros(cobros);
+
+      return res.json({
+        ok: true,
+        id_corte: idCorte,
+        status_conciliacion: resumen.status_conciliacion,
+        total_tarjeta: redondear(corte.total_tarjeta),
+        cobros: resumen.cobros,
+        liquidados: resumen.conciliados,
+        liquidado: {
+          bruto: resumen.monto_conciliado,
+          comision: sumar("comision"),
+          iva: sumar("iva"),
+          neto: sumar("neto")
+        },
+        pendiente_liquidar: redondear(resumen.monto_cobros - resumen.monto_conciliado),
+        detalle: cobros
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /recibos/:id_recibo/liquidacion-tarjeta
+  // ============================================================
+  async function liquidacionReciboHandler(req, res, next) {
+    try {
+      const idRecibo = limpiar(req.params.id_recibo);
+
+      const cobros = await cobrosConEstado(pool, {
+        tabla: TABLA_TRANSACCIONES,
+        forma_pago: "Tarjeta",
+        campo: "id_recibo",
+        valor: idRecibo,
+        columnas: ["adquirente", "autorizacion", "comision", "iva", "neto"]
+      });
+
+      return res.json({
+        ok: true,
+        id_recibo: idRecibo,
+        ...resumirCobros(cobros),
+        detalle: cobros
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    importarLiquidacionHandler,
+    excepcionesHandler,
+    comisionesHandler,
+    conciliarManualHandler,
+    desconciliarHandler,
+    ignorarTransaccionHandler,
+    liquidacionCorteHandler,
+    liquidacionReciboHandler
+  };
+};
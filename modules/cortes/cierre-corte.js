@@ -0,0 +1,423 @@
+// ============================================================================
+// CIERRE DE CORTES
+// El cajero declara lo contado (efectivo, vouchers de tarjeta y
+// transferencias); se guardan las diferencias contra los totales del
+// sistema y el corte queda en status_corte = 'Cerrado'. Un corte cerrado ya
+// no se recalcula: lo que se emita o cobre después va a un corte de
+// continuación del mismo día (<id>-2, <id>-3, ...) y las cancelaciones de
+// sus recibos se registran como ajuste (cortes_ajustes) en el siguiente
+// corte abierto del mismo cajero y plantel.
+// ============================================================================
+
+const FORMAS_CIERRE = ["Efectivo", "Tarjeta", "Transferencia"];
+
+const MAX_CORTES_DIA = 20;
+
+function redondear(valor) {
+  return Math.round(Number(valor || 0) * 100) / 100;
+}
+
+module.exports = function cierreCorteFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  generateCorteId,
+  recalcularCorte
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function leerMonto(valor, campo) {
+    const monto = Number(valor);
+
+    if (valor == null || valor === "" || !Number.isFinite(monto) || monto < 0) {
+      throw crearError(`${campo} debe ser un monto mayor o igual a 0`, 400);
+    }
+
+    return redondear(monto);
+  }
+
+  /**
+   * Devuelve el corte abierto del cajero para esa fecha, creándolo si no
+   * existe. Si el corte del día ya se cerró se usa (o crea) el de
+   * continuación. Debe llamarse dentro de la transacción: el corte
+   * devuelto queda bloqueado hasta el commit.
+   */
+  async function obtenerCorteAbierto(conn, { fecha, id_usuario, id_plantel }) {
+    const base = generateCorteId({ fecha, id_usuario, id_plantel });
+
+    for (let secuencia = 1; secuencia <= MAX_CORTES_DIA; secuencia++) {
+      const idCorte = secuencia === 1 ? base : `${base}-${secuencia}`;
+
+      await conn.execute(
+        `
+        INSERT INTO cortes (id_corte, fecha, id_plantel, id_usuario, status_corte)
+        VALUES (?, ?, ?, ?, 'Abierto')
+        ON DUPLICATE KEY UPDATE id_corte = id_corte
+        `,
+        [idCorte, fecha, id_plantel, id_usuario]
+      );
+
+      const [[corte]] = await conn.execute(
+        `
+        SELECT status_corte
+        FROM cortes
+        WHERE id_corte = ?
+        FOR UPDATE
+        `,
+        [idCorte]
+      );
+
+      if (corte.status_corte !== "Cerrado") {
+        return idCorte;
+      }
+    }
+
+    throw crearError(
+      `El cajero ya cerró ${MAX_CORTES_DIA} cortes en la fecha; no se puede abrir otro`,
+      409
+    );
+  }
+
+  /**
+   * Refleja en los cortes la cancelación de un recibo. `pagos` son los
+   * pagos en parcialidades que estaban aplicados antes de cancelar.
+   * Los cortes abiertos solo se recalculan; lo que salió de un corte
+   * cerrado se registra como ajuste negativo en el corte abierto de hoy
+   * del mismo cajero y plantel.
+   */
+  async function reflejarCancelacion(conn, { recibo, pagos = [] }) {
+    // id_corte → { forma_pago → monto que aportaba el recibo }
+    const aportaciones = new Map();
+
+    const aportar = (idCorte, formaPago, monto) => {
+      if (!idCorte) return;
+      if (!aportaciones.has(idCorte)) aportaciones.set(idCorte, {});
+      if (!FORMAS_CIERRE.includes(formaPago)) return;
+
+      const porForma = aportaciones.get(idCorte);
+      porForma[formaPago] = redondear((porForma[formaPago] || 0) + Number(monto));
+    };
+
+    if (pagos.length > 0) {
+      // El corte de emisión no conserva nada del recibo cobrado en pagos
+      aportar(recibo.encorte, null, 0);
+
+      for (const pago of pagos) {
+        aportar(pago.encorte, pago.forma_pago, pago.monto);
+      }
+    } else {
+      aportar(recibo.encorte, recibo.forma_pago, recibo.total_recibo);
+    }
+
+    const ajustes = [];
+    const cortesDestino = new Set();
+
+    for (const [idCorte, porForma] of aportaciones) {
+      const [[corte]] = await conn.execute(
+        `
+        SELECT id_corte, id_usuario, id_plantel, status_corte
+        FROM cortes
+        WHERE id_corte = ?
+        FOR UPDATE
+        `,
+        [idCorte]
+      );
+
+      if (!corte) continue;
+
+      if (corte.status_corte !== "Cerrado") {
+        await recalcularCorte(conn, idCorte);
+        continue;
+      }
+
+      const montos = Object.entries(porForma).filter(([, monto]) => monto !== 0);
+
+      if (montos.length === 0) continue;
+
+      const [[hoy]] = await conn.execute(
+        `SELECT DATE_FORMAT(CURDATE(), '%Y-%m-%d') AS fecha`
+      );
+
+      const idCorteDestino = await obtenerCorteAbierto(conn, {
+        fecha: hoy.fecha,
+        id_usuario: corte.id_usuario,
+        id_plantel: corte.id_plantel
+      });
+
+      for (const [formaPago, monto] of montos) {
+        await conn.execute(
+          `
+          INSERT INTO cortes_ajustes (
+            id_corte,
+            id_corte_origen,
+            id_recibo,
+            forma_pago,
+            monto,
+            motivo,
+            created_at
+          )
+          VALUES (?, ?, ?, ?, ?, 'Cancelacion', NOW())
+          `,
+          [idCorteDestino, idCorte, recibo.id_recibo, formaPago, -monto]
+        );
+
+        ajustes.push({
+          id_corte: idCorteDestino,
+          id_corte_origen: idCorte,
+          forma_pago: formaPago,
+          monto: -monto
+        });
+      }
+
+      cortesDestino.add(idCorteDestino);
+    }
+
+    for (const idCorte of cortesDestino) {
+      await recalcularCorte(conn, idCorte);
+    }
+
+    if (ajustes.length > 0) {
+      logger.info("Cancelación de corte cerrado aplicada como ajuste", {
+        id_recibo: recibo.id_recibo,
+        ajustes
+      });
+    }
+
+    return ajustes;
+  }
+
+  // ============================================================
+  // POST /cortes/cerrar
+  // { id_corte, efectivo_declarado, tarjeta_declarado,
+  //   transferencia_declarado, observaciones?, id_usuario? }
+  // ============================================================
+  async function cerrarCorteHandler(req, res, next) {
+    try {
+      const idCorte = String(req.body?.id_corte || "").trim();
+      const observaciones = String(req.body?.observaciones || "").trim() || null;
+
+      if (!idCorte) {
+        throw crearError("id_corte es requerido", 400);
+      }
+
+      const declarado = {
+        Efectivo: leerMonto(req.body?.efectivo_declarado, "efectivo_declarado"),
+        Tarjeta: leerMonto(req.body?.tarjeta_declarado, "tarjeta_declarado"),
+        Transferencia: leerMonto(req.body?.transferencia_declarado, "transferencia_declarado")
+      };
+
+      const cierre = await executeInTransaction(async (conn) => {
+        const [[corte]] = await conn.execute(
+          `
+          SELECT id_corte, id_usuario, status_corte, generando_pdf
+          FROM cortes
+          WHERE id_corte = ?
+          FOR UPDATE
+          `,
+          [idCorte]
+        );
+
+        if (!corte) {
+          throw crearError("Corte no encontrado", 404);
+        }
+
+        if (corte.status_corte === "Cerrado") {
+          throw crearError("El corte ya está cerrado", 409);
+        }
+
+        if (corte.generando_pdf) {
+          throw crearError("El corte se está imprimiendo; intenta de nuevo", 409);
+        }
+
+        // Totales definitivos antes de congelar
+        await recalcularCorte(conn, idCorte);
+
+        const [[totales]] = await conn.execute(
+          `
+          SELECT total_efectivo, total_tarjeta, total_transferencia
+          FROM cortes
+          WHERE id_corte = ?
+          `,
+          [idCorte]
+        );
+
+        const sistema = {
+          Efectivo: redondear(totales.total_efectivo),
+          Tarjeta: redondear(totales.total_tarjeta),
+          Transferencia: redondear(totales.total_transferencia)
+        };
+
+        const diferencia = {};
+        for (const forma of FORMAS_CIERRE) {
+          diferencia[forma] = redondear(declarado[forma] - sistema[forma]);
+        }
+
+        const cerradoPor = String(req.body?.id_usuario || "").trim() || corte.id_usuario;
+
+        await conn.execute(
+          `
+          INSERT INTO cortes_cierres (
+            id_corte,
+            efectivo_sistema,
+            tarjeta_sistema,
+            transferencia_sistema,
+            efectivo_declarado,
+            tarjeta_declarado,
+            transferencia_declarado,
+            diferencia_efectivo,
+            diferencia_tarjeta,
+            diferencia_transferencia,
+            observaciones,
+            cerrado_por,
+            cerrado_en
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+          `,
+          [
+            idCorte,
+            sistema.Efectivo,
+            sistema.Tarjeta,
+            sistema.Transferencia,
+            declarado.Efectivo,
+            declarado.Tarjeta,
+            declarado.Transferencia,
+            diferencia.Efectivo,
+            diferencia.Tarjeta,
+            diferencia.Transferencia,
+            observaciones,
+            cerradoPor
+          ]
+        );
+
+        await conn.execute(
+          `
+          UPDATE cortes
+          SET status_corte = 'Cerrado',
+              cerrado_en = NOW(),
+              cerrado_por = ?
+          WHERE id_corte = ?
+          `,
+          [cerradoPor, idCorte]
+        );
+
+        return { sistema, declarado, diferencia, cerrado_por: cerradoPor };
+      });
+
+      const cuadra = FORMAS_CIERRE.every(forma => cierre.diferencia[forma] === 0);
+
+      logger.info("Corte cerrado", {
+        id_corte: idCorte,
+        cerrado_por: cierre.cerrado_por,
+        diferencia: cierre.diferencia,
+        cuadra
+      });
+
+      return res.json({
+        ok: true,
+        id_corte: idCorte,
+        status_corte: "Cerrado",
+        cuadra,
+        ...cierre
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Cierre y ajustes de un corte (null si no existe)
+  async function obtenerCierre(idCorte, conn = pool) {
+    const [[corte]] = await conn.execute(
+      `
+      SELECT id_corte, status_corte, cerrado_en, cerrado_por
+      FROM cortes
+      WHERE id_corte = ?
+      `,
+      [idCorte]
+    );
+
+    if (!corte) return null;
+
+    const [[cierre]] = await conn.execute(
+      `
+      SELECT
+        efectivo_sistema,
+        tarjeta_sistema,
+        transferencia_sistema,
+        efectivo_declarado,
+        tarjeta_declarado,
+        transferencia_declarado,
+        diferencia_efectivo,
+        diferencia_tarjeta,
+        diferencia_transferencia,
+        observaciones,
+        cerrado_por,
+        cerrado_en
+      FROM cortes_cierres
+      WHERE id_corte = ?
+      `,
+      [idCorte]
+    );
+
+    const [ajustesRecibidos] = await conn.execute(
+      `
+      SELECT id_corte_origen, id_recibo, forma_pago, monto, motivo, created_at
+      FROM cortes_ajustes
+      WHERE id_corte = ?
+      ORDER BY created_at
+      `,
+      [idCorte]
+    );
+
+    const [ajustesEnviados] = await conn.execute(
+      `
+      SELECT id_corte, id_recibo, forma_pago, monto, motivo, created_at
+      FROM cortes_ajustes
+      WHERE id_corte_origen = ?
+      ORDER BY created_at
+      `,
+      [idCorte]
+    );
+
+    return {
+      status_corte: corte.status_corte || "Abierto",
+      cerrado_en: corte.cerrado_en,
+      cerrado_por: corte.cerrado_por,
+      cierre: cierre || null,
+      ajustes_recibidos: ajustesRecibidos,
+      ajustes_enviados: ajustesEnviados
+    };
+  }
+
+  // ============================================================
+  // GET /cortes/:id_corte/cierre
+  // ============================================================
+  async function obtenerCierreHandler(req, res, next) {
+    try {
+      const idCorte = String(req.params.id_corte || "").trim();
+      const resultado = await obtenerCierre(idCorte);
+
+      if (!resultado) {
+        throw crearError("Corte no encontrado", 404);
+      }
+
+      return res.json({ ok: true, id_corte: idCorte, ...resultado });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    obtenerCorteAbierto,
+    reflejarCancelacion,
+    obtenerCierre,
+    cerrarCorteHandler,
+    obtenerCierreHandler
+  };
+};
@@ -0,0 +1,311 @@
+const { randomUUID } = require("crypto");
+
+// ============================================================================
+// GASTOS EN EFECTIVO DE CAJA
+// Cada gasto se registra en cortes_gastos contra el corte abierto del
+// cajero, con concepto, monto, referencia a la foto del comprobante y el
+// usuario que lo autorizó. recalcularCorte suma los gastos activos en
+// gastos_efectivo y descuenta total_efectivo_neto.
+// El plantel sale siempre de la sesión; cancelar un gasto lo puede hacer el
+// cajero del corte o un usuario con rol que autoriza, del mismo plantel.
+// ============================================================================
+
+const ROLES_AUTORIZAN = ["directivo", "administrativo", "coordinador"];
+
+const MAX_CONCEPTO = 255;
+const MAX_COMPROBANTE = 500;
+
+function redondear(valor) {
+  return Math.round(Number(valor || 0) * 100) / 100;
+}
+
+module.exports = function gastosCorteFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  obtenerCorteAbierto,
+  recalcularCorte
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function limpiar(valor) {
+    return String(valor ?? "").trim();
+  }
+
+  async function validarAutorizador(conn, idUsuario) {
+    const [[usuario]] = await conn.execute(
+      `
+      SELECT
+        u.id_usuario,
+        u.status,
+        r.nombre AS rol
+      FROM usuarios u
+      LEFT JOIN roles r
+        ON r.id_rol = u.id_rol
+      WHERE u.id_usuario = ?
+      `,
+      [idUsuario]
+    );
+
+    if (!usuario || usuario.status !== "Activo") {
+      throw crearError("El usuario que autoriza no existe o no está activo", 422);
+    }
+
+    if (!ROLES_AUTORIZAN.includes(String(usuario.rol || "").trim().toLowerCase())) {
+      throw crearError("El usuario indicado no puede autorizar gastos", 403);
+    }
+  }
+
+  // Gastos de un corte (activos y cancelados) para hidratar el corte
+  async function listarGastos(idCorte, conn = pool) {
+    const [gastos] = await conn.execute(
+      `
+      SELECT
+        g.id_gasto,
+        g.concepto,
+        g.monto,
+        g.comprobante_ref,
+        g.status_gasto,
+        g.id_usuario,
+        g.autorizado_por,
+        CONCAT_WS(' ', ua.nombre, ua.apellidos) AS autorizado_por_nombre,
+        g.motivo_cancelacion,
+        g.created_at,
+        g.cancelado_en
+      FROM cortes_gastos g
+      LEFT JOIN usuarios ua
+        ON ua.id_usuario = g.autorizado_por
+      WHERE g.id_corte = ?
+      ORDER BY g.created_at
+      `,
+      [idCorte]
+    );
+
+    return gastos;
+  }
+
+  // ============================================================
+  // POST /cortes/gastos/registrar
+  // { concepto, monto, comprobante_ref, autorizado_por }
+  // El cajero y su plantel salen de la sesión (req.usuario).
+  // ============================================================
+  async function registrarGastoHandler(req, res, next) {
+    try {
+      const idUsuario = limpiar(req.usuario?.id_usuario);
+      const idPlantel = limpiar(req.usuario?.id_plantel);
+      const concepto = limpiar(req.body?.concepto);
+      const comprobanteRef = limpiar(req.body?.comprobante_ref);
+      const autorizadoPor = limpiar(req.body?.autorizado_por);
+      const monto = redondear(req.body?.monto);
+
+      if (!idPlantel) {
+        throw crearError("El usuario no tiene plantel asignado", 403);
+      }
+
+      if (!concepto || concepto.length > MAX_CONCEPTO) {
+        throw crearError(`concepto es requerido (máx. ${MAX_CONCEPTO} caracteres)`, 400);
+      }
+
+      if (!Number.isFinite(monto) || monto <= 0) {
+        throw crearError("monto debe ser mayor a 0", 400);
+      }
+
+      if (!comprobanteRef || comprobanteRef.length > MAX_COMPROBANTE) {
+        throw crearError("comprobante_ref es requerido (foto del comprobante)", 400);
+      }
+
+      if (!autorizadoPor) {
+        throw crearError("autorizado_por es requerido", 400);
+      }
+
+      const gasto = await executeInTransaction(async (conn) => {
+        await validarAutorizador(conn, autorizadoPor);
+
+        const [[hoy]] = await conn.execute(
+          `SELECT DATE_FORMAT(CURDATE(), '%Y-%m-%d') AS fecha`
+        );
+
+        const idCorte = await obtenerCorteAbierto(conn, {
+          fecha: hoy.fecha,
+          id_usuario: idUsuario,
+          id_plantel: idPlantel
+        });
+
+        await recalcularCorte(conn, idCorte);
+
+        // No puede salir más efectivo del que hay en caja
+        const [[corte]] = await conn.execute(
+          `
+          SELECT total_efectivo_neto
+          FROM cortes
+          WHERE id_corte = ?
+          `,
+          [idCorte]
+        );
+
+        const disponible = redondear(corte.total_efectivo_neto);
+
+        if (monto > disponible) {
+          throw crearError(
+            `El gasto excede el efectivo disponible en el corte ($${disponible.toFixed(2)})`,
+            409
+          );
+        }
+
+        const idGasto = randomUUID();
+
+        await conn.execute(
+          `
+          INSERT INTO cortes_gastos (
+            id_gasto,
+            id_corte,
+            id_usuario,
+            concepto,
+            monto,
+            comprobante_ref,
+            autorizado_por,
+            status_gasto,
+            created_at
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, 'Activo', NOW())
+          `,
+          [idGasto, idCorte, idUsuario, concepto, monto, comprobanteRef, autorizadoPor]
+        );
+
+        await recalcularCorte(conn, idCorte);
+
+        return { id_gasto: idGasto, id_corte: idCorte };
+      });
+
+      logger.info("Gasto de caja registrado", {
+        ...gasto,
+        id_usuario: idUsuario,
+        autorizado_por: autorizadoPor,
+        monto
+      });
+
+      return res.json({ ok: true, ...gasto, concepto, monto });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // POST /cortes/gastos/cancelar  { id_gasto, motivo }
+  // Solo mientras el corte siga abierto.
+  // ============================================================
+  async function cancelarGastoHandler(req, res, next) {
+    try {
+      const idGasto = limpiar(req.body?.id_gasto);
+      const motivo = limpiar(req.body?.motivo);
+      const idUsuario = limpiar(req.usuario?.id_usuario);
+      const idPlantel = limpiar(req.usuario?.id_plantel);
+
+      if (!idGasto) {
+        throw crearError("id_gasto es requerido", 400);
+      }
+
+      if (!motivo) {
+        throw crearError("motivo es requerido", 400);
+      }
+
+      const idCorte = await executeInTransaction(async (conn) => {
+        const [[gasto]] = await conn.execute(
+          `
+          SELECT
+            g.id_corte,
+            g.status_gasto,
+            c.status_corte,
+            c.id_usuario AS cajero_corte,
+            c.id_plantel
+          FROM cortes_gastos g
+          JOIN cortes c
+            ON c.id_corte = g.id_corte
+          WHERE g.id_gasto = ?
+          FOR UPDATE
+          `,
+          [idGasto]
+        );
+
+        // Un gasto de otro plantel no existe para este usuario
+        if (!gasto || !idPlantel || limpiar(gasto.id_plantel) !== idPlantel) {
+          throw crearError("Gasto no encontrado", 404);
+        }
+
+        if (limpiar(gasto.cajero_corte) !== idUsuario) {
+          await validarAutorizador(conn, idUsuario);
+        }
+
+        if (gasto.status_gasto !== "Activo") {
+          throw crearError("El gasto ya está cancelado", 409);
+        }
+
+        if (gasto.status_corte === "Cerrado") {
+          throw crearError("El corte del gasto ya está cerrado", 409);
+        }
+
+        await conn.execute(
+          `
+          UPDATE cortes_gastos
+          SET status_gasto = 'Cancelado',
+              motivo_cancelacion = ?,
+              cancelado_por = ?,
+              cancelado_en = NOW()
+          WHERE id_gasto = ?
+          `,
+          [motivo, idUsuario, idGasto]
+        );
+
+        await recalcularCorte(conn, gasto.id_corte);
+
+        return gasto.id_corte;
+      });
+
+      logger.info("Gasto de caja cancelado", {
+        id_gasto: idGasto,
+        id_corte: idCorte,
+        cancelado_por: idUsuario,
+        motivo
+      });
+
+      return res.json({ ok: true, id_gasto: idGasto, id_corte: idCorte });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /cortes/:id_corte/gastos
+  // ============================================================
+  async function listarGastosHandler(req, res, next) {
+    try {
+      const idCorte = limpiar(req.params.id_corte);
+      const gastos = await listarGastos(idCorte);
+
+      const total = redondear(
+        gastos
+          .filter(g => g.status_gasto === "Activo")
+          .reduce((suma, g) => suma + Number(g.monto), 0)
+      );
+
+      return res.json({ ok: true, id_corte: idCorte, total, gastos });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    listarGastos,
+    registrarGastoHandler,
+    cancelarGastoHandler,
+    listarGastosHandler
+  };
+};
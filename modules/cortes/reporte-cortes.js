@@ -0,0 +1,438 @@
+// ============================================================================
+// REPORTE CONSOLIDADO DE CORTES
+// Suma los cortes de todos los cajeros de un plantel (o de todos) en un
+// rango de fechas: totales por forma de pago, gastos, recibos emitidos vs
+// cancelados, productos más vendidos y comparativo contra el periodo
+// anterior de la misma duración (o el mes anterior si se pide ?mes=).
+// ============================================================================
+
+const { leerFecha } = require("../conciliacion/archivos");
+
+const FECHA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MES_REGEX = /^\d{4}-\d{2}$/;
+
+const MAX_DIAS = 366;
+const TOP_PRODUCTOS = 10;
+
+const FORMAS_PAGO = ["Efectivo", "Tarjeta", "Transferencia"];
+
+const CAMPOS_TOTALES = [
+  "total_efectivo",
+  "total_tarjeta",
+  "total_transferencia",
+  "total",
+  "gastos_efectivo",
+  "total_efectivo_neto",
+  "diferencia_cierre"
+];
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+function redondear(valor) {
+  return Math.round(Number(valor || 0) * 100) / 100;
+}
+
+function aFecha(texto) {
+  const [year, month, day] = texto.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function aTexto(fecha) {
+  return fecha.toISOString().slice(0, 10);
+}
+
+function totalesVacios() {
+  return {
+    cortes: 0,
+    cortes_cerrados: 0,
+    ...Object.fromEntries(CAMPOS_TOTALES.map(campo => [campo, 0]))
+  };
+}
+
+function acumular(destino, fila) {
+  destino.cortes += Number(fila.cortes || 0);
+  destino.cortes_cerrados += Number(fila.cortes_cerrados || 0);
+
+  for (const campo of CAMPOS_TOTALES) {
+    destino[campo] = redondear(destino[campo] + Number(fila[campo] || 0));
+  }
+}
+
+function variacion(actual, anterior) {
+  return {
+    actual,
+    anterior,
+    variacion: redondear(actual - anterior),
+    variacion_pct: anterior
+      ? redondear(((actual - anterior) / Math.abs(anterior)) * 100)
+      : null
+  };
+}
+
+module.exports = function reporteCortesFactory({
+  pool,
+  logger,
+  generateReporteCortesPDF
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  // ?mes=YYYY-MM  |  ?desde=YYYY-MM-DD&hasta=YYYY-MM-DD  (+ ?id_plantel=)
+  function leerFiltros(query = {}) {
+    const idPlantel = query.id_plantel ? String(query.id_plantel).trim() : null;
+    const mes = query.mes ? String(query.mes).trim() : null;
+
+    let desde;
+    let hasta;
+    let anterior;
+
+    if (mes) {
+      if (!MES_REGEX.test(mes)) {
+        throw crearError("mes debe tener formato YYYY-MM", 400);
+      }
+
+      const [year, month] = mes.split("-").map(Number);
+
+      if (month < 1 || month > 12) {
+        throw crearError("mes inválido", 400);
+      }
+
+      desde = new Date(Date.UTC(year, month - 1, 1));
+      hasta = new Date(Date.UTC(year, month, 0));
+      anterior = {
+        desde: new Date(Date.UTC(year, month - 2, 1)),
+        hasta: new Date(Date.UTC(year, month - 1, 0))
+      };
+
+    } else {
+      const desdeTexto = String(query.desde || "").trim();
+      const hastaTexto = String(query.hasta || "").trim();
+
+      if (!FECHA_REGEX.test(desdeTexto) || !FECHA_REGEX.test(hastaTexto)) {
+        throw crearError("mes, o desde y hasta (YYYY-MM-DD), son requeridos", 400);
+      }
+
+      // Date.UTC recorre fechas inexistentes (2024-02-31 → 2024-03-02)
+      if (leerFecha(desdeTexto) !== desdeTexto || leerFecha(hastaTexto) !== hastaTexto) {
+        throw crearError("desde o hasta no es una fecha válida", 400);
+      }
+
+      desde = aFecha(desdeTexto);
+      hasta = aFecha(hastaTexto);
+
+      if (hasta < desde) {
+        throw crearError("hasta debe ser mayor o igual a desde", 400);
+      }
+
+      const dias = Math.round((hasta - desde) / DIA_MS) + 1;
+
+      anterior = {
+        desde: new Date(desde.getTime() - dias * DIA_MS),
+        hasta: new Date(desde.getTime() - DIA_MS)
+      };
+    }
+
+    const dias = Math.round((hasta - desde) / DIA_MS) + 1;
+
+    if (dias > MAX_DIAS) {
+      throw crearError(`El rango no puede exceder ${MAX_DIAS} días`, 400);
+    }
+
+    return {
+      id_plantel: idPlantel,
+      periodo: { desde: aTexto(desde), hasta: aTexto(hasta), dias },
+      periodo_anterior: {
+        desde: aTexto(anterior.desde),
+        hasta: aTexto(anterior.hasta),
+        dias: Math.round((anterior.hasta - anterior.desde) / DIA_MS) + 1
+      }
+    };
+  }
+
+  function filtroCortes(periodo, idPlantel) {
+    return {
+      sql: `DATE(c.fecha) BETWEEN ? AND ?${idPlantel ? " AND c.id_plantel = ?" : ""}`,
+      params: idPlantel
+        ? [periodo.desde, periodo.hasta, idPlantel]
+        : [periodo.desde, periodo.hasta]
+    };
+  }
+
+  // Totales de cortes agrupados por plantel y cajero
+  async function totalesPorCajero(periodo, idPlantel) {
+    const filtro = filtroCortes(periodo, idPlantel);
+
+    const [filas] = await pool.execute(
+      `
+      SELECT
+        c.id_plantel,
+        p.nombre_plantel,
+        c.id_usuario,
+        CONCAT_WS(' ', u.nombre, u.apellidos) AS usuario_nombre_completo,
+        COUNT(*) AS cortes,
+        SUM(c.status_corte = 'Cerrado') AS cortes_cerrados,
+        COALESCE(SUM(c.total_efectivo), 0) AS total_efectivo,
+        COALESCE(SUM(c.total_tarjeta), 0) AS total_tarjeta,
+        COALESCE(SUM(c.total_transferencia), 0) AS total_transferencia,
+        COALESCE(SUM(c.total), 0) AS total,
+        COALESCE(SUM(c.gastos_efectivo), 0) AS gastos_efectivo,
+        COALESCE(SUM(c.total_efectivo_neto), 0) AS total_efectivo_neto,
+        COALESCE(SUM(
+          cc.diferencia_efectivo + cc.diferencia_tarjeta + cc.diferencia_transferencia
+        ), 0) AS diferencia_cierre
+      FROM cortes c
+      JOIN planteles p
+        ON p.id_plantel = c.id_plantel
+      JOIN usuarios u
+        ON u.id_usuario = c.id_usuario
+      LEFT JOIN cortes_cierres cc
+        ON cc.id_corte = c.id_corte
+      WHERE ${filtro.sql}
+      GROUP BY c.id_plantel, p.nombre_plantel, c.id_usuario, u.nombre, u.apellidos
+      ORDER BY p.nombre_plantel, usuario_nombre_completo
+      `,
+      filtro.params
+    );
+
+    return filas;
+  }
+
+  // Emitidos vs cancelados por forma de pago (cantidad y monto)
+  async function matrizRecibos(periodo, idPlantel) {
+    const filtro = filtroCortes(periodo, idPlantel);
+
+    const [filas] = await pool.execute(
+      `
+      SELECT
+        r.status_recibo,
+        r.forma_pago,
+        COUNT(*) AS cantidad,
+        COALESCE(SUM(r.total_recibo), 0) AS monto
+      FROM recibos r
+      JOIN cortes c
+        ON c.id_corte = r.encorte
+      WHERE ${filtro.sql}
+        AND r.status_recibo IN ('Emitido', 'Cancelado')
+      GROUP BY r.status_recibo, r.forma_pago
+      `,
+      filtro.params
+    );
+
+    const fila = () => ({
+      ...Object.fromEntries(FORMAS_PAGO.map(forma => [forma, { cantidad: 0, monto: 0 }])),
+      total_fila: { cantidad: 0, monto: 0 }
+    });
+
+    const matriz = { Emitido: fila(), Cancelado: fila() };
+
+    for (const row of filas) {
+      const destino = matriz[row.status_recibo];
+      if (!destino) continue;
+
+      const cantidad = Number(row.cantidad || 0);
+      const monto = redondear(row.monto);
+
+      if (destino[row.forma_pago]) {
+        destino[row.forma_pago] = { cantidad, monto };
+      }
+
+      destino.total_fila.cantidad += cantidad;
+      destino.total_fila.monto = redondear(destino.total_fila.monto + monto);
+    }
+
+    return matriz;
+  }
+
+  async function topProductos(periodo, idPlantel) {
+    const filtro = filtroCortes(periodo, idPlantel);
+
+    const [filas] = await pool.execute(
+      `
+      SELECT
+        rd.id_producto,
+        COALESCE(MAX(p.nombre_producto), MAX(rd.descripcion)) AS nombre_producto,
+        COUNT(*) AS cantidad,
+        COALESCE(SUM(rd.precio_final), 0) AS monto
+      FROM recibos_detalle rd
+      JOIN recibos r
+        ON r.id_recibo = rd.id_recibo
+      JOIN cortes c
+        ON c.id_corte = r.encorte
+      LEFT JOIN productos p
+        ON p.id_producto = rd.id_producto
+      WHERE ${filtro.sql}
+        AND r.status_recibo = 'Emitido'
+        AND rd.status_detalle = 'Emitido'
+      GROUP BY rd.id_producto
+      ORDER BY monto DESC
+      LIMIT ${TOP_PRODUCTOS}
+      `,
+      filtro.params
+    );
+
+    return filas.map(f => ({
+      id_producto: f.id_producto,
+      nombre_producto: f.nombre_producto,
+      cantidad: Number(f.cantidad || 0),
+      monto: redondear(f.monto)
+    }));
+  }
+
+  async function obtenerReporte({ id_plantel, periodo, periodo_anterior }) {
+    const [cajeros, cajerosAnterior, recibos, recibosAnterior, productos] =
+      await Promise.all([
+        totalesPorCajero(periodo, id_plantel),
+        totalesPorCajero(periodo_anterior, id_plantel),
+        matrizRecibos(periodo, id_plantel),
+        matrizRecibos(periodo_anterior, id_plantel),
+        topProductos(periodo, id_plantel)
+      ]);
+
+    const totales = totalesVacios();
+    const totalesAnterior = totalesVacios();
+    const planteles = new Map();
+
+    for (const fila of cajeros) {
+      acumular(totales, fila);
+
+      if (!planteles.has(fila.id_plantel)) {
+        planteles.set(fila.id_plantel, {
+          id_plantel: fila.id_plantel,
+          nombre_plantel: fila.nombre_plantel,
+          totales: totalesVacios(),
+          cajeros: []
+        });
+      }
+
+      const plantel = planteles.get(fila.id_plantel);
+      const totalesCajero = totalesVacios();
+
+      acumular(plantel.totales, fila);
+      acumular(totalesCajero, fila);
+
+      plantel.cajeros.push({
+        id_usuario: fila.id_usuario,
+        usuario_nombre_completo: fila.usuario_nombre_completo,
+        totales: totalesCajero
+      });
+    }
+
+    for (const fila of cajerosAnterior) {
+      acumular(totalesAnterior, fila);
+    }
+
+    const comparativo = {
+      ...Object.fromEntries(
+        CAMPOS_TOTALES
+          .filter(campo => campo !== "diferencia_cierre")
+          .map(campo => [campo, variacion(totales[campo], totalesAnterior[campo])])
+      ),
+      recibos_emitidos: variacion(
+        recibos.Emitido.total_fila.cantidad,
+        recibosAnterior.Emitido.total_fila.cantidad
+      ),
+      recibos_cancelados: variacion(
+        recibos.Cancelado.total_fila.cantidad,
+        recibosAnterior.Cancelado.total_fila.cantidad
+      )
+    };
+
+    // Datos fiscales para el pie del PDF (solo con un plantel)
+    let plantelFiscal = null;
+
+    if (id_plantel) {
+      const [[row]] = await pool.execute(
+        `
+        SELECT id_plantel, nombre_plantel, razon_social, rfc, ubicacion
+        FROM planteles
+        WHERE id_plantel = ?
+        `,
+        [id_plantel]
+      );
+
+      if (!row) {
+        throw crearError("Plantel no encontrado", 404);
+      }
+
+      plantelFiscal = row;
+    }
+
+    return {
+      filtros: { id_plantel },
+      plantel: plantelFiscal,
+      periodo,
+      periodo_anterior,
+      totales,
+      totales_anterior: totalesAnterior,
+      comparativo,
+      recibos,
+      top_productos: productos,
+      planteles: [...planteles.values()],
+      generado_en: new Date().toISOString()
+    };
+  }
+
+  // ============================================================
+  // GET /reportes/cortes
+  // ============================================================
+  async function reporteCortesHandler(req, res, next) {
+    const startTime = Date.now();
+
+    try {
+      const reporte = await obtenerReporte(leerFiltros(req.query));
+
+      logger.info("Reporte consolidado de cortes consultado", {
+        id_plantel: reporte.filtros.id_plantel,
+        desde: reporte.periodo.desde,
+        hasta: reporte.periodo.hasta,
+        cortes: reporte.totales.cortes,
+        total: reporte.totales.total,
+        duration_ms: Date.now() - startTime
+      });
+
+      return res.json({ ok: true, ...reporte });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /reportes/cortes/pdf
+  // ============================================================
+  async function reporteCortesPdfHandler(req, res, next) {
+    try {
+      const reporte = await obtenerReporte(leerFiltros(req.query));
+      const pdfBuffer = await generateReporteCortesPDF(reporte);
+
+      logger.info("PDF de reporte consolidado de cortes generado", {
+        id_plantel: reporte.filtros.id_plantel,
+        desde: reporte.periodo.desde,
+        hasta: reporte.periodo.hasta,
+        buffer_size_kb: (pdfBuffer.length / 1024).toFixed(2)
+      });
+
+      res.set("Content-Type", "application/pdf");
+      res.set("Cache-Control", "no-store");
+      res.set(
+        "Content-Disposition",
+        `inline; filename="reporte-cortes-${reporte.periodo.desde}-${reporte.periodo.hasta}.pdf"`
+      );
+
+      return res.send(pdfBuffer);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    obtenerReporte,
+    reporteCortesHandler,
+    reporteCortesPdfHandler
+  };
+};
@@ -0,0 +1,171 @@
+// Construcción del XML CFDI 4.0 (tipo Ingreso) con complemento IEDU.
+// El sellado (Sello, NoCertificado, Certificado) lo realiza el PAC con el
+// CSD del emisor que tiene registrado; aquí solo se arma el comprobante.
+
+const FORMAS_PAGO_SAT = {
+  Efectivo: "01",
+  Transferencia: "03",
+  Tarjeta: "04"
+};
+
+const CLAVE_PROD_SERV_DEFAULT = "86121500";
+const CLAVE_UNIDAD_SERVICIO = "E48";
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function importe(valor) {
+  return (Math.round(Number(valor || 0) * 100) / 100).toFixed(2);
+}
+
+function atributos(obj) {
+  return Object.entries(obj)
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .map(([k, v]) => `${k}="${escapeXml(v)}"`)
+    .join(" ");
+}
+
+/**
+ * Convierte un detalle de recibo en concepto CFDI.
+ * ValorUnitario incluye recargos; Descuento agrupa beca + descuentos,
+ * de modo que Importe - Descuento = precio_final del detalle.
+ */
+function conceptoDesdeDetalle(detalle) {
+  const precioFinal = Number(detalle.precio_final || 0);
+  const ajuste = Number(detalle.monto_ajuste || 0);
+
+  const bruto =
+    Number(detalle.precio_base || 0) +
+    Number(detalle.recargo || 0) +
+    (ajuste > 0 ? ajuste : 0);
+
+  const valorUnitario = Math.max(bruto, precioFinal);
+
+  return {
+    clave_prod_serv: detalle.clave_prod_serv || CLAVE_PROD_SERV_DEFAULT,
+    no_identificacion: detalle.id_producto,
+    descripcion: detalle.descripcion || detalle.nombre_producto || detalle.id_producto,
+    valor_unitario: valorUnitario,
+    descuento: valorUnitario - precioFinal,
+    precio_final: precioFinal,
+    es_colegiatura: detalle.frecuencia_producto === "Mensual"
+  };
+}
+
+function construirCfdiIngreso({
+  serie,
+  folio,
+  fecha,
+  formaPago,
+  lugarExpedicion,
+  emisor,
+  receptor,
+  conceptos,
+  iedu
+}) {
+  if (!conceptos || conceptos.length === 0) {
+    throw new Error("El CFDI requiere al menos un concepto");
+  }
+
+  const subtotal = conceptos.reduce((acc, c) => acc + Number(importe(c.valor_unitario)), 0);
+  const descuento = conceptos.reduce((acc, c) => acc + Number(importe(c.descuento)), 0);
+  const total = subtotal - descuento;
+  const usaIedu = conceptos.some(c => c.es_colegiatura) && iedu;
+
+  const schemaLocation = [
+    "http://www.sat.gob.mx/cfd/4 http://www.sat.gob.mx/sitio_internet/cfd/4/cfdv40.xsd",
+    ...(usaIedu
+      ? ["http://www.sat.gob.mx/iedu http://www.sat.gob.mx/sitio_internet/cfd/iedu/iedu.xsd"]
+      : [])
+  ].join(" ");
+
+  const conceptosXml = conceptos.map(c => {
+    const base = importe(Number(c.valor_unitario) - Number(c.descuento));
+
+    const complemento = c.es_colegiatura && iedu
+      ? `
+      <cfdi:ComplementoConcepto>
+        <iedu:instEducativas ${atributos({
+          version: "1.0",
+          nombreAlumno: iedu.nombre_alumno,
+          CURP: iedu.curp,
+          nivelEducativo: iedu.nivel_educativo,
+          autRVOE: iedu.aut_rvoe,
+          rfcPago: iedu.rfc_pago
+        })}/>
+      </cfdi:ComplementoConcepto>`
+      : "";
+
+    return `
+    <cfdi:Concepto ${atributos({
+      ClaveProdServ: c.clave_prod_serv,
+      NoIdentificacion: c.no_identificacion,
+      Cantidad: "1",
+      ClaveUnidad: CLAVE_UNIDAD_SERVICIO,
+      Descripcion: c.descripcion,
+      ValorUnitario: importe(c.valor_unitario),
+      Importe: importe(c.valor_unitario),
+      Descuento: Number(c.descuento) > 0 ? importe(c.descuento) : null,
+      ObjetoImp: "02"
+    })}>
+      <cfdi:Impuestos>
+        <cfdi:Traslados>
+          <cfdi:Traslado Base="${base}" Impuesto="002" TipoFactor="Exento"/>
+        </cfdi:Traslados>
+      </cfdi:Impuestos>${complemento}
+    </cfdi:Concepto>`;
+  }).join("");
+
+  const baseExenta = importe(total);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<cfdi:Comprobante xmlns:cfdi="http://www.sat.gob.mx/cfd/4" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"${usaIedu ? ' xmlns:iedu="http://www.sat.gob.mx/iedu"' : ""} xsi:schemaLocation="${schemaLocation}" ${atributos({
+    Version: "4.0",
+    Serie: serie,
+    Folio: folio,
+    Fecha: fecha,
+    FormaPago: FORMAS_PAGO_SAT[formaPago] || "99",
+    SubTotal: importe(subtotal),
+    Descuento: descuento > 0 ? importe(descuento) : null,
+    Moneda: "MXN",
+    Total: importe(total),
+    TipoDeComprobante: "I",
+    Exportacion: "01",
+    MetodoPago: "PUE",
+    LugarExpedicion: lugarExpedicion
+  })}>
+  <cfdi:Emisor ${atributos({
+    Rfc: emisor.rfc,
+    Nombre: emisor.nombre,
+    RegimenFiscal: emisor.regimen_fiscal
+  })}/>
+  <cfdi:Receptor ${atributos({
+    Rfc: receptor.rfc,
+    Nombre: receptor.nombre,
+    DomicilioFiscalReceptor: receptor.codigo_postal,
+    RegimenFiscalReceptor: receptor.regimen_fiscal,
+    UsoCFDI: receptor.uso_cfdi || "D10"
+  })}/>
+  <cfdi:Conceptos>${conceptosXml}
+  </cfdi:Conceptos>
+  <cfdi:Impuestos>
+    <cfdi:Traslados>
+      <cfdi:Traslado Base="${baseExenta}" Impuesto="002" TipoFactor="Exento"/>
+    </cfdi:Traslados>
+  </cfdi:Impuestos>
+</cfdi:Comprobante>
+`;
+}
+
+module.exports = {
+  construirCfdiIngreso,
+  conceptoDesdeDetalle,
+  escapeXml,
+  FORMAS_PAGO_SAT
+};
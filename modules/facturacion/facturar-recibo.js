@@ -0,0 +1,804 @@
+const { randomUUID } = require("crypto");
+const {
+  construirCfdiIngreso,
+  conceptoDesdeDetalle
+} = require("./cfdi-xml");
+
+const RFC_REGEX = /^[A-ZÑ&]{3,4}\d{6}[A-Z0-9]{3}$/;
+const CURP_REGEX = /^[A-Z]{4}\d{6}[HM][A-Z]{5}[A-Z0-9]\d$/;
+const CP_REGEX = /^\d{5}$/;
+const REGIMEN_REGEX = /^\d{3}$/;
+
+// Minutos tras los cuales una factura Pendiente se considera interrumpida
+const PENDIENTE_VENCIDA_MIN = 10;
+
+const NIVELES_IEDU = [
+  "Preescolar",
+  "Primaria",
+  "Secundaria",
+  "Profesional técnico",
+  "Bachillerato o su equivalente"
+];
+
+module.exports = function facturarReciboFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  pac
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(
+      message.startsWith("Facturación:")
+        ? message
+        : `Facturación: ${message}`
+    );
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function limpiar(valor) {
+    return String(valor ?? "").trim();
+  }
+
+  // Sin PAC_PROVIDER la facturación está apagada: /facturacion/* responde
+  // 503 y la cancelación de recibos no intenta cancelar CFDI.
+  function requiereFacturacion(req, res, next) {
+    if (!pac) {
+      return next(crearError("La facturación no está habilitada en este servicio", 503));
+    }
+
+    next();
+  }
+
+  // ============================================================
+  // DATOS FISCALES DEL RECEPTOR (tutor que factura por el alumno)
+  // ============================================================
+  async function guardarDatosFiscalesHandler(req, res, next) {
+    try {
+      const datos = {
+        id_alumno: limpiar(req.body?.id_alumno),
+        rfc: limpiar(req.body?.rfc).toUpperCase(),
+        nombre: limpiar(req.body?.nombre).toUpperCase(),
+        regimen_fiscal: limpiar(req.body?.regimen_fiscal),
+        codigo_postal: limpiar(req.body?.codigo_postal),
+        uso_cfdi: limpiar(req.body?.uso_cfdi || "D10").toUpperCase(),
+        correo: limpiar(req.body?.correo).toLowerCase() || null,
+        curp_alumno: limpiar(req.body?.curp_alumno).toUpperCase(),
+        nivel_educativo: limpiar(req.body?.nivel_educativo)
+      };
+
+      if (!datos.id_alumno) {
+        throw crearError("id_alumno es requerido", 400);
+      }
+
+      if (!RFC_REGEX.test(datos.rfc)) {
+        throw crearError("RFC inválido", 400);
+      }
+
+      if (!datos.nombre || datos.nombre.length > 254) {
+        throw crearError("El nombre o razón social es requerido", 400);
+      }
+
+      if (!REGIMEN_REGEX.test(datos.regimen_fiscal)) {
+        throw crearError("Régimen fiscal inválido (clave SAT de 3 dígitos)", 400);
+      }
+
+      if (!CP_REGEX.test(datos.codigo_postal)) {
+        throw crearError("Código postal fiscal inválido", 400);
+      }
+
+      if (!CURP_REGEX.test(datos.curp_alumno)) {
+        throw crearError("CURP del alumno inválida", 400);
+      }
+
+      if (!NIVELES_IEDU.includes(datos.nivel_educativo)) {
+        throw crearError(
+          `nivel_educativo debe ser uno de: ${NIVELES_IEDU.join(", ")}`,
+          400
+        );
+      }
+
+      const [[alumno]] = await pool.execute(
+        `SELECT id_alumno FROM alumnos WHERE id_alumno = ?`,
+        [datos.id_alumno]
+      );
+
+      if (!alumno) {
+        throw crearError("Alumno no encontrado", 404);
+      }
+
+      await pool.execute(
+        `
+        INSERT INTO datos_fiscales (
+          id_dato_fiscal,
+          id_alumno,
+          rfc,
+          nombre,
+          regimen_fiscal,
+          codigo_postal,
+          uso_cfdi,
+          correo,
+          curp_alumno,
+          nivel_educativo,
+          status
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'Activo')
+        ON DUPLICATE KEY UPDATE
+          rfc = VALUES(rfc),
+          nombre = VALUES(nombre),
+          regimen_fiscal = VALUES(regimen_fiscal),
+          codigo_postal = VALUES(codigo_postal),
+          uso_cfdi = VALUES(uso_cfdi),
+          correo = VALUES(correo),
+          curp_alumno = VALUES(curp_alumno),
+          nivel_educativo = VALUES(nivel_educativo),
+          status = 'Activo',
+          updated_at = NOW()
+        `,
+        [
+          randomUUID(),
+          datos.id_alumno,
+          datos.rfc,
+          datos.nombre,
+          datos.regimen_fiscal,
+          datos.codigo_postal,
+          datos.uso_cfdi,
+          datos.correo,
+          datos.curp_alumno,
+          datos.nivel_educativo
+        ]
+      );
+
+      logger.info("Datos fiscales guardados", {
+        id_alumno: datos.id_alumno,
+        rfc: datos.rfc
+      });
+
+      return res.json({ ok: true, datos_fiscales: datos });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async function obtenerDatosFiscalesHandler(req, res, next) {
+    try {
+      const idAlumno = limpiar(req.params.id_alumno);
+
+      const [[datos]] = await pool.execute(
+        `
+        SELECT *
+        FROM datos_fiscales
+        WHERE id_alumno = ?
+          AND status = 'Activo'
+        `,
+        [idAlumno]
+      );
+
+      if (!datos) {
+        throw crearError("El alumno no tiene datos fiscales registrados", 404);
+      }
+
+      return res.json({ ok: true, datos_fiscales: datos });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // EMITIR CFDI DE UN RECIBO
+  // ============================================================
+  async function prepararFactura(idRecibo, idUsuario) {
+    return executeInTransaction(async (conn) => {
+
+      const [[recibo]] = await conn.execute(
+        `
+        SELECT
+          r.*,
+          CONCAT_WS(' ',
+            a.nombre,
+            a.apellido_paterno,
+            a.apellido_materno
+          ) AS alumno_nombre,
+          p.razon_social,
+          p.rfc AS plantel_rfc,
+          p.regimen_fiscal AS plantel_regimen_fiscal,
+          p.codigo_postal AS plantel_codigo_postal,
+          p.rvoe AS plantel_rvoe
+        FROM recibos r
+        JOIN alumnos a
+          ON a.id_alumno = r.id_alumno
+        JOIN planteles p
+          ON p.id_plantel = r.id_plantel
+        WHERE r.id_recibo = ?
+        FOR UPDATE
+        `,
+        [idRecibo]
+      );
+
+      if (!recibo) {
+        throw crearError("Recibo no encontrado", 404);
+      }
+
+      if (recibo.status_recibo !== "Emitido") {
+        throw crearError("Solo se pueden facturar recibos emitidos", 409);
+      }
+
+      if (
+        !recibo.plantel_rfc ||
+        !recibo.razon_social ||
+        !recibo.plantel_regimen_fiscal ||
+        !recibo.plantel_codigo_postal
+      ) {
+        throw crearError(
+          "El plantel no tiene datos fiscales completos (RFC, razón social, régimen, CP)",
+          409
+        );
+      }
+
+      const [[facturaExistente]] = await conn.execute(
+        `
+        SELECT
+          *,
+          created_at < NOW() - INTERVAL ${PENDIENTE_VENCIDA_MIN} MINUTE AS pendiente_vencida
+        FROM facturas
+        WHERE id_recibo = ?
+          AND status_factura IN ('Timbrada', 'Pendiente')
+        LIMIT 1
+        FOR UPDATE
+        `,
+        [idRecibo]
+      );
+
+      if (facturaExistente?.status_factura === "Timbrada") {
+        return { duplicado: true, factura: facturaExistente };
+      }
+
+      // Un timbrado interrumpido (caída entre el PAC y el UPDATE) no debe
+      // bloquear el recibo para siempre: pasado el plazo se concilia con
+      // el PAC fuera de la transacción (ver conciliarPendienteVencida).
+      if (facturaExistente && Number(facturaExistente.pendiente_vencida) !== 1) {
+        throw crearError("El recibo tiene una factura en proceso de timbrado", 409);
+      }
+
+      if (facturaExistente) {
+        return { vencida: facturaExistente };
+      }
+
+      const [[receptor]] = await conn.execute(
+        `
+        SELECT *
+        FROM datos_fiscales
+        WHERE id_alumno = ?
+          AND status = 'Activo'
+        `,
+        [recibo.id_alumno]
+      );
+
+      if (!receptor) {
+        throw crearError("El alumno no tiene datos fiscales registrados", 409);
+      }
+
+      const [detalles] = await conn.execute(
+        `
+        SELECT
+          rd.*,
+          p.clave_prod_serv
+        FROM recibos_detalle rd
+        LEFT JOIN productos p
+          ON p.id_producto = rd.id_producto
+        WHERE rd.id_recibo = ?
+          AND rd.status_detalle = 'Emitido'
+          AND rd.precio_final > 0
+        `,
+        [idRecibo]
+      );
+
+      if (!recibo.folio_completo) {
+        throw crearError("El recibo no tiene folio asignado", 409);
+      }
+
+      if (detalles.length === 0) {
+        throw crearError("El recibo no tiene conceptos con importe para facturar", 409);
+      }
+
+      // Pagos mixtos: el SAT pide la forma de pago con la que se liquidó el mayor importe
+      const [[pagoPrincipal]] = await conn.execute(
+        `
+        SELECT forma_pago
+        FROM recibos_pagos
+        WHERE id_recibo = ?
+          AND status_pago = 'Aplicado'
+        GROUP BY forma_pago
+        ORDER BY SUM(monto) DESC
+        LIMIT 1
+        `,
+        [idRecibo]
+      );
+
+      const [[ahora]] = await conn.execute(
+        `SELECT DATE_FORMAT(NOW(), '%Y-%m-%dT%H:%i:%s') AS fecha`
+      );
+
+      const xml = construirCfdiIngreso({
+        serie: "REC",
+        folio: recibo.folio_completo,
+        fecha: ahora.fecha,
+        formaPago: pagoPrincipal?.forma_pago || recibo.forma_pago,
+        lugarExpedicion: recibo.plantel_codigo_postal,
+        emisor: {
+          rfc: recibo.plantel_rfc,
+          nombre: recibo.razon_social,
+          regimen_fiscal: recibo.plantel_regimen_fiscal
+        },
+        receptor: {
+          rfc: receptor.rfc,
+          nombre: receptor.nombre,
+          codigo_postal: receptor.codigo_postal,
+          regimen_fiscal: receptor.regimen_fiscal,
+          uso_cfdi: receptor.uso_cfdi
+        },
+        conceptos: detalles.map(conceptoDesdeDetalle),
+        iedu: {
+          nombre_alumno: recibo.alumno_nombre,
+          curp: receptor.curp_alumno,
+          nivel_educativo: receptor.nivel_educativo,
+          aut_rvoe: recibo.plantel_rvoe
+        }
+      });
+
+      const idFactura = randomUUID();
+
+      await conn.execute(
+        `
+        INSERT INTO facturas (
+          id_factura,
+          id_recibo,
+          rfc_receptor,
+          total,
+          status_factura,
+          xml_generado,
+          id_usuario,
+          created_at
+        )
+        VALUES (?, ?, ?, ?, 'Pendiente', ?, ?, NOW())
+        `,
+        [
+          idFactura,
+          idRecibo,
+          receptor.rfc,
+          Number(recibo.total_recibo),
+          xml,
+          idUsuario || null
+        ]
+      );
+
+      return {
+        duplicado: false,
+        id_factura: idFactura,
+        xml,
+        rfc_emisor: recibo.plantel_rfc
+      };
+    });
+  }
+
+  // Guarda el timbre con el recibo bloqueado y devuelve su estatus: si
+  // /cancelar-recibo corrió mientras el PAC timbraba, no vio la factura
+  // (seguía Pendiente) y quien la timbró debe cancelarla.
+  async function registrarTimbre(idRecibo, idFactura, timbre) {
+    return executeInTransaction(async (conn) => {
+      const [[recibo]] = await conn.execute(
+        `
+        SELECT status_recibo
+        FROM recibos
+        WHERE id_recibo = ?
+        FOR UPDATE
+        `,
+        [idRecibo]
+      );
+
+      await conn.execute(
+        `
+        UPDATE facturas
+        SET
+          status_factura = 'Timbrada',
+          uuid_fiscal = ?,
+          xml_timbrado = ?,
+          fecha_timbrado = ?,
+          error_message = NULL
+        WHERE id_factura = ?
+        `,
+        [
+          timbre.uuid,
+          timbre.xml_timbrado,
+          timbre.fecha_timbrado,
+          idFactura
+        ]
+      );
+
+      return recibo?.status_recibo || null;
+    });
+  }
+
+  // Antes de volver a timbrar una factura Pendiente vencida se pregunta al
+  // PAC si el primer intento sí se timbró; así no se duplican CFDI.
+  // Devuelve el timbre recuperado o null si se marcó Error.
+  async function conciliarPendienteVencida(factura) {
+    const timbre = await pac.consultar(factura.xml_generado);
+
+    if (timbre) {
+      logger.warn("Factura Pendiente vencida ya timbrada por el PAC", {
+        id_recibo: factura.id_recibo,
+        id_factura: factura.id_factura,
+        uuid: timbre.uuid
+      });
+
+      return timbre;
+    }
+
+    await pool.execute(
+      `
+      UPDATE facturas
+      SET
+        status_factura = 'Error',
+        error_message = 'Timbrado interrumpido; se reintentó'
+      WHERE id_factura = ?
+        AND status_factura = 'Pendiente'
+      `,
+      [factura.id_factura]
+    );
+
+    logger.warn("Factura Pendiente vencida marcada como Error", {
+      id_recibo: factura.id_recibo,
+      id_factura: factura.id_factura
+    });
+
+    return null;
+  }
+
+  // Cancela el CFDI recién timbrado de un recibo que se canceló en paralelo
+  async function cancelarTimbradoTardio(idRecibo, idFactura) {
+    try {
+      const resultado = await cancelarFacturaRecibo(idRecibo);
+
+      logger.warn("CFDI timbrado para un recibo cancelado; se canceló", {
+        id_recibo: idRecibo,
+        id_factura: idFactura,
+        status: resultado.status
+      });
+
+      return resultado.aplica ? resultado.status : null;
+    } catch (error) {
+      logger.error("CFDI timbrado para un recibo cancelado; no se pudo cancelar", {
+        id_recibo: idRecibo,
+        id_factura: idFactura,
+        error: error.message
+      });
+
+      return null;
+    }
+  }
+
+  async function facturarReciboHandler(req, res, next) {
+    const startTime = Date.now();
+    const idRecibo = limpiar(req.body?.id_recibo);
+    const idUsuario = limpiar(req.body?.id_usuario) || null;
+
+    try {
+      if (!idRecibo) {
+        throw crearError("id_recibo es requerido", 400);
+      }
+
+      let preparada = await prepararFactura(idRecibo, idUsuario);
+      let timbre = null;
+
+      if (preparada.vencida) {
+        const vencida = preparada.vencida;
+
+        timbre = await conciliarPendienteVencida(vencida);
+
+        preparada = timbre
+          ? { duplicado: false, id_factura: vencida.id_factura }
+          : await prepararFactura(idRecibo, idUsuario);
+
+        if (preparada.vencida) {
+          throw crearError("El recibo tiene una factura en proceso de timbrado", 409);
+        }
+      }
+
+      if (preparada.duplicado) {
+        return res.json({
+          ok: true,
+          duplicado: true,
+          id_factura: preparada.factura.id_factura,
+          uuid: preparada.factura.uuid_fiscal,
+          status_factura: preparada.factura.status_factura
+        });
+      }
+
+      if (!timbre) {
+        try {
+          timbre = await pac.timbrar(preparada.xml);
+        } catch (pacError) {
+          await pool.execute(
+            `
+            UPDATE facturas
+            SET
+              status_factura = 'Error',
+              error_message = ?
+            WHERE id_factura = ?
+            `,
+            [String(pacError.message).substring(0, 255), preparada.id_factura]
+          );
+
+          throw pacError.statusCode
+            ? pacError
+            : crearError(`No se pudo timbrar: ${pacError.message}`, 502);
+        }
+      }
+
+      const statusRecibo = await registrarTimbre(
+        idRecibo,
+        preparada.id_factura,
+        timbre
+      );
+
+      if (statusRecibo === "Cancelado") {
+        const statusFactura = await cancelarTimbradoTardio(idRecibo, preparada.id_factura);
+
+        throw crearError(
+          statusFactura
+            ? `El recibo se canceló durante el timbrado; el CFDI quedó ${statusFactura}`
+            : "El recibo se canceló durante el timbrado; cancela el CFDI en /facturacion/facturas/:id_recibo/cancelar",
+          409
+        );
+      }
+
+      logger.info("Recibo facturado", {
+        id_recibo: idRecibo,
+        id_factura: preparada.id_factura,
+        uuid: timbre.uuid,
+        pac: pac.nombre,
+        duration_ms: Date.now() - startTime
+      });
+
+      return res.json({
+        ok: true,
+        id_factura: preparada.id_factura,
+        uuid: timbre.uuid,
+        status_factura: "Timbrada",
+        fecha_timbrado: timbre.fecha_timbrado,
+        duration_ms: Date.now() - startTime
+      });
+
+    } catch (error) {
+      logger.error("Error al facturar recibo", {
+        id_recibo: idRecibo,
+        error: error.message
+      });
+
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // CANCELACIÓN (sincronizada con /cancelar-recibo)
+  // Solo se marca Cancelada cuando el PAC lo confirma. "En proceso"
+  // (el receptor debe aceptar) queda en CancelacionEnProceso; un rechazo
+  // o una falla deja la factura Timbrada con error_message. En ambos casos
+  // se reintenta con POST /facturacion/facturas/:id_recibo/cancelar.
+  // ============================================================
+  function mapearStatusCancelacion(statusPac) {
+    const status = limpiar(statusPac).toLowerCase();
+
+    if (status.startsWith("cancelad")) return "Cancelada";
+    if (status.includes("proceso") || status.includes("pendiente")) return "CancelacionEnProceso";
+
+    return "Rechazada";
+  }
+
+  async function cancelarFacturaRecibo(idRecibo, motivo = "02") {
+    if (!pac) {
+      return { aplica: false };
+    }
+
+    const [[factura]] = await pool.execute(
+      `
+      SELECT
+        f.id_factura,
+        f.uuid_fiscal,
+        f.total,
+        p.rfc AS rfc_emisor
+      FROM facturas f
+      JOIN recibos r
+        ON r.id_recibo = f.id_recibo
+      JOIN planteles p
+        ON p.id_plantel = r.id_plantel
+      WHERE f.id_recibo = ?
+        AND f.status_factura IN ('Timbrada', 'CancelacionEnProceso')
+      LIMIT 1
+      `,
+      [idRecibo]
+    );
+
+    if (!factura) {
+      return { aplica: false };
+    }
+
+    let resultado;
+
+    try {
+      resultado = await pac.cancelar({
+        uuid: factura.uuid_fiscal,
+        rfc_emisor: factura.rfc_emisor,
+        total: Number(factura.total),
+        motivo
+      });
+    } catch (pacError) {
+      await pool.execute(
+        `
+        UPDATE facturas
+        SET error_message = ?
+        WHERE id_factura = ?
+        `,
+        [`Cancelación: ${pacError.message}`.substring(0, 255), factura.id_factura]
+      );
+
+      throw pacError;
+    }
+
+    const status = mapearStatusCancelacion(resultado.status);
+
+    if (status === "Rechazada") {
+      await pool.execute(
+        `
+        UPDATE facturas
+        SET
+          status_factura = 'Timbrada',
+          error_message = ?
+        WHERE id_factura = ?
+        `,
+        [
+          `Cancelación rechazada por el PAC: ${resultado.status || "sin estatus"}`.substring(0, 255),
+          factura.id_factura
+        ]
+      );
+    } else {
+      await pool.execute(
+        `
+        UPDATE facturas
+        SET
+          status_factura = ?,
+          motivo_cancelacion = ?,
+          acuse_cancelacion = ?,
+          fecha_cancelacion = ${status === "Cancelada" ? "NOW()" : "NULL"},
+          error_message = NULL
+        WHERE id_factura = ?
+        `,
+        [status, motivo, resultado.acuse, factura.id_factura]
+      );
+    }
+
+    logger.info("Cancelación de factura procesada", {
+      id_recibo: idRecibo,
+      id_factura: factura.id_factura,
+      uuid: factura.uuid_fiscal,
+      status,
+      status_pac: resultado.status
+    });
+
+    return {
+      aplica: true,
+      id_factura: factura.id_factura,
+      uuid: factura.uuid_fiscal,
+      status,
+      status_pac: resultado.status || null
+    };
+  }
+
+  // POST /facturacion/facturas/:id_recibo/cancelar
+  // Reintenta o consulta la cancelación de la factura de un recibo cancelado.
+  async function cancelarFacturaHandler(req, res, next) {
+    try {
+      const idRecibo = limpiar(req.params.id_recibo);
+
+      const [[recibo]] = await pool.execute(
+        `
+        SELECT status_recibo
+        FROM recibos
+        WHERE id_recibo = ?
+        `,
+        [idRecibo]
+      );
+
+      if (!recibo) {
+        throw crearError("Recibo no encontrado", 404);
+      }
+
+      if (recibo.status_recibo !== "Cancelado") {
+        throw crearError("Solo se cancelan facturas de recibos cancelados", 409);
+      }
+
+      // Un timbrado que quedó Pendiente al cancelar el recibo pudo haberse
+      // completado en el PAC: se recupera para poder cancelarlo.
+      const [[vencida]] = await pool.execute(
+        `
+        SELECT id_factura, id_recibo, xml_generado
+        FROM facturas
+        WHERE id_recibo = ?
+          AND status_factura = 'Pendiente'
+          AND created_at < NOW() - INTERVAL ${PENDIENTE_VENCIDA_MIN} MINUTE
+        LIMIT 1
+        `,
+        [idRecibo]
+      );
+
+      if (vencida) {
+        const timbre = await conciliarPendienteVencida(vencida);
+
+        if (timbre) {
+          await registrarTimbre(idRecibo, vencida.id_factura, timbre);
+        }
+      }
+
+      const resultado = await cancelarFacturaRecibo(idRecibo);
+
+      if (!resultado.aplica) {
+        throw crearError("El recibo no tiene factura pendiente de cancelar", 404);
+      }
+
+      return res.json({ ok: true, id_recibo: idRecibo, ...resultado });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // DESCARGA DEL XML TIMBRADO
+  // ============================================================
+  async function descargarXmlHandler(req, res, next) {
+    try {
+      const idRecibo = limpiar(req.params.id_recibo);
+
+      const [[factura]] = await pool.execute(
+        `
+        SELECT uuid_fiscal, xml_timbrado
+        FROM facturas
+        WHERE id_recibo = ?
+          AND status_factura IN ('Timbrada', 'CancelacionEnProceso', 'Cancelada')
+        ORDER BY fecha_timbrado DESC
+        LIMIT 1
+        `,
+        [idRecibo]
+      );
+
+      if (!factura?.xml_timbrado) {
+        throw crearError("El recibo no tiene factura timbrada", 404);
+      }
+
+      res.set("Content-Type", "application/xml; charset=utf-8");
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="${factura.uuid_fiscal}.xml"`
+      );
+
+      return res.send(factura.xml_timbrado);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    requiereFacturacion,
+    guardarDatosFiscalesHandler,
+    obtenerDatosFiscalesHandler,
+    facturarReciboHandler,
+    cancelarFacturaRecibo,
+    cancelarFacturaHandler,
+    descargarXmlHandler
+  };
+};
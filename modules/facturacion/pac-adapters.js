@@ -0,0 +1,203 @@
+const { randomUUID, createHash } = require("crypto");
+
+// ============================================================
+// ADAPTADORES PAC
+//
+// Todos exponen la misma interfaz:
+//   timbrar(xml)  -> { uuid, xml_timbrado, fecha_timbrado }
+//   consultar(xml) -> { uuid, xml_timbrado, fecha_timbrado } | null
+//                 (timbre previo del mismo XML, si el PAC lo timbró)
+//   cancelar({ uuid, rfc_emisor, total, motivo, folio_sustitucion })
+//                 -> { status, acuse }
+// ============================================================
+
+function crearError(message, statusCode = 502) {
+  const error = new Error(`PAC: ${message}`);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Adaptador local: simula el timbrado para pruebas y desarrollo.
+// Agrega un TimbreFiscalDigital con datos ficticios (sin validez fiscal).
+function crearPacFake({ logger }) {
+  // Timbres emitidos por este proceso, por hash del XML
+  const timbrados = new Map();
+
+  function huella(xml) {
+    return createHash("sha256").update(xml).digest("hex");
+  }
+
+  return {
+    nombre: "fake",
+
+    async timbrar(xml) {
+      const previo = timbrados.get(huella(xml));
+
+      if (previo) return previo;
+
+      const uuid = randomUUID().toUpperCase();
+      const fechaTimbrado = new Date().toISOString().slice(0, 19);
+
+      const timbre =
+        `  <cfdi:Complemento>\n` +
+        `    <tfd:TimbreFiscalDigital xmlns:tfd="http://www.sat.gob.mx/TimbreFiscalDigital" ` +
+        `Version="1.1" UUID="${uuid}" FechaTimbrado="${fechaTimbrado}" ` +
+        `RfcProvCertif="AAA010101AAA" SelloCFD="FAKE" NoCertificadoSAT="00000000000000000000" SelloSAT="FAKE"/>\n` +
+        `  </cfdi:Complemento>\n`;
+
+      const xmlTimbrado = xml.replace(
+        "</cfdi:Comprobante>",
+        `${timbre}</cfdi:Comprobante>`
+      );
+
+      logger.info("PAC fake: CFDI timbrado", { uuid });
+
+      const resultado = {
+        uuid,
+        xml_timbrado: xmlTimbrado,
+        fecha_timbrado: fechaTimbrado.replace("T", " ")
+      };
+
+      timbrados.set(huella(xml), resultado);
+
+      return resultado;
+    },
+
+    async consultar(xml) {
+      return timbrados.get(huella(xml)) || null;
+    },
+
+    async cancelar({ uuid, motivo }) {
+      logger.info("PAC fake: CFDI cancelado", { uuid, motivo });
+
+      return {
+        status: "Cancelado",
+        acuse: `<Acuse UUID="${uuid}" Motivo="${motivo}" EstatusUUID="201"/>`
+      };
+    }
+  };
+}
+
+// Adaptador genérico para PACs con API REST JSON.
+// POST {url}/timbrar  { xml }                 -> { uuid, xml, fecha_timbrado }
+// POST {url}/consultar { xml }                -> { uuid, xml, fecha_timbrado } | { uuid: null }
+// POST {url}/cancelar { uuid, rfc, motivo... } -> { status, acuse }
+function crearPacHttp({ url, usuario, password, logger }) {
+  if (!url) {
+    throw new Error("PAC_URL es requerido para el adaptador http");
+  }
+
+  const authorization =
+    "Basic " + Buffer.from(`${usuario || ""}:${password || ""}`).toString("base64");
+
+  async function post(ruta, body) {
+    const response = await fetch(`${url.replace(/\/$/, "")}${ruta}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: authorization
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(30000)
+    });
+
+    let data = null;
+
+    try {
+      data = await response.json();
+    } catch {
+      throw crearError(`Respuesta no válida (HTTP ${response.status})`);
+    }
+
+    if (!response.ok) {
+      throw crearError(
+        data?.error || data?.message || `Error HTTP ${response.status}`,
+        response.status >= 500 ? 502 : 422
+      );
+    }
+
+    return data;
+  }
+
+  return {
+    nombre: "http",
+
+    async timbrar(xml) {
+      const data = await post("/timbrar", { xml });
+
+      if (!data.uuid || !data.xml) {
+        throw crearError("La respuesta de timbrado no contiene UUID o XML");
+      }
+
+      logger.info("PAC http: CFDI timbrado", { uuid: data.uuid });
+
+      return {
+        uuid: data.uuid,
+        xml_timbrado: data.xml,
+        fecha_timbrado: data.fecha_timbrado || null
+      };
+    },
+
+    async consultar(xml) {
+      const data = await post("/consultar", { xml });
+
+      if (!data.uuid) return null;
+
+      if (!data.xml) {
+        throw crearError("La respuesta de consulta no contiene el XML timbrado");
+      }
+
+      return {
+        uuid: data.uuid,
+        xml_timbrado: data.xml,
+        fecha_timbrado: data.fecha_timbrado || null
+      };
+    },
+
+    async cancelar({ uuid, rfc_emisor, total, motivo, folio_sustitucion }) {
+      const data = await post("/cancelar", {
+        uuid,
+        rfc: rfc_emisor,
+        total,
+        motivo,
+        folio_sustitucion: folio_sustitucion || null
+      });
+
+      logger.info("PAC http: solicitud de cancelación enviada", {
+        uuid,
+        status: data.status
+      });
+
+      // Sin estatus no se asume cancelada (ver mapearStatusCancelacion)
+      return {
+        status: data.status || null,
+        acuse: data.acuse || null
+      };
+    }
+  };
+}
+
+// El proveedor se elige explícitamente; el fake nunca en producción
+// (timbraría CFDI sin validez fiscal). Sin proveedor la facturación queda
+// deshabilitada (null): el resto del servicio funciona igual.
+function crearPacAdapter({ proveedor, produccion = false, url, usuario, password, logger }) {
+  if (!proveedor) {
+    logger.warn("PAC_PROVIDER no configurado: facturación deshabilitada");
+    return null;
+  }
+
+  if (proveedor === "fake" && produccion) {
+    throw new Error("El PAC fake no está permitido en producción");
+  }
+
+  switch (proveedor) {
+    case "fake":
+      return crearPacFake({ logger });
+    case "http":
+      return crearPacHttp({ url, usuario, password, logger });
+    default:
+      throw new Error(`Proveedor PAC no soportado: ${proveedor}`);
+  }
+}
+
+module.exports = { crearPacAdapter };
@@ -0,0 +1,194 @@
+// ============================================================================
+// DESCUENTOS POR HERMANOS
+// Una familia es un tutor responsable de pago (tutores_alumnos con
+// es_responsable_pago = 1) con sus alumnos activos, sin importar el plantel.
+// La posición de cada hermano sale de tutores_alumnos.orden_hermano y el
+// porcentaje del escalón en descuentos_hermanos (posicion_hermano 2 → 10%,
+// 3 → 15%...). Si no hay escalón exacto se usa el mayor inferior.
+//
+// Lo usan el motor de precios (como regla virtual "HERMANOS", sujeta a
+// grupos de exclusión) y el generador de cargos mensuales (snapshot en
+// alumnos_cargos.pct_descuento_hermanos).
+// ============================================================================
+
+const ID_REGLA_HERMANOS = "HERMANOS";
+
+// Posición de cada alumno activo dentro de su familia
+const SQL_POSICIONES = `
+  SELECT
+    ta.id_tutor,
+    ta.id_alumno,
+    ROW_NUMBER() OVER (
+      PARTITION BY ta.id_tutor
+      ORDER BY ta.orden_hermano, ta.id_alumno
+    ) AS posicion_hermano
+  FROM tutores_alumnos ta
+  JOIN tutores t
+    ON t.id_tutor = ta.id_tutor
+   AND t.status = 'Activo'
+  JOIN alumnos a
+    ON a.id_alumno = ta.id_alumno
+   AND a.status = 'Activo'
+  WHERE ta.es_responsable_pago = 1
+    AND ta.status = 'Activo'
+`;
+
+// Familia de cada alumno: vincular un responsable desmarca a los demás, pero
+// datos previos pueden tener varios; se toma siempre el de menor id_tutor
+// para que el motor y el generador mensual usen la misma.
+const SQL_POSICION_ALUMNO = `
+  SELECT id_tutor, id_alumno, posicion_hermano
+  FROM (
+    SELECT
+      h.*,
+      ROW_NUMBER() OVER (
+        PARTITION BY h.id_alumno
+        ORDER BY h.id_tutor
+      ) AS orden_familia
+    FROM (${SQL_POSICIONES}) h
+  ) f
+  WHERE f.orden_familia = 1
+`;
+
+const SQL_ESCALON = `
+  SELECT
+    posicion_hermano,
+    pct_descuento,
+    prioridad,
+    grupo_exclusion,
+    permite_combinar
+  FROM descuentos_hermanos
+  WHERE status = 'Activo'
+    AND posicion_hermano <= ?
+  ORDER BY posicion_hermano DESC
+  LIMIT 1
+`;
+
+/**
+ * Descuento vigente por hermanos de un alumno, o null si no aplica.
+ * → { id_tutor, posicion_hermano, pct_descuento, prioridad,
+ *     grupo_exclusion, permite_combinar }
+ */
+async function obtenerDescuentoHermanos(conn, id_alumno) {
+  const [[posicion]] = await conn.execute(
+    `
+    SELECT id_tutor, posicion_hermano
+    FROM (${SQL_POSICION_ALUMNO}) h
+    WHERE h.id_alumno = ?
+    `,
+    [id_alumno]
+  );
+
+  if (!posicion || Number(posicion.posicion_hermano) < 2) return null;
+
+  const [[escalon]] = await conn.execute(SQL_ESCALON, [
+    Number(posicion.posicion_hermano)
+  ]);
+
+  if (!escalon || Number(escalon.pct_descuento || 0) <= 0) return null;
+
+  return {
+    id_tutor: posicion.id_tutor,
+    posicion_hermano: Number(posicion.posicion_hermano),
+    pct_descuento: Number(escalon.pct_descuento),
+    prioridad: Number(escalon.prioridad || 0),
+    grupo_exclusion: escalon.grupo_exclusion || null,
+    permite_combinar: Boolean(escalon.permite_combinar)
+  };
+}
+
+/**
+ * Porcentaje de hermanos para un detalle mensual. Si el cargo del periodo ya
+ * tiene snapshot (generado por el generador mensual) se respeta; si no, se
+ * calcula con la familia vigente.
+ */
+async function obtenerDescuentoHermanosDetalle(conn, { id_alumno, id_producto, mes, anio }) {
+  const descuento = await obtenerDescuentoHermanos(conn, id_alumno);
+
+  if (mes && anio) {
+    const [[cargo]] = await conn.execute(
+      `
+      SELECT pct_descuento_hermanos
+      FROM alumnos_cargos
+      WHERE id_alumno = ?
+        AND id_producto = ?
+        AND mes = ?
+        AND anio = ?
+        AND status_cargo = 'Activo'
+      LIMIT 1
+      `,
+      [id_alumno, id_producto, mes, anio]
+    );
+
+    if (cargo && cargo.pct_descuento_hermanos != null) {
+      const pct = Number(cargo.pct_descuento_hermanos);
+
+      if (pct <= 0) return null;
+
+      return {
+        ...(descuento || {
+          id_tutor: null,
+          posicion_hermano: null,
+          prioridad: 0,
+          grupo_exclusion: null,
+          permite_combinar: false
+        }),
+        pct_descuento: pct
+      };
+    }
+  }
+
+  return descuento;
+}
+
+/**
+ * Guarda en alumnos_cargos el porcentaje de hermanos del periodo.
+ * Se ejecuta dentro de la misma transacción del generador mensual.
+ */
+async function aplicarDescuentoHermanosCargos(conn, mes, anio, alumnosList = null) {
+  const filtroAlumnos = alumnosList && alumnosList.length > 0
+    ? `AND ac.id_alumno IN (${alumnosList.map(() => "?").join(",")})`
+    : "";
+
+  const [result] = await conn.execute(
+    `
+    UPDATE alumnos_cargos ac
+    JOIN productos p
+      ON p.id_producto = ac.id_producto
+     AND p.frecuencia = 'Mensual'
+    LEFT JOIN (${SQL_POSICION_ALUMNO}) h
+      ON h.id_alumno = ac.id_alumno
+    LEFT JOIN descuentos_hermanos dh
+      ON dh.status = 'Activo'
+     AND dh.posicion_hermano = (
+       SELECT MAX(dh2.posicion_hermano)
+       FROM descuentos_hermanos dh2
+       WHERE dh2.status = 'Activo'
+         AND dh2.posicion_hermano <= h.posicion_hermano
+     )
+    SET ac.pct_descuento_hermanos =
+      CASE
+        WHEN h.posicion_hermano >= 2 THEN COALESCE(dh.pct_descuento, 0)
+        ELSE 0
+      END
+    WHERE ac.mes = ?
+      AND ac.anio = ?
+      AND ac.status_cargo = 'Activo'
+      ${filtroAlumnos}
+    `,
+    [
+      mes,
+      anio,
+      ...(alumnosList && alumnosList.length > 0 ? alumnosList : [])
+    ]
+  );
+
+  return result.affectedRows;
+}
+
+module.exports = {
+  ID_REGLA_HERMANOS,
+  obtenerDescuentoHermanos,
+  obtenerDescuentoHermanosDetalle,
+  aplicarDescuentoHermanosCargos
+};
@@ -0,0 +1,299 @@
+const { randomUUID } = require("crypto");
+const { obtenerDescuentoHermanos } = require("./descuentos-hermanos");
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+module.exports = function tutoresFactory({
+  pool,
+  executeInTransaction,
+  logger
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function limpiar(valor) {
+    return String(valor ?? "").trim();
+  }
+
+  // ============================================================
+  // POST /familias/tutores/guardar
+  // Alta o actualización de tutor (familia)
+  // ============================================================
+  async function guardarTutorHandler(req, res, next) {
+    try {
+      const idTutor = limpiar(req.body?.id_tutor) || randomUUID();
+      const nombre = limpiar(req.body?.nombre);
+      const correo = limpiar(req.body?.correo).toLowerCase() || null;
+      const telefono = limpiar(req.body?.telefono) || null;
+
+      if (!nombre || nombre.length > 255) {
+        throw crearError("nombre es requerido (máx. 255 caracteres)", 400);
+      }
+
+      if (correo && !EMAIL_REGEX.test(correo)) {
+        throw crearError("correo inválido", 400);
+      }
+
+      await pool.execute(
+        `
+        INSERT INTO tutores (
+          id_tutor,
+          nombre,
+          correo,
+          telefono,
+          status
+        )
+        VALUES (?, ?, ?, ?, 'Activo')
+        ON DUPLICATE KEY UPDATE
+          nombre = VALUES(nombre),
+          correo = VALUES(correo),
+          telefono = VALUES(telefono),
+          updated_at = NOW()
+        `,
+        [idTutor, nombre, correo, telefono]
+      );
+
+      logger.info("Tutor guardado", { id_tutor: idTutor });
+
+      return res.json({ ok: true, id_tutor: idTutor });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // POST /familias/tutores/vincular
+  // Un alumno solo puede tener un tutor responsable de pago; es el
+  // que define su familia para el descuento por hermanos.
+  // ============================================================
+  async function vincularAlumnoHandler(req, res, next) {
+    try {
+      const idTutor = limpiar(req.body?.id_tutor);
+      const idAlumno = limpiar(req.body?.id_alumno);
+      const esResponsable = req.body?.es_responsable_pago !== false;
+      const ordenRecibido = req.body?.orden_hermano;
+
+      if (!idTutor || !idAlumno) {
+        throw crearError("id_tutor e id_alumno son requeridos", 400);
+      }
+
+      if (
+        ordenRecibido != null &&
+        (!Number.isInteger(Number(ordenRecibido)) || Number(ordenRecibido) < 1)
+      ) {
+        throw crearError("orden_hermano debe ser un entero mayor a 0", 400);
+      }
+
+      const resultado = await executeInTransaction(async (conn) => {
+        const [[tutor]] = await conn.execute(
+          `SELECT id_tutor, status FROM tutores WHERE id_tutor = ? FOR UPDATE`,
+          [idTutor]
+        );
+
+        if (!tutor) {
+          throw crearError("Tutor no encontrado", 404);
+        }
+
+        if (tutor.status !== "Activo") {
+          throw crearError("El tutor no está activo", 409);
+        }
+
+        const [[alumno]] = await conn.execute(
+          `SELECT id_alumno FROM alumnos WHERE id_alumno = ?`,
+          [idAlumno]
+        );
+
+        if (!alumno) {
+          throw crearError("Alumno no encontrado", 404);
+        }
+
+        let orden = ordenRecibido != null ? Number(ordenRecibido) : null;
+
+        if (orden == null) {
+          const [[row]] = await conn.execute(
+            `
+            SELECT COALESCE(MAX(orden_hermano), 0) + 1 AS siguiente
+            FROM tutores_alumnos
+            WHERE id_tutor = ?
+              AND status = 'Activo'
+            `,
+            [idTutor]
+          );
+          orden = Number(row.siguiente);
+        }
+
+        if (esResponsable) {
+          await conn.execute(
+            `
+            UPDATE tutores_alumnos
+            SET es_responsable_pago = 0,
+                updated_at = NOW()
+            WHERE id_alumno = ?
+              AND id_tutor <> ?
+              AND es_responsable_pago = 1
+            `,
+            [idAlumno, idTutor]
+          );
+        }
+
+        await conn.execute(
+          `
+          INSERT INTO tutores_alumnos (
+            id_tutor,
+            id_alumno,
+            orden_hermano,
+            es_responsable_pago,
+            status
+          )
+          VALUES (?, ?, ?, ?, 'Activo')
+          ON DUPLICATE KEY UPDATE
+            orden_hermano = VALUES(orden_hermano),
+            es_responsable_pago = VALUES(es_responsable_pago),
+            status = 'Activo',
+            updated_at = NOW()
+          `,
+          [idTutor, idAlumno, orden, esResponsable ? 1 : 0]
+        );
+
+        return { orden_hermano: orden };
+      });
+
+      logger.info("Alumno vinculado a tutor", {
+        id_tutor: idTutor,
+        id_alumno: idAlumno,
+        orden_hermano: resultado.orden_hermano,
+        es_responsable_pago: esResponsable
+      });
+
+      return res.json({
+        ok: true,
+        id_tutor: idTutor,
+        id_alumno: idAlumno,
+        orden_hermano: resultado.orden_hermano,
+        es_responsable_pago: esResponsable
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // POST /familias/tutores/desvincular
+  // ============================================================
+  async function desvincularAlumnoHandler(req, res, next) {
+    try {
+      const idTutor = limpiar(req.body?.id_tutor);
+      const idAlumno = limpiar(req.body?.id_alumno);
+
+      if (!idTutor || !idAlumno) {
+        throw crearError("id_tutor e id_alumno son requeridos", 400);
+      }
+
+      const [result] = await pool.execute(
+        `
+        UPDATE tutores_alumnos
+        SET status = 'Inactivo',
+            es_responsable_pago = 0,
+            updated_at = NOW()
+        WHERE id_tutor = ?
+          AND id_alumno = ?
+          AND status = 'Activo'
+        `,
+        [idTutor, idAlumno]
+      );
+
+      if (result.affectedRows === 0) {
+        throw crearError("El alumno no está vinculado a este tutor", 404);
+      }
+
+      logger.info("Alumno desvinculado de tutor", {
+        id_tutor: idTutor,
+        id_alumno: idAlumno
+      });
+
+      return res.json({ ok: true, id_tutor: idTutor, id_alumno: idAlumno });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /familias/tutores/:id_tutor
+  // Familia con el descuento por hermanos vigente de cada alumno
+  // ============================================================
+  async function obtenerFamiliaHandler(req, res, next) {
+    try {
+      const idTutor = limpiar(req.params.id_tutor);
+
+      const [[tutor]] = await pool.execute(
+        `
+        SELECT id_tutor, nombre, correo, telefono, recibir_recordatorios, status
+        FROM tutores
+        WHERE id_tutor = ?
+        `,
+        [idTutor]
+      );
+
+      if (!tutor) {
+        throw crearError("Tutor no encontrado", 404);
+      }
+
+      const [alumnos] = await pool.execute(
+        `
+        SELECT
+          ta.id_alumno,
+          ta.orden_hermano,
+          ta.es_responsable_pago,
+          CONCAT_WS(' ',
+            a.apellido_paterno,
+            a.apellido_materno,
+            a.nombre
+          ) AS alumno_nombre_completo,
+          a.status AS status_alumno,
+          p.nombre_plantel AS plantel_nombre
+        FROM tutores_alumnos ta
+        JOIN alumnos a
+          ON a.id_alumno = ta.id_alumno
+        LEFT JOIN planteles p
+          ON p.id_plantel = a.id_plantel_academico
+        WHERE ta.id_tutor = ?
+          AND ta.status = 'Activo'
+        ORDER BY ta.orden_hermano, ta.id_alumno
+        `,
+        [idTutor]
+      );
+
+      for (const alumno of alumnos) {
+        const descuento = await obtenerDescuentoHermanos(pool, alumno.id_alumno);
+
+        alumno.es_responsable_pago = Boolean(alumno.es_responsable_pago);
+        alumno.descuento_hermanos =
+          descuento && descuento.id_tutor === idTutor
+            ? {
+                posicion_hermano: descuento.posicion_hermano,
+                pct_descuento: descuento.pct_descuento
+              }
+            : null;
+      }
+
+      return res.json({ ok: true, tutor, alumnos });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    guardarTutorHandler,
+    vincularAlumnoHandler,
+    desvincularAlumnoHandler,
+    obtenerFamiliaHandler
+  };
+};
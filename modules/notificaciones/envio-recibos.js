@@ -0,0 +1,336 @@
+const { randomUUID } = require("crypto");
+
+// ============================================================================
+// ENVÍO DE RECIBOS POR CORREO
+// Emisión → recibo adjunto (PDF) o enlace; Cancelación → aviso con el PDF
+// regenerado como "Cancelado". Cada intento queda en recibos_envios.
+// El destinatario por defecto es el tutor responsable de pago del alumno.
+// ============================================================================
+
+const MODOS = ["adjunto", "enlace"];
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function escapeHtml(valor) {
+  return String(valor ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+module.exports = function envioRecibosFactory({
+  pool,
+  logger,
+  mailTransporter,
+  mailFrom,
+  getReciboHydrated,
+  downloadPdf,
+  crearEnlaceRecibo
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  // Normaliza la opción enviar_correo del body: true → "adjunto"
+  function leerModo(valor) {
+    if (valor === true) return "adjunto";
+    if (!valor) return null;
+
+    const modo = String(valor).trim().toLowerCase();
+
+    if (!MODOS.includes(modo)) {
+      throw crearError(`modo de envío debe ser uno de: ${MODOS.join(", ")}`, 400);
+    }
+
+    return modo;
+  }
+
+  // Con varios responsables (datos previos) se elige el mismo tutor que
+  // define la familia para el descuento por hermanos: el de menor id_tutor
+  async function obtenerDestinatario(idAlumno) {
+    const [[tutor]] = await pool.execute(
+      `
+      SELECT t.id_tutor, t.nombre, t.correo
+      FROM tutores_alumnos ta
+      JOIN tutores t
+        ON t.id_tutor = ta.id_tutor
+       AND t.status = 'Activo'
+      WHERE ta.id_alumno = ?
+        AND ta.es_responsable_pago = 1
+        AND ta.status = 'Activo'
+      ORDER BY t.id_tutor
+      LIMIT 1
+      `,
+      [idAlumno]
+    );
+
+    return tutor || null;
+  }
+
+  async function registrarEnvio(envio) {
+    await pool.execute(
+      `
+      INSERT INTO recibos_envios (
+        id_envio,
+        id_recibo,
+        tipo,
+        modo,
+        correo,
+        id_tutor,
+        status,
+        error,
+        message_id,
+        origen
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        randomUUID(),
+        envio.id_recibo,
+        envio.tipo,
+        envio.modo,
+        envio.correo,
+        envio.id_tutor || null,
+        envio.status,
+        envio.error || null,
+        envio.message_id || null,
+        envio.origen
+      ]
+    );
+  }
+
+  function construirCorreo(recibo, tipo, enlace) {
+    const total = `$${Number(recibo.total_recibo || 0).toFixed(2)}`;
+    const alumno = escapeHtml(recibo.alumno_nombre_completo);
+    const plantel = escapeHtml(recibo.plantel_nombre || "");
+
+    if (tipo === "Cancelacion") {
+      return {
+        subject: `Recibo cancelado · ${recibo.plantel_nombre || "BGK"}`,
+        html: `
+          <div style="font-family:Arial,sans-serif;max-width:600px">
+            <h2 style="color:#CC0000">Recibo cancelado</h2>
+            <p>El recibo de pago de <strong>${alumno}</strong> por
+            <strong>${total}</strong> (${plantel}) fue cancelado.</p>
+            ${enlace
+              ? `<p><a href="${escapeHtml(enlace)}">Ver recibo cancelado</a></p>`
+              : "<p>Se adjunta el recibo con la marca de cancelación.</p>"}
+            <p>Si tienes dudas, comunícate con la administración del plantel.</p>
+          </div>`
+      };
+    }
+
+    return {
+      subject: `Recibo de pago · ${recibo.plantel_nombre || "BGK"}`,
+      html: `
+        <div style="font-family:Arial,sans-serif;max-width:600px">
+          <h2 style="color:#00739A">Recibo de pago</h2>
+          <p>Gracias por tu pago. Recibimos <strong>${total}</strong>
+          correspondientes a <strong>${alumno}</strong> (${plantel}).</p>
+          ${enlace
+            ? `<p><a href="${escapeHtml(enlace)}">Ver recibo</a></p>`
+            : "<p>Se adjunta el recibo en PDF.</p>"}
+        </div>`
+    };
+  }
+
+  /**
+   * Envía el recibo por correo y registra el intento.
+   * tipo: "Emision" | "Cancelacion"; modo: "adjunto" | "enlace".
+   * Si no se indica correo se usa el del tutor responsable de pago.
+   */
+  async function enviarReciboCorreo({
+    id_recibo,
+    tipo = "Emision",
+    modo = "adjunto",
+    correo = null,
+    origen = "emision"
+  }) {
+    const recibo = await getReciboHydrated(id_recibo);
+
+    if (!recibo) {
+      throw crearError("Recibo no encontrado", 404);
+    }
+
+    if (!recibo.ruta_pdf) {
+      throw crearError("El recibo no tiene PDF generado", 409);
+    }
+
+    let destinatario = correo ? { correo, id_tutor: null } : null;
+
+    if (!destinatario) {
+      destinatario = await obtenerDestinatario(recibo.id_alumno);
+    }
+
+    if (!destinatario?.correo || !EMAIL_REGEX.test(destinatario.correo)) {
+      throw crearError("No hay correo de tutor registrado para el alumno", 422);
+    }
+
+    const envio = {
+      id_recibo,
+      tipo,
+      modo,
+      correo: destinatario.correo,
+      id_tutor: destinatario.id_tutor,
+      origen
+    };
+
+    try {
+      const enlace = modo === "enlace"
+        ? await crearEnlaceRecibo(recibo)
+        : null;
+
+      const { subject, html } = construirCorreo(recibo, tipo, enlace);
+
+      const attachments = modo === "adjunto"
+        ? [{
+            filename: `recibo-${id_recibo}.pdf`,
+            content: await downloadPdf(recibo.ruta_pdf),
+            contentType: "application/pdf"
+          }]
+        : [];
+
+      const info = await mailTransporter.sendMail({
+        from: mailFrom,
+        to: destinatario.correo,
+        subject,
+        html,
+        attachments
+      });
+
+      await registrarEnvio({
+        ...envio,
+        status: "Enviado",
+        message_id: info?.messageId
+      });
+
+      logger.info("Recibo enviado por correo", {
+        id_recibo,
+        tipo,
+        modo,
+        correo_mascara: destinatario.correo.replace(/^(.{2}).*(@.*)$/, "$1***$2")
+      });
+
+      return { enviado: true, tipo, modo, correo: destinatario.correo };
+
+    } catch (error) {
+      await registrarEnvio({
+        ...envio,
+        status: "Error",
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  // Último envío exitoso de emisión, para avisar la cancelación al mismo correo
+  async function obtenerUltimoEnvio(idRecibo) {
+    const [[envio]] = await pool.execute(
+      `
+      SELECT correo, modo
+      FROM recibos_envios
+      WHERE id_recibo = ?
+        AND tipo = 'Emision'
+        AND status = 'Enviado'
+      ORDER BY created_at DESC
+      LIMIT 1
+      `,
+      [idRecibo]
+    );
+
+    return envio || null;
+  }
+
+  // ============================================================
+  // POST /recibos/enviar-correo  { id_recibo, modo?, correo? }
+  // Reenvío manual; el tipo depende del estado actual del recibo.
+  // ============================================================
+  async function reenviarReciboHandler(req, res, next) {
+    try {
+      const idRecibo = String(req.body?.id_recibo || "").trim();
+      const modo = leerModo(req.body?.modo || "adjunto");
+      const correo = req.body?.correo
+        ? String(req.body.correo).trim().toLowerCase()
+        : null;
+
+      if (!idRecibo) {
+        throw crearError("id_recibo es requerido", 400);
+      }
+
+      if (correo && !EMAIL_REGEX.test(correo)) {
+        throw crearError("correo inválido", 400);
+      }
+
+      const [[recibo]] = await pool.execute(
+        `SELECT status_recibo FROM recibos WHERE id_recibo = ?`,
+        [idRecibo]
+      );
+
+      if (!recibo) {
+        throw crearError("Recibo no encontrado", 404);
+      }
+
+      if (!["Emitido", "Cancelado"].includes(recibo.status_recibo)) {
+        throw crearError("Solo se pueden enviar recibos emitidos o cancelados", 409);
+      }
+
+      const resultado = await enviarReciboCorreo({
+        id_recibo: idRecibo,
+        tipo: recibo.status_recibo === "Cancelado" ? "Cancelacion" : "Emision",
+        modo,
+        correo,
+        origen: "reenvio"
+      });
+
+      return res.json({ ok: true, id_recibo: idRecibo, ...resultado });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /recibos/:id_recibo/envios
+  // ============================================================
+  async function listarEnviosHandler(req, res, next) {
+    try {
+      const idRecibo = String(req.params.id_recibo || "").trim();
+
+      const [envios] = await pool.execute(
+        `
+        SELECT
+          id_envio,
+          tipo,
+          modo,
+          correo,
+          id_tutor,
+          status,
+          error,
+          origen,
+          created_at
+        FROM recibos_envios
+        WHERE id_recibo = ?
+        ORDER BY created_at DESC
+        `,
+        [idRecibo]
+      );
+
+      return res.json({ ok: true, id_recibo: idRecibo, envios });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    leerModo,
+    enviarReciboCorreo,
+    obtenerUltimoEnvio,
+    reenviarReciboHandler,
+    listarEnviosHandler
+  };
+};
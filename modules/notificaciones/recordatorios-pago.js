@@ -0,0 +1,623 @@
+const { randomUUID, createHash } = require("crypto");
+const { calcularDetalle } = require("../../services/motor-precios");
+const { SQL_CARGO_PENDIENTE } = require("../../services/devengar-recargos");
+
+// ============================================================================
+// RECORDATORIOS DE PAGO
+// Un correo por familia (tutor responsable de pago) con los cargos pendientes
+// de sus alumnos y el precio vigente según el motor de precios.
+//   Proximo → cargos del periodo en curso
+//   Vencido → cargos de periodos anteriores
+// La plantilla se toma del plantel del primer hermano listado (o la general).
+// Cada envío queda en notificaciones_enviadas con una clave de deduplicación:
+// misma familia + mismo tipo + mismos cargos = mismo recordatorio.
+// ============================================================================
+
+const TIPOS = ["Proximo", "Vencido"];
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const MESES = [
+  "Enero", "Febrero", "Marzo", "Abril", "Mayo", "Junio",
+  "Julio", "Agosto", "Septiembre", "Octubre", "Noviembre", "Diciembre"
+];
+
+const PLANTILLAS_DEFAULT = {
+  Proximo: {
+    asunto: "Recordatorio de pago · {{plantel}}",
+    cuerpo_html: `
+      <p>Hola {{tutor}}.</p>
+      <p>Te recordamos que los siguientes conceptos vencen este mes:</p>
+      {{tabla_cargos}}
+      <p><strong>Total a pagar hoy: {{total}}</strong></p>
+      <p>Si ya realizaste el pago, ignora este mensaje.</p>`
+  },
+  Vencido: {
+    asunto: "Pagos vencidos · {{plantel}}",
+    cuerpo_html: `
+      <p>Hola {{tutor}}.</p>
+      <p>Los siguientes conceptos se encuentran vencidos:</p>
+      {{tabla_cargos}}
+      <p><strong>Total a pagar hoy (incluye recargos): {{total}}</strong></p>
+      <p>Si ya realizaste el pago, ignora este mensaje.</p>`
+  }
+};
+
+function escapeHtml(valor) {
+  return String(valor ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function dinero(valor) {
+  return `$${(Number(valor) || 0).toFixed(2)}`;
+}
+
+function renderizar(plantilla, variables) {
+  return String(plantilla || "").replace(/\{\{(\w+)\}\}/g, (match, clave) =>
+    Object.prototype.hasOwnProperty.call(variables, clave)
+      ? variables[clave]
+      : match
+  );
+}
+
+module.exports = function recordatoriosPagoFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  mailTransporter,
+  mailFrom
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  async function obtenerFechaOperativa() {
+    return executeInTransaction(async (conn) => {
+      const [[row]] = await conn.execute(
+        `
+        SELECT
+          DATE_FORMAT(CURDATE(), '%Y-%m-%d') AS fecha,
+          YEAR(CURDATE()) AS anio,
+          MONTH(CURDATE()) AS mes
+        `
+      );
+      return row;
+    });
+  }
+
+  async function obtenerPlantilla(idPlantel, tipo) {
+    const [[plantilla]] = await pool.execute(
+      `
+      SELECT asunto, cuerpo_html
+      FROM plantillas_notificacion
+      WHERE tipo = ?
+        AND status = 'Activo'
+        AND (id_plantel = ? OR id_plantel IS NULL)
+      ORDER BY id_plantel IS NULL
+      LIMIT 1
+      `,
+      [`Recordatorio${tipo}`, idPlantel]
+    );
+
+    return plantilla || PLANTILLAS_DEFAULT[tipo];
+  }
+
+  function claveDeduplicacion(tipo, idTutor, cargos) {
+    const ids = cargos.map(c => c.id_cargo).sort().join(",");
+    const hash = createHash("sha256").update(ids).digest("hex").slice(0, 32);
+    return `${tipo}:${idTutor}:${hash}`;
+  }
+
+  // Reserva el envío; false si ya se envió (o se está enviando)
+  async function reservarEnvio(envio) {
+    const [[existente]] = await pool.execute(
+      `SELECT status FROM notificaciones_enviadas WHERE clave_dedup = ?`,
+      [envio.clave_dedup]
+    );
+
+    if (existente) {
+      if (existente.status !== "Error") return false;
+
+      const [result] = await pool.execute(
+        `
+        UPDATE notificaciones_enviadas
+        SET status = 'Enviando',
+            error = NULL,
+            updated_at = NOW()
+        WHERE clave_dedup = ?
+          AND status = 'Error'
+        `,
+        [envio.clave_dedup]
+      );
+
+      return result.affectedRows === 1;
+    }
+
+    const [result] = await pool.execute(
+      `
+      INSERT IGNORE INTO notificaciones_enviadas (
+        id_notificacion,
+        clave_dedup,
+        tipo,
+        id_tutor,
+        id_plantel,
+        correo,
+        asunto,
+        cargos,
+        total,
+        status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'Enviando')
+      `,
+      [
+        randomUUID(),
+        envio.clave_dedup,
+        envio.tipo,
+        envio.id_tutor,
+        envio.id_plantel,
+        envio.correo,
+        envio.asunto,
+        JSON.stringify(envio.cargos.map(c => c.id_cargo)),
+        envio.total
+      ]
+    );
+
+    return result.affectedRows === 1;
+  }
+
+  async function marcarEnvio(claveDedup, status, error = null) {
+    await pool.execute(
+      `
+      UPDATE notificaciones_enviadas
+      SET status = ?,
+          error = ?,
+          fecha_envio = IF(? = 'Enviado', NOW(), fecha_envio),
+          updated_at = NOW()
+      WHERE clave_dedup = ?
+      `,
+      [status, error, status, claveDedup]
+    );
+  }
+
+  // ============================================================
+  // CORE: arma y envía los recordatorios por familia
+  // ============================================================
+  async function enviarRecordatoriosCore({ tipos, id_plantel = null, dry_run = false }) {
+    const operativa = await obtenerFechaOperativa();
+    const periodoActual = Number(operativa.anio) * 12 + Number(operativa.mes);
+
+    const [cargos] = await pool.execute(
+      `
+      SELECT
+        ac.id_cargo,
+        ac.id_alumno,
+        ac.id_producto,
+        ac.mes,
+        ac.anio,
+        p.nombre_producto,
+        p.precio_base,
+        p.frecuencia,
+        CONCAT_WS(' ',
+          a.apellido_paterno,
+          a.apellido_materno,
+          a.nombre
+        ) AS alumno_nombre_completo,
+        a.id_plantel_academico AS id_plantel,
+        pl.nombre_plantel,
+        t.id_tutor,
+        t.nombre AS tutor_nombre,
+        t.correo,
+        t.recibir_recordatorios,
+        CASE
+          WHEN (ac.anio * 12 + ac.mes) < ? THEN 'Vencido'
+          ELSE 'Proximo'
+        END AS tipo
+      FROM alumnos_cargos ac
+      JOIN alumnos a
+        ON a.id_alumno = ac.id_alumno
+       AND a.status = 'Activo'
+      JOIN productos p
+        ON p.id_producto = ac.id_producto
+      JOIN tutores_alumnos ta
+        ON ta.id_alumno = a.id_alumno
+       AND ta.es_responsable_pago = 1
+       AND ta.status = 'Activo'
+      JOIN tutores t
+        ON t.id_tutor = ta.id_tutor
+       AND t.status = 'Activo'
+      LEFT JOIN planteles pl
+        ON pl.id_plantel = a.id_plantel_academico
+      WHERE ${SQL_CARGO_PENDIENTE}
+        AND (ac.anio * 12 + ac.mes) <= ?
+        ${id_plantel ? "AND a.id_plantel_academico = ?" : ""}
+      ORDER BY t.id_tutor, ta.orden_hermano, ac.anio, ac.mes
+      `,
+      [
+        periodoActual,
+        periodoActual,
+        ...(id_plantel ? [id_plantel] : [])
+      ]
+    );
+
+    // Agrupar por tutor + tipo
+    const familias = new Map();
+    const resumen = {
+      fecha: operativa.fecha,
+      tipos,
+      dry_run,
+      familias: 0,
+      enviados: 0,
+      duplicados: 0,
+      sin_correo: 0,
+      opt_out: 0,
+      errores: [],
+      previsualizaciones: []
+    };
+
+    for (const cargo of cargos) {
+      if (!tipos.includes(cargo.tipo)) continue;
+
+      const clave = `${cargo.id_tutor}|${cargo.tipo}`;
+
+      if (!familias.has(clave)) {
+        familias.set(clave, {
+          id_tutor: cargo.id_tutor,
+          tutor_nombre: cargo.tutor_nombre,
+          correo: cargo.correo,
+          recibir_recordatorios: cargo.recibir_recordatorios,
+          tipo: cargo.tipo,
+          id_plantel: cargo.id_plantel,
+          nombre_plantel: cargo.nombre_plantel,
+          cargos: []
+        });
+      }
+
+      familias.get(clave).cargos.push(cargo);
+    }
+
+    resumen.familias = familias.size;
+
+    for (const familia of familias.values()) {
+      if (Number(familia.recibir_recordatorios) === 0) {
+        resumen.opt_out++;
+        continue;
+      }
+
+      if (!familia.correo || !EMAIL_REGEX.test(familia.correo)) {
+        resumen.sin_correo++;
+        continue;
+      }
+
+      try {
+        // Precio vigente de cada cargo con el motor de precios
+        let total = 0;
+
+        for (const cargo of familia.cargos) {
+          const calculo = await calcularDetalle(
+            pool,
+            {
+              id_producto: cargo.id_producto,
+              frecuencia_producto: cargo.frecuencia,
+              mes: cargo.mes,
+              anio: cargo.anio,
+              precio_base: cargo.precio_base
+            },
+            {
+              id_alumno: cargo.id_alumno,
+              fecha: operativa.fecha,
+              forma_pago: "Efectivo"
+            }
+          );
+
+          cargo.precio_actual = calculo.precio_final;
+          cargo.recargo = calculo.recargo;
+          total += calculo.precio_final;
+        }
+
+        const plantilla = await obtenerPlantilla(familia.id_plantel, familia.tipo);
+
+        const filas = familia.cargos.map(c => `
+          <tr>
+            <td style="padding:4px 8px">${escapeHtml(c.alumno_nombre_completo)}</td>
+            <td style="padding:4px 8px">${escapeHtml(c.nombre_producto || c.id_producto)}</td>
+            <td style="padding:4px 8px">${escapeHtml(`${MESES[Number(c.mes) - 1] || c.mes} ${c.anio}`)}</td>
+            <td style="padding:4px 8px;text-align:right">${dinero(c.precio_actual)}</td>
+          </tr>`).join("");
+
+        const variables = {
+          tutor: escapeHtml(familia.tutor_nombre),
+          plantel: escapeHtml(familia.nombre_plantel || ""),
+          total: dinero(total),
+          fecha: escapeHtml(operativa.fecha),
+          tabla_cargos: `
+            <table style="border-collapse:collapse;font-size:13px">
+              <tr style="background:#F8F9FA;color:#00739A">
+                <th style="padding:4px 8px;text-align:left">Alumno</th>
+                <th style="padding:4px 8px;text-align:left">Concepto</th>
+                <th style="padding:4px 8px;text-align:left">Periodo</th>
+                <th style="padding:4px 8px;text-align:right">Monto</th>
+              </tr>${filas}
+            </table>`
+        };
+
+        const asunto = renderizar(plantilla.asunto, {
+          ...variables,
+          plantel: familia.nombre_plantel || "",
+          tutor: familia.tutor_nombre
+        });
+
+        const html = `
+          <div style="font-family:Arial,sans-serif;max-width:600px">
+            ${renderizar(plantilla.cuerpo_html, variables)}
+          </div>`;
+
+        const envio = {
+          clave_dedup: claveDeduplicacion(familia.tipo, familia.id_tutor, familia.cargos),
+          tipo: familia.tipo,
+          id_tutor: familia.id_tutor,
+          id_plantel: familia.id_plantel,
+          correo: familia.correo,
+          asunto,
+          cargos: familia.cargos,
+          total
+        };
+
+        if (dry_run) {
+          resumen.previsualizaciones.push({
+            id_tutor: envio.id_tutor,
+            correo: envio.correo,
+            tipo: envio.tipo,
+            asunto,
+            total,
+            cargos: familia.cargos.map(c => ({
+              id_cargo: c.id_cargo,
+              id_alumno: c.id_alumno,
+              concepto: c.nombre_producto || c.id_producto,
+              mes: c.mes,
+              anio: c.anio,
+              precio_actual: c.precio_actual
+            }))
+          });
+          continue;
+        }
+
+        const reservado = await reservarEnvio(envio);
+
+        if (!reservado) {
+          resumen.duplicados++;
+          continue;
+        }
+
+        try {
+          await mailTransporter.sendMail({
+            from: mailFrom,
+            to: familia.correo,
+            subject: asunto,
+            html
+          });
+
+          await marcarEnvio(envio.clave_dedup, "Enviado");
+          resumen.enviados++;
+
+        } catch (mailError) {
+          await marcarEnvio(envio.clave_dedup, "Error", mailError.message);
+          throw mailError;
+        }
+
+      } catch (error) {
+        resumen.errores.push({
+          id_tutor: familia.id_tutor,
+          tipo: familia.tipo,
+          error: error.message
+        });
+      }
+    }
+
+    return resumen;
+  }
+
+  // ============================================================
+  // POST /notificaciones/recordatorios/enviar
+  // Para Cloud Scheduler; dry_run=true solo previsualiza.
+  // ============================================================
+  async function enviarRecordatoriosHandler(req, res, next) {
+    const startTime = Date.now();
+
+    try {
+      const tipo = String(req.body?.tipo || "Todos").trim();
+      const tipos = tipo === "Todos" ? TIPOS : [tipo];
+
+      if (!tipos.every(t => TIPOS.includes(t))) {
+        throw crearError(`tipo debe ser uno de: ${[...TIPOS, "Todos"].join(", ")}`, 400);
+      }
+
+      const resumen = await enviarRecordatoriosCore({
+        tipos,
+        id_plantel: req.body?.id_plantel ? String(req.body.id_plantel).trim() : null,
+        dry_run: req.body?.dry_run === true
+      });
+
+      logger.info("Recordatorios de pago procesados", {
+        tipos,
+        dry_run: resumen.dry_run,
+        familias: resumen.familias,
+        enviados: resumen.enviados,
+        duplicados: resumen.duplicados,
+        opt_out: resumen.opt_out,
+        sin_correo: resumen.sin_correo,
+        errores: resumen.errores.length,
+        duration_ms: Date.now() - startTime
+      });
+
+      return res.json({
+        ok: true,
+        ...resumen,
+        duration_ms: Date.now() - startTime
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // POST /notificaciones/plantillas/guardar
+  // id_plantel null = plantilla general
+  // ============================================================
+  async function guardarPlantillaHandler(req, res, next) {
+    try {
+      const tipo = String(req.body?.tipo || "").trim();
+      const idPlantel = req.body?.id_plantel ? String(req.body.id_plantel).trim() : null;
+      const asunto = String(req.body?.asunto || "").trim();
+      const cuerpoHtml = String(req.body?.cuerpo_html || "").trim();
+
+      if (!TIPOS.includes(tipo)) {
+        throw crearError(`tipo debe ser uno de: ${TIPOS.join(", ")}`, 400);
+      }
+
+      if (!asunto || asunto.length > 255) {
+        throw crearError("asunto es requerido (máx. 255 caracteres)", 400);
+      }
+
+      if (!cuerpoHtml.includes("{{tabla_cargos}}")) {
+        throw crearError("cuerpo_html debe incluir {{tabla_cargos}}", 400);
+      }
+
+      await executeInTransaction(async (conn) => {
+        await conn.execute(
+          `
+          UPDATE plantillas_notificacion
+          SET status = 'Inactivo',
+              updated_at = NOW()
+          WHERE tipo = ?
+            AND id_plantel <=> ?
+            AND status = 'Activo'
+          `,
+          [`Recordatorio${tipo}`, idPlantel]
+        );
+
+        await conn.execute(
+          `
+          INSERT INTO plantillas_notificacion (
+            id_plantilla,
+            id_plantel,
+            tipo,
+            asunto,
+            cuerpo_html,
+            status
+          )
+          VALUES (?, ?, ?, ?, ?, 'Activo')
+          `,
+          [randomUUID(), idPlantel, `Recordatorio${tipo}`, asunto, cuerpoHtml]
+        );
+      });
+
+      logger.info("Plantilla de recordatorio guardada", {
+        tipo,
+        id_plantel: idPlantel
+      });
+
+      return res.json({ ok: true, tipo, id_plantel: idPlantel });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // POST /familias/tutores/recordatorios  { id_tutor, recibir }
+  // ============================================================
+  async function preferenciaRecordatoriosHandler(req, res, next) {
+    try {
+      const idTutor = String(req.body?.id_tutor || "").trim();
+
+      if (!idTutor || typeof req.body?.recibir !== "boolean") {
+        throw crearError("id_tutor y recibir (boolean) son requeridos", 400);
+      }
+
+      const [result] = await pool.execute(
+        `
+        UPDATE tutores
+        SET recibir_recordatorios = ?,
+            updated_at = NOW()
+        WHERE id_tutor = ?
+        `,
+        [req.body.recibir ? 1 : 0, idTutor]
+      );
+
+      if (result.affectedRows === 0) {
+        throw crearError("Tutor no encontrado", 404);
+      }
+
+      logger.info("Preferencia de recordatorios actualizada", {
+        id_tutor: idTutor,
+        recibir: req.body.recibir
+      });
+
+      return res.json({ ok: true, id_tutor: idTutor, recibir: req.body.recibir });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /notificaciones/enviadas?id_tutor=&tipo=
+  // ============================================================
+  async function listarNotificacionesHandler(req, res, next) {
+    try {
+      const condiciones = [];
+      const params = [];
+
+      if (req.query.id_tutor) {
+        condiciones.push("id_tutor = ?");
+        params.push(String(req.query.id_tutor).trim());
+      }
+
+      if (req.query.tipo) {
+        condiciones.push("tipo = ?");
+        params.push(String(req.query.tipo).trim());
+      }
+
+      const [notificaciones] = await pool.execute(
+        `
+        SELECT
+          id_notificacion,
+          tipo,
+          id_tutor,
+          id_plantel,
+          correo,
+          asunto,
+          total,
+          status,
+          error,
+          fecha_envio,
+          created_at
+        FROM notificaciones_enviadas
+        ${condiciones.length ? `WHERE ${condiciones.join(" AND ")}` : ""}
+        ORDER BY created_at DESC
+        LIMIT 200
+        `,
+        params
+      );
+
+      return res.json({ ok: true, notificaciones });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    enviarRecordatoriosCore,
+    enviarRecordatoriosHandler,
+    guardarPlantillaHandler,
+    preferenciaRecordatoriosHandler,
+    listarNotificacionesHandler
+  };
+};
@@ -0,0 +1,665 @@
+const { randomUUID } = require("crypto");
+
+// ============================================================================
+// DEVOLUCIONES DE RECIBOS CANCELADOS
+// Lo que la familia pagó por un recibo cancelado se resuelve con una o
+// varias devoluciones (recibos_devoluciones):
+//   - Efectivo:        se entrega en caja.
+//   - Transferencia:   se deposita a la cuenta de la familia.
+//   - SaldoFavor:      se abona al saldo a favor del alumno.
+//   - TraspasoRecibo:  se aplica como pago (forma 'Traspaso') a un recibo
+//                      en Borrador del mismo alumno.
+// La caja solicita y un directivo o administrativo autoriza; al autorizar
+// se aplica.
+//
+// Efecto en el corte: al cancelar, el recibo ya salió de los totales de su
+// corte (como si el dinero se hubiera regresado por la misma forma de pago).
+// Al aplicar la devolución se ajusta solo el efectivo físico, en el corte
+// abierto de quien la solicitó:
+//   + la parte pagada en efectivo que NO se entrega (queda en caja)
+//   − lo entregado en efectivo que no se había pagado en efectivo
+// ============================================================================
+
+const TIPOS = ["Efectivo", "Transferencia", "SaldoFavor", "TraspasoRecibo"];
+
+const ROLES_AUTORIZAN = ["directivo", "administrativo"];
+
+const MAX_MOTIVO = 255;
+
+function redondear(valor) {
+  return Math.round(Number(valor || 0) * 100) / 100;
+}
+
+module.exports = function devolucionesReciboFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  obtenerCorteAbierto,
+  recalcularCorte,
+  registrarPago,
+  emitirReciboLiquidado,
+  saldoFavor
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function limpiar(valor) {
+    return String(valor ?? "").trim();
+  }
+
+  async function validarAutorizador(conn, idUsuario) {
+    const [[usuario]] = await conn.execute(
+      `
+      SELECT
+        u.id_usuario,
+        u.status,
+        r.nombre AS rol
+      FROM usuarios u
+      LEFT JOIN roles r
+        ON r.id_rol = u.id_rol
+      WHERE u.id_usuario = ?
+      `,
+      [idUsuario]
+    );
+
+    if (!usuario || usuario.status !== "Activo") {
+      throw crearError("El usuario no existe o no está activo", 403);
+    }
+
+    if (!ROLES_AUTORIZAN.includes(String(usuario.rol || "").trim().toLowerCase())) {
+      throw crearError("Solo un directivo o administrativo puede autorizar devoluciones", 403);
+    }
+  }
+
+  /**
+   * Lo pagado por un recibo cancelado: sus pagos en parcialidades
+   * (cancelados junto con el recibo) o, si no tuvo, el total del recibo.
+   * Lo pagado con saldo a favor no cuenta: se reintegra al cancelar.
+   * Devuelve también lo comprometido en devoluciones vigentes.
+   */
+  async function obtenerSaldoDevolucion(conn, recibo) {
+    const [pagos] = await conn.execute(
+      `
+      SELECT forma_pago, SUM(monto) AS monto
+      FROM recibos_pagos
+      WHERE id_recibo = ?
+        AND status_pago = 'Cancelado'
+      GROUP BY forma_pago
+      `,
+      [recibo.id_recibo]
+    );
+
+    let pagado = 0;
+    let efectivo = 0;
+
+    if (pagos.length > 0) {
+      for (const pago of pagos) {
+        if (pago.forma_pago === "SaldoFavor") continue;
+
+        pagado += Number(pago.monto);
+        if (pago.forma_pago === "Efectivo") efectivo += Number(pago.monto);
+      }
+    } else {
+      pagado = Number(recibo.total_recibo || 0);
+      efectivo = recibo.forma_pago === "Efectivo" ? pagado : 0;
+    }
+
+    const [[comprometido]] = await conn.execute(
+      `
+      SELECT
+        COALESCE(SUM(monto), 0) AS monto,
+        COALESCE(SUM(CASE WHEN status_devolucion = 'Aplicada' THEN efectivo_original END), 0) AS efectivo
+      FROM recibos_devoluciones
+      WHERE id_recibo = ?
+        AND status_devolucion IN ('Solicitada', 'Aplicada')
+      `,
+      [recibo.id_recibo]
+    );
+
+    return {
+      pagado: redondear(pagado),
+      efectivo_pagado: redondear(efectivo),
+      comprometido: redondear(comprometido.monto),
+      efectivo_asignado: redondear(comprometido.efectivo),
+      disponible: redondear(pagado - comprometido.monto)
+    };
+  }
+
+  async function validarReciboDestino(conn, { id_recibo_destino, recibo }) {
+    const [[destino]] = await conn.execute(
+      `
+      SELECT id_recibo, id_alumno, status_recibo
+      FROM recibos
+      WHERE id_recibo = ?
+      `,
+      [id_recibo_destino]
+    );
+
+    if (!destino) {
+      throw crearError("El recibo destino no existe", 404);
+    }
+
+    if (destino.id_alumno !== recibo.id_alumno) {
+      throw crearError("El recibo destino debe ser del mismo alumno", 422);
+    }
+
+    if (destino.status_recibo !== "Borrador") {
+      throw crearError("El recibo destino debe estar en Borrador", 409);
+    }
+  }
+
+  // ============================================================
+  // POST /recibos/devoluciones/solicitar
+  // { id_recibo, tipo, monto?, motivo, cuenta_destino?, id_recibo_destino? }
+  // Sin monto se solicita todo lo disponible.
+  // ============================================================
+  async function solicitarDevolucionHandler(req, res, next) {
+    try {
+      const idRecibo = limpiar(req.body?.id_recibo);
+      const tipo = limpiar(req.body?.tipo);
+      const motivo = limpiar(req.body?.motivo);
+      const cuentaDestino = limpiar(req.body?.cuenta_destino).replace(/\s/g, "") || null;
+      const idReciboDestino = limpiar(req.body?.id_recibo_destino) || null;
+      const idUsuario = limpiar(req.usuario?.id_usuario);
+      const montoSolicitado = req.body?.monto == null || req.body?.monto === ""
+        ? null
+        : redondear(req.body.monto);
+
+      if (!idRecibo) {
+        throw crearError("id_recibo es requerido", 400);
+      }
+
+      if (!TIPOS.includes(tipo)) {
+        throw crearError(`tipo debe ser uno de: ${TIPOS.join(", ")}`, 400);
+      }
+
+      if (!motivo || motivo.length > MAX_MOTIVO) {
+        throw crearError(`motivo es requerido (máx. ${MAX_MOTIVO} caracteres)`, 400);
+      }
+
+      if (montoSolicitado !== null && (!Number.isFinite(montoSolicitado) || montoSolicitado <= 0)) {
+        throw crearError("monto debe ser mayor a 0", 400);
+      }
+
+      if (tipo === "Transferencia" && !/^\d{18}$/.test(cuentaDestino || "")) {
+        throw crearError("cuenta_destino (CLABE de 18 dígitos) es requerida", 400);
+      }
+
+      if (tipo === "TraspasoRecibo" && !idReciboDestino) {
+        throw crearError("id_recibo_destino es requerido", 400);
+      }
+
+      const devolucion = await executeInTransaction(async (conn) => {
+        const [[recibo]] = await conn.execute(
+          `
+          SELECT id_recibo, id_alumno, id_plantel, status_recibo, forma_pago, total_recibo
+          FROM recibos
+          WHERE id_recibo = ?
+          FOR UPDATE
+          `,
+          [idRecibo]
+        );
+
+        if (!recibo) {
+          throw crearError("Recibo no encontrado", 404);
+        }
+
+        if (recibo.status_recibo !== "Cancelado") {
+          throw crearError("Solo se devuelven pagos de recibos cancelados", 409);
+        }
+
+        const saldo = await obtenerSaldoDevolucion(conn, recibo);
+
+        if (saldo.disponible <= 0) {
+          throw crearError("El recibo no tiene saldo por devolver", 409);
+        }
+
+        const monto = montoSolicitado ?? saldo.disponible;
+
+        if (monto > saldo.disponible) {
+          throw crearError(
+            `El monto excede lo disponible para devolver ($${saldo.disponible.toFixed(2)})`,
+            409
+          );
+        }
+
+        if (tipo === "TraspasoRecibo") {
+          if (idReciboDestino === idRecibo) {
+            throw crearError("El recibo destino no puede ser el mismo recibo", 400);
+          }
+
+          await validarReciboDestino(conn, { id_recibo_destino: idReciboDestino, recibo });
+        }
+
+        const idDevolucion = randomUUID();
+
+        await conn.execute(
+          `
+          INSERT INTO recibos_devoluciones (
+            id_devolucion,
+            id_recibo,
+            id_plantel,
+            tipo,
+            monto,
+            motivo,
+            cuenta_destino,
+            id_recibo_destino,
+            status_devolucion,
+            solicitado_por,
+            created_at
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'Solicitada', ?, NOW())
+          `,
+          [
+            idDevolucion,
+            idRecibo,
+            recibo.id_plantel,
+            tipo,
+            monto,
+            motivo,
+            tipo === "Transferencia" ? cuentaDestino : null,
+            tipo === "TraspasoRecibo" ? idReciboDestino : null,
+            idUsuario
+          ]
+        );
+
+        return {
+          id_devolucion: idDevolucion,
+          monto,
+          disponible: redondear(saldo.disponible - monto)
+        };
+      });
+
+      logger.info("Devolución solicitada", {
+        ...devolucion,
+        id_recibo: idRecibo,
+        tipo,
+        solicitado_por: idUsuario
+      });
+
+      return res.json({
+        ok: true,
+        id_recibo: idRecibo,
+        tipo,
+        status_devolucion: "Solicitada",
+        ...devolucion
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Ajuste de efectivo en el corte abierto del solicitante (ver encabezado)
+  async function ajustarCorte(conn, { devolucion, recibo, ajuste }) {
+    const [[hoy]] = await conn.execute(
+      `SELECT DATE_FORMAT(CURDATE(), '%Y-%m-%d') AS fecha`
+    );
+
+    const idCorte = await obtenerCorteAbierto(conn, {
+      fecha: hoy.fecha,
+      id_usuario: devolucion.solicitado_por,
+      id_plantel: recibo.id_plantel
+    });
+
+    if (ajuste < 0) {
+      await recalcularCorte(conn, idCorte);
+
+      const [[corte]] = await conn.execute(
+        `
+        SELECT total_efectivo_neto
+        FROM cortes
+        WHERE id_corte = ?
+        `,
+        [idCorte]
+      );
+
+      const disponible = redondear(corte.total_efectivo_neto);
+
+      if (-ajuste > disponible) {
+        throw crearError(
+          `La devolución excede el efectivo disponible en el corte ($${disponible.toFixed(2)})`,
+          409
+        );
+      }
+    }
+
+    await conn.execute(
+      `
+      INSERT INTO cortes_ajustes (
+        id_corte,
+        id_corte_origen,
+        id_recibo,
+        forma_pago,
+        monto,
+        motivo,
+        created_at
+      )
+      VALUES (?, ?, ?, 'Efectivo', ?, 'Devolucion', NOW())
+      `,
+      [idCorte, recibo.encorte, recibo.id_recibo, ajuste]
+    );
+
+    await recalcularCorte(conn, idCorte);
+
+    return idCorte;
+  }
+
+  // ============================================================
+  // POST /recibos/devoluciones/resolver
+  // { id_devolucion, aprobar: true|false, comentario?, referencia_bancaria? }
+  // Aprobar aplica la devolución.
+  // ============================================================
+  async function resolverDevolucionHandler(req, res, next) {
+    try {
+      const idDevolucion = limpiar(req.body?.id_devolucion);
+      const comentario = limpiar(req.body?.comentario) || null;
+      const referenciaBancaria = limpiar(req.body?.referencia_bancaria) || null;
+      const idUsuario = limpiar(req.usuario?.id_usuario);
+      const aprobar = req.body?.aprobar;
+
+      if (!idDevolucion) {
+        throw crearError("id_devolucion es requerido", 400);
+      }
+
+      if (typeof aprobar !== "boolean") {
+        throw crearError("aprobar debe ser true o false", 400);
+      }
+
+      if (!aprobar && !comentario) {
+        throw crearError("comentario es requerido para rechazar", 400);
+      }
+
+      const resultado = await executeInTransaction(async (conn) => {
+        await validarAutorizador(conn, idUsuario);
+
+        const [[devolucion]] = await conn.execute(
+          `
+          SELECT *
+          FROM recibos_devoluciones
+          WHERE id_devolucion = ?
+          FOR UPDATE
+          `,
+          [idDevolucion]
+        );
+
+        if (!devolucion) {
+          throw crearError("Devolución no encontrada", 404);
+        }
+
+        if (devolucion.status_devolucion !== "Solicitada") {
+          throw crearError(`La devolución ya está ${devolucion.status_devolucion}`, 409);
+        }
+
+        if (!aprobar) {
+          await conn.execute(
+            `
+            UPDATE recibos_devoluciones
+            SET status_devolucion = 'Rechazada',
+                resuelto_por = ?,
+                resuelto_en = NOW(),
+                comentario_resolucion = ?
+            WHERE id_devolucion = ?
+            `,
+            [idUsuario, comentario, idDevolucion]
+          );
+
+          return { status_devolucion: "Rechazada", tipo: devolucion.tipo };
+        }
+
+        const [[recibo]] = await conn.execute(
+          `
+          SELECT id_recibo, id_alumno, id_plantel, folio_completo, forma_pago, total_recibo, encorte
+          FROM recibos
+          WHERE id_recibo = ?
+          FOR UPDATE
+          `,
+          [devolucion.id_recibo]
+        );
+
+        const monto = redondear(devolucion.monto);
+        const saldo = await obtenerSaldoDevolucion(conn, recibo);
+
+        // Parte de esta devolución que se había pagado en efectivo
+        const efectivoOriginal = redondear(
+          Math.max(0, Math.min(monto, saldo.efectivo_pagado - saldo.efectivo_asignado))
+        );
+
+        const ajuste = redondear(
+          efectivoOriginal - (devolucion.tipo === "Efectivo" ? monto : 0)
+        );
+
+        const idCorte = ajuste !== 0
+          ? await ajustarCorte(conn, { devolucion, recibo, ajuste })
+          : null;
+
+        let pagoDestino = null;
+        let movimientoSaldo = null;
+
+        if (devolucion.tipo === "SaldoFavor") {
+          movimientoSaldo = await saldoFavor.moverSaldo(conn, {
+            id_alumno: recibo.id_alumno,
+            monto,
+            origen: "Devolucion",
+            concepto: `Devolución del recibo ${recibo.folio_completo || recibo.id_recibo}`,
+            id_usuario: idUsuario,
+            id_recibo: recibo.id_recibo,
+            id_devolucion: idDevolucion
+          });
+        }
+
+        if (devolucion.tipo === "TraspasoRecibo") {
+          await validarReciboDestino(conn, {
+            id_recibo_destino: devolucion.id_recibo_destino,
+            recibo
+          });
+
+          pagoDestino = await registrarPago(conn, {
+            id_recibo: devolucion.id_recibo_destino,
+            id_usuario: idUsuario,
+            forma_pago: "Traspaso",
+            monto,
+            referencia: `Devolución ${idDevolucion}`
+          });
+        }
+
+        await conn.execute(
+          `
+          UPDATE recibos_devoluciones
+          SET status_devolucion = 'Aplicada',
+              efectivo_original = ?,
+              ajuste_efectivo = ?,
+              id_corte = ?,
+              id_pago_destino = ?,
+              referencia_bancaria = ?,
+              resuelto_por = ?,
+              resuelto_en = NOW(),
+              comentario_resolucion = ?
+          WHERE id_devolucion = ?
+          `,
+          [
+            efectivoOriginal,
+            ajuste,
+            idCorte,
+            pagoDestino?.id_pago || null,
+            devolucion.tipo === "Transferencia" ? referenciaBancaria : null,
+            idUsuario,
+            comentario,
+            idDevolucion
+          ]
+        );
+
+        return {
+          status_devolucion: "Aplicada",
+          tipo: devolucion.tipo,
+          monto,
+          ajuste_efectivo: ajuste,
+          id_corte: idCorte,
+          pago_destino: pagoDestino,
+          saldo_favor: movimientoSaldo
+        };
+      });
+
+      logger.info("Devolución resuelta", {
+        id_devolucion: idDevolucion,
+        resuelto_por: idUsuario,
+        ...resultado
+      });
+
+      // El traspaso puede liquidar el recibo destino
+      let emision = null;
+      let warning = null;
+
+      if (resultado.pago_destino?.saldo_pendiente === 0) {
+        try {
+          emision = await emitirReciboLiquidado(
+            resultado.pago_destino.id_recibo,
+            resultado.pago_destino.id_recibo
+          );
+        } catch (emisionError) {
+          warning =
+            "Devolución aplicada y recibo destino liquidado, pero la emisión falló. Puede emitirse manualmente.";
+
+          logger.error("Recibo destino liquidado por traspaso pero no emitido", {
+            id_devolucion: idDevolucion,
+            id_recibo: resultado.pago_destino.id_recibo,
+            error: emisionError.message
+          });
+        }
+      }
+
+      return res.json({
+        ok: true,
+        id_devolucion: idDevolucion,
+        ...resultado,
+        emision,
+        ...(warning && { warning })
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /recibos/:id_recibo/devoluciones
+  // ============================================================
+  async function listarDevolucionesHandler(req, res, next) {
+    try {
+      const idRecibo = limpiar(req.params.id_recibo);
+
+      const [[recibo]] = await pool.execute(
+        `
+        SELECT id_recibo, status_recibo, forma_pago, total_recibo
+        FROM recibos
+        WHERE id_recibo = ?
+        `,
+        [idRecibo]
+      );
+
+      if (!recibo) {
+        throw crearError("Recibo no encontrado", 404);
+      }
+
+      const [devoluciones] = await pool.execute(
+        `
+        SELECT
+          d.id_devolucion,
+          d.tipo,
+          d.monto,
+          d.motivo,
+          d.status_devolucion,
+          d.cuenta_destino,
+          d.referencia_bancaria,
+          d.id_recibo_destino,
+          d.id_pago_destino,
+          d.ajuste_efectivo,
+          d.id_corte,
+          d.solicitado_por,
+          CONCAT_WS(' ', us.nombre, us.apellidos) AS solicitado_por_nombre,
+          d.created_at,
+          d.resuelto_por,
+          CONCAT_WS(' ', ur.nombre, ur.apellidos) AS resuelto_por_nombre,
+          d.resuelto_en,
+          d.comentario_resolucion
+        FROM recibos_devoluciones d
+        LEFT JOIN usuarios us
+          ON us.id_usuario = d.solicitado_por
+        LEFT JOIN usuarios ur
+          ON ur.id_usuario = d.resuelto_por
+        WHERE d.id_recibo = ?
+        ORDER BY d.created_at
+        `,
+        [idRecibo]
+      );
+
+      const saldo = recibo.status_recibo === "Cancelado"
+        ? await obtenerSaldoDevolucion(pool, { ...recibo, id_recibo: idRecibo })
+        : null;
+
+      return res.json({
+        ok: true,
+        id_recibo: idRecibo,
+        status_recibo: recibo.status_recibo,
+        pagado: saldo?.pagado ?? null,
+        comprometido: saldo?.comprometido ?? null,
+        disponible: saldo?.disponible ?? null,
+        devoluciones
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /recibos/devoluciones/pendientes?id_plantel=
+  // Solicitudes por autorizar.
+  // ============================================================
+  async function pendientesHandler(req, res, next) {
+    try {
+      const idPlantel = limpiar(req.query.id_plantel) || null;
+
+      const [devoluciones] = await pool.execute(
+        `
+        SELECT
+          d.id_devolucion,
+          d.id_recibo,
+          r.folio_completo,
+          d.id_plantel,
+          d.tipo,
+          d.monto,
+          d.motivo,
+          d.solicitado_por,
+          CONCAT_WS(' ', us.nombre, us.apellidos) AS solicitado_por_nombre,
+          d.created_at
+        FROM recibos_devoluciones d
+        JOIN recibos r
+          ON r.id_recibo = d.id_recibo
+        LEFT JOIN usuarios us
+          ON us.id_usuario = d.solicitado_por
+        WHERE d.status_devolucion = 'Solicitada'
+          ${idPlantel ? "AND d.id_plantel = ?" : ""}
+        ORDER BY d.created_at
+        `,
+        idPlantel ? [idPlantel] : []
+      );
+
+      return res.json({ ok: true, total: devoluciones.length, devoluciones });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    solicitarDevolucionHandler,
+    resolverDevolucionHandler,
+    listarDevolucionesHandler,
+    pendientesHandler
+  };
+};
@@ -0,0 +1,367 @@
+const crypto = require("crypto");
+
+// ============================================================================
+// ENLACES PARA COMPARTIR RECIBOS
+// Token firmado (HMAC) por recibo, con vigencia, revocable y opcionalmente
+// de un solo uso. El token solo lleva el id_enlace; el estado (revocado,
+// usado) vive en recibos_enlaces.
+// ============================================================================
+
+const TOKEN_TYP = "BGK-RECIBO";
+const MAX_VIGENCIA_HORAS = 24 * 365;
+
+// Crawlers que generan vistas previas (WhatsApp, redes, mensajería, correo).
+// Reciben las etiquetas Open Graph sin consumir enlaces de un solo uso.
+const VISTA_PREVIA_REGEX =
+  /facebookexternalhit|facebookcatalog|whatsapp|twitterbot|slackbot|telegrambot|linkedinbot|discordbot|skypeuripreview|applebot|googlebot|bingbot|pinterest|redditbot|embedly|vkshare|iframely|preview|crawler|spider|bot\b/i;
+
+module.exports = function enlacesReciboFactory({
+  pool,
+  logger,
+  secret,
+  publicBaseUrl,
+  vigenciaHorasDefault = 720
+}) {
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function base64Url(value) {
+    return Buffer.from(value).toString("base64url");
+  }
+
+  function firmar(payload) {
+    const headerEncoded = base64Url(
+      JSON.stringify({
+        alg: "HS256",
+        typ: TOKEN_TYP
+      })
+    );
+
+    const payloadEncoded = base64Url(
+      JSON.stringify(payload)
+    );
+
+    const unsignedToken =
+      `${headerEncoded}.${payloadEncoded}`;
+
+    const signature = crypto
+      .createHmac("sha256", secret)
+      .update(unsignedToken)
+      .digest("base64url");
+
+    return `${unsignedToken}.${signature}`;
+  }
+
+  function verificarFirma(token) {
+    const partes = String(token || "").split(".");
+
+    if (partes.length !== 3) {
+      throw crearError("Enlace inválido", 401);
+    }
+
+    const [
+      headerEncoded,
+      payloadEncoded,
+      signature
+    ] = partes;
+
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(`${headerEncoded}.${payloadEncoded}`)
+      .digest("base64url");
+
+    const a = Buffer.from(signature);
+    const b = Buffer.from(expected);
+
+    if (
+      a.length !== b.length ||
+      !crypto.timingSafeEqual(a, b)
+    ) {
+      throw crearError("Enlace inválido", 401);
+    }
+
+    let header;
+    let payload;
+
+    try {
+      header = JSON.parse(Buffer.from(headerEncoded, "base64url").toString("utf8"));
+      payload = JSON.parse(Buffer.from(payloadEncoded, "base64url").toString("utf8"));
+    } catch {
+      throw crearError("Enlace inválido", 401);
+    }
+
+    if (header.typ !== TOKEN_TYP || !payload.jti || !payload.rec) {
+      throw crearError("Enlace inválido", 401);
+    }
+
+    if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) {
+      throw crearError("El enlace expiró", 410);
+    }
+
+    return payload;
+  }
+
+  function construirUrl(idRecibo, token) {
+    return `${publicBaseUrl}/genix-recibos/${idRecibo}?t=${encodeURIComponent(token)}`;
+  }
+
+  function esVistaPrevia(req) {
+    return (
+      req.method === "HEAD" ||
+      VISTA_PREVIA_REGEX.test(String(req.headers["user-agent"] || ""))
+    );
+  }
+
+  // ============================================================
+  // CREAR ENLACE
+  // ============================================================
+
+  async function crearEnlace({
+    id_recibo,
+    vigencia_horas = vigenciaHorasDefault,
+    un_solo_uso = false,
+    origen = "manual"
+  }) {
+    const horas = Number(vigencia_horas);
+
+    if (!Number.isFinite(horas) || horas <= 0 || horas > MAX_VIGENCIA_HORAS) {
+      throw crearError(`vigencia_horas debe estar entre 1 y ${MAX_VIGENCIA_HORAS}`, 400);
+    }
+
+    const [[recibo]] = await pool.execute(
+      `SELECT status_recibo FROM recibos WHERE id_recibo = ?`,
+      [id_recibo]
+    );
+
+    if (!recibo) {
+      throw crearError("Recibo no encontrado", 404);
+    }
+
+    if (!["Emitido", "Cancelado"].includes(recibo.status_recibo)) {
+      throw crearError("Solo se pueden compartir recibos emitidos o cancelados", 409);
+    }
+
+    const idEnlace = crypto.randomUUID();
+    const exp = Math.floor(Date.now() / 1000) + Math.round(horas * 3600);
+
+    await pool.execute(
+      `
+      INSERT INTO recibos_enlaces (
+        id_enlace,
+        id_recibo,
+        expira_en,
+        un_solo_uso,
+        origen
+      )
+      VALUES (?, ?, FROM_UNIXTIME(?), ?, ?)
+      `,
+      [idEnlace, id_recibo, exp, un_solo_uso ? 1 : 0, origen]
+    );
+
+    const token = firmar({ jti: idEnlace, rec: id_recibo, exp });
+
+    logger.info("Enlace de recibo creado", {
+      id_enlace: idEnlace,
+      id_recibo,
+      un_solo_uso: Boolean(un_solo_uso),
+      vigencia_horas: horas,
+      origen
+    });
+
+    return {
+      id_enlace: idEnlace,
+      token,
+      url: construirUrl(id_recibo, token),
+      expira_en: new Date(exp * 1000).toISOString(),
+      un_solo_uso: Boolean(un_solo_uso)
+    };
+  }
+
+  // Recibo al que apunta un enlace, solo con la firma (sin BD). Permite
+  // autenticar antes de resolver un folio.
+  function leerEnlace(token) {
+    return verificarFirma(token).rec;
+  }
+
+  // ============================================================
+  // VALIDAR ENLACE
+  // consumir = true marca como usado un enlace de un solo uso;
+  // las vistas previas validan sin consumir.
+  // ============================================================
+
+  async function validarEnlace(token, idRecibo, { consumir = false } = {}) {
+    const payload = verificarFirma(token);
+
+    if (payload.rec !== idRecibo) {
+      throw crearError("Enlace inválido", 401);
+    }
+
+    const [[enlace]] = await pool.execute(
+      `
+      SELECT id_enlace, id_recibo, un_solo_uso, usado_en, revocado_en
+      FROM recibos_enlaces
+      WHERE id_enlace = ?
+      `,
+      [payload.jti]
+    );
+
+    if (!enlace || enlace.id_recibo !== idRecibo) {
+      throw crearError("Enlace inválido", 401);
+    }
+
+    if (enlace.revocado_en) {
+      throw crearError("El enlace fue revocado", 410);
+    }
+
+    if (enlace.un_solo_uso && enlace.usado_en) {
+      throw crearError("El enlace ya fue utilizado", 410);
+    }
+
+    if (consumir) {
+      const [result] = await pool.execute(
+        `
+        UPDATE recibos_enlaces
+        SET accesos = accesos + 1,
+            ultimo_acceso_en = NOW(),
+            usado_en = COALESCE(usado_en, NOW())
+        WHERE id_enlace = ?
+          AND revocado_en IS NULL
+          AND (un_solo_uso = 0 OR usado_en IS NULL)
+        `,
+        [enlace.id_enlace]
+      );
+
+      // Dos aperturas simultáneas de un enlace de un solo uso: solo una gana
+      if (result.affectedRows === 0) {
+        throw crearError("El enlace ya fue utilizado", 410);
+      }
+    }
+
+    return {
+      id_enlace: enlace.id_enlace,
+      id_recibo: enlace.id_recibo,
+      un_solo_uso: Boolean(enlace.un_solo_uso)
+    };
+  }
+
+  // ============================================================
+  // POST /recibos/enlaces/crear  { id_recibo, vigencia_horas?, un_solo_uso? }
+  // ============================================================
+  async function crearEnlaceHandler(req, res, next) {
+    try {
+      const idRecibo = String(req.body?.id_recibo || "").trim();
+
+      if (!idRecibo) {
+        throw crearError("id_recibo es requerido", 400);
+      }
+
+      const enlace = await crearEnlace({
+        id_recibo: idRecibo,
+        vigencia_horas: req.body?.vigencia_horas ?? vigenciaHorasDefault,
+        un_solo_uso: req.body?.un_solo_uso === true,
+        origen: "manual"
+      });
+
+      return res.json({ ok: true, id_recibo: idRecibo, ...enlace });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // POST /recibos/enlaces/revocar  { id_enlace } | { id_recibo }
+  // Con id_recibo se revocan todos los enlaces vigentes del recibo.
+  // ============================================================
+  async function revocarEnlaceHandler(req, res, next) {
+    try {
+      const idEnlace = String(req.body?.id_enlace || "").trim();
+      const idRecibo = String(req.body?.id_recibo || "").trim();
+
+      if (!idEnlace && !idRecibo) {
+        throw crearError("id_enlace o id_recibo es requerido", 400);
+      }
+
+      const [result] = await pool.execute(
+        `
+        UPDATE recibos_enlaces
+        SET revocado_en = NOW()
+        WHERE ${idEnlace ? "id_enlace = ?" : "id_recibo = ?"}
+          AND revocado_en IS NULL
+        `,
+        [idEnlace || idRecibo]
+      );
+
+      if (idEnlace && result.affectedRows === 0) {
+        throw crearError("Enlace no encontrado o ya revocado", 404);
+      }
+
+      logger.info("Enlaces de recibo revocados", {
+        id_enlace: idEnlace || null,
+        id_recibo: idRecibo || null,
+        revocados: result.affectedRows
+      });
+
+      return res.json({ ok: true, revocados: result.affectedRows });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /recibos/:id_recibo/enlaces
+  // El token no se guarda; solo se lista el estado de cada enlace.
+  // ============================================================
+  async function listarEnlacesHandler(req, res, next) {
+    try {
+      const idRecibo = String(req.params.id_recibo || "").trim();
+
+      const [enlaces] = await pool.execute(
+        `
+        SELECT
+          id_enlace,
+          origen,
+          un_solo_uso,
+          expira_en,
+          usado_en,
+          revocado_en,
+          accesos,
+          ultimo_acceso_en,
+          created_at
+        FROM recibos_enlaces
+        WHERE id_recibo = ?
+        ORDER BY created_at DESC
+        `,
+        [idRecibo]
+      );
+
+      for (const enlace of enlaces) {
+        enlace.un_solo_uso = Boolean(enlace.un_solo_uso);
+      }
+
+      return res.json({ ok: true, id_recibo: idRecibo, enlaces });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    esVistaPrevia,
+    leerEnlace,
+    crearEnlace,
+    validarEnlace,
+    crearEnlaceHandler,
+    revocarEnlaceHandler,
+    listarEnlacesHandler
+  };
+};
@@ -0,0 +1,490 @@
+// ============================================================================
+// FOLIOS DE RECIBOS
+// Consecutivo por plantel y serie (folios_series), asignado dentro de la
+// transacción de emisión con FOR UPDATE: sin huecos (si la emisión hace
+// rollback el contador también) y sin reutilizar folios de recibos
+// cancelados. Formato: <prefijo>-<serie>-<consecutivo>, p. ej. PLT1-A-000123.
+// Para que folio_completo identifique un solo recibo, prefijo+serie es único
+// entre planteles y no cambia (ni los dígitos) una vez emitido un folio.
+// ============================================================================
+
+const SERIE_DEFAULT = "A";
+const DIGITOS_DEFAULT = 6;
+const SERIE_REGEX = /^[A-Z0-9]{1,10}$/;
+const PREFIJO_REGEX = /^[A-Z0-9]{1,20}$/;
+const FOLIO_REGEX = /^[A-Z0-9]{1,20}-[A-Z0-9]{1,10}-\d{1,12}$/;
+
+function formatearFolio({ prefijo, serie, folio, digitos }) {
+  return `${prefijo}-${serie}-${String(folio).padStart(digitos || DIGITOS_DEFAULT, "0")}`;
+}
+
+function esFolio(valor) {
+  return FOLIO_REGEX.test(String(valor || "").trim().toUpperCase());
+}
+
+module.exports = function foliosFactory({
+  pool,
+  executeInTransaction,
+  logger
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function limpiar(valor) {
+    return String(valor ?? "").trim();
+  }
+
+  // prefijo+serie no puede estar en otro plantel. El FOR UPDATE bloquea las
+  // filas revisadas hasta el commit para que dos altas no choquen.
+  async function validarPrefijoLibre(conn, { id_plantel, prefijo, serie }) {
+    const [[ocupada]] = await conn.execute(
+      `
+      SELECT id_plantel
+      FROM folios_series
+      WHERE prefijo = ?
+        AND serie = ?
+        AND id_plantel <> ?
+      LIMIT 1
+      FOR UPDATE
+      `,
+      [prefijo, serie, id_plantel]
+    );
+
+    if (ocupada) {
+      throw crearError(
+        `El prefijo ${prefijo} con serie ${serie} ya lo usa otro plantel`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Asigna el siguiente folio de la serie. Debe llamarse con la conexión
+   * de la transacción de emisión. Sin serie indicada se usa la serie
+   * default del plantel; si el plantel no tiene ninguna se crea la "A"
+   * con su clave_plantel como prefijo.
+   */
+  async function asignarFolio(conn, { id_plantel, serie = null }) {
+    if (!serie) {
+      const [[plantel]] = await conn.execute(
+        `
+        SELECT
+          clave_plantel,
+          EXISTS (
+            SELECT 1 FROM folios_series WHERE id_plantel = p.id_plantel
+          ) AS tiene_series
+        FROM planteles p
+        WHERE p.id_plantel = ?
+        `,
+        [id_plantel]
+      );
+
+      const prefijo = limpiar(plantel?.clave_plantel).toUpperCase();
+
+      if (plantel && !Number(plantel.tiene_series)) {
+        if (!PREFIJO_REGEX.test(prefijo)) {
+          throw crearError(
+            "El plantel no tiene clave_plantel válida para crear su serie de folios; registra una serie",
+            409
+          );
+        }
+
+        await validarPrefijoLibre(conn, {
+          id_plantel,
+          prefijo,
+          serie: SERIE_DEFAULT
+        });
+
+        await conn.execute(
+          `
+          INSERT IGNORE INTO folios_series (
+            id_plantel,
+            serie,
+            prefijo,
+            ultimo_folio,
+            digitos,
+            es_default,
+            status
+          )
+          VALUES (?, ?, ?, 0, ?, 1, 'Activo')
+          `,
+          [id_plantel, SERIE_DEFAULT, prefijo, DIGITOS_DEFAULT]
+        );
+      }
+    }
+
+    const [[fila]] = await conn.execute(
+      `
+      SELECT id_plantel, serie, prefijo, ultimo_folio, digitos, status
+      FROM folios_series
+      WHERE id_plantel = ?
+        AND ${serie ? "serie = ?" : "es_default = 1"}
+      FOR UPDATE
+      `,
+      serie ? [id_plantel, serie] : [id_plantel]
+    );
+
+    if (!fila) {
+      throw crearError(
+        serie
+          ? `La serie ${serie} no existe para el plantel`
+          : "El plantel no tiene serie de folios por defecto",
+        409
+      );
+    }
+
+    if (fila.status !== "Activo") {
+      throw crearError(`La serie ${fila.serie} no está activa`, 409);
+    }
+
+    const folio = Number(fila.ultimo_folio) + 1;
+
+    await conn.execute(
+      `
+      UPDATE folios_series
+      SET ultimo_folio = ?,
+          updated_at = NOW()
+      WHERE id_plantel = ?
+        AND serie = ?
+      `,
+      [folio, fila.id_plantel, fila.serie]
+    );
+
+    return {
+      serie: fila.serie,
+      folio,
+      folio_completo: formatearFolio({ ...fila, folio })
+    };
+  }
+
+  // Folio completo → id_recibo (null si no existe o si, por datos previos
+  // a la validación de prefijos, lo comparten varios recibos)
+  async function resolverFolio(folioCompleto) {
+    const folio = limpiar(folioCompleto).toUpperCase();
+
+    const [rows] = await pool.execute(
+      `SELECT id_recibo FROM recibos WHERE folio_completo = ? LIMIT 2`,
+      [folio]
+    );
+
+    if (rows.length > 1) {
+      logger.warn("Folio compartido por varios recibos", { folio_completo: folio });
+      return null;
+    }
+
+    return rows[0]?.id_recibo || null;
+  }
+
+  // ============================================================
+  // POST /folios/series/guardar
+  // { id_plantel, serie, prefijo, digitos?, es_default?, status?, folio_inicial? }
+  // El consecutivo nunca retrocede: folio_inicial solo aplica al crear.
+  // Con folios emitidos, prefijo y dígitos quedan fijos.
+  // ============================================================
+  async function guardarSerieHandler(req, res, next) {
+    try {
+      const idPlantel = limpiar(req.body?.id_plantel);
+      const serie = limpiar(req.body?.serie).toUpperCase();
+      const prefijo = limpiar(req.body?.prefijo).toUpperCase();
+      const digitosRecibidos = req.body?.digitos != null
+        ? Number(req.body.digitos)
+        : null;
+      const esDefault = req.body?.es_default === true;
+      const status = limpiar(req.body?.status) || "Activo";
+      const folioInicial = Number(req.body?.folio_inicial ?? 1);
+
+      if (!idPlantel) {
+        throw crearError("id_plantel es requerido", 400);
+      }
+
+      if (!SERIE_REGEX.test(serie)) {
+        throw crearError("serie debe ser alfanumérica (máx. 10 caracteres)", 400);
+      }
+
+      if (!PREFIJO_REGEX.test(prefijo)) {
+        throw crearError("prefijo debe ser alfanumérico (máx. 20 caracteres)", 400);
+      }
+
+      if (
+        digitosRecibidos != null &&
+        (!Number.isInteger(digitosRecibidos) || digitosRecibidos < 1 || digitosRecibidos > 12)
+      ) {
+        throw crearError("digitos debe ser un entero entre 1 y 12", 400);
+      }
+
+      if (!["Activo", "Inactivo"].includes(status)) {
+        throw crearError("status debe ser Activo o Inactivo", 400);
+      }
+
+      if (!Number.isInteger(folioInicial) || folioInicial < 1) {
+        throw crearError("folio_inicial debe ser un entero mayor a 0", 400);
+      }
+
+      // La serie y el cambio de default van juntos
+      const quedoDefault = await executeInTransaction(async (conn) => {
+        const [[plantel]] = await conn.execute(
+          `SELECT id_plantel FROM planteles WHERE id_plantel = ?`,
+          [idPlantel]
+        );
+
+        if (!plantel) {
+          throw crearError("Plantel no encontrado", 404);
+        }
+
+        const [[existente]] = await conn.execute(
+          `
+          SELECT prefijo, digitos, ultimo_folio
+          FROM folios_series
+          WHERE id_plantel = ?
+            AND serie = ?
+          FOR UPDATE
+          `,
+          [idPlantel, serie]
+        );
+
+        const digitos = digitosRecibidos ?? Number(existente?.digitos || DIGITOS_DEFAULT);
+
+        if (
+          existente &&
+          Number(existente.ultimo_folio) > 0 &&
+          (existente.prefijo !== prefijo || Number(existente.digitos) !== digitos)
+        ) {
+          throw crearError(
+            `La serie ${serie} ya emitió folios; no se puede cambiar su prefijo ni sus dígitos`,
+            409
+          );
+        }
+
+        await validarPrefijoLibre(conn, { id_plantel: idPlantel, prefijo, serie });
+
+        if (esDefault) {
+          await conn.execute(
+            `
+            UPDATE folios_series
+            SET es_default = 0,
+                updated_at = NOW()
+            WHERE id_plantel = ?
+              AND serie <> ?
+            `,
+            [idPlantel, serie]
+          );
+        }
+
+        await conn.execute(
+          `
+          INSERT INTO folios_series (
+            id_plantel,
+            serie,
+            prefijo,
+            ultimo_folio,
+            digitos,
+            es_default,
+            status
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+            prefijo = VALUES(prefijo),
+            digitos = VALUES(digitos),
+            es_default = GREATEST(es_default, VALUES(es_default)),
+            status = VALUES(status),
+            updated_at = NOW()
+          `,
+          [idPlantel, serie, prefijo, folioInicial - 1, digitos, esDefault ? 1 : 0, status]
+        );
+
+        // El plantel siempre conserva una serie activa por defecto: la
+        // primera serie activa lo es automáticamente.
+        const [[vigente]] = await conn.execute(
+          `
+          SELECT serie
+          FROM folios_series
+          WHERE id_plantel = ?
+            AND es_default = 1
+            AND status = 'Activo'
+          `,
+          [idPlantel]
+        );
+
+        if (vigente) {
+          return vigente.serie === serie;
+        }
+
+        if (status !== "Activo") {
+          throw crearError(
+            "El plantel debe conservar una serie activa por defecto; marca otra como default antes de desactivar esta",
+            409
+          );
+        }
+
+        await conn.execute(
+          `
+          UPDATE folios_series
+          SET es_default = (serie = ?),
+              updated_at = NOW()
+          WHERE id_plantel = ?
+          `,
+          [serie, idPlantel]
+        );
+
+        return true;
+      });
+
+      logger.info("Serie de folios guardada", {
+        id_plantel: idPlantel,
+        serie,
+        prefijo,
+        es_default: quedoDefault,
+        status
+      });
+
+      return res.json({
+        ok: true,
+        id_plantel: idPlantel,
+        serie,
+        prefijo,
+        es_default: quedoDefault
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /folios/series?id_plantel=
+  // ============================================================
+  async function listarSeriesHandler(req, res, next) {
+    try {
+      const idPlantel = limpiar(req.query.id_plantel) || null;
+
+      const [series] = await pool.execute(
+        `
+        SELECT
+          fs.id_plantel,
+          p.nombre_plantel,
+          fs.serie,
+          fs.prefijo,
+          fs.ultimo_folio,
+          fs.digitos,
+          fs.es_default,
+          fs.status
+        FROM folios_series fs
+        JOIN planteles p
+          ON p.id_plantel = fs.id_plantel
+        ${idPlantel ? "WHERE fs.id_plantel = ?" : ""}
+        ORDER BY p.nombre_plantel, fs.serie
+        `,
+        idPlantel ? [idPlantel] : []
+      );
+
+      for (const serie of series) {
+        serie.es_default = Boolean(serie.es_default);
+        serie.siguiente_folio = formatearFolio({
+          ...serie,
+          folio: Number(serie.ultimo_folio) + 1
+        });
+      }
+
+      return res.json({ ok: true, series });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /recibos/folios/buscar
+  // ?folio=PLT1-A-000123  |  ?id_plantel=&serie=&desde=&hasta=
+  // ============================================================
+  async function buscarPorFolioHandler(req, res, next) {
+    try {
+      const folioCompleto = limpiar(req.query.folio).toUpperCase();
+      const idPlantel = limpiar(req.query.id_plantel);
+      const serie = limpiar(req.query.serie).toUpperCase();
+      const desde = req.query.desde != null ? Number(req.query.desde) : null;
+      const hasta = req.query.hasta != null ? Number(req.query.hasta) : null;
+
+      const condiciones = [];
+      const params = [];
+
+      if (folioCompleto) {
+        if (!esFolio(folioCompleto)) {
+          throw crearError("folio inválido (formato PREFIJO-SERIE-000000)", 400);
+        }
+
+        condiciones.push("r.folio_completo = ?");
+        params.push(folioCompleto);
+
+      } else {
+        if (!idPlantel || !serie) {
+          throw crearError("folio, o id_plantel y serie, son requeridos", 400);
+        }
+
+        condiciones.push("r.id_plantel = ?", "r.serie = ?");
+        params.push(idPlantel, serie);
+
+        for (const [valor, operador] of [[desde, ">="], [hasta, "<="]]) {
+          if (valor == null) continue;
+
+          if (!Number.isInteger(valor) || valor < 1) {
+            throw crearError("desde y hasta deben ser enteros mayores a 0", 400);
+          }
+
+          condiciones.push(`r.folio ${operador} ?`);
+          params.push(valor);
+        }
+      }
+
+      const [recibos] = await pool.execute(
+        `
+        SELECT
+          r.id_recibo,
+          r.folio_completo,
+          r.serie,
+          r.folio,
+          r.status_recibo,
+          r.total_recibo,
+          r.fecha_emision,
+          r.id_plantel,
+          r.encorte,
+          CONCAT_WS(' ',
+            a.apellido_paterno,
+            a.apellido_materno,
+            a.nombre
+          ) AS alumno_nombre_completo
+        FROM recibos r
+        JOIN alumnos a
+          ON a.id_alumno = r.id_alumno
+        WHERE ${condiciones.join(" AND ")}
+        ORDER BY r.folio
+        LIMIT 500
+        `,
+        params
+      );
+
+      if (folioCompleto && recibos.length === 0) {
+        throw crearError("Folio no encontrado", 404);
+      }
+
+      return res.json({ ok: true, recibos });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    asignarFolio,
+    resolverFolio,
+    guardarSerieHandler,
+    listarSeriesHandler,
+    buscarPorFolioHandler
+  };
+};
+
+module.exports.esFolio = esFolio;
+module.exports.formatearFolio = formatearFolio;
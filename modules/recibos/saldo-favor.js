@@ -0,0 +1,312 @@
+const { randomUUID } = require("crypto");
+
+// ============================================================================
+// SALDO A FAVOR POR ALUMNO
+// Crédito de colegiaturas (distinto del monedero de Genius Bites). Se abona
+// con devoluciones tipo SaldoFavor y ajustes autorizados, y se consume como
+// pago en parcialidades con forma_pago 'SaldoFavor' (no entra a ningún
+// corte). Si se cancela un recibo pagado con saldo, se reintegra.
+// Cada cambio queda en saldos_favor_movimientos con saldo anterior/posterior.
+// ============================================================================
+
+const ORIGENES = ["Devolucion", "Ajuste", "Pago", "Reintegro"];
+
+const ROLES_AJUSTAN = ["directivo", "administrativo"];
+
+const MAX_CONCEPTO = 255;
+const MAX_MOVIMIENTOS = 500;
+
+function redondear(valor) {
+  return Math.round(Number(valor || 0) * 100) / 100;
+}
+
+module.exports = function saldoFavorFactory({
+  pool,
+  executeInTransaction,
+  logger
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function limpiar(valor) {
+    return String(valor ?? "").trim();
+  }
+
+  /**
+   * Registra un movimiento (monto > 0 abona, < 0 consume) dentro de la
+   * transacción del llamador. El saldo nunca queda negativo.
+   */
+  async function moverSaldo(conn, {
+    id_alumno,
+    monto,
+    origen,
+    concepto,
+    id_usuario = null,
+    id_recibo = null,
+    id_pago = null,
+    id_devolucion = null
+  }) {
+    const importe = redondear(monto);
+
+    if (!ORIGENES.includes(origen)) {
+      throw crearError(`Origen de saldo a favor no válido: ${origen}`, 500);
+    }
+
+    if (!Number.isFinite(importe) || importe === 0) {
+      throw crearError("El monto del movimiento debe ser diferente de cero", 400);
+    }
+
+    await conn.execute(
+      `
+      INSERT INTO saldos_favor (id_alumno, saldo, updated_at)
+      VALUES (?, 0, NOW())
+      ON DUPLICATE KEY UPDATE id_alumno = id_alumno
+      `,
+      [id_alumno]
+    );
+
+    const [[cuenta]] = await conn.execute(
+      `
+      SELECT saldo
+      FROM saldos_favor
+      WHERE id_alumno = ?
+      FOR UPDATE
+      `,
+      [id_alumno]
+    );
+
+    const saldoAnterior = redondear(cuenta.saldo);
+    const saldoPosterior = redondear(saldoAnterior + importe);
+
+    if (saldoPosterior < 0) {
+      throw crearError(
+        `Saldo a favor insuficiente (disponible $${saldoAnterior.toFixed(2)})`,
+        409
+      );
+    }
+
+    const idMovimiento = randomUUID();
+
+    await conn.execute(
+      `
+      INSERT INTO saldos_favor_movimientos (
+        id_movimiento,
+        id_alumno,
+        origen,
+        monto,
+        saldo_anterior,
+        saldo_posterior,
+        id_recibo,
+        id_pago,
+        id_devolucion,
+        concepto,
+        id_usuario,
+        created_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+      `,
+      [
+        idMovimiento,
+        id_alumno,
+        origen,
+        importe,
+        saldoAnterior,
+        saldoPosterior,
+        id_recibo,
+        id_pago,
+        id_devolucion,
+        String(concepto || origen).slice(0, MAX_CONCEPTO),
+        id_usuario
+      ]
+    );
+
+    await conn.execute(
+      `
+      UPDATE saldos_favor
+      SET saldo = ?,
+          updated_at = NOW()
+      WHERE id_alumno = ?
+      `,
+      [saldoPosterior, id_alumno]
+    );
+
+    return {
+      id_movimiento: idMovimiento,
+      id_alumno,
+      origen,
+      monto: importe,
+      saldo_anterior: saldoAnterior,
+      saldo_posterior: saldoPosterior
+    };
+  }
+
+  // Pagos con saldo de un recibo cancelado → regresan al saldo del alumno
+  async function reintegrarPagos(conn, { recibo, pagos }) {
+    const movimientos = [];
+
+    for (const pago of pagos) {
+      if (pago.forma_pago !== "SaldoFavor") continue;
+
+      movimientos.push(
+        await moverSaldo(conn, {
+          id_alumno: recibo.id_alumno,
+          monto: Number(pago.monto),
+          origen: "Reintegro",
+          concepto: `Cancelación del recibo ${recibo.folio_completo || recibo.id_recibo}`,
+          id_recibo: recibo.id_recibo,
+          id_pago: pago.id_pago
+        })
+      );
+    }
+
+    return movimientos;
+  }
+
+  async function obtenerSaldo(idAlumno, conn = pool) {
+    const [[cuenta]] = await conn.execute(
+      `
+      SELECT saldo
+      FROM saldos_favor
+      WHERE id_alumno = ?
+      `,
+      [idAlumno]
+    );
+
+    return redondear(cuenta?.saldo);
+  }
+
+  // ============================================================
+  // POST /saldos-favor/ajustar  { id_alumno, monto, motivo }
+  // monto positivo abona, negativo descuenta. Solo directivo o
+  // administrativo.
+  // ============================================================
+  async function ajustarSaldoHandler(req, res, next) {
+    try {
+      const idAlumno = limpiar(req.body?.id_alumno);
+      const motivo = limpiar(req.body?.motivo);
+      const idUsuario = limpiar(req.usuario?.id_usuario);
+      const monto = redondear(req.body?.monto);
+
+      if (!idAlumno) {
+        throw crearError("id_alumno es requerido", 400);
+      }
+
+      if (!Number.isFinite(monto) || monto === 0) {
+        throw crearError("monto debe ser diferente de cero", 400);
+      }
+
+      if (!motivo || motivo.length > MAX_CONCEPTO) {
+        throw crearError(`motivo es requerido (máx. ${MAX_CONCEPTO} caracteres)`, 400);
+      }
+
+      const movimiento = await executeInTransaction(async (conn) => {
+        const [[usuario]] = await conn.execute(
+          `
+          SELECT u.status, r.nombre AS rol
+          FROM usuarios u
+          LEFT JOIN roles r
+            ON r.id_rol = u.id_rol
+          WHERE u.id_usuario = ?
+          `,
+          [idUsuario]
+        );
+
+        if (!usuario || usuario.status !== "Activo") {
+          throw crearError("El usuario no existe o no está activo", 403);
+        }
+
+        if (!ROLES_AJUSTAN.includes(String(usuario.rol || "").trim().toLowerCase())) {
+          throw crearError("Solo un directivo o administrativo puede ajustar saldos a favor", 403);
+        }
+
+        const [[alumno]] = await conn.execute(
+          `
+          SELECT id_alumno
+          FROM alumnos
+          WHERE id_alumno = ?
+          `,
+          [idAlumno]
+        );
+
+        if (!alumno) {
+          throw crearError("Alumno no encontrado", 404);
+        }
+
+        return moverSaldo(conn, {
+          id_alumno: idAlumno,
+          monto,
+          origen: "Ajuste",
+          concepto: motivo,
+          id_usuario: idUsuario
+        });
+      });
+
+      logger.info("Saldo a favor ajustado", { ...movimiento, id_usuario: idUsuario });
+
+      return res.json({ ok: true, ...movimiento });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /alumnos/:id_alumno/saldo-favor
+  // Saldo y movimientos (más recientes primero).
+  // ============================================================
+  async function consultarSaldoHandler(req, res, next) {
+    try {
+      const idAlumno = limpiar(req.params.id_alumno);
+
+      const [movimientos] = await pool.execute(
+        `
+        SELECT
+          m.id_movimiento,
+          m.origen,
+          m.monto,
+          m.saldo_anterior,
+          m.saldo_posterior,
+          m.id_recibo,
+          r.folio_completo,
+          m.id_pago,
+          m.id_devolucion,
+          m.concepto,
+          m.id_usuario,
+          CONCAT_WS(' ', u.nombre, u.apellidos) AS usuario_nombre,
+          m.created_at
+        FROM saldos_favor_movimientos m
+        LEFT JOIN recibos r
+          ON r.id_recibo = m.id_recibo
+        LEFT JOIN usuarios u
+          ON u.id_usuario = m.id_usuario
+        WHERE m.id_alumno = ?
+        ORDER BY m.created_at DESC
+        LIMIT ${MAX_MOVIMIENTOS}
+        `,
+        [idAlumno]
+      );
+
+      return res.json({
+        ok: true,
+        id_alumno: idAlumno,
+        saldo: await obtenerSaldo(idAlumno),
+        movimientos
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    moverSaldo,
+    reintegrarPagos,
+    obtenerSaldo,
+    ajustarSaldoHandler,
+    consultarSaldoHandler
+  };
+};
@@ -0,0 +1,461 @@
+const { randomUUID } = require("crypto");
+
+// ============================================================================
+// SOLICITUDES DE CANCELACIÓN DE RECIBOS
+// La caja solicita con un motivo del catálogo y un comentario; la solicitud
+// queda en recibos_solicitudes_cancelacion:
+//   Pendiente → Aprobada | Rechazada,  Aprobada → Ejecutada (/cancelar-recibo)
+// Se aprueba sola cuando:
+//   - Rol:      quien solicita es directivo o administrativo.
+//   - Ventana:  quien solicita es el cajero que emitió el recibo y la fecha
+//               operativa del recibo está dentro de la ventana del cajero
+//               (0 días = solo el mismo día).
+// Lo demás lo resuelve un directivo o administrativo (aprobacion 'Manual').
+// recibos.solicita_cancelacion se mantiene en TRUE mientras haya una
+// solicitud vigente.
+// ============================================================================
+
+const MOTIVOS = [
+  "ErrorCaptura",
+  "ErrorMonto",
+  "Duplicado",
+  "CambioFormaPago",
+  "BajaAlumno",
+  "Otro"
+];
+
+const ROLES_AUTORIZAN = ["directivo", "administrativo"];
+
+const MAX_COMENTARIO = 500;
+
+module.exports = function solicitudesCancelacionFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  diasCajero = 0
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function limpiar(valor) {
+    return String(valor ?? "").trim();
+  }
+
+  async function obtenerUsuario(conn, idUsuario) {
+    const [[usuario]] = await conn.execute(
+      `
+      SELECT
+        u.id_usuario,
+        u.status,
+        r.nombre AS rol
+      FROM usuarios u
+      LEFT JOIN roles r
+        ON r.id_rol = u.id_rol
+      WHERE u.id_usuario = ?
+      `,
+      [idUsuario]
+    );
+
+    if (!usuario || usuario.status !== "Activo") {
+      throw crearError("El usuario no existe o no está activo", 403);
+    }
+
+    return {
+      ...usuario,
+      autoriza: ROLES_AUTORIZAN.includes(String(usuario.rol || "").trim().toLowerCase())
+    };
+  }
+
+  /**
+   * Solicitud aprobada del recibo, bloqueada para ejecutarla dentro de la
+   * transacción de /cancelar-recibo. Sin ella el recibo no se cancela.
+   */
+  async function tomarSolicitudAprobada(conn, idRecibo) {
+    const [[solicitud]] = await conn.execute(
+      `
+      SELECT id_solicitud, motivo_codigo, aprobacion, resuelto_por
+      FROM recibos_solicitudes_cancelacion
+      WHERE id_recibo = ?
+        AND status_solicitud = 'Aprobada'
+      ORDER BY resuelto_en DESC
+      LIMIT 1
+      FOR UPDATE
+      `,
+      [idRecibo]
+    );
+
+    if (!solicitud) {
+      throw crearError("El recibo no tiene una solicitud de cancelación aprobada", 409);
+    }
+
+    return solicitud;
+  }
+
+  async function marcarEjecutada(conn, idSolicitud) {
+    await conn.execute(
+      `
+      UPDATE recibos_solicitudes_cancelacion
+      SET status_solicitud = 'Ejecutada',
+          ejecutado_en = NOW()
+      WHERE id_solicitud = ?
+      `,
+      [idSolicitud]
+    );
+  }
+
+  // ============================================================
+  // POST /recibos/cancelacion/solicitar
+  // { id_recibo, motivo_codigo, comentario }
+  // ============================================================
+  async function solicitarCancelacionHandler(req, res, next) {
+    try {
+      const idRecibo = limpiar(req.body?.id_recibo);
+      const motivoCodigo = limpiar(req.body?.motivo_codigo);
+      const comentario = limpiar(req.body?.comentario);
+      const idUsuario = limpiar(req.usuario?.id_usuario);
+
+      if (!idRecibo) {
+        throw crearError("id_recibo es requerido", 400);
+      }
+
+      if (!MOTIVOS.includes(motivoCodigo)) {
+        throw crearError(`motivo_codigo debe ser uno de: ${MOTIVOS.join(", ")}`, 400);
+      }
+
+      if (!comentario || comentario.length > MAX_COMENTARIO) {
+        throw crearError(`comentario es requerido (máx. ${MAX_COMENTARIO} caracteres)`, 400);
+      }
+
+      const solicitud = await executeInTransaction(async (conn) => {
+        const usuario = await obtenerUsuario(conn, idUsuario);
+
+        const [[recibo]] = await conn.execute(
+          `
+          SELECT
+            id_recibo,
+            id_plantel,
+            id_usuario,
+            status_recibo,
+            DATEDIFF(CURDATE(), DATE(fecha)) AS dias
+          FROM recibos
+          WHERE id_recibo = ?
+          FOR UPDATE
+          `,
+          [idRecibo]
+        );
+
+        if (!recibo) {
+          throw crearError("Recibo no encontrado", 404);
+        }
+
+        if (recibo.status_recibo !== "Emitido") {
+          throw crearError("Solo se puede solicitar la cancelación de recibos emitidos", 409);
+        }
+
+        const [[vigente]] = await conn.execute(
+          `
+          SELECT id_solicitud, status_solicitud
+          FROM recibos_solicitudes_cancelacion
+          WHERE id_recibo = ?
+            AND status_solicitud IN ('Pendiente', 'Aprobada')
+          `,
+          [idRecibo]
+        );
+
+        if (vigente) {
+          throw crearError(
+            `El recibo ya tiene una solicitud de cancelación ${vigente.status_solicitud}`,
+            409
+          );
+        }
+
+        let aprobacion = null;
+
+        if (usuario.autoriza) {
+          aprobacion = "Rol";
+        } else if (
+          String(recibo.id_usuario) === idUsuario &&
+          recibo.dias !== null &&
+          Number(recibo.dias) <= diasCajero
+        ) {
+          aprobacion = "Ventana";
+        }
+
+        const status = aprobacion ? "Aprobada" : "Pendiente";
+        const idSolicitud = randomUUID();
+
+        await conn.execute(
+          `
+          INSERT INTO recibos_solicitudes_cancelacion (
+            id_solicitud,
+            id_recibo,
+            id_plantel,
+            motivo_codigo,
+            comentario,
+            status_solicitud,
+            aprobacion,
+            solicitado_por,
+            created_at,
+            resuelto_por,
+            resuelto_en
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, ${aprobacion ? "NOW()" : "NULL"})
+          `,
+          [
+            idSolicitud,
+            idRecibo,
+            recibo.id_plantel,
+            motivoCodigo,
+            comentario,
+            status,
+            aprobacion,
+            idUsuario,
+            aprobacion ? idUsuario : null
+          ]
+        );
+
+        await conn.execute(
+          `
+          UPDATE recibos
+          SET solicita_cancelacion = TRUE
+          WHERE id_recibo = ?
+          `,
+          [idRecibo]
+        );
+
+        return {
+          id_solicitud: idSolicitud,
+          status_solicitud: status,
+          aprobacion
+        };
+      });
+
+      logger.info("Cancelación solicitada", {
+        ...solicitud,
+        id_recibo: idRecibo,
+        motivo_codigo: motivoCodigo,
+        solicitado_por: idUsuario
+      });
+
+      return res.json({
+        ok: true,
+        id_recibo: idRecibo,
+        motivo_codigo: motivoCodigo,
+        ...solicitud
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // POST /recibos/cancelacion/resolver
+  // { id_solicitud, aprobar: true|false, comentario? }
+  // Solo directivo o administrativo. Rechazar exige comentario.
+  // ============================================================
+  async function resolverCancelacionHandler(req, res, next) {
+    try {
+      const idSolicitud = limpiar(req.body?.id_solicitud);
+      const comentario = limpiar(req.body?.comentario) || null;
+      const idUsuario = limpiar(req.usuario?.id_usuario);
+      const aprobar = req.body?.aprobar;
+
+      if (!idSolicitud) {
+        throw crearError("id_solicitud es requerido", 400);
+      }
+
+      if (typeof aprobar !== "boolean") {
+        throw crearError("aprobar debe ser true o false", 400);
+      }
+
+      if (!aprobar && !comentario) {
+        throw crearError("comentario es requerido para rechazar", 400);
+      }
+
+      if (comentario && comentario.length > MAX_COMENTARIO) {
+        throw crearError(`comentario admite máx. ${MAX_COMENTARIO} caracteres`, 400);
+      }
+
+      const resultado = await executeInTransaction(async (conn) => {
+        const usuario = await obtenerUsuario(conn, idUsuario);
+
+        if (!usuario.autoriza) {
+          throw crearError("Solo un directivo o administrativo puede resolver cancelaciones", 403);
+        }
+
+        const [[solicitud]] = await conn.execute(
+          `
+          SELECT id_solicitud, id_recibo, status_solicitud
+          FROM recibos_solicitudes_cancelacion
+          WHERE id_solicitud = ?
+          FOR UPDATE
+          `,
+          [idSolicitud]
+        );
+
+        if (!solicitud) {
+          throw crearError("Solicitud de cancelación no encontrada", 404);
+        }
+
+        if (solicitud.status_solicitud !== "Pendiente") {
+          throw crearError(`La solicitud ya está ${solicitud.status_solicitud}`, 409);
+        }
+
+        const status = aprobar ? "Aprobada" : "Rechazada";
+
+        await conn.execute(
+          `
+          UPDATE recibos_solicitudes_cancelacion
+          SET status_solicitud = ?,
+              aprobacion = ?,
+              resuelto_por = ?,
+              resuelto_en = NOW(),
+              comentario_resolucion = ?
+          WHERE id_solicitud = ?
+          `,
+          [status, aprobar ? "Manual" : null, idUsuario, comentario, idSolicitud]
+        );
+
+        if (!aprobar) {
+          await conn.execute(
+            `
+            UPDATE recibos
+            SET solicita_cancelacion = FALSE
+            WHERE id_recibo = ?
+            `,
+            [solicitud.id_recibo]
+          );
+        }
+
+        return { id_recibo: solicitud.id_recibo, status_solicitud: status };
+      });
+
+      logger.info("Cancelación resuelta", {
+        id_solicitud: idSolicitud,
+        resuelto_por: idUsuario,
+        ...resultado
+      });
+
+      return res.json({ ok: true, id_solicitud: idSolicitud, ...resultado });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /recibos/:id_recibo/cancelacion
+  // Historial de solicitudes del recibo con quién decidió.
+  // ============================================================
+  async function listarSolicitudesHandler(req, res, next) {
+    try {
+      const idRecibo = limpiar(req.params.id_recibo);
+
+      const [[recibo]] = await pool.execute(
+        `
+        SELECT id_recibo, folio_completo, status_recibo
+        FROM recibos
+        WHERE id_recibo = ?
+        `,
+        [idRecibo]
+      );
+
+      if (!recibo) {
+        throw crearError("Recibo no encontrado", 404);
+      }
+
+      const [solicitudes] = await pool.execute(
+        `
+        SELECT
+          s.id_solicitud,
+          s.motivo_codigo,
+          s.comentario,
+          s.status_solicitud,
+          s.aprobacion,
+          s.solicitado_por,
+          CONCAT_WS(' ', us.nombre, us.apellidos) AS solicitado_por_nombre,
+          s.created_at,
+          s.resuelto_por,
+          CONCAT_WS(' ', ur.nombre, ur.apellidos) AS resuelto_por_nombre,
+          s.resuelto_en,
+          s.comentario_resolucion,
+          s.ejecutado_en
+        FROM recibos_solicitudes_cancelacion s
+        LEFT JOIN usuarios us
+          ON us.id_usuario = s.solicitado_por
+        LEFT JOIN usuarios ur
+          ON ur.id_usuario = s.resuelto_por
+        WHERE s.id_recibo = ?
+        ORDER BY s.created_at
+        `,
+        [idRecibo]
+      );
+
+      return res.json({ ok: true, ...recibo, solicitudes });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /recibos/cancelacion/pendientes?id_plantel=
+  // Solicitudes por resolver y catálogo de motivos.
+  // ============================================================
+  async function pendientesHandler(req, res, next) {
+    try {
+      const idPlantel = limpiar(req.query.id_plantel) || null;
+
+      const [solicitudes] = await pool.execute(
+        `
+        SELECT
+          s.id_solicitud,
+          s.id_recibo,
+          r.folio_completo,
+          r.total_recibo,
+          DATE_FORMAT(r.fecha, '%Y-%m-%d') AS fecha_recibo,
+          s.id_plantel,
+          s.motivo_codigo,
+          s.comentario,
+          s.solicitado_por,
+          CONCAT_WS(' ', us.nombre, us.apellidos) AS solicitado_por_nombre,
+          s.created_at
+        FROM recibos_solicitudes_cancelacion s
+        JOIN recibos r
+          ON r.id_recibo = s.id_recibo
+        LEFT JOIN usuarios us
+          ON us.id_usuario = s.solicitado_por
+        WHERE s.status_solicitud = 'Pendiente'
+          ${idPlantel ? "AND s.id_plantel = ?" : ""}
+        ORDER BY s.created_at
+        `,
+        idPlantel ? [idPlantel] : []
+      );
+
+      return res.json({
+        ok: true,
+        motivos: MOTIVOS,
+        dias_cajero: diasCajero,
+        total: solicitudes.length,
+        solicitudes
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    tomarSolicitudAprobada,
+    marcarEjecutada,
+    solicitarCancelacionHandler,
+    resolverCancelacionHandler,
+    listarSolicitudesHandler,
+    pendientesHandler
+  };
+};
@@ -0,0 +1,211 @@
+const crypto = require("crypto");
+
+// ============================================================================
+// VERIFICACIÓN PÚBLICA DE RECIBOS
+// El PDF lleva un QR a /verificar/recibo/:id?c=<código>. El código es un
+// HMAC de los campos que no cambian después de emitir (id, alumno,
+// plantel, total, fecha de emisión); si alguno se altera o el recibo no
+// existe, la verificación falla. El estado se consulta en vivo para que
+// un recibo cancelado se muestre como tal.
+// ============================================================================
+
+const VERSION_FIRMA = "v1";
+const LARGO_CODIGO = 16; // bytes del HMAC → 22 caracteres base64url
+
+function escapeHtml(valor) {
+  return String(valor ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+module.exports = function verificacionReciboFactory({
+  pool,
+  logger,
+  secret,
+  publicBaseUrl
+}) {
+
+  function mensajeFirma(recibo) {
+    return [
+      VERSION_FIRMA,
+      recibo.id_recibo,
+      recibo.id_alumno,
+      recibo.id_plantel,
+      (Number(recibo.total_recibo) || 0).toFixed(2),
+      recibo.fecha_emision
+    ].join("|");
+  }
+
+  function firmarRecibo(recibo) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(mensajeFirma(recibo))
+      .digest()
+      .subarray(0, LARGO_CODIGO)
+      .toString("base64url");
+  }
+
+  function codigoValido(recibo, codigo) {
+    const a = Buffer.from(String(codigo || ""));
+    const b = Buffer.from(firmarRecibo(recibo));
+
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  // Datos que se imprimen en el PDF (QR + código legible)
+  function datosVerificacion(recibo) {
+    if (!recibo?.id_recibo || !recibo.fecha_emision) return null;
+
+    const codigo = firmarRecibo(recibo);
+
+    return {
+      codigo,
+      url: `${publicBaseUrl}/verificar/recibo/${recibo.id_recibo}?c=${codigo}`
+    };
+  }
+
+  function paginaResultado({ titulo, color, mensaje, filas = [] }) {
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<meta name="robots" content="noindex, nofollow" />
+<title>Verificación de recibo</title>
+</head>
+<body style="font-family:Arial,sans-serif;max-width:520px;margin:40px auto;padding:0 16px;color:#333">
+  <h2 style="color:#00739A;margin-bottom:4px">Verificación de recibo</h2>
+  <div style="border:2px solid ${color};border-radius:6px;padding:16px;margin:16px 0">
+    <div style="font-size:20px;font-weight:bold;color:${color}">${escapeHtml(titulo)}</div>
+    <p style="margin:8px 0 0">${escapeHtml(mensaje)}</p>
+  </div>
+  ${filas.length ? `<table style="width:100%;border-collapse:collapse">
+    ${filas.map(([etiqueta, valor]) => `
+    <tr>
+      <td style="padding:6px 0;color:#666">${escapeHtml(etiqueta)}</td>
+      <td style="padding:6px 0;text-align:right;font-weight:bold">${escapeHtml(valor)}</td>
+    </tr>`).join("")}
+  </table>` : ""}
+</body>
+</html>`;
+  }
+
+  // ============================================================
+  // GET /verificar/recibo/:id?c=<código>   (público)
+  // Con ?formato=json responde JSON. Sin código válido no se
+  // revela ningún dato del recibo.
+  // ============================================================
+  async function verificarReciboHandler(req, res) {
+    const idRecibo = String(req.params.id || "").trim();
+    const codigo = String(req.query.c || "").trim();
+    const comoJson = req.query.formato === "json";
+
+    const responder = (statusCode, resultado, pagina) => {
+      res.set("Cache-Control", "no-store");
+
+      if (comoJson) {
+        return res.status(statusCode).json(resultado);
+      }
+
+      res.set("Content-Type", "text/html; charset=utf-8");
+      return res.status(statusCode).send(paginaResultado(pagina));
+    };
+
+    try {
+      const [[recibo]] = await pool.execute(
+        `
+        SELECT
+          r.id_recibo,
+          r.id_alumno,
+          r.id_plantel,
+          r.total_recibo,
+          r.fecha_emision,
+          r.status_recibo,
+          r.folio_completo,
+          p.nombre_plantel AS plantel_nombre
+        FROM recibos r
+        JOIN planteles p
+          ON p.id_plantel = r.id_plantel
+        WHERE r.id_recibo = ?
+        `,
+        [idRecibo]
+      );
+
+      const valido =
+        recibo &&
+        recibo.fecha_emision &&
+        ["Emitido", "Cancelado"].includes(recibo.status_recibo) &&
+        codigoValido(recibo, codigo);
+
+      if (!valido) {
+        logger.warn("Verificación de recibo fallida", {
+          id_recibo: idRecibo,
+          encontrado: Boolean(recibo)
+        });
+
+        return responder(
+          404,
+          { ok: false, verificado: false },
+          {
+            titulo: "No verificado",
+            color: "#CC0000",
+            mensaje:
+              "No existe un recibo que coincida con este código. " +
+              "El documento pudo haber sido alterado o no fue emitido por el plantel."
+          }
+        );
+      }
+
+      const cancelado = recibo.status_recibo === "Cancelado";
+      const total = `$${Number(recibo.total_recibo).toFixed(2)}`;
+      const fecha = String(recibo.fecha_emision).split(" ")[0];
+
+      logger.info("Recibo verificado", {
+        id_recibo: idRecibo,
+        status_recibo: recibo.status_recibo
+      });
+
+      return responder(
+        200,
+        {
+          ok: true,
+          verificado: true,
+          status_recibo: recibo.status_recibo,
+          folio: recibo.folio_completo || recibo.id_recibo,
+          total_recibo: Number(recibo.total_recibo),
+          fecha_emision: fecha,
+          plantel: recibo.plantel_nombre
+        },
+        {
+          titulo: cancelado ? "Recibo cancelado" : "Recibo válido",
+          color: cancelado ? "#CC0000" : "#1A8C4E",
+          mensaje: cancelado
+            ? "El recibo es auténtico pero fue cancelado; ya no ampara el pago."
+            : "El recibo es auténtico y se encuentra vigente.",
+          filas: [
+            ["Estado", recibo.status_recibo],
+            ["Folio", recibo.folio_completo || recibo.id_recibo],
+            ["Total", total],
+            ["Fecha de emisión", fecha],
+            ["Plantel", recibo.plantel_nombre]
+          ]
+        }
+      );
+
+    } catch (error) {
+      logger.error("Error verificando recibo", {
+        id_recibo: idRecibo,
+        error: error.message
+      });
+
+      return res.status(500).send("Error interno");
+    }
+  }
+
+  return {
+    datosVerificacion,
+    verificarReciboHandler
+  };
+};
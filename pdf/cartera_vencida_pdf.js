@@ -0,0 +1,240 @@
+const PDFDocument = require("pdfkit");
+const path = require("path");
+
+function dinero(valor) {
+  return `$${(Number(valor) || 0).toFixed(2)}`;
+}
+
+async function generateCarteraVencidaPDF(cartera) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: "LETTER",
+        margin: 50,
+        bufferPages: true
+      });
+
+      const chunks = [];
+      doc.on("data", c => chunks.push(c));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      const COLOR       = "#00739A";
+      const GRAY        = "#666666";
+      const LIGHT_GRAY  = "#F8F9FA";
+      const BORDER_GRAY = "#CCCCCC";
+      const C_TOTAL     = "#222222";
+      const BG_TOTAL    = "#E4E4E4";
+
+      // Un color por rango de antigüedad (de menor a mayor riesgo)
+      const COLORES_RANGO = {
+        d0_30:   { color: "#1A8C4E", bg: "#F0FAF4" },
+        d31_60:  { color: "#E87722", bg: "#FFF6EE" },
+        d61_90:  { color: "#CC0000", bg: "#FFF0F0" },
+        d90_mas: { color: "#7A0000", bg: "#F7E6E6" }
+      };
+
+      const logoPath = path.join(__dirname, "../assets/businesslogo.png");
+
+      const rangos = cartera.rangos || [];
+      const totales = cartera.totales || {};
+      const planteles = cartera.planteles || [];
+
+      const tableLeft  = 50;
+      const tableWidth = 512;
+      const limiteY    = 690;
+
+      /* ── HEADER ─────────────────────────────────────────────────── */
+
+      const [year, month, day] = String(cartera.fecha_corte || "").split("-");
+      const fechaCorte = new Intl.DateTimeFormat("es-MX", {
+        weekday: "long",
+        year: "numeric",
+        month: "long",
+        day: "numeric"
+      }).format(new Date(Number(year), Number(month) - 1, Number(day)));
+
+      const fechaCorteFormateada =
+        fechaCorte.charAt(0).toUpperCase() + fechaCorte.slice(1);
+
+      const nombrePlantel = cartera.filtros?.id_plantel
+        ? planteles[0]?.nombre_plantel || cartera.filtros.id_plantel
+        : "Todos";
+
+      const drawHeader = () => {
+        doc.image(logoPath, 50, 55, { width: 75 });
+
+        doc.fillColor(GRAY).fontSize(8).font("Helvetica-Bold")
+          .text(fechaCorteFormateada, 200, 50, { align: "right" });
+
+        doc.fillColor(COLOR).fontSize(18).font("Helvetica-Bold")
+          .text("CARTERA VENCIDA", 180, 96, { align: "right" });
+
+        doc.fillColor(GRAY).fontSize(9).font("Helvetica")
+          .text(`Plantel: ${nombrePlantel}`, 200, 122, { align: "right" })
+          .text("Antigüedad desde el inicio del periodo del cargo", 200, 134, { align: "right" });
+
+        doc.moveTo(50, 150).lineTo(562, 150).lineWidth(1.5).stroke(COLOR);
+      };
+
+      /* ── TABLA ──────────────────────────────────────────────────── */
+
+      const colLabel = 170;
+      const colWidth = (tableWidth - colLabel - 10) / (rangos.length + 1);
+
+      const drawTableHeader = (y) => {
+        doc.rect(tableLeft, y, tableWidth, 22).fill(LIGHT_GRAY);
+        doc.fillColor(COLOR).fontSize(8).font("Helvetica-Bold")
+          .text("PLANTEL / NIVEL / GRUPO", tableLeft + 10, y + 7, { width: colLabel });
+
+        rangos.forEach((r, i) => {
+          doc.text(`${r.etiqueta} DÍAS`, tableLeft + colLabel + i * colWidth, y + 7,
+            { width: colWidth - 4, align: "right" });
+        });
+
+        doc.text("TOTAL", tableLeft + colLabel + rangos.length * colWidth, y + 7,
+          { width: colWidth - 4, align: "right" });
+
+        return y + 30;
+      };
+
+      drawHeader();
+
+      /* ── RESUMEN POR RANGO — tarjetas ───────────────────────────── */
+
+      const sectionY = 170;
+      doc.fillColor("#333333").fontSize(10).font("Helvetica-Bold")
+        .text("SALDO ESPERADO POR ANTIGÜEDAD", 50, sectionY);
+
+      const cardsTop = sectionY + 20;
+      const cardGap  = 10;
+      const cardW    = (tableWidth - cardGap * (rangos.length - 1)) / rangos.length;
+      const cardH    = 62;
+
+      const drawCard = (x, y, w, label, monto, cargos, cardColor, bgColor) => {
+        doc.rect(x, y, w, cardH).lineWidth(2).fillAndStroke(bgColor, cardColor);
+
+        doc.fillColor(GRAY).fontSize(7.5).font("Helvetica")
+          .text(label, x + 10, y + 10, { width: w - 20 })
+          .text(`${cargos} cargos`, x + 10, y + 22, { width: w - 20 });
+
+        doc.fillColor(cardColor).fontSize(15).font("Helvetica-Bold")
+          .text(dinero(monto), x + 10, y + 38, { width: w - 20, align: "right" });
+      };
+
+      rangos.forEach((r, i) => {
+        const valor = totales[r.clave] || {};
+        const colores = COLORES_RANGO[r.clave] || { color: COLOR, bg: LIGHT_GRAY };
+
+        drawCard(
+          50 + i * (cardW + cardGap), cardsTop, cardW,
+          `${r.etiqueta} DÍAS`, valor.monto, valor.cargos || 0,
+          colores.color, colores.bg
+        );
+      });
+
+      const totalTop = cardsTop + cardH + 12;
+      drawCard(
+        50, totalTop, tableWidth,
+        "TOTAL CARTERA", totales.total?.monto, totales.total?.cargos || 0,
+        C_TOTAL, BG_TOTAL
+      );
+
+      /* ── DETALLE ────────────────────────────────────────────────── */
+
+      let y = totalTop + cardH + 40;
+
+      doc.fillColor("#333333").fontSize(10).font("Helvetica-Bold")
+        .text("DETALLE POR PLANTEL, NIVEL Y GRUPO", 50, y - 20);
+
+      y = drawTableHeader(y);
+
+      const drawRow = (label, valores, estilo) => {
+        if (y > limiteY) {
+          doc.addPage();
+          drawHeader();
+          y = drawTableHeader(170);
+        }
+
+        if (estilo === "plantel") {
+          doc.rect(tableLeft, y - 5, tableWidth, 18).fill("#E8F4F8");
+        } else if (estilo === "nivel") {
+          doc.rect(tableLeft, y - 5, tableWidth, 18).fill("#FAFBFC");
+        }
+
+        const color = estilo === "plantel" ? COLOR : "#333333";
+        const font = estilo === "grupo" ? "Helvetica" : "Helvetica-Bold";
+        const sangria = estilo === "plantel" ? 0 : estilo === "nivel" ? 10 : 20;
+
+        doc.fillColor(color).fontSize(8).font(font)
+          .text(label, tableLeft + 10 + sangria, y, { width: colLabel - sangria });
+
+        rangos.forEach((r, i) => {
+          doc.text(dinero(valores[r.clave]?.monto), tableLeft + colLabel + i * colWidth, y,
+            { width: colWidth - 4, align: "right" });
+        });
+
+        doc.font("Helvetica-Bold")
+          .text(dinero(valores.total?.monto), tableLeft + colLabel + rangos.length * colWidth, y,
+            { width: colWidth - 4, align: "right" });
+
+        doc.font("Helvetica").fillColor("#333333");
+        y += 18;
+      };
+
+      if (planteles.length === 0) {
+        doc.fillColor(GRAY).fontSize(10).font("Helvetica")
+          .text("Sin cargos pendientes", tableLeft, y, { width: tableWidth, align: "center" });
+        y += 30;
+      }
+
+      planteles.forEach(p => {
+        drawRow(p.nombre_plantel, p.rangos, "plantel");
+
+        (p.niveles || []).forEach(n => {
+          drawRow(n.nivel, n.rangos, "nivel");
+
+          (n.grupos || []).forEach(g => {
+            drawRow(g.nombre_grupo, g.rangos, "grupo");
+          });
+        });
+
+        y += 4;
+      });
+
+      y += 5;
+      doc.moveTo(tableLeft, y).lineTo(tableLeft + tableWidth, y)
+        .lineWidth(0.5).stroke(BORDER_GRAY);
+
+      /* ── FOOTER (todas las páginas) ─────────────────────────────── */
+
+      const range = doc.bufferedPageRange();
+
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        doc.page.margins.bottom = 0;
+
+        doc.fillColor(GRAY).fontSize(8).font("Helvetica")
+          .text(
+            "Montos esperados después de becas; no incluyen recargos.",
+            50, 705, { align: "center", width: 512 }
+          )
+          .text(`Página ${i - range.start + 1} de ${range.count}`,
+            50, 720, { align: "center", width: 512 });
+
+        const footerY = 750;
+
+        doc.rect(0, footerY, doc.page.width, 42).fill(COLOR);
+        doc.moveTo(0, footerY).lineTo(doc.page.width, footerY)
+          .lineWidth(1).stroke("#FFFFFF");
+      }
+
+      doc.end();
+
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+module.exports = { generateCarteraVencidaPDF };
@@ -1,7 +1,112 @@
 const PDFDocument = require("pdfkit");
 const path = require("path");
 
-async function generateCortePDF(corte) {
+/* ── PALETA ─────────────────────────────────────────────────── */
+
+const COLOR           = "#00739A";
+const GRAY            = "#666666";
+const LIGHT_GRAY      = "#F8F9FA";
+const BORDER_GRAY     = "#CCCCCC";
+const C_TARJETA       = "#00739A";
+const C_TRANSFERENCIA = "#E87722";
+const C_EFECTIVO      = "#1A8C4E";
+const C_TOTAL         = "#222222";
+const BG_TOTAL        = "#E4E4E4";
+const C_GASTOS        = "#CC0000";
+const BG_GASTOS       = "#FFF0F0";
+const C_NETO          = "#0066CC";
+const BG_NETO         = "#E0EDFF";
+
+const logoPath = path.join(__dirname, "../assets/businesslogo.png");
+
+const CARD_W   = 157;
+const CARD_H   = 78;  // un poco más alto para que respire el ícono
+const CARD_GAP = 10;
+
+/* ── ICONOS ─────────────────────────────────────────────────── */
+
+function crearIconos(doc) {
+  const drawCircleBg = (cx, cy, r, color) => {
+    doc.save().circle(cx, cy, r).fillOpacity(0.13).fill(color).restore();
+  };
+
+  const iconTarjeta = (cx, cy, color) => {
+    drawCircleBg(cx, cy, 13, color);
+    doc.save().strokeColor(color).lineWidth(1.2);
+    doc.roundedRect(cx - 9, cy - 6, 18, 12, 2).stroke();
+    doc.save().fillOpacity(0.35).fillColor(color)
+      .rect(cx - 9, cy - 2.5, 18, 3).fill().restore();
+    doc.restore();
+  };
+
+  const iconEfectivo = (cx, cy, color) => {
+    drawCircleBg(cx, cy, 13, color);
+    doc.save().strokeColor(color).lineWidth(1.2);
+    doc.roundedRect(cx - 10, cy - 6, 20, 12, 1.5).stroke();
+    doc.fillColor(color).fontSize(8).font("Helvetica-Bold")
+      .text("$", cx - 3, cy - 5.5, { lineBreak: false });
+    doc.restore();
+  };
+
+  const iconTransferencia = (cx, cy, color) => {
+    drawCircleBg(cx, cy, 13, color);
+    doc.save().strokeColor(color).lineWidth(1.5);
+    doc.moveTo(cx - 7, cy - 2.5).lineTo(cx + 5, cy - 2.5).stroke();
+    doc.moveTo(cx + 2, cy - 5.5).lineTo(cx + 5, cy - 2.5).lineTo(cx + 2, cy + 0.5).stroke();
+    doc.moveTo(cx + 7, cy + 2.5).lineTo(cx - 5, cy + 2.5).stroke();
+    doc.moveTo(cx - 2, cy - 0.5).lineTo(cx - 5, cy + 2.5).lineTo(cx - 2, cy + 5.5).stroke();
+    doc.restore();
+  };
+
+  const iconTotal = (cx, cy, color) => {
+    drawCircleBg(cx, cy, 13, color);
+    doc.save().strokeColor(color).lineWidth(2);
+    doc.moveTo(cx - 6, cy - 3).lineTo(cx + 6, cy - 3).stroke();
+    doc.moveTo(cx - 6, cy + 3).lineTo(cx + 6, cy + 3).stroke();
+    doc.restore();
+  };
+
+  const iconGastos = (cx, cy, color) => {
+    drawCircleBg(cx, cy, 13, color);
+    doc.save().strokeColor(color).lineWidth(1.5);
+    doc.moveTo(cx, cy - 7).lineTo(cx, cy + 4).stroke();
+    doc.moveTo(cx - 4, cy + 1).lineTo(cx, cy + 5).lineTo(cx + 4, cy + 1).stroke();
+    doc.moveTo(cx - 5, cy - 5).lineTo(cx + 5, cy - 5).stroke();
+    doc.restore();
+  };
+
+  const iconNeto = (cx, cy, color) => {
+    drawCircleBg(cx, cy, 13, color);
+    doc.save().strokeColor(color).lineWidth(2);
+    doc.moveTo(cx - 6, cy).lineTo(cx - 1, cy + 5).lineTo(cx + 6, cy - 5).stroke();
+    doc.restore();
+  };
+
+  return { iconTarjeta, iconEfectivo, iconTransferencia, iconTotal, iconGastos, iconNeto };
+}
+
+/* ── HELPERS COMPARTIDOS (corte y reporte consolidado) ──────── */
+
+function dinero(valor) {
+  return `$${(Number(valor) || 0).toFixed(2)}`;
+}
+
+// "YYYY-MM-DD[ HH:MM:SS]" → "Lunes, 2 de marzo de 2024" (sin timezone implícito)
+function fechaLarga(fecha) {
+  const fechaStr = String(fecha).split(" ")[0];
+  const [year, month, day] = fechaStr.split("-");
+
+  const texto = new Intl.DateTimeFormat("es-MX", {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric"
+  }).format(new Date(Number(year), Number(month) - 1, Number(day)));
+
+  return texto.charAt(0).toUpperCase() + texto.slice(1);
+}
+
+function crearDocumento(dibujar) {
   return new Promise((resolve, reject) => {
     try {
       const doc = new PDFDocument({
@@ -15,270 +120,653 @@ async function generateCortePDF(corte) {
       doc.on("end", () => resolve(Buffer.concat(chunks)));
       doc.on("error", reject);
 
-      const COLOR           = "#00739A";
-      const GRAY            = "#666666";
-      const LIGHT_GRAY      = "#F8F9FA";
-      const BORDER_GRAY     = "#CCCCCC";
-      const C_TARJETA       = "#00739A";
-      const C_TRANSFERENCIA = "#E87722";
-      const C_EFECTIVO      = "#1A8C4E";
-      const C_TOTAL         = "#222222";
-      const BG_TOTAL        = "#E4E4E4";
-      const C_GASTOS        = "#CC0000";
-      const BG_GASTOS       = "#FFF0F0";
-      const C_NETO          = "#0066CC";
-      const BG_NETO         = "#E0EDFF";
-
-      const logoPath = path.join(__dirname, "../assets/businesslogo.png");
-
-      /* ── ICONOS ─────────────────────────────────────────────────── */
-
-      const drawCircleBg = (cx, cy, r, color) => {
-        doc.save().circle(cx, cy, r).fillOpacity(0.13).fill(color).restore();
-      };
+      dibujar(doc);
 
-      const iconTarjeta = (cx, cy, color) => {
-        drawCircleBg(cx, cy, 13, color);
-        doc.save().strokeColor(color).lineWidth(1.2);
-        doc.roundedRect(cx - 9, cy - 6, 18, 12, 2).stroke();
-        doc.save().fillOpacity(0.35).fillColor(color)
-          .rect(cx - 9, cy - 2.5, 18, 3).fill().restore();
-        doc.restore();
-      };
+      doc.end();
 
-      const iconEfectivo = (cx, cy, color) => {
-        drawCircleBg(cx, cy, 13, color);
-        doc.save().strokeColor(color).lineWidth(1.2);
-        doc.roundedRect(cx - 10, cy - 6, 20, 12, 1.5).stroke();
-        doc.fillColor(color).fontSize(8).font("Helvetica-Bold")
-          .text("$", cx - 3, cy - 5.5, { lineBreak: false });
-        doc.restore();
-      };
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
 
-      const iconTransferencia = (cx, cy, color) => {
-        drawCircleBg(cx, cy, 13, color);
-        doc.save().strokeColor(color).lineWidth(1.5);
-        doc.moveTo(cx - 7, cy - 2.5).lineTo(cx + 5, cy - 2.5).stroke();
-        doc.moveTo(cx + 2, cy - 5.5).lineTo(cx + 5, cy - 2.5).lineTo(cx + 2, cy + 0.5).stroke();
-        doc.moveTo(cx + 7, cy + 2.5).lineTo(cx - 5, cy + 2.5).stroke();
-        doc.moveTo(cx - 2, cy - 0.5).lineTo(cx - 5, cy + 2.5).lineTo(cx - 2, cy + 5.5).stroke();
-        doc.restore();
-      };
+// Logo + líneas en negritas arriba del título + título + líneas de detalle
+function dibujarEncabezado(doc, { superior = [], titulo, inferior = [] }) {
+  doc.image(logoPath, 50, 55, { width: 75 });
 
-      const iconTotal = (cx, cy, color) => {
-  drawCircleBg(cx, cy, 13, color);
-  doc.save().strokeColor(color).lineWidth(2);
-  doc.moveTo(cx - 6, cy - 3).lineTo(cx + 6, cy - 3).stroke();
-  doc.moveTo(cx - 6, cy + 3).lineTo(cx + 6, cy + 3).stroke();
-  doc.restore();
-};
-
-      const iconGastos = (cx, cy, color) => {
-        drawCircleBg(cx, cy, 13, color);
-        doc.save().strokeColor(color).lineWidth(1.5);
-        doc.moveTo(cx, cy - 7).lineTo(cx, cy + 4).stroke();
-        doc.moveTo(cx - 4, cy + 1).lineTo(cx, cy + 5).lineTo(cx + 4, cy + 1).stroke();
-        doc.moveTo(cx - 5, cy - 5).lineTo(cx + 5, cy - 5).stroke();
-        doc.restore();
-      };
+  doc.fillColor(GRAY).fontSize(8).font("Helvetica-Bold");
+  superior.forEach((linea, i) => doc.text(linea, 200, 50 + i * 12, { align: "right" }));
 
-      const iconNeto = (cx, cy, color) => {
-        drawCircleBg(cx, cy, 13, color);
-        doc.save().strokeColor(color).lineWidth(2);
-        doc.moveTo(cx - 6, cy).lineTo(cx - 1, cy + 5).lineTo(cx + 6, cy - 5).stroke();
-        doc.restore();
-      };
+  doc.fillColor(COLOR).fontSize(18).font("Helvetica-Bold")
+    .text(titulo, 180, 96, { align: "right" });
 
-      /* ── HEADER ─────────────────────────────────────────────────── */
+  doc.fillColor(GRAY).fontSize(9).font("Helvetica");
+  inferior.forEach((linea, i) => doc.text(linea, 200, 122 + i * 12, { align: "right" }));
 
-      if (!corte.fecha) throw new Error("Corte sin fecha - datos inconsistentes");
+  doc.moveTo(50, 150).lineTo(562, 150).lineWidth(1.5).stroke(COLOR);
+}
 
-      // corte.fecha viene como string: "YYYY-MM-DD HH:MM:SS"
-const fechaStr = corte.fecha.split(" ")[0]; // "2024-03-02"
-const [year, month, day] = fechaStr.split("-");
+// Tres columnas etiqueta/valor bajo el encabezado
+function dibujarInfo(doc, y, columnas) {
+  const posiciones = [[50, 165], [230, 165], [410, 145]];
 
-// Crear fecha SIN timezone implícito
-const fechaCorte = new Intl.DateTimeFormat("es-MX", {
-  weekday: "long",
-  year: "numeric",
-  month: "long",
-  day: "numeric"
-}).format(new Date(Number(year), Number(month) - 1, Number(day)));
+  columnas.forEach(([etiqueta, valor], i) => {
+    const [x, width] = posiciones[i];
 
-const fechaCorteFormateada =
-  fechaCorte.charAt(0).toUpperCase() + fechaCorte.slice(1);
-      const nombreResponsable = corte.usuario_nombre_completo || "Sin asignar";
+    doc.fillColor(GRAY).fontSize(8).font("Helvetica").text(etiqueta, x, y);
+    doc.fillColor("#333333").fontSize(9).font("Helvetica-Bold")
+      .text(valor, x, y + 12, { width });
+  });
+}
 
-      doc.image(logoPath, 50, 55, { width: 75 });
+// Label arriba, ícono en medio con más espacio, monto abajo
+function dibujarTarjeta(doc, x, y, label, amount, cardColor, bgColor, iconFn) {
+  doc.rect(x, y, CARD_W, CARD_H).lineWidth(2).fillAndStroke(bgColor, cardColor);
 
-      // ✅ FIX 2: Fecha y usuario en NEGRITAS arriba del título
-      doc.fillColor(GRAY).fontSize(8).font("Helvetica-Bold")
-        .text(fechaCorteFormateada, 200, 50, { align: "right" })
-        .text(nombreResponsable,    200, 62, { align: "right" });
+  // Etiqueta arriba
+  doc.fillColor(GRAY).fontSize(7.5).font("Helvetica")
+    .text(label, x + 10, y + 10, { width: CARD_W - 20 });
 
-      // ✅ FIX 2: Título más pequeño (18 en lugar de 22) para que respire
-      doc.fillColor(COLOR).fontSize(18).font("Helvetica-Bold")
-        .text("CORTE DE CAJA", 180, 96, { align: "right" });
+  // Ícono centrado con espacio respecto al label
+  if (iconFn) iconFn(x + 20, y + 34, cardColor);
 
-      // Folio abreviado para evitar desbordamiento + Plantel sin encimarse
-      const folioCorto = corte.id_corte
-        ? corte.id_corte.toString().slice(0, 8).toUpperCase() + "..."
-        : "N/A";
+  // Monto alineado abajo a la derecha
+  doc.fillColor(cardColor).fontSize(17).font("Helvetica-Bold")
+    .text(dinero(amount), x + 10, y + 50,
+          { width: CARD_W - 20, align: "right" });
+}
 
-      doc.fillColor(GRAY).fontSize(9).font("Helvetica")
-        .text(`Folio: ${folioCorto}`,                          200, 122, { align: "right" })
-        .text(`Plantel: ${corte.nombre_plantel || "N/A"}`,     200, 134, { align: "right" });
+// 6 tarjetas: Efectivo | Tarjeta | Transferencia / Total | Gastos | Neto.
+// Devuelve la Y donde termina la segunda fila.
+function dibujarTarjetasTotales(doc, top, totales) {
+  const iconos = crearIconos(doc);
+  const col = i => 50 + (CARD_W + CARD_GAP) * i;
 
-      doc.moveTo(50, 150).lineTo(562, 150).lineWidth(1.5).stroke(COLOR);
+  dibujarTarjeta(doc, col(0), top, "EFECTIVO",      totales.total_efectivo,      C_EFECTIVO,      "#F0FAF4",  iconos.iconEfectivo);
+  dibujarTarjeta(doc, col(1), top, "TARJETA",       totales.total_tarjeta,       C_TARJETA,       LIGHT_GRAY, iconos.iconTarjeta);
+  dibujarTarjeta(doc, col(2), top, "TRANSFERENCIA", totales.total_transferencia, C_TRANSFERENCIA, "#FFF6EE",  iconos.iconTransferencia);
 
-      /* ── ✅ FIX 4: FECHA · RESPONSABLE · PLANTEL ───────────────── */
+  const row2Top = top + CARD_H + 12;
+  dibujarTarjeta(doc, col(0), row2Top, "TOTAL INGRESOS",  totales.total,               C_TOTAL,  BG_TOTAL,  iconos.iconTotal);
+  dibujarTarjeta(doc, col(1), row2Top, "GASTOS EFECTIVO", totales.gastos_efectivo,     C_GASTOS, BG_GASTOS, iconos.iconGastos);
+  dibujarTarjeta(doc, col(2), row2Top, "EFECTIVO NETO",   totales.total_efectivo_neto, C_NETO,   BG_NETO,   iconos.iconNeto);
 
-      const infoY = 162;
+  return row2Top + CARD_H;
+}
 
-      doc.fillColor(GRAY).fontSize(8).font("Helvetica").text("FECHA", 50, infoY);
-      doc.fillColor("#333333").fontSize(9).font("Helvetica-Bold")
-        .text(fechaCorteFormateada, 50, infoY + 12, { width: 165 });
+// Franja inferior con los datos fiscales del plantel
+function dibujarPie(doc, fiscal = {}) {
+  const footerY = 750;
+  doc.page.margins.bottom = 0;
+
+  doc.rect(0, footerY, doc.page.width, 42).fill(COLOR);
+  doc.moveTo(0, footerY).lineTo(doc.page.width, footerY)
+    .lineWidth(1).stroke("#FFFFFF");
+
+  if (fiscal.razon_social || fiscal.rfc || fiscal.ubicacion) {
+    doc.fillColor("#FFFFFF").fontSize(8).font("Helvetica");
+    if (fiscal.razon_social)
+      doc.text(fiscal.razon_social, 50, footerY + 14, { width: 180, align: "left" });
+    if (fiscal.rfc)
+      doc.text(`RFC: ${fiscal.rfc}`, 230, footerY + 14, { width: 150, align: "center" });
+    if (fiscal.ubicacion)
+      doc.text(fiscal.ubicacion, 380, footerY + 14, { width: 182, align: "right" });
+  }
+}
 
-      doc.fillColor(GRAY).fontSize(8).font("Helvetica").text("RESPONSABLE", 230, infoY);
-      doc.fillColor("#333333").fontSize(9).font("Helvetica-Bold")
-        .text(nombreResponsable, 230, infoY + 12, { width: 165 });
+async function generateCortePDF(corte) {
+  return crearDocumento(doc => {
 
-      doc.fillColor(GRAY).fontSize(8).font("Helvetica").text("PLANTEL", 410, infoY);
-      doc.fillColor("#333333").fontSize(9).font("Helvetica-Bold")
-        .text(corte.nombre_plantel || "N/A", 410, infoY + 12, { width: 145 });
+    /* ── HEADER ─────────────────────────────────────────────────── */
 
-      /* ── CUÁNTO — 6 tarjetas ─────────────────────────────────── */
+    if (!corte.fecha) throw new Error("Corte sin fecha - datos inconsistentes");
 
-      const sectionY = infoY + 52;
-      doc.fillColor("#333333").fontSize(10).font("Helvetica-Bold")
-        .text("COBRADO", 50, sectionY);
+    // corte.fecha viene como string: "YYYY-MM-DD HH:MM:SS"
+    const fechaCorteFormateada = fechaLarga(corte.fecha);
+    const nombreResponsable = corte.usuario_nombre_completo || "Sin asignar";
 
-      const cardsTop = sectionY + 20;
-      const cardW    = 157;
-      const cardH    = 78;  // un poco más alto para que respire el ícono
-      const cardGap  = 10;
+    // Folio abreviado para evitar desbordamiento + Plantel sin encimarse
+    const folioCorto = corte.id_corte
+      ? corte.id_corte.toString().slice(0, 8).toUpperCase() + "..."
+      : "N/A";
 
-      // ✅ FIX 1: Label arriba, ícono en medio con más espacio, monto abajo
-      const drawCard = (x, y, label, amount, cardColor, bgColor, iconFn) => {
-        doc.rect(x, y, cardW, cardH).lineWidth(2).fillAndStroke(bgColor, cardColor);
+    // Fecha y usuario en NEGRITAS arriba del título
+    const encabezado = () => dibujarEncabezado(doc, {
+      superior: [fechaCorteFormateada, nombreResponsable],
+      titulo: "CORTE DE CAJA",
+      inferior: [`Folio: ${folioCorto}`, `Plantel: ${corte.nombre_plantel || "N/A"}`]
+    });
 
-        // Etiqueta arriba
-        doc.fillColor(GRAY).fontSize(7.5).font("Helvetica")
-          .text(label, x + 10, y + 10, { width: cardW - 20 });
+    encabezado();
 
-        // Ícono centrado con espacio respecto al label
-        if (iconFn) iconFn(x + 20, y + 34, cardColor);
+    /* ── FECHA · RESPONSABLE · PLANTEL ──────────────────────────── */
 
-        // Monto alineado abajo a la derecha
-        doc.fillColor(cardColor).fontSize(17).font("Helvetica-Bold")
-          .text(`$${Number(amount || 0).toFixed(2)}`, x + 10, y + 50,
-                { width: cardW - 20, align: "right" });
-      };
+    const infoY = 162;
+
+    dibujarInfo(doc, infoY, [
+      ["FECHA", fechaCorteFormateada],
+      ["RESPONSABLE", nombreResponsable],
+      ["PLANTEL", corte.nombre_plantel || "N/A"]
+    ]);
+
+    /* ── CUÁNTO — 6 tarjetas ─────────────────────────────────── */
+
+    const sectionY = infoY + 52;
+    doc.fillColor("#333333").fontSize(10).font("Helvetica-Bold")
+      .text("COBRADO", 50, sectionY);
+
+    const cardsBottom = dibujarTarjetasTotales(doc, sectionY + 20, corte);
+
+    /* ── ANÁLISIS DE RECIBOS ─────────────────────────────────── */
+
+    const tableLeft  = 50;
+    const tableWidth = 512;
+    const tableTop   = cardsBottom + 50;
+    const colWidth   = 82;
+
+    doc.fillColor("#333333").fontSize(10).font("Helvetica-Bold")
+      .text("ANÁLISIS DE RECIBOS", 50, tableTop - 20);
+
+    doc.rect(tableLeft, tableTop, tableWidth, 22).fill(LIGHT_GRAY);
+    doc.fillColor(COLOR).fontSize(8).font("Helvetica-Bold")
+      .text("ESTADO",    tableLeft + 10,  tableTop + 7, { width: 100 })
+      .text("TARJETA",   tableLeft + 120, tableTop + 7, { width: colWidth, align: "right" })
+      .text("TRANSFER.", tableLeft + 210, tableTop + 7, { width: colWidth, align: "right" })
+      .text("EFECTIVO",  tableLeft + 300, tableTop + 7, { width: colWidth, align: "right" })
+      .text("TOTAL",     tableLeft + 420, tableTop + 7, { width: colWidth, align: "right" });
+
+    let matrixY = tableTop + 30;
+
+    const drawMatrixRow = (label, rowData, index) => {
+      const isEmitido    = label === "Emitidos";
+      const isCancelado  = label === "Cancelados";
+
+      // Fondo de fila
+      if (isEmitido) {
+        doc.rect(tableLeft, matrixY - 5, tableWidth, 20).fill("#F0FAF4"); // verde muy suave
+      } else if (isCancelado) {
+        doc.rect(tableLeft, matrixY - 5, tableWidth, 20).fill("#FFF5F5"); // rojo muy suave
+      } else if (index % 2 === 0) {
+        doc.rect(tableLeft, matrixY - 5, tableWidth, 20).fill("#FAFBFC");
+      }
 
-      // ✅ FIX 3: Orden → Efectivo | Tarjeta | Transferencia
-      drawCard(50,                     cardsTop, "EFECTIVO",      corte.total_efectivo,      C_EFECTIVO,      "#F0FAF4",  iconEfectivo);
-      drawCard(50 + cardW + cardGap,   cardsTop, "TARJETA",       corte.total_tarjeta,       C_TARJETA,       LIGHT_GRAY, iconTarjeta);
-      drawCard(50 + (cardW+cardGap)*2, cardsTop, "TRANSFERENCIA", corte.total_transferencia, C_TRANSFERENCIA, "#FFF6EE",  iconTransferencia);
+      doc.fillColor("#333333").fontSize(9).font("Helvetica")
+        .text(label,                           tableLeft + 10,  matrixY, { width: 100 })
+        .text(`${rowData.Tarjeta || 0}`,       tableLeft + 120, matrixY, { width: colWidth, align: "right" })
+        .text(`${rowData.Transferencia || 0}`, tableLeft + 210, matrixY, { width: colWidth, align: "right" })
+        .text(`${rowData.Efectivo || 0}`,      tableLeft + 300, matrixY, { width: colWidth, align: "right" });
+
+      // Total con color más fuerte según fila
+      const totalColor = isEmitido ? "#1A6B3A" : isCancelado ? "#AA0000" : COLOR;
+      doc.fillColor(totalColor).font("Helvetica-Bold")
+        .text(`${rowData.total_fila || 0}`, tableLeft + 420, matrixY, { width: colWidth, align: "right" });
+
+      doc.font("Helvetica").fillColor("#333333");
+      matrixY += 20;
+    };
+
+    drawMatrixRow("Emitidos",   corte.recibos_matrix?.Emitido   || {}, 0);
+    drawMatrixRow("Cancelados", corte.recibos_matrix?.Cancelado || {}, 1);
+
+    matrixY += 5;
+    doc.moveTo(tableLeft, matrixY).lineTo(tableLeft + tableWidth, matrixY)
+      .lineWidth(0.5).stroke(BORDER_GRAY);
+    matrixY += 10;
+
+    doc.rect(tableLeft, matrixY - 5, tableWidth, 20).fill("#E8F4F8");
+    doc.fillColor(COLOR).fontSize(9).font("Helvetica-Bold")
+      .text("TOTALES",                                       tableLeft + 10,  matrixY, { width: 100 })
+      .text(`${corte.totales_columnas?.Tarjeta || 0}`,       tableLeft + 120, matrixY, { width: colWidth, align: "right" })
+      .text(`${corte.totales_columnas?.Transferencia || 0}`, tableLeft + 210, matrixY, { width: colWidth, align: "right" })
+      .text(`${corte.totales_columnas?.Efectivo || 0}`,      tableLeft + 300, matrixY, { width: colWidth, align: "right" })
+      .text(`${corte.total_global_recibos || 0}`,            tableLeft + 420, matrixY, { width: colWidth, align: "right" });
+
+    /* ── AJUSTES POR CANCELACIONES Y DEVOLUCIONES ────────────── */
+
+    let seccionY = matrixY + 26;
+
+    if (corte.ajustes_cancelacion?.cantidad) {
+      doc.fillColor(C_GASTOS).fontSize(8).font("Helvetica")
+        .text(
+          `Incluye ${corte.ajustes_cancelacion.cantidad} ajuste(s) por cancelaciones de recibos ` +
+          `de cortes cerrados: ${dinero(corte.ajustes_cancelacion.monto)}`,
+          tableLeft, seccionY, { width: tableWidth }
+        );
+      seccionY += 16;
+    }
 
-      // Fila 2: Total | Gastos | Neto (sin cambios)
-      const row2Top = cardsTop + cardH + 12;
-      drawCard(50,                     row2Top, "TOTAL INGRESOS",  corte.total,               C_TOTAL,  BG_TOTAL,  iconTotal);
-      drawCard(50 + cardW + cardGap,   row2Top, "GASTOS EFECTIVO", corte.gastos_efectivo,     C_GASTOS, BG_GASTOS, iconGastos);
-      drawCard(50 + (cardW+cardGap)*2, row2Top, "EFECTIVO NETO",   corte.total_efectivo_neto, C_NETO,   BG_NETO,   iconNeto);
+    if (corte.ajustes_devolucion?.cantidad) {
+      doc.fillColor(C_GASTOS).fontSize(8).font("Helvetica")
+        .text(
+          `Incluye ${corte.ajustes_devolucion.cantidad} ajuste(s) de efectivo por devoluciones ` +
+          `de recibos cancelados: ${dinero(corte.ajustes_devolucion.monto)}`,
+          tableLeft, seccionY, { width: tableWidth }
+        );
+      seccionY += 16;
+    }
 
-      /* ── ANÁLISIS DE RECIBOS ─────────────────────────────────── */
+    /* ── CIERRE: DECLARADO VS SISTEMA ─────────────────────────── */
 
-      const tableLeft  = 50;
-      const tableWidth = 512;
-      const tableTop   = row2Top + cardH + 50;
-      const colWidth   = 82;
+    if (corte.cierre) {
+      const cierre = corte.cierre;
 
       doc.fillColor("#333333").fontSize(10).font("Helvetica-Bold")
-        .text("ANÁLISIS DE RECIBOS", 50, tableTop - 20);
+        .text("CIERRE DE CAJA", 50, seccionY);
+
+      const cierreTop = seccionY + 18;
 
-      doc.rect(tableLeft, tableTop, tableWidth, 22).fill(LIGHT_GRAY);
+      doc.rect(tableLeft, cierreTop, tableWidth, 20).fill(LIGHT_GRAY);
       doc.fillColor(COLOR).fontSize(8).font("Helvetica-Bold")
-        .text("ESTADO",    tableLeft + 10,  tableTop + 7, { width: 100 })
-        .text("TARJETA",   tableLeft + 120, tableTop + 7, { width: colWidth, align: "right" })
-        .text("TRANSFER.", tableLeft + 210, tableTop + 7, { width: colWidth, align: "right" })
-        .text("EFECTIVO",  tableLeft + 300, tableTop + 7, { width: colWidth, align: "right" })
-        .text("TOTAL",     tableLeft + 420, tableTop + 7, { width: colWidth, align: "right" });
-
-      let matrixY = tableTop + 30;
-
-      const drawMatrixRow = (label, rowData, index) => {
-  const isEmitido    = label === "Emitidos";
-  const isCancelado  = label === "Cancelados";
-
-  // Fondo de fila
-  if (isEmitido) {
-    doc.rect(tableLeft, matrixY - 5, tableWidth, 20).fill("#F0FAF4"); // verde muy suave
-  } else if (isCancelado) {
-    doc.rect(tableLeft, matrixY - 5, tableWidth, 20).fill("#FFF5F5"); // rojo muy suave
-  } else if (index % 2 === 0) {
-    doc.rect(tableLeft, matrixY - 5, tableWidth, 20).fill("#FAFBFC");
-  }
+        .text("FORMA DE PAGO", tableLeft + 10,  cierreTop + 6, { width: 120 })
+        .text("SISTEMA",       tableLeft + 150, cierreTop + 6, { width: 100, align: "right" })
+        .text("DECLARADO",     tableLeft + 270, cierreTop + 6, { width: 100, align: "right" })
+        .text("DIFERENCIA",    tableLeft + 400, cierreTop + 6, { width: 100, align: "right" });
+
+      let cierreY = cierreTop + 26;
+
+      [
+        ["Efectivo",      "efectivo"],
+        ["Tarjeta",       "tarjeta"],
+        ["Transferencia", "transferencia"]
+      ].forEach(([label, campo]) => {
+        const diferencia = Number(cierre[`diferencia_${campo}`] || 0);
+        const colorDif =
+          diferencia === 0 ? "#1A6B3A" : diferencia < 0 ? "#AA0000" : C_TRANSFERENCIA;
+
+        doc.fillColor("#333333").fontSize(9).font("Helvetica")
+          .text(label, tableLeft + 10, cierreY, { width: 120 })
+          .text(dinero(cierre[`${campo}_sistema`]),
+                tableLeft + 150, cierreY, { width: 100, align: "right" })
+          .text(dinero(cierre[`${campo}_declarado`]),
+                tableLeft + 270, cierreY, { width: 100, align: "right" });
+
+        doc.fillColor(colorDif).font("Helvetica-Bold")
+          .text(dinero(diferencia),
+                tableLeft + 400, cierreY, { width: 100, align: "right" });
+
+        cierreY += 16;
+      });
+
+      doc.fillColor(GRAY).fontSize(8).font("Helvetica")
+        .text(
+          `Cerrado el ${String(cierre.cerrado_en || "").slice(0, 16)}` +
+          (cierre.observaciones ? ` · ${cierre.observaciones}` : ""),
+          tableLeft, cierreY + 4, { width: tableWidth }
+        );
+
+      seccionY = cierreY + 34;
+    }
+
+    /* ── GASTOS EN EFECTIVO (detalle) ─────────────────────────── */
+
+    const gastos = corte.gastos || [];
+
+    if (gastos.length > 0) {
+      const limiteY = 670;
+      const columnas = [
+        ["CONCEPTO",    190, "left"],
+        ["AUTORIZÓ",    130, "left"],
+        ["COMPROBANTE", 100, "left"],
+        ["MONTO",        82, "right"]
+      ];
+
+      const encabezadoGastos = () => {
+        doc.rect(tableLeft, seccionY, tableWidth, 20).fill(LIGHT_GRAY);
+        doc.fillColor(C_GASTOS).fontSize(8).font("Helvetica-Bold");
 
-  doc.fillColor("#333333").fontSize(9).font("Helvetica")
-    .text(label,                           tableLeft + 10,  matrixY, { width: 100 })
-    .text(`${rowData.Tarjeta || 0}`,       tableLeft + 120, matrixY, { width: colWidth, align: "right" })
-    .text(`${rowData.Transferencia || 0}`, tableLeft + 210, matrixY, { width: colWidth, align: "right" })
-    .text(`${rowData.Efectivo || 0}`,      tableLeft + 300, matrixY, { width: colWidth, align: "right" });
+        let x = tableLeft + 10;
+        columnas.forEach(([label, width, align]) => {
+          doc.text(label, x, seccionY + 6, { width: width - 6, align });
+          x += width;
+        });
 
-  // Total con color más fuerte según fila
-  const totalColor = isEmitido ? "#1A6B3A" : isCancelado ? "#AA0000" : COLOR;
-  doc.fillColor(totalColor).font("Helvetica-Bold")
-    .text(`${rowData.total_fila || 0}`, tableLeft + 420, matrixY, { width: colWidth, align: "right" });
+        seccionY += 26;
+      };
+
+      const nuevaPagina = () => {
+        doc.addPage();
+        encabezado();
+        seccionY = 170;
+      };
+
+      // Título, encabezado y al menos un gasto en la misma página
+      if (seccionY + 60 > limiteY) nuevaPagina();
 
-  doc.font("Helvetica").fillColor("#333333");
-  matrixY += 20;
-};
+      doc.fillColor("#333333").fontSize(10).font("Helvetica-Bold")
+        .text("GASTOS EN EFECTIVO", 50, seccionY);
+      seccionY += 18;
+
+      encabezadoGastos();
+
+      gastos.forEach((gasto, index) => {
+        if (seccionY + 16 > limiteY) {
+          nuevaPagina();
+          encabezadoGastos();
+        }
+
+        if (index % 2 === 0) {
+          doc.rect(tableLeft, seccionY - 4, tableWidth, 16).fill("#FAFBFC");
+        }
+
+        const valores = [
+          gasto.concepto,
+          gasto.autorizado_por_nombre || gasto.autorizado_por,
+          gasto.comprobante_ref,
+          dinero(gasto.monto)
+        ];
+
+        let x = tableLeft + 10;
+        columnas.forEach(([, width, align], i) => {
+          doc.fillColor("#333333").fontSize(8).font("Helvetica")
+            .text(String(valores[i] ?? ""), x, seccionY,
+                  { width: width - 6, align, lineBreak: false, ellipsis: true });
+          x += width;
+        });
+
+        seccionY += 16;
+      });
 
-      drawMatrixRow("Emitidos",   corte.recibos_matrix?.Emitido   || {}, 0);
-      drawMatrixRow("Cancelados", corte.recibos_matrix?.Cancelado || {}, 1);
+      if (seccionY + 18 > limiteY) nuevaPagina();
 
-      matrixY += 5;
-      doc.moveTo(tableLeft, matrixY).lineTo(tableLeft + tableWidth, matrixY)
-        .lineWidth(0.5).stroke(BORDER_GRAY);
-      matrixY += 10;
+      doc.rect(tableLeft, seccionY - 4, tableWidth, 18).fill(BG_GASTOS);
+      doc.fillColor(C_GASTOS).fontSize(9).font("Helvetica-Bold")
+        .text("TOTAL GASTOS", tableLeft + 10, seccionY, { width: 200 })
+        .text(dinero(corte.gastos_efectivo), tableLeft + 420, seccionY, { width: 76, align: "right" });
+    }
 
-      doc.rect(tableLeft, matrixY - 5, tableWidth, 20).fill("#E8F4F8");
-      doc.fillColor(COLOR).fontSize(9).font("Helvetica-Bold")
-        .text("TOTALES",                                       tableLeft + 10,  matrixY, { width: 100 })
-        .text(`${corte.totales_columnas?.Tarjeta || 0}`,       tableLeft + 120, matrixY, { width: colWidth, align: "right" })
-        .text(`${corte.totales_columnas?.Transferencia || 0}`, tableLeft + 210, matrixY, { width: colWidth, align: "right" })
-        .text(`${corte.totales_columnas?.Efectivo || 0}`,      tableLeft + 300, matrixY, { width: colWidth, align: "right" })
-        .text(`${corte.total_global_recibos || 0}`,            tableLeft + 420, matrixY, { width: colWidth, align: "right" });
+    /* ── FOOTER (todas las páginas) ──────────────────────────── */
 
-      /* ── FOOTER ──────────────────────────────────────────────── */
+    const range = doc.bufferedPageRange();
+
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      doc.page.margins.bottom = 0;
 
       doc.fillColor(GRAY).fontSize(8).font("Helvetica")
         .text("Este documento es un comprobante de corte de caja válido.", 50, 690,
               { align: "center", width: 512 });
 
-      const footerY = 750;
-      doc.page.margins.bottom = 0;
+      if (range.count > 1) {
+        doc.text(`Página ${i - range.start + 1} de ${range.count}`,
+          50, 720, { align: "center", width: 512 });
+      }
+
+      dibujarPie(doc, corte);
+    }
+  });
+}
+
+/* ── REPORTE CONSOLIDADO (varios cajeros y días, multipágina) ── */
+
+const ETIQUETAS_COMPARATIVO = [
+  ["total_efectivo",      "Efectivo",           "dinero"],
+  ["total_tarjeta",       "Tarjeta",            "dinero"],
+  ["total_transferencia", "Transferencia",      "dinero"],
+  ["total",               "Total ingresos",     "dinero"],
+  ["gastos_efectivo",     "Gastos efectivo",    "dinero"],
+  ["total_efectivo_neto", "Efectivo neto",      "dinero"],
+  ["recibos_emitidos",    "Recibos emitidos",   "cantidad"],
+  ["recibos_cancelados",  "Recibos cancelados", "cantidad"]
+];
+
+// Subir gastos o cancelaciones no es bueno: su variación se pinta al revés
+const COMPARATIVO_INVERSO = ["gastos_efectivo", "recibos_cancelados"];
+
+async function generateReporteCortesPDF(reporte) {
+  return crearDocumento(doc => {
+
+    const tableLeft  = 50;
+    const tableWidth = 512;
+    const limiteY    = 690;
+
+    const fechaCorta = fecha => String(fecha || "").split("-").reverse().join("/");
+
+    const periodo       = reporte.periodo || {};
+    const anterior      = reporte.periodo_anterior || {};
+    const totales       = reporte.totales || {};
+    const nombrePlantel = reporte.plantel?.nombre_plantel || "Todos";
+    const rango         = `${fechaCorta(periodo.desde)} al ${fechaCorta(periodo.hasta)}`;
+
+    /* ── HEADER ─────────────────────────────────────────────────── */
+
+    const encabezado = () => dibujarEncabezado(doc, {
+      superior: [`${totales.cortes || 0} cortes · ${totales.cortes_cerrados || 0} cerrados`],
+      titulo: "REPORTE DE CORTES",
+      inferior: [`Periodo: ${rango}`, `Plantel: ${nombrePlantel}`]
+    });
+
+    encabezado();
+
+    const infoY = 162;
+
+    dibujarInfo(doc, infoY, [
+      ["PERIODO", rango],
+      ["PERIODO ANTERIOR", `${fechaCorta(anterior.desde)} al ${fechaCorta(anterior.hasta)}`],
+      ["PLANTEL", nombrePlantel]
+    ]);
+
+    /* ── CUÁNTO — 6 tarjetas ─────────────────────────────────── */
+
+    const sectionY = infoY + 52;
+    doc.fillColor("#333333").fontSize(10).font("Helvetica-Bold")
+      .text("COBRADO EN EL PERIODO", 50, sectionY);
 
-      doc.rect(0, footerY, doc.page.width, 42).fill(COLOR);
-      doc.moveTo(0, footerY).lineTo(doc.page.width, footerY)
-        .lineWidth(1).stroke("#FFFFFF");
-
-      if (corte.razon_social || corte.rfc || corte.ubicacion) {
-        doc.fillColor("#FFFFFF").fontSize(8).font("Helvetica");
-        if (corte.razon_social)
-          doc.text(corte.razon_social, 50, footerY + 14, { width: 180, align: "left" });
-        if (corte.rfc)
-          doc.text(`RFC: ${corte.rfc}`, 230, footerY + 14, { width: 150, align: "center" });
-        if (corte.ubicacion)
-          doc.text(corte.ubicacion, 380, footerY + 14, { width: 182, align: "right" });
+    let y = dibujarTarjetasTotales(doc, sectionY + 20, totales) + 30;
+
+    /* ── TABLAS CON SALTO DE PÁGINA ──────────────────────────── */
+
+    const nuevaPagina = () => {
+      doc.addPage();
+      encabezado();
+      y = 170;
+    };
+
+    // columnas: [{ etiqueta, ancho, align }]
+    // filas: [{ valores, estilo?: "grupo" | "total", sangria?, colores? }]
+    const dibujarTabla = (titulo, columnas, filas) => {
+      const encabezadoTabla = () => {
+        doc.rect(tableLeft, y, tableWidth, 22).fill(LIGHT_GRAY);
+        doc.fillColor(COLOR).fontSize(8).font("Helvetica-Bold");
+
+        let x = tableLeft + 10;
+        columnas.forEach(c => {
+          doc.text(c.etiqueta, x, y + 7, { width: c.ancho - 6, align: c.align || "left" });
+          x += c.ancho;
+        });
+
+        y += 30;
+      };
+
+      // Título, encabezado y al menos una fila en la misma página
+      if (y + 70 > limiteY) nuevaPagina();
+
+      doc.fillColor("#333333").fontSize(10).font("Helvetica-Bold")
+        .text(titulo, 50, y);
+      y += 20;
+
+      encabezadoTabla();
+
+      if (filas.length === 0) {
+        doc.fillColor(GRAY).fontSize(9).font("Helvetica")
+          .text("Sin movimientos en el periodo", tableLeft, y, { width: tableWidth, align: "center" });
+        y += 18;
       }
 
-      doc.end();
+      filas.forEach((fila, index) => {
+        if (y + 18 > limiteY) {
+          nuevaPagina();
+          encabezadoTabla();
+        }
 
-    } catch (err) {
-      reject(err);
+        if (fila.estilo === "grupo") {
+          doc.rect(tableLeft, y - 5, tableWidth, 18).fill("#E8F4F8");
+        } else if (fila.estilo === "total") {
+          doc.rect(tableLeft, y - 5, tableWidth, 18).fill(BG_TOTAL);
+        } else if (index % 2 === 0) {
+          doc.rect(tableLeft, y - 5, tableWidth, 18).fill("#FAFBFC");
+        }
+
+        let x = tableLeft + 10;
+
+        columnas.forEach((c, i) => {
+          const sangria = i === 0 ? fila.sangria || 0 : 0;
+          const color = fila.colores?.[i] ||
+            (fila.estilo === "grupo" ? COLOR : fila.estilo === "total" ? C_TOTAL : "#333333");
+
+          doc.fillColor(color).fontSize(8)
+            .font(fila.estilo ? "Helvetica-Bold" : "Helvetica")
+            .text(String(fila.valores[i] ?? ""), x + sangria, y,
+                  { width: c.ancho - 6 - sangria, align: c.align || "left", lineBreak: false, ellipsis: true });
+
+          x += c.ancho;
+        });
+
+        y += 18;
+      });
+
+      y += 22;
+    };
+
+    /* ── COMPARATIVO VS PERIODO ANTERIOR ─────────────────────── */
+
+    const comparativo = reporte.comparativo || {};
+
+    dibujarTabla(
+      "COMPARATIVO VS PERIODO ANTERIOR",
+      [
+        { etiqueta: "CONCEPTO",  ancho: 172 },
+        { etiqueta: "ACTUAL",    ancho: 110, align: "right" },
+        { etiqueta: "ANTERIOR",  ancho: 110, align: "right" },
+        { etiqueta: "VARIACIÓN", ancho: 110, align: "right" }
+      ],
+      ETIQUETAS_COMPARATIVO
+        .filter(([clave]) => comparativo[clave])
+        .map(([clave, etiqueta, formato]) => {
+          const c = comparativo[clave];
+          const valor = v => formato === "dinero" ? dinero(v) : String(v || 0);
+          const signo = c.variacion > 0 ? "+" : c.variacion < 0 ? "-" : "";
+          const pct = c.variacion_pct == null ? "" : ` (${c.variacion_pct > 0 ? "+" : ""}${c.variacion_pct}%)`;
+          const mejora = COMPARATIVO_INVERSO.includes(clave) ? c.variacion < 0 : c.variacion > 0;
+
+          return {
+            valores: [
+              etiqueta,
+              valor(c.actual),
+              valor(c.anterior),
+              `${signo}${valor(Math.abs(c.variacion))}${pct}`
+            ],
+            colores: [
+              null, null, GRAY,
+              c.variacion === 0 ? GRAY : mejora ? C_EFECTIVO : C_GASTOS
+            ]
+          };
+        })
+    );
+
+    /* ── RECIBOS EMITIDOS VS CANCELADOS ──────────────────────── */
+
+    const celdaRecibos = v => `${v?.cantidad || 0} · ${dinero(v?.monto)}`;
+
+    dibujarTabla(
+      "RECIBOS EMITIDOS VS CANCELADOS (CANTIDAD · MONTO)",
+      [
+        { etiqueta: "ESTADO",    ancho: 102 },
+        { etiqueta: "EFECTIVO",  ancho: 100, align: "right" },
+        { etiqueta: "TARJETA",   ancho: 100, align: "right" },
+        { etiqueta: "TRANSFER.", ancho: 100, align: "right" },
+        { etiqueta: "TOTAL",     ancho: 100, align: "right" }
+      ],
+      [["Emitidos", "Emitido", "#1A6B3A"], ["Cancelados", "Cancelado", "#AA0000"]]
+        .map(([etiqueta, status, color]) => {
+          const fila = reporte.recibos?.[status] || {};
+
+          return {
+            valores: [
+              etiqueta,
+              celdaRecibos(fila.Efectivo),
+              celdaRecibos(fila.Tarjeta),
+              celdaRecibos(fila.Transferencia),
+              celdaRecibos(fila.total_fila)
+            ],
+            colores: [null, null, null, null, color]
+          };
+        })
+    );
+
+    /* ── PRODUCTOS MÁS VENDIDOS ──────────────────────────────── */
+
+    dibujarTabla(
+      "PRODUCTOS MÁS VENDIDOS",
+      [
+        { etiqueta: "#",        ancho: 30 },
+        { etiqueta: "PRODUCTO", ancho: 292 },
+        { etiqueta: "CANTIDAD", ancho: 80,  align: "right" },
+        { etiqueta: "IMPORTE",  ancho: 100, align: "right" }
+      ],
+      (reporte.top_productos || []).map((p, i) => ({
+        valores: [i + 1, p.nombre_producto || p.id_producto, p.cantidad, dinero(p.monto)]
+      }))
+    );
+
+    /* ── DETALLE POR PLANTEL Y CAJERO ────────────────────────── */
+
+    const valoresTotales = (etiqueta, t = {}) => [
+      etiqueta,
+      t.cortes || 0,
+      dinero(t.total_efectivo),
+      dinero(t.total_tarjeta),
+      dinero(t.total_transferencia),
+      dinero(t.gastos_efectivo),
+      dinero(t.total)
+    ];
+
+    const filasDetalle = [];
+
+    (reporte.planteles || []).forEach(p => {
+      filasDetalle.push({ valores: valoresTotales(p.nombre_plantel, p.totales), estilo: "grupo" });
+
+      (p.cajeros || []).forEach(c => {
+        filasDetalle.push({ valores: valoresTotales(c.usuario_nombre_completo, c.totales), sangria: 10 });
+      });
+    });
+
+    if (filasDetalle.length > 0) {
+      filasDetalle.push({ valores: valoresTotales("TOTAL", totales), estilo: "total" });
+    }
+
+    dibujarTabla(
+      "DETALLE POR PLANTEL Y CAJERO",
+      [
+        { etiqueta: "PLANTEL / CAJERO", ancho: 152 },
+        { etiqueta: "CORTES",    ancho: 40, align: "right" },
+        { etiqueta: "EFECTIVO",  ancho: 62, align: "right" },
+        { etiqueta: "TARJETA",   ancho: 62, align: "right" },
+        { etiqueta: "TRANSFER.", ancho: 62, align: "right" },
+        { etiqueta: "GASTOS",    ancho: 62, align: "right" },
+        { etiqueta: "TOTAL",     ancho: 62, align: "right" }
+      ],
+      filasDetalle
+    );
+
+    /* ── FOOTER (todas las páginas) ──────────────────────────── */
+
+    const range = doc.bufferedPageRange();
+
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      doc.page.margins.bottom = 0;
+
+      doc.fillColor(GRAY).fontSize(8).font("Helvetica")
+        .text(
+          "Totales según los cortes del periodo; incluyen pagos en parcialidades y ajustes por cancelaciones.",
+          50, 705, { align: "center", width: 512 }
+        )
+        .text(`Página ${i - range.start + 1} de ${range.count}`,
+          50, 720, { align: "center", width: 512 });
+
+      dibujarPie(doc, reporte.plantel || {});
     }
   });
 }
 
-module.exports = { generateCortePDF };
\ No newline at end of file
+module.exports = { generateCortePDF, generateReporteCortesPDF };
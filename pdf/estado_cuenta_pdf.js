@@ -0,0 +1,277 @@
+const PDFDocument = require("pdfkit");
+const path = require("path");
+
+const MESES = [
+  "Enero", "Febrero", "Marzo", "Abril", "Mayo", "Junio",
+  "Julio", "Agosto", "Septiembre", "Octubre", "Noviembre", "Diciembre"
+];
+
+function nombrePeriodo(periodo) {
+  const [anio, mes] = String(periodo || "").split("-");
+  return MESES[Number(mes) - 1]
+    ? `${MESES[Number(mes) - 1]} ${anio}`
+    : periodo || "N/A";
+}
+
+function dinero(valor) {
+  return `$${(Number(valor) || 0).toFixed(2)}`;
+}
+
+async function generateEstadoCuentaPDF(estado) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: "LETTER",
+        margin: 50,
+        bufferPages: true
+      });
+
+      const chunks = [];
+      doc.on("data", c => chunks.push(c));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      const COLOR       = "#00739A";
+      const GRAY        = "#666666";
+      const LIGHT_GRAY  = "#F8F9FA";
+      const BORDER_GRAY = "#CCCCCC";
+      const C_PENDIENTE = "#CC0000";
+      const C_PAGADO    = "#1A8C4E";
+
+      const logoPath = path.join(__dirname, "../assets/businesslogo.png");
+
+      const alumno = estado.alumno || {};
+      const totales = estado.totales || {};
+      const movimientos = estado.movimientos || [];
+      const conSaldoInicial = Boolean(estado.filtros?.desde);
+
+      const tableLeft  = 50;
+      const tableWidth = 512;
+      const limiteY    = 690;
+
+      /* ── HEADER ─────────────────────────────────────────────────── */
+
+      const drawHeader = () => {
+        doc.image(logoPath, 50, 50, { width: 70 });
+
+        doc.fillColor(COLOR).fontSize(22).font("Helvetica-Bold")
+          .text("ESTADO DE CUENTA", 200, 50, { align: "right" });
+
+        const fechaGeneracion = new Intl.DateTimeFormat("es-MX", {
+          year: "numeric",
+          month: "long",
+          day: "numeric",
+          timeZone: "America/Mexico_City"
+        }).format(new Date(estado.generado_en || Date.now()));
+
+        const { desde, hasta } = estado.filtros || {};
+        const rango = desde || hasta
+          ? `${desde ? nombrePeriodo(desde) : "Inicio"} - ${hasta ? nombrePeriodo(hasta) : "Actual"}`
+          : "Todos los periodos";
+
+        doc.fillColor(GRAY).fontSize(9).font("Helvetica")
+          .text(`Generado: ${fechaGeneracion}`, 200, 80, { align: "right" })
+          .text(`Periodo: ${rango}`, 200, 93, { align: "right" })
+          .text(`Plantel: ${alumno.nombre_plantel || "N/A"}`, 200, 106, { align: "right" });
+
+        doc.moveTo(50, 135).lineTo(562, 135).lineWidth(1.5).stroke(COLOR);
+      };
+
+      const drawTableHeader = (y) => {
+        doc.rect(tableLeft, y, tableWidth, 22).fill(LIGHT_GRAY);
+        doc.fillColor(COLOR).fontSize(8).font("Helvetica-Bold")
+          .text("PERIODO",  tableLeft + 8,   y + 7, { width: 75 })
+          .text("CONCEPTO", tableLeft + 85,  y + 7, { width: 150 })
+          .text("ESTADO",   tableLeft + 238, y + 7, { width: 70 })
+          .text("BECA",     tableLeft + 308, y + 7, { width: 45, align: "right" })
+          .text("CARGO",    tableLeft + 355, y + 7, { width: 50, align: "right" })
+          .text("ABONO",    tableLeft + 407, y + 7, { width: 50, align: "right" })
+          .text("SALDO",    tableLeft + 459, y + 7, { width: 47, align: "right" });
+
+        return y + 30;
+      };
+
+      drawHeader();
+
+      /* ── ALUMNO ─────────────────────────────────────────────────── */
+
+      doc.fillColor("#333333").fontSize(9).font("Helvetica")
+        .text("DATOS DEL ALUMNO", 50, 150);
+
+      doc.fontSize(11).font("Helvetica-Bold")
+        .text(alumno.alumno_nombre_completo || "Sin nombre", 50, 165, { width: 340 });
+
+      if (alumno.nombre_grupo) {
+        doc.fillColor(GRAY).fontSize(9).font("Helvetica")
+          .text(`Grupo: ${alumno.nombre_grupo}`, 50, 182, { width: 340 });
+      }
+
+      /* ── SALDO ──────────────────────────────────────────────────── */
+
+      const saldo = Number(totales.saldo) || 0;
+      const boxWidth = 170;
+      const boxLeft = 562 - boxWidth;
+
+      doc.rect(boxLeft, 148, boxWidth, 50).lineWidth(2)
+        .fillAndStroke(LIGHT_GRAY, saldo > 0 ? C_PENDIENTE : COLOR);
+
+      doc.fillColor(GRAY).fontSize(8).font("Helvetica")
+        .text(saldo > 0 ? "SALDO PENDIENTE" : "SALDO", boxLeft + 10, 156, { width: 150 });
+
+      doc.fillColor(saldo > 0 ? C_PENDIENTE : COLOR).fontSize(18).font("Helvetica-Bold")
+        .text(dinero(saldo), boxLeft + 10, 172, { width: 150, align: "right" });
+
+      /* ── RESUMEN ────────────────────────────────────────────────── */
+
+      doc.fillColor(GRAY).fontSize(8).font("Helvetica")
+        .text(
+          (conSaldoInicial ? `Saldo anterior: ${dinero(totales.saldo_inicial)}   ·   ` : "") +
+          `Cargos: ${dinero(totales.cargos)}   ·   Abonos: ${dinero(totales.abonos)}   ·   Becas aplicadas: ${dinero(totales.becas)}`,
+          50, 210, { width: 512 }
+        );
+
+      /* ── MOVIMIENTOS ────────────────────────────────────────────── */
+
+      doc.fillColor("#333333").fontSize(10).font("Helvetica-Bold")
+        .text("MOVIMIENTOS", 50, 232);
+
+      let y = drawTableHeader(250);
+
+      // Lo que se debía antes del rango: punto de partida del saldo corrido
+      if (conSaldoInicial) {
+        doc.fillColor("#333333").fontSize(8).font("Helvetica")
+          .text(nombrePeriodo(estado.filtros.desde), tableLeft + 8, y, { width: 75 })
+          .text("Saldo anterior", tableLeft + 85, y, { width: 150 });
+
+        doc.fillColor(COLOR).font("Helvetica-Bold")
+          .text(dinero(totales.saldo_inicial), tableLeft + 459, y, { width: 47, align: "right" });
+
+        doc.font("Helvetica").fillColor("#333333");
+        y += 18;
+      }
+
+      if (movimientos.length === 0) {
+        doc.fillColor(GRAY).fontSize(10).font("Helvetica")
+          .text("Sin movimientos registrados", tableLeft, y, {
+            width: tableWidth,
+            align: "center"
+          });
+        y += 30;
+      }
+
+      const MAX_CHARS_CONCEPTO = 32;
+      let periodoAnterior = null;
+
+      movimientos.forEach((m, index) => {
+        if (y > limiteY) {
+          doc.addPage();
+          drawHeader();
+          y = drawTableHeader(150);
+          periodoAnterior = null;
+        }
+
+        if (index % 2 === 0) {
+          doc.rect(tableLeft, y - 5, tableWidth, 18).fill("#FAFBFC");
+        }
+
+        const conceptoRaw = String(m.concepto || "Sin concepto");
+        const concepto = conceptoRaw.length > MAX_CHARS_CONCEPTO
+          ? conceptoRaw.slice(0, MAX_CHARS_CONCEPTO - 3) + "..."
+          : conceptoRaw;
+
+        const colorEstado =
+          m.tipo === "Cargo pendiente" ? C_PENDIENTE
+            : m.tipo === "Cargo cancelado" ? GRAY
+              : C_PAGADO;
+
+        doc.fillColor("#333333").fontSize(8).font("Helvetica")
+          .text(
+            m.periodo !== periodoAnterior ? nombrePeriodo(m.periodo) : "",
+            tableLeft + 8, y, { width: 75 }
+          )
+          .text(concepto, tableLeft + 85, y, { width: 150 });
+
+        doc.fillColor(colorEstado)
+          .text(m.tipo, tableLeft + 238, y, { width: 70 });
+
+        doc.fillColor("#333333")
+          .text(dinero(m.beca),  tableLeft + 308, y, { width: 45, align: "right" })
+          .text(dinero(m.cargo), tableLeft + 355, y, { width: 50, align: "right" })
+          .text(dinero(m.abono), tableLeft + 407, y, { width: 50, align: "right" });
+
+        doc.fillColor(COLOR).font("Helvetica-Bold")
+          .text(dinero(m.saldo), tableLeft + 459, y, { width: 47, align: "right" });
+
+        doc.font("Helvetica").fillColor("#333333");
+
+        periodoAnterior = m.periodo;
+        y += 18;
+      });
+
+      y += 5;
+      doc.moveTo(tableLeft, y).lineTo(tableLeft + tableWidth, y)
+        .lineWidth(0.5).stroke(BORDER_GRAY);
+
+      /* ── MONEDERO GENIUS BITES ──────────────────────────────────── */
+
+      const monedero = estado.monedero || {};
+
+      if (monedero.id_cuenta) {
+        y += 15;
+
+        if (y > limiteY - 20) {
+          doc.addPage();
+          drawHeader();
+          y = 150;
+        }
+
+        doc.fillColor("#333333").fontSize(10).font("Helvetica-Bold")
+          .text("MONEDERO GENIUS BITES", 50, y);
+
+        doc.fillColor(GRAY).fontSize(8).font("Helvetica")
+          .text(
+            `Saldo disponible: ${dinero(monedero.saldo_actual)}   ·   Movimientos en el periodo: ${(monedero.movimientos || []).length}`,
+            50, y + 16, { width: 512 }
+          );
+      }
+
+      /* ── FOOTER (todas las páginas) ─────────────────────────────── */
+
+      const range = doc.bufferedPageRange();
+
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        doc.page.margins.bottom = 0;
+
+        doc.fillColor(GRAY).fontSize(8).font("Helvetica")
+          .text(
+            "Este documento es informativo y no sustituye a los recibos de pago.",
+            50, 705, { align: "center", width: 512 }
+          )
+          .text(`Página ${i - range.start + 1} de ${range.count}`,
+            50, 720, { align: "center", width: 512 });
+
+        const footerY = 750;
+
+        doc.rect(0, footerY, doc.page.width, 42).fill(COLOR);
+        doc.moveTo(0, footerY).lineTo(doc.page.width, footerY)
+          .lineWidth(1).stroke("#FFFFFF");
+
+        doc.fillColor("#FFFFFF").fontSize(8).font("Helvetica");
+        if (alumno.razon_social)
+          doc.text(alumno.razon_social, 50, footerY + 14, { width: 180, align: "left" });
+        if (alumno.rfc)
+          doc.text(`RFC: ${alumno.rfc}`, 230, footerY + 14, { width: 150, align: "center" });
+        if (alumno.ubicacion)
+          doc.text(alumno.ubicacion, 380, footerY + 14, { width: 182, align: "right" });
+      }
+
+      doc.end();
+
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+module.exports = { generateEstadoCuentaPDF };
@@ -1,7 +1,154 @@
 const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
 const path = require("path");
+const { leerTraza } = require("../services/motor-precios");
 
-async function generateReciboPDF(recibo, detalles) {
+const MESES = [
+  "Enero", "Febrero", "Marzo", "Abril", "Mayo", "Junio",
+  "Julio", "Agosto", "Septiembre", "Octubre", "Noviembre", "Diciembre"
+];
+
+function pct(valor) {
+  return `${(Number(valor || 0) * 100).toFixed(2).replace(/\.?0+$/, "")}%`;
+}
+
+function describirMonto(pctValor, montoFijo) {
+  const partes = [pct(pctValor)];
+  if (Number(montoFijo || 0) > 0) partes.push(`$${Number(montoFijo).toFixed(2)}`);
+  return partes.join(" + ");
+}
+
+function etiquetaRegla(regla, traza) {
+  if (regla.id_regla === "HERMANOS") {
+    const posicion = traza?.hermanos?.posicion_hermano;
+    return posicion
+      ? `Descuento por hermanos (hermano ${posicion})`
+      : "Descuento por hermanos";
+  }
+
+  return `Regla ${regla.id_regla}`;
+}
+
+/* ================= ANEXO: DETALLE DEL CÁLCULO ================= */
+// Página adicional con la traza guardada en recibos_detalle.traza_calculo:
+// caso, beca y reglas_producto aplicadas a cada concepto.
+function dibujarTrazaCalculo(doc, recibo, detalles, { COLOR, GRAY, LIGHT_GRAY }) {
+  doc.addPage();
+  doc.page.margins.bottom = 0;
+
+  doc
+    .fillColor(COLOR)
+    .fontSize(16)
+    .font("Helvetica-Bold")
+    .text("DETALLE DEL CÁLCULO", 50, 50);
+
+  doc
+    .fillColor(GRAY)
+    .fontSize(9)
+    .font("Helvetica")
+    .text(`Recibo: ${recibo.id_recibo || "N/A"}`, 50, 72)
+    .text(`Forma de pago: ${recibo.forma_pago || "N/A"}`, 50, 85);
+
+  let y = 110;
+
+  const asegurarEspacio = alto => {
+    if (y + alto > 720) {
+      doc.addPage();
+      doc.page.margins.bottom = 0;
+      y = 50;
+    }
+  };
+
+  detalles.forEach(d => {
+    const traza = leerTraza(d.traza_calculo);
+    const reglas = traza?.reglas || [];
+    const descartadas = traza?.reglas_descartadas || [];
+
+    asegurarEspacio(60 + (reglas.length + descartadas.length) * 14);
+
+    const periodo = d.mes && d.anio
+      ? ` (${MESES[Number(d.mes) - 1] || d.mes} ${d.anio})`
+      : "";
+
+    doc.rect(50, y, 512, 20).fill(LIGHT_GRAY);
+    doc
+      .fillColor(COLOR)
+      .fontSize(9)
+      .font("Helvetica-Bold")
+      .text(`${d.descripcion || d.id_producto}${periodo}`, 58, y + 6, { width: 496 });
+
+    y += 26;
+
+    if (!traza) {
+      doc
+        .fillColor(GRAY)
+        .font("Helvetica")
+        .text("Sin traza de cálculo registrada para este concepto.", 58, y);
+      y += 22;
+      return;
+    }
+
+    doc
+      .fillColor("#333333")
+      .font("Helvetica")
+      .text(
+        `Caso: ${traza.caso || "N/A"}    Política: ${traza.politica_reglas || "Suma"}    Precio base: $${Number(traza.precio_base || 0).toFixed(2)}    ` +
+        `Beca: ${pct(traza.beca_pct)} ($${Number(traza.beca || 0).toFixed(2)})    ` +
+        `Base post beca: $${Number(traza.base_post_beca || 0).toFixed(2)}`,
+        58,
+        y,
+        { width: 496 }
+      );
+
+    y += 16;
+
+    if (reglas.length === 0) {
+      doc.fillColor(GRAY).text("Sin reglas aplicadas.", 58, y);
+      y += 14;
+    } else {
+      reglas.forEach(r => {
+        doc
+          .fillColor("#333333")
+          .text(
+            `${etiquetaRegla(r, traza)} (prioridad ${r.prioridad ?? "N/A"}): ` +
+            `descuento ${describirMonto(r.pct_descuento, r.monto_descuento)} = $${Number(r.descuento || 0).toFixed(2)}, ` +
+            `recargo ${describirMonto(r.pct_recargo, r.monto_recargo)} = $${Number(r.recargo || 0).toFixed(2)}`,
+            70,
+            y,
+            { width: 484 }
+          );
+        y += 14;
+      });
+    }
+
+    descartadas.forEach(r => {
+      doc
+        .fillColor(GRAY)
+        .text(`${etiquetaRegla(r, traza)} no aplicada: ${r.motivo || "N/A"}`, 70, y, { width: 484 });
+      y += 14;
+    });
+
+    if (traza.tope_aplicado) {
+      doc
+        .fillColor(GRAY)
+        .text("Tope de acumulación aplicado.", 58, y);
+      y += 14;
+    }
+
+    if (Number(traza.monto_ajuste || 0) !== 0) {
+      doc.text(`Ajuste manual: $${Number(traza.monto_ajuste).toFixed(2)}`, 58, y);
+      y += 14;
+    }
+
+    doc
+      .font("Helvetica-Bold")
+      .text(`Precio final: $${Number(traza.precio_final || 0).toFixed(2)}`, 58, y);
+
+    y += 24;
+  });
+}
+
+async function generateReciboPDF(recibo, detalles, opciones = {}) {
 
   console.log("ENTERED generateReciboPDF", {
     id_recibo: recibo?.id_recibo,
@@ -9,7 +156,14 @@ async function generateReciboPDF(recibo, detalles) {
     detalles_count: detalles?.length
   });
 
-
+  // QR de verificación pública (opciones.verificacion = { url, codigo })
+  const qrVerificacion = opciones.verificacion
+    ? await QRCode.toBuffer(opciones.verificacion.url, {
+        errorCorrectionLevel: "M",
+        margin: 0,
+        width: 240
+      })
+    : null;
 
   return new Promise((resolve, reject) => {
     try {
@@ -76,7 +230,7 @@ doc
   .fillColor(GRAY)
   .fontSize(9)
   .font("Helvetica")
-  .text(`Folio: ${recibo.id_recibo || 'N/A'}`, 200, 80, { align: "right" })
+  .text(`Folio: ${recibo.folio_completo || recibo.id_recibo || 'N/A'}`, 200, 80, { align: "right" })
   .text(`Forma de pago: ${recibo.forma_pago || 'N/A'}`, 200, 93, {
     align: "right"
   })
@@ -84,12 +238,38 @@ doc
     align: "right"
   });
 
+// Recibos con folio consecutivo conservan el UUID como referencia interna
+if (recibo.folio_completo) {
+  doc
+    .fontSize(7)
+    .text(`ID: ${recibo.id_recibo}`, 200, 120, { align: "right" });
+}
+
 doc
   .moveTo(50, 135)
   .lineTo(562, 135)
   .lineWidth(1.5)
   .stroke(COLOR);
 
+/* ================= QR DE VERIFICACIÓN ================= */
+if (qrVerificacion) {
+  doc.image(qrVerificacion, 50, 142, { width: 56, height: 56 });
+
+  doc
+    .fillColor(COLOR)
+    .fontSize(7)
+    .font("Helvetica-Bold")
+    .text("VERIFICA ESTE RECIBO", 112, 150, { width: 150 });
+
+  doc
+    .fillColor(GRAY)
+    .fontSize(7)
+    .font("Helvetica")
+    .text("Escanea el código QR para confirmar", 112, 161, { width: 150 })
+    .text("su autenticidad y estado.", 112, 170, { width: 150 })
+    .text(`Código: ${opciones.verificacion.codigo}`, 112, 183, { width: 150 });
+}
+
 /* ================= FECHA DESTACADA ================= */
 doc
   .fillColor("#333333")
@@ -233,6 +413,24 @@ if (montoAjuste < 0) {
           doc.font("Helvetica").fillColor("#333333");
 
           y += 20;
+
+          // Descuento por hermanos (ya incluido en DESC.)
+          const descuentoHermanos = Number(d.descuento_hermanos) || 0;
+
+          if (descuentoHermanos > 0) {
+            doc
+              .fillColor(GRAY)
+              .fontSize(7)
+              .text(
+                `Incluye descuento por hermanos: $${descuentoHermanos.toFixed(2)}`,
+                tableLeft + 10,
+                y - 6,
+                { width: 300 }
+              );
+
+            doc.fontSize(9).fillColor("#333333");
+            y += 8;
+          }
         });
       }
 
@@ -386,6 +584,10 @@ if (recibo.status_recibo === "Cancelado") {
   doc.opacity(1);
 }
 
+if (opciones.incluirTraza && detalles && detalles.length > 0) {
+  dibujarTrazaCalculo(doc, recibo, detalles, { COLOR, GRAY, LIGHT_GRAY });
+}
+
 doc.end();
 
 } catch (err) {
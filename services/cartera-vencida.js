@@ -0,0 +1,261 @@
+const { SQL_CARGO_PENDIENTE } = require("./devengar-recargos");
+const { leerFecha } = require("../modules/conciliacion/archivos");
+
+const FECHA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Antigüedad en días desde el inicio del periodo del cargo (día 1 del mes)
+const RANGOS = [
+  { clave: "d0_30", etiqueta: "0-30", hasta: 30 },
+  { clave: "d31_60", etiqueta: "31-60", hasta: 60 },
+  { clave: "d61_90", etiqueta: "61-90", hasta: 90 },
+  { clave: "d90_mas", etiqueta: "90+", hasta: null }
+];
+
+function redondear(valor) {
+  return Math.round(Number(valor || 0) * 100) / 100;
+}
+
+function rangosVacios() {
+  return Object.fromEntries(
+    [...RANGOS.map(r => r.clave), "total"].map(clave => [
+      clave,
+      { cargos: 0, monto: 0 }
+    ])
+  );
+}
+
+function acumular(destino, clave, cargos, monto) {
+  destino[clave].cargos += cargos;
+  destino[clave].monto = redondear(destino[clave].monto + monto);
+  destino.total.cargos += cargos;
+  destino.total.monto = redondear(destino.total.monto + monto);
+}
+
+module.exports = function carteraVencidaFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  generateCarteraVencidaPDF
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function leerFiltros(query = {}) {
+    const fecha = query.fecha ? String(query.fecha).trim() : null;
+    const idPlantel = query.id_plantel ? String(query.id_plantel).trim() : null;
+
+    if (fecha && (!FECHA_REGEX.test(fecha) || leerFecha(fecha) !== fecha)) {
+      throw crearError("fecha debe ser una fecha válida (YYYY-MM-DD)", 400);
+    }
+
+    return { fecha, id_plantel: idPlantel };
+  }
+
+  // ============================================================
+  // CARTERA VENCIDA
+  // Cargos Activos sin concepto emitido, con periodo ya iniciado,
+  // agrupados por plantel → nivel → grupo y rango de antigüedad.
+  // Monto esperado = precio_base - beca (mismo criterio que el
+  // estado de cuenta).
+  // ============================================================
+  async function obtenerCarteraVencida({ fecha, id_plantel }) {
+    // Conexión con time_zone de la operación para que CURDATE() sea local
+    const fechaCorte = await executeInTransaction(async (conn) => {
+      const [[row]] = await conn.execute(
+        `SELECT DATE_FORMAT(COALESCE(?, CURDATE()), '%Y-%m-%d') AS fecha`,
+        [fecha]
+      );
+      return row.fecha;
+    });
+
+    const [filas] = await pool.execute(
+      `
+      SELECT
+        c.id_plantel,
+        c.nombre_plantel,
+        c.nivel,
+        c.id_grupo,
+        c.nombre_grupo,
+        CASE
+          WHEN c.dias <= 30 THEN 'd0_30'
+          WHEN c.dias <= 60 THEN 'd31_60'
+          WHEN c.dias <= 90 THEN 'd61_90'
+          ELSE 'd90_mas'
+        END AS rango,
+        COUNT(*) AS cargos,
+        COUNT(DISTINCT c.id_alumno) AS alumnos,
+        SUM(c.monto_esperado) AS monto
+      FROM (
+        SELECT
+          a.id_alumno,
+          pl.id_plantel,
+          pl.nombre_plantel,
+          g.id_nivel AS nivel,
+          g.id_grupo,
+          g.nombre_grupo,
+          DATEDIFF(
+            ?,
+            STR_TO_DATE(CONCAT(ac.anio, '-', LPAD(ac.mes, 2, '0'), '-01'), '%Y-%m-%d')
+          ) AS dias,
+          p.precio_base - CASE
+            WHEN p.frecuencia = 'Mensual'
+              THEN CEIL(p.precio_base * COALESCE(am.beca_monto, 0))
+            ELSE 0
+          END AS monto_esperado
+        FROM alumnos_cargos ac
+        JOIN alumnos a
+          ON a.id_alumno = ac.id_alumno
+         AND a.status = 'Activo'
+        JOIN productos p
+          ON p.id_producto = ac.id_producto
+        LEFT JOIN alumnos_mensuales am
+          ON am.id_alumno = ac.id_alumno
+         AND am.id_producto = ac.id_producto
+        LEFT JOIN grupos g
+          ON g.id_grupo = a.id_grupo
+        LEFT JOIN planteles pl
+          ON pl.id_plantel = a.id_plantel_academico
+        WHERE ${SQL_CARGO_PENDIENTE}
+          ${id_plantel ? "AND pl.id_plantel = ?" : ""}
+      ) c
+      WHERE c.dias >= 0
+      GROUP BY
+        c.id_plantel,
+        c.nombre_plantel,
+        c.nivel,
+        c.id_grupo,
+        c.nombre_grupo,
+        rango
+      ORDER BY c.nombre_plantel, c.nivel, c.nombre_grupo
+      `,
+      id_plantel ? [fechaCorte, id_plantel] : [fechaCorte]
+    );
+
+    // ----------------------------------------------------------
+    // Armar árbol plantel → nivel → grupo
+    // ----------------------------------------------------------
+    const totales = rangosVacios();
+    const planteles = new Map();
+
+    for (const f of filas) {
+      const cargos = Number(f.cargos);
+      const monto = Number(f.monto || 0);
+      const idPlantel = f.id_plantel || "SIN_PLANTEL";
+      const nivel = f.nivel || "Sin nivel";
+      const idGrupo = f.id_grupo || "SIN_GRUPO";
+
+      if (!planteles.has(idPlantel)) {
+        planteles.set(idPlantel, {
+          id_plantel: f.id_plantel,
+          nombre_plantel: f.nombre_plantel || "Sin plantel",
+          rangos: rangosVacios(),
+          niveles: new Map()
+        });
+      }
+
+      const plantel = planteles.get(idPlantel);
+
+      if (!plantel.niveles.has(nivel)) {
+        plantel.niveles.set(nivel, {
+          nivel,
+          rangos: rangosVacios(),
+          grupos: new Map()
+        });
+      }
+
+      const nodoNivel = plantel.niveles.get(nivel);
+
+      if (!nodoNivel.grupos.has(idGrupo)) {
+        nodoNivel.grupos.set(idGrupo, {
+          id_grupo: f.id_grupo,
+          nombre_grupo: f.nombre_grupo || "Sin grupo",
+          rangos: rangosVacios()
+        });
+      }
+
+      const grupo = nodoNivel.grupos.get(idGrupo);
+
+      for (const destino of [totales, plantel.rangos, nodoNivel.rangos, grupo.rangos]) {
+        acumular(destino, f.rango, cargos, monto);
+      }
+    }
+
+    return {
+      fecha_corte: fechaCorte,
+      filtros: { id_plantel },
+      rangos: RANGOS.map(({ clave, etiqueta }) => ({ clave, etiqueta })),
+      totales,
+      planteles: [...planteles.values()].map(p => ({
+        ...p,
+        niveles: [...p.niveles.values()].map(n => ({
+          ...n,
+          grupos: [...n.grupos.values()]
+        }))
+      })),
+      generado_en: new Date().toISOString()
+    };
+  }
+
+  // ============================================================
+  // GET /reportes/cartera-vencida
+  // ============================================================
+  async function carteraVencidaHandler(req, res, next) {
+    const startTime = Date.now();
+
+    try {
+      const cartera = await obtenerCarteraVencida(leerFiltros(req.query));
+
+      logger.info("Cartera vencida consultada", {
+        fecha_corte: cartera.fecha_corte,
+        id_plantel: cartera.filtros.id_plantel,
+        cargos: cartera.totales.total.cargos,
+        monto: cartera.totales.total.monto,
+        duration_ms: Date.now() - startTime
+      });
+
+      return res.json({ ok: true, ...cartera });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /reportes/cartera-vencida/pdf
+  // ============================================================
+  async function carteraVencidaPdfHandler(req, res, next) {
+    try {
+      const filtros = leerFiltros(req.query);
+      const cartera = await obtenerCarteraVencida(filtros);
+      const pdfBuffer = await generateCarteraVencidaPDF(cartera);
+
+      logger.info("PDF de cartera vencida generado", {
+        fecha_corte: cartera.fecha_corte,
+        id_plantel: filtros.id_plantel,
+        buffer_size_kb: (pdfBuffer.length / 1024).toFixed(2)
+      });
+
+      res.set("Content-Type", "application/pdf");
+      res.set("Cache-Control", "no-store");
+      res.set(
+        "Content-Disposition",
+        `inline; filename="cartera-vencida-${cartera.fecha_corte}.pdf"`
+      );
+
+      return res.send(pdfBuffer);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    obtenerCarteraVencida,
+    carteraVencidaHandler,
+    carteraVencidaPdfHandler
+  };
+};
@@ -0,0 +1,198 @@
+const { calcularDetalle } = require("./motor-precios");
+const { FORMAS_PAGO } = require("./pagos-recibo");
+
+const FECHA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_PRODUCTOS = 50;
+
+module.exports = function cotizarReciboFactory({
+  pool,
+  logger,
+  obtenerSaldoFavor
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function validarProductos(productos) {
+    if (!Array.isArray(productos) || productos.length === 0) {
+      throw crearError("productos debe ser un array no vacío", 400);
+    }
+
+    if (productos.length > MAX_PRODUCTOS) {
+      throw crearError(`Máximo ${MAX_PRODUCTOS} productos por cotización`, 400);
+    }
+
+    return productos.map((item, index) => {
+      const idProducto = String(item?.id_producto || "").trim();
+
+      if (!idProducto) {
+        throw crearError(`productos[${index}].id_producto es requerido`, 400);
+      }
+
+      const mes = item.mes != null ? Number(item.mes) : null;
+      const anio = item.anio != null ? Number(item.anio) : null;
+
+      if (mes != null && (!Number.isInteger(mes) || mes < 1 || mes > 12)) {
+        throw crearError(`productos[${index}].mes inválido`, 400);
+      }
+
+      if (anio != null && (!Number.isInteger(anio) || anio < 2000 || anio > 2100)) {
+        throw crearError(`productos[${index}].anio inválido`, 400);
+      }
+
+      const montoAjuste = Number(item.monto_ajuste || 0);
+
+      if (!Number.isFinite(montoAjuste)) {
+        throw crearError(`productos[${index}].monto_ajuste inválido`, 400);
+      }
+
+      return {
+        id_producto: idProducto,
+        mes,
+        anio,
+        monto_ajuste: montoAjuste
+      };
+    });
+  }
+
+  // ============================================================
+  // POST /recibos/cotizar
+  // Mismo motor que calculateReciboTotal, sin escrituras.
+  // ============================================================
+  return async function cotizarReciboHandler(req, res, next) {
+    const startTime = Date.now();
+
+    try {
+      const idAlumno = String(req.body?.id_alumno || "").trim();
+      const fecha = String(req.body?.fecha || "").trim();
+      const formaPago = String(req.body?.forma_pago || "").trim();
+
+      if (!idAlumno) {
+        throw crearError("id_alumno es requerido", 400);
+      }
+
+      if (!FECHA_REGEX.test(fecha)) {
+        throw crearError("fecha debe tener formato YYYY-MM-DD", 400);
+      }
+
+      if (!FORMAS_PAGO.includes(formaPago)) {
+        throw crearError(
+          `forma_pago debe ser una de: ${FORMAS_PAGO.join(", ")}`,
+          400
+        );
+      }
+
+      const items = validarProductos(req.body?.productos);
+
+      const [[alumno]] = await pool.execute(
+        `
+        SELECT id_alumno, status
+        FROM alumnos
+        WHERE id_alumno = ?
+        `,
+        [idAlumno]
+      );
+
+      if (!alumno) {
+        throw crearError("Alumno no encontrado", 404);
+      }
+
+      const ids = [...new Set(items.map(i => i.id_producto))];
+
+      const [productos] = await pool.execute(
+        `
+        SELECT
+          id_producto,
+          nombre_producto,
+          precio_base,
+          frecuencia,
+          status
+        FROM productos
+        WHERE id_producto IN (${ids.map(() => "?").join(",")})
+        `,
+        ids
+      );
+
+      const productosMap = new Map(productos.map(p => [p.id_producto, p]));
+
+      const lineas = [];
+      let total = 0;
+
+      for (const item of items) {
+        const producto = productosMap.get(item.id_producto);
+
+        if (!producto) {
+          throw crearError(`Producto no encontrado: ${item.id_producto}`, 404);
+        }
+
+        if (producto.status !== "Activo") {
+          throw crearError(`El producto ${item.id_producto} está inactivo`, 422);
+        }
+
+        const calculo = await calcularDetalle(
+          pool,
+          {
+            id_producto: producto.id_producto,
+            frecuencia_producto: producto.frecuencia,
+            mes: item.mes,
+            anio: item.anio,
+            precio_base: producto.precio_base,
+            ajuste_manual: item.monto_ajuste !== 0,
+            monto_ajuste: item.monto_ajuste
+          },
+          {
+            id_alumno: idAlumno,
+            fecha,
+            forma_pago: formaPago
+          }
+        );
+
+        lineas.push({
+          descripcion: producto.nombre_producto || producto.id_producto,
+          ...calculo
+        });
+
+        total += calculo.precio_final;
+      }
+
+      logger.info("Cotización calculada", {
+        id_alumno: idAlumno,
+        fecha,
+        forma_pago: formaPago,
+        productos: lineas.length,
+        total,
+        duration_ms: Date.now() - startTime
+      });
+
+      // Saldo a favor que podría aplicarse como pago (forma SaldoFavor)
+      const saldoFavor = await obtenerSaldoFavor(idAlumno);
+      const aplicable = Math.min(saldoFavor, Math.max(total, 0));
+
+      return res.json({
+        ok: true,
+        id_alumno: idAlumno,
+        fecha,
+        forma_pago: formaPago,
+        total,
+        saldo_favor: {
+          disponible: saldoFavor,
+          aplicable: Number(aplicable.toFixed(2)),
+          por_pagar: Number((total - aplicable).toFixed(2))
+        },
+        lineas,
+        duration_ms: Date.now() - startTime
+      });
+
+    } catch (error) {
+      // Errores de configuración de reglas / datos → 422
+      if (!error.statusCode && String(error.message).startsWith("ERROR")) {
+        error.statusCode = 422;
+      }
+
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,460 @@
+const { randomUUID } = require("crypto");
+const { calcularDetalle } = require("./motor-precios");
+const { FORMAS_PAGO } = require("./pagos-recibo");
+const { leerFecha } = require("../modules/conciliacion/archivos");
+
+const FECHA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const AGRUPACIONES = ["alumno", "grupo", "plantel"];
+const MAX_ERRORES_RESPUESTA = 50;
+
+// Cargos por llamada: cada cargo corre el motor y su propia transacción,
+// así que una corrida de toda la escuela no cabe en un request de Cloud Run
+const LIMITE_DEFAULT = 200;
+const MAX_LIMITE = 1000;
+
+// Cargo Activo de producto Mensual cuyo periodo no tiene concepto emitido
+const SQL_CARGO_PENDIENTE = `
+  ac.status_cargo = 'Activo'
+  AND NOT EXISTS (
+    SELECT 1
+    FROM recibos r
+    JOIN recibos_detalle rd
+      ON rd.id_recibo = r.id_recibo
+    WHERE r.id_alumno = ac.id_alumno
+      AND r.status_recibo = 'Emitido'
+      AND rd.status_detalle = 'Emitido'
+      AND rd.id_producto = ac.id_producto
+      AND rd.mes = ac.mes
+      AND rd.anio = ac.anio
+  )
+`;
+
+module.exports = function devengarRecargosFactory({
+  pool,
+  executeInTransaction,
+  logger
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  // ============================================================
+  // CORE: evalúa los cargos vencidos contra las reglas del producto
+  // y registra el recargo devengado cuando cambia. Avanza por id_cargo
+  // en lotes de `limite` a partir de `desde_id`; es idempotente para una
+  // misma fecha (un cargo ya devengado no cambia).
+  // ============================================================
+  async function devengarRecargosCore({
+    fecha,
+    forma_pago,
+    alumnosList = null,
+    limite = LIMITE_DEFAULT,
+    desde_id = null
+  }) {
+    // Conexión con time_zone de la operación para que CURDATE() sea local
+    const periodo = await executeInTransaction(async (conn) => {
+      const [[row]] = await conn.execute(
+        `
+        SELECT
+          DATE_FORMAT(COALESCE(?, CURDATE()), '%Y-%m-%d') AS fecha,
+          YEAR(COALESCE(?, CURDATE())) AS anio,
+          MONTH(COALESCE(?, CURDATE())) AS mes
+        `,
+        [fecha, fecha, fecha]
+      );
+      return row;
+    });
+
+    const fechaDevengo = periodo.fecha;
+    const periodoActual = Number(periodo.anio) * 12 + Number(periodo.mes);
+
+    const filtroAlumnos = alumnosList && alumnosList.length > 0
+      ? `AND ac.id_alumno IN (${alumnosList.map(() => "?").join(",")})`
+      : "";
+
+    const [cargos] = await pool.execute(
+      `
+      SELECT
+        ac.id_cargo,
+        ac.id_alumno,
+        ac.id_producto,
+        ac.mes,
+        ac.anio,
+        p.precio_base,
+        p.frecuencia
+      FROM alumnos_cargos ac
+      JOIN productos p
+        ON p.id_producto = ac.id_producto
+       AND p.frecuencia = 'Mensual'
+      JOIN alumnos a
+        ON a.id_alumno = ac.id_alumno
+       AND a.status = 'Activo'
+      WHERE ${SQL_CARGO_PENDIENTE}
+        AND (ac.anio * 12 + ac.mes) < ?
+        ${filtroAlumnos}
+        ${desde_id ? "AND ac.id_cargo > ?" : ""}
+      ORDER BY ac.id_cargo
+      LIMIT ${limite}
+      `,
+      [
+        periodoActual,
+        ...(alumnosList && alumnosList.length > 0 ? alumnosList : []),
+        ...(desde_id ? [desde_id] : [])
+      ]
+    );
+
+    const completada = cargos.length < limite;
+
+    const resumen = {
+      fecha: fechaDevengo,
+      forma_pago,
+      completada,
+      // Para la siguiente llamada (null si ya no hay cargos por evaluar)
+      cursor: completada ? null : cargos[cargos.length - 1].id_cargo,
+      evaluados: cargos.length,
+      con_cambio: 0,
+      sin_cambio: 0,
+      recargo_incremental: 0,
+      errores: []
+    };
+
+    for (const cargo of cargos) {
+      try {
+        const calculo = await calcularDetalle(
+          pool,
+          {
+            id_producto: cargo.id_producto,
+            frecuencia_producto: cargo.frecuencia,
+            mes: cargo.mes,
+            anio: cargo.anio,
+            precio_base: cargo.precio_base
+          },
+          {
+            id_alumno: cargo.id_alumno,
+            fecha: fechaDevengo,
+            forma_pago
+          }
+        );
+
+        const cambio = await executeInTransaction(async (conn) => {
+          const [[actual]] = await conn.execute(
+            `
+            SELECT recargo_devengado, status_cargo
+            FROM alumnos_cargos
+            WHERE id_cargo = ?
+            FOR UPDATE
+            `,
+            [cargo.id_cargo]
+          );
+
+          if (!actual || actual.status_cargo !== "Activo") {
+            return 0;
+          }
+
+          const anterior = Number(actual.recargo_devengado || 0);
+          const incremental = calculo.recargo - anterior;
+
+          if (incremental !== 0) {
+            await conn.execute(
+              `
+              INSERT INTO alumnos_cargos_recargos (
+                id_recargo_devengado,
+                id_cargo,
+                id_alumno,
+                fecha_devengo,
+                recargo_anterior,
+                recargo_total,
+                recargo_incremental,
+                monto_vencido,
+                reglas_aplicadas
+              )
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+              `,
+              [
+                randomUUID(),
+                cargo.id_cargo,
+                cargo.id_alumno,
+                fechaDevengo,
+                anterior,
+                calculo.recargo,
+                incremental,
+                calculo.precio_final,
+                JSON.stringify(calculo.reglas_aplicadas)
+              ]
+            );
+          }
+
+          await conn.execute(
+            `
+            UPDATE alumnos_cargos
+            SET recargo_devengado = ?,
+                monto_vencido = ?,
+                fecha_ultimo_devengo = ?
+            WHERE id_cargo = ?
+            `,
+            [calculo.recargo, calculo.precio_final, fechaDevengo, cargo.id_cargo]
+          );
+
+          return incremental;
+        });
+
+        if (cambio !== 0) {
+          resumen.con_cambio++;
+          resumen.recargo_incremental += cambio;
+        } else {
+          resumen.sin_cambio++;
+        }
+
+      } catch (error) {
+        resumen.errores.push({
+          id_cargo: cargo.id_cargo,
+          id_alumno: cargo.id_alumno,
+          error: error.message
+        });
+      }
+    }
+
+    return resumen;
+  }
+
+  // ============================================================
+  // POST /cargos/devengar-recargos
+  // { fecha?, forma_pago?, alumnos?, limite?, cursor? }
+  // Pensado para Cloud Scheduler (header x-api-token); también se
+  // puede invocar a mano, opcionalmente con fecha y alumnos.
+  // Procesa un lote por llamada: se repite pasando la fecha y el cursor
+  // de la respuesta hasta que completada = true.
+  // ============================================================
+  async function devengarRecargosHandler(req, res, next) {
+    const startTime = Date.now();
+
+    try {
+      const fecha = req.body?.fecha ? String(req.body.fecha).trim() : null;
+      const formaPago = String(req.body?.forma_pago || "Efectivo").trim();
+      const alumnosList = req.body?.alumnos
+        ? String(req.body.alumnos).split(",").map(a => a.trim()).filter(Boolean)
+        : null;
+      const limite = Number(req.body?.limite ?? LIMITE_DEFAULT);
+      const cursor = req.body?.cursor ? String(req.body.cursor).trim() : null;
+
+      if (fecha && (!FECHA_REGEX.test(fecha) || leerFecha(fecha) !== fecha)) {
+        throw crearError("fecha debe ser una fecha válida (YYYY-MM-DD)", 400);
+      }
+
+      if (!Number.isInteger(limite) || limite < 1 || limite > MAX_LIMITE) {
+        throw crearError(`limite debe ser un entero entre 1 y ${MAX_LIMITE}`, 400);
+      }
+
+      // Todos los lotes de una corrida devengan a la misma fecha
+      if (cursor && !fecha) {
+        throw crearError("fecha es requerida al continuar con cursor", 400);
+      }
+
+      if (!FORMAS_PAGO.includes(formaPago)) {
+        throw crearError(
+          `forma_pago debe ser una de: ${FORMAS_PAGO.join(", ")}`,
+          400
+        );
+      }
+
+      logger.info("Inicio devengo de recargos", {
+        fecha: fecha || "hoy",
+        forma_pago: formaPago,
+        alumnos: alumnosList ? alumnosList.length : "todos",
+        limite,
+        cursor
+      });
+
+      const resumen = await devengarRecargosCore({
+        fecha,
+        forma_pago: formaPago,
+        alumnosList,
+        limite,
+        desde_id: cursor
+      });
+
+      const duration = Date.now() - startTime;
+
+      logger.info("Lote de devengo de recargos completado", {
+        fecha: resumen.fecha,
+        completada: resumen.completada,
+        cursor: resumen.cursor,
+        evaluados: resumen.evaluados,
+        con_cambio: resumen.con_cambio,
+        recargo_incremental: resumen.recargo_incremental,
+        errores: resumen.errores.length,
+        duration_ms: duration
+      });
+
+      if (resumen.errores.length > 0) {
+        logger.warn("Cargos con error en devengo de recargos", {
+          errores: resumen.errores.slice(0, MAX_ERRORES_RESPUESTA)
+        });
+      }
+
+      return res.json({
+        ok: true,
+        ...resumen,
+        total_errores: resumen.errores.length,
+        errores: resumen.errores.slice(0, MAX_ERRORES_RESPUESTA),
+        duration_ms: duration
+      });
+
+    } catch (error) {
+      logger.error("Error en devengo de recargos", {
+        error: error.message,
+        duration_ms: Date.now() - startTime
+      });
+
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /cargos/recargos-devengados?agrupar=alumno|grupo|plantel
+  // Saldo vencido (con recargo) de cargos pendientes según el último
+  // devengo registrado.
+  // ============================================================
+  async function resumenRecargosHandler(req, res, next) {
+    try {
+      const agrupar = String(req.query.agrupar || "alumno").trim();
+      const idPlantel = req.query.id_plantel
+        ? String(req.query.id_plantel).trim()
+        : null;
+
+      if (!AGRUPACIONES.includes(agrupar)) {
+        throw crearError(
+          `agrupar debe ser uno de: ${AGRUPACIONES.join(", ")}`,
+          400
+        );
+      }
+
+      const columnas = {
+        alumno: `
+          a.id_alumno,
+          CONCAT_WS(' ',
+            a.apellido_paterno,
+            a.apellido_materno,
+            a.nombre
+          ) AS alumno_nombre_completo,
+          g.nombre_grupo,
+          pl.id_plantel,
+          pl.nombre_plantel`,
+        grupo: `
+          g.id_grupo,
+          g.nombre_grupo,
+          pl.id_plantel,
+          pl.nombre_plantel`,
+        plantel: `
+          pl.id_plantel,
+          pl.nombre_plantel`
+      }[agrupar];
+
+      const groupBy = {
+        alumno: "a.id_alumno, g.nombre_grupo, pl.id_plantel, pl.nombre_plantel",
+        grupo: "g.id_grupo, g.nombre_grupo, pl.id_plantel, pl.nombre_plantel",
+        plantel: "pl.id_plantel, pl.nombre_plantel"
+      }[agrupar];
+
+      const [filas] = await pool.execute(
+        `
+        SELECT
+          ${columnas},
+          COUNT(*) AS cargos_vencidos,
+          SUM(ac.recargo_devengado) AS recargo_devengado,
+          SUM(ac.monto_vencido) AS monto_vencido,
+          MAX(ac.fecha_ultimo_devengo) AS fecha_ultimo_devengo
+        FROM alumnos_cargos ac
+        JOIN alumnos a
+          ON a.id_alumno = ac.id_alumno
+        LEFT JOIN grupos g
+          ON g.id_grupo = a.id_grupo
+        LEFT JOIN planteles pl
+          ON pl.id_plantel = a.id_plantel_academico
+        WHERE ${SQL_CARGO_PENDIENTE}
+          AND ac.fecha_ultimo_devengo IS NOT NULL
+          ${idPlantel ? "AND pl.id_plantel = ?" : ""}
+        GROUP BY ${groupBy}
+        ORDER BY monto_vencido DESC
+        `,
+        idPlantel ? [idPlantel] : []
+      );
+
+      const resultado = filas.map(f => ({
+        ...f,
+        cargos_vencidos: Number(f.cargos_vencidos),
+        recargo_devengado: Number(f.recargo_devengado || 0),
+        monto_vencido: Number(f.monto_vencido || 0)
+      }));
+
+      return res.json({
+        ok: true,
+        agrupar,
+        id_plantel: idPlantel,
+        totales: {
+          cargos_vencidos: resultado.reduce((acc, f) => acc + f.cargos_vencidos, 0),
+          recargo_devengado: resultado.reduce((acc, f) => acc + f.recargo_devengado, 0),
+          monto_vencido: resultado.reduce((acc, f) => acc + f.monto_vencido, 0)
+        },
+        filas: resultado
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /cargos/:id_cargo/recargos
+  // Historial de devengo de un cargo
+  // ============================================================
+  async function historialRecargosHandler(req, res, next) {
+    try {
+      const idCargo = String(req.params.id_cargo || "").trim();
+
+      const [movimientos] = await pool.execute(
+        `
+        SELECT
+          id_recargo_devengado,
+          fecha_devengo,
+          recargo_anterior,
+          recargo_total,
+          recargo_incremental,
+          monto_vencido,
+          reglas_aplicadas,
+          created_at
+        FROM alumnos_cargos_recargos
+        WHERE id_cargo = ?
+        ORDER BY fecha_devengo, created_at
+        `,
+        [idCargo]
+      );
+
+      return res.json({
+        ok: true,
+        id_cargo: idCargo,
+        movimientos: movimientos.map(m => ({
+          ...m,
+          reglas_aplicadas: typeof m.reglas_aplicadas === "string"
+            ? JSON.parse(m.reglas_aplicadas)
+            : m.reglas_aplicadas
+        }))
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    devengarRecargosCore,
+    devengarRecargosHandler,
+    resumenRecargosHandler,
+    historialRecargosHandler
+  };
+};
+
+module.exports.SQL_CARGO_PENDIENTE = SQL_CARGO_PENDIENTE;
@@ -1,6 +1,9 @@
 'use strict';
 
-// POST /recibos/producto-unico/lote
+// POST /recibos/emitir-producto-unico/lote
+// Emisión masiva de un producto único (uniformes, viajes) como trabajo en
+// segundo plano: recibos_lotes guarda el estado del lote y
+// recibos_lotes_alumnos el de cada alumno. El front sondea el estado.
 
 const pLimit = require('p-limit');
 const crypto = require('crypto');
@@ -222,7 +225,7 @@ VALUES ${detalleRowPlaceholders}
 
   await conn.execute(sqlDetalle, detalleValues);
 
-  return recibos.map(r => r.id_recibo);
+  return recibos.map(({ id_recibo, id_alumno }) => ({ id_recibo, id_alumno }));
 }
 
 // ─── 4. REGISTRO DE ERROR POR RECIBO ─────────────────────────────────────────
@@ -247,41 +250,305 @@ async function limpiarErroresPrevios(pool, id_lote) {
   );
 }
 
-// ─── 6. EMISIÓN DE RECIBOS ───────────────────────────────────────────────────
+// ─── 6. EMISIÓN DE UN RECIBO ─────────────────────────────────────────────────
 
-async function emitirRecibosLote(pool, emitirRecibo, idsRecibos) {
-  const limit = pLimit(5);
+// emitirRecibo es un handler de Express: los errores llegan por next()
+async function emitirUno(emitirRecibo, id_recibo) {
+  let errorEmision = null;
 
-  let emitidos = 0;
-  let fallidos = 0;
+  await emitirRecibo(
+    { body: { id_recibo } },
+    { json: () => {} },
+    (error) => { errorEmision = error; }
+  );
 
-  const tareas = idsRecibos.map(id_recibo =>
-    limit(async () => {
-      try {
-        await emitirRecibo(
-          { body: { id_recibo } },
-          { json: () => {} },
-          () => {}
-        );
-        emitidos++;
-      } catch (error) {
-        console.error(`[lote] Error al emitir recibo ${id_recibo}:`, error.message);
-        await registrarError(pool, id_recibo, error);
-        fallidos++;
-      }
-    })
+  if (errorEmision) {
+    throw errorEmision;
+  }
+}
+
+// Todas las escrituras del worker exigen que el lote siga siendo suyo
+// (recibos_lotes.propietario); si otra instancia lo tomó, no toca nada.
+async function procesarAlumno(pool, emitirRecibo, { id_lote, id_recibo, propietario }) {
+  const [tomado] = await pool.execute(
+    `UPDATE recibos_lotes_alumnos la
+     JOIN recibos_lotes l
+       ON l.id_lote = la.id_lote
+     SET la.status_alumno = 'Procesando',
+         la.intentos = la.intentos + 1,
+         la.updated_at = NOW(),
+         l.heartbeat_en = NOW()
+     WHERE la.id_lote = ?
+       AND la.id_recibo = ?
+       AND la.status_alumno = 'Pendiente'
+       AND l.propietario = ?`,
+    [id_lote, id_recibo, propietario]
   );
+  if (tomado.affectedRows === 0) return null;
+
+  let status = 'Emitido';
+  let mensaje = null;
+
+  try {
+    // Un worker anterior pudo emitirlo sin alcanzar a registrarlo
+    const [[recibo]] = await pool.execute(
+      `SELECT status_recibo FROM recibos WHERE id_recibo = ?`,
+      [id_recibo]
+    );
 
-  await Promise.all(tareas);
+    if (recibo?.status_recibo !== 'Emitido') {
+      await emitirUno(emitirRecibo, id_recibo);
+    }
+  } catch (error) {
+    console.error(`[lote] Error al emitir recibo ${id_recibo}:`, error.message);
+    await registrarError(pool, id_recibo, error);
+    status = 'Error';
+    mensaje = error.message.substring(0, 255);
+  }
+
+  await pool.execute(
+    `UPDATE recibos_lotes_alumnos la
+     JOIN recibos_lotes l
+       ON l.id_lote = la.id_lote
+     SET la.status_alumno = ?,
+         la.error_message = ?,
+         la.updated_at = NOW(),
+         l.heartbeat_en = NOW()
+     WHERE la.id_lote = ?
+       AND la.id_recibo = ?
+       AND la.status_alumno = 'Procesando'
+       AND l.propietario = ?`,
+    [status, mensaje, id_lote, id_recibo, propietario]
+  );
 
-  return { emitidos, fallidos };
+  return status;
 }
 
-// ─── 7. HANDLER (FACTORY) ────────────────────────────────────────────────────
+// ─── 7. WORKER DEL LOTE ──────────────────────────────────────────────────────
+//
+// El lote corre en segundo plano dentro de la instancia que lo toma, con
+// un arrendamiento: tomarlo escribe un propietario nuevo y solo se permite
+// si está Pendiente o si su latido venció. El latido lo renueva un timer
+// cada LATIDO_INTERVALO_MS (independiente de cuánto tarde cada emisión),
+// así que un latido vencido significa que la instancia murió; solo
+// entonces se regresan a la cola los alumnos que dejó en Procesando.
+// El avance vive en recibos_lotes_alumnos: reanudar solo emite lo
+// pendiente, y se reanuda desde la consulta de estado o al arrancar.
+//
+// Requiere que la instancia conserve CPU después de responder (Cloud Run
+// con "CPU always allocated"); sin eso el worker se congela entre
+// peticiones y el lote solo avanza cuando otra instancia lo retoma.
+
+const CONCURRENCIA = 5;
+const BLOQUE = 20;
+const LATIDO_INTERVALO_MS = 20 * 1000;
+const LATIDO_VENCIDO_MIN = 2;
+const STATUS_ACTIVOS = ['Pendiente', 'EnProceso', 'Cancelando'];
+
+async function tomarLote(pool, id_lote, propietario) {
+  const [tomado] = await pool.execute(
+    `UPDATE recibos_lotes
+     SET status_lote = IF(status_lote = 'Cancelando', 'Cancelando', 'EnProceso'),
+         propietario = ?,
+         iniciado_en = COALESCE(iniciado_en, NOW()),
+         heartbeat_en = NOW()
+     WHERE id_lote = ?
+       AND (
+         status_lote = 'Pendiente'
+         OR (
+           status_lote IN ('EnProceso', 'Cancelando')
+           AND (heartbeat_en IS NULL OR heartbeat_en < NOW() - INTERVAL ${LATIDO_VENCIDO_MIN} MINUTE)
+         )
+       )`,
+    [propietario, id_lote]
+  );
+  if (tomado.affectedRows === 0) return false;
+
+  // El propietario anterior murió: lo que dejó a medias vuelve a la cola
+  await pool.execute(
+    `UPDATE recibos_lotes_alumnos
+     SET status_alumno = 'Pendiente'
+     WHERE id_lote = ?
+       AND status_alumno = 'Procesando'`,
+    [id_lote]
+  );
+
+  return true;
+}
+
+// Renueva el latido; false si el lote ya no es de este propietario
+async function renovarLatido(pool, id_lote, propietario) {
+  const [renovado] = await pool.execute(
+    `UPDATE recibos_lotes
+     SET heartbeat_en = NOW()
+     WHERE id_lote = ?
+       AND propietario = ?`,
+    [id_lote, propietario]
+  );
+
+  return renovado.affectedRows === 1;
+}
+
+// Sin propietario: cancelación de un lote que nadie procesa
+async function finalizarCancelacion(pool, id_lote, propietario = null) {
+  const [cancelado] = await pool.execute(
+    `UPDATE recibos_lotes
+     SET status_lote = 'Cancelado',
+         finalizado_en = NOW()
+     WHERE id_lote = ?
+       ${propietario ? 'AND propietario = ?' : ''}`,
+    propietario ? [id_lote, propietario] : [id_lote]
+  );
+  if (cancelado.affectedRows === 0) return;
+
+  await pool.execute(
+    `UPDATE recibos_lotes_alumnos
+     SET status_alumno = 'Cancelado',
+         updated_at = NOW()
+     WHERE id_lote = ?
+       AND status_alumno = 'Pendiente'`,
+    [id_lote]
+  );
+}
+
+async function procesarLote(pool, emitirRecibo, id_lote) {
+  const propietario = crypto.randomUUID();
+
+  if (!(await tomarLote(pool, id_lote, propietario))) return;
+
+  console.log(`[lote] Iniciando emisión lote=${id_lote} propietario=${propietario}`);
+
+  let vigente = true;
+
+  const latido = setInterval(() => {
+    renovarLatido(pool, id_lote, propietario)
+      .then(ok => { if (!ok) vigente = false; })
+      .catch(err => console.error(`[lote] No se pudo renovar latido lote=${id_lote}:`, err.message));
+  }, LATIDO_INTERVALO_MS);
+  latido.unref();
+
+  try {
+    const limit = pLimit(CONCURRENCIA);
+
+    while (vigente) {
+      const [[lote]] = await pool.execute(
+        `SELECT status_lote, propietario FROM recibos_lotes WHERE id_lote = ?`,
+        [id_lote]
+      );
+
+      if (lote.propietario !== propietario) {
+        vigente = false;
+        break;
+      }
+
+      if (lote.status_lote === 'Cancelando') {
+        await finalizarCancelacion(pool, id_lote, propietario);
+        console.log(`[lote] Cancelado lote=${id_lote}`);
+        return;
+      }
+
+      const [pendientes] = await pool.execute(
+        `SELECT id_recibo
+         FROM recibos_lotes_alumnos
+         WHERE id_lote = ?
+           AND status_alumno = 'Pendiente'
+         ORDER BY id_recibo
+         LIMIT ${BLOQUE}`,
+        [id_lote]
+      );
+
+      if (pendientes.length === 0) break;
+
+      await Promise.all(
+        pendientes.map(({ id_recibo }) =>
+          limit(() => vigente
+            ? procesarAlumno(pool, emitirRecibo, { id_lote, id_recibo, propietario })
+            : null)
+        )
+      );
+    }
+
+    if (!vigente) {
+      console.warn(`[lote] Arrendamiento perdido lote=${id_lote} propietario=${propietario}`);
+      return;
+    }
+
+    const [[{ fallidos }]] = await pool.execute(
+      `SELECT COUNT(*) AS fallidos
+       FROM recibos_lotes_alumnos
+       WHERE id_lote = ?
+         AND status_alumno = 'Error'`,
+      [id_lote]
+    );
+
+    const [cerrado] = await pool.execute(
+      `UPDATE recibos_lotes
+       SET status_lote = ?,
+           finalizado_en = NOW()
+       WHERE id_lote = ?
+         AND status_lote = 'EnProceso'
+         AND propietario = ?`,
+      [Number(fallidos) > 0 ? 'ConErrores' : 'Completado', id_lote, propietario]
+    );
+
+    // Cancelado justo al terminar el último bloque
+    if (cerrado.affectedRows === 0) {
+      await finalizarCancelacion(pool, id_lote, propietario);
+    }
+
+    console.log('[lote] Finalizado', { lote_id: id_lote, fallidos: Number(fallidos) });
+
+  } finally {
+    clearInterval(latido);
+  }
+}
+
+// ─── 8. HANDLERS (FACTORY) ───────────────────────────────────────────────────
 
 module.exports = function emitirProductoUnicoLoteFactory({ pool, executeInTransaction, emitirRecibo }) {
 
-  return async function emitirProductoUnicoLote(req, res, next) {
+  // Fuera del ciclo de la petición: los errores solo se registran
+  function lanzarLote(id_lote) {
+    setImmediate(() => {
+      procesarLote(pool, emitirRecibo, id_lote).catch(err => {
+        console.error(`[lote] Worker detenido lote=${id_lote}:`, err.message);
+      });
+    });
+  }
+
+  async function obtenerLote(id_lote) {
+    const [[lote]] = await pool.execute(
+      `SELECT
+         id_lote,
+         id_producto,
+         id_plantel,
+         id_usuario,
+         forma_pago,
+         DATE_FORMAT(fecha_recibo, '%Y-%m-%d') AS fecha_recibo,
+         total_alumnos,
+         status_lote,
+         iniciado_en,
+         heartbeat_en,
+         finalizado_en,
+         cancelado_por,
+         (heartbeat_en IS NULL OR heartbeat_en < NOW() - INTERVAL ${LATIDO_VENCIDO_MIN} MINUTE) AS latido_vencido
+       FROM recibos_lotes
+       WHERE id_lote = ?`,
+      [id_lote]
+    );
+
+    if (!lote) {
+      const err = new Error('Lote no encontrado');
+      err.statusCode = 404;
+      throw err;
+    }
+
+    return lote;
+  }
+
+  // POST /recibos/emitir-producto-unico/lote
+  // Crea los borradores y el lote; responde 202 y emite en segundo plano.
+  async function crearLoteHandler(req, res, next) {
 
     let { id_producto, id_lote, id_alumnos, id_plantel, id_usuario, forma_pago, fecha } = req.body;
 
@@ -327,9 +594,9 @@ module.exports = function emitirProductoUnicoLoteFactory({ pool, executeInTransa
         return res.status(409).json({ error: 'El id_lote ya existe' });
       }
 
-      const idsRecibos = await executeInTransaction(async conn => {
+      const recibos = await executeInTransaction(async conn => {
 
-        const ids = await crearBorradoresTx(conn, {
+        const creados = await crearBorradoresTx(conn, {
           id_producto,
           id_lote,
           id_alumnos,
@@ -348,9 +615,10 @@ module.exports = function emitirProductoUnicoLoteFactory({ pool, executeInTransa
             id_usuario,
             forma_pago,
             fecha_recibo,
-            total_alumnos
+            total_alumnos,
+            status_lote
           )
-          VALUES (?, ?, ?, ?, ?, ?, ?)
+          VALUES (?, ?, ?, ?, ?, ?, ?, 'Pendiente')
           `,
           [
             id_lote,
@@ -363,29 +631,35 @@ module.exports = function emitirProductoUnicoLoteFactory({ pool, executeInTransa
           ]
         );
 
-        return ids;
-      });
-
-      console.log(`[lote] Borradores creados lote=${id_lote} cantidad=${idsRecibos.length}`);
+        const alumnoPlaceholders = creados.map(() => `(?, ?, ?, 'Pendiente', 0, NOW())`).join(', ');
 
-      await limpiarErroresPrevios(pool, id_lote);
+        await conn.execute(
+          `
+          INSERT INTO recibos_lotes_alumnos (
+            id_lote,
+            id_alumno,
+            id_recibo,
+            status_alumno,
+            intentos,
+            updated_at
+          )
+          VALUES ${alumnoPlaceholders}
+          `,
+          creados.flatMap(r => [id_lote, r.id_alumno, r.id_recibo])
+        );
 
-      console.log(`[lote] Iniciando emisión lote=${id_lote}`);
+        return creados;
+      });
 
-      const { emitidos, fallidos } = await emitirRecibosLote(pool, emitirRecibo, idsRecibos);
+      console.log(`[lote] Borradores creados lote=${id_lote} cantidad=${recibos.length}`);
 
-      console.log('[lote] Finalizado', {
-        lote_id  : id_lote,
-        emitidos,
-        fallidos,
-      });
+      lanzarLote(id_lote);
 
-      return res.json({
+      return res.status(202).json({
         ok               : true,
         id_lote,
-        recibos_generados: idsRecibos.length,
-        emitidos,
-        fallidos,
+        status_lote      : 'Pendiente',
+        recibos_generados: recibos.length,
       });
 
     } catch (err) {
@@ -401,5 +675,190 @@ module.exports = function emitirProductoUnicoLoteFactory({ pool, executeInTransa
 });
       next(err);
     }
+  }
+
+  // GET /recibos/emitir-producto-unico/lote/:id_lote
+  // Estado para sondear; si el worker murió, lo reanuda.
+  async function estadoLoteHandler(req, res, next) {
+    try {
+      const { latido_vencido, ...lote } = await obtenerLote(req.params.id_lote);
+
+      let reanudado = false;
+      if (
+        lote.status_lote === 'Pendiente' ||
+        (STATUS_ACTIVOS.includes(lote.status_lote) && Number(latido_vencido) === 1)
+      ) {
+        lanzarLote(lote.id_lote);
+        reanudado = true;
+      }
+
+      const [alumnos] = await pool.execute(
+        `SELECT
+           la.id_alumno,
+           la.id_recibo,
+           r.folio_completo,
+           la.status_alumno,
+           la.intentos,
+           la.error_message,
+           la.updated_at
+         FROM recibos_lotes_alumnos la
+         LEFT JOIN recibos r
+           ON r.id_recibo = la.id_recibo
+         WHERE la.id_lote = ?
+         ORDER BY la.status_alumno, la.id_alumno`,
+        [lote.id_lote]
+      );
+
+      const conteo = { Pendiente: 0, Procesando: 0, Emitido: 0, Error: 0, Cancelado: 0 };
+      for (const a of alumnos) conteo[a.status_alumno] = (conteo[a.status_alumno] || 0) + 1;
+
+      const terminados = conteo.Emitido + conteo.Error + conteo.Cancelado;
+
+      return res.json({
+        ok       : true,
+        ...lote,
+        emitidos : conteo.Emitido,
+        fallidos : conteo.Error,
+        pendientes: conteo.Pendiente + conteo.Procesando,
+        cancelados: conteo.Cancelado,
+        progreso_pct: alumnos.length
+          ? Math.round((terminados / alumnos.length) * 100)
+          : 100,
+        reanudado,
+        alumnos,
+      });
+
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // POST /recibos/emitir-producto-unico/lote/:id_lote/reintentar
+  // Vuelve a la cola solo los alumnos con error.
+  async function reintentarLoteHandler(req, res, next) {
+    try {
+      const { id_lote } = await obtenerLote(req.params.id_lote);
+
+      const reintentos = await executeInTransaction(async conn => {
+        const [[lote]] = await conn.execute(
+          `SELECT status_lote FROM recibos_lotes WHERE id_lote = ? FOR UPDATE`,
+          [id_lote]
+        );
+
+        if (STATUS_ACTIVOS.includes(lote.status_lote)) {
+          const err = new Error(`El lote sigue en curso (${lote.status_lote})`);
+          err.statusCode = 409;
+          throw err;
+        }
+
+        const [reencolados] = await conn.execute(
+          `UPDATE recibos_lotes_alumnos
+           SET status_alumno = 'Pendiente',
+               error_message = NULL,
+               updated_at = NOW()
+           WHERE id_lote = ?
+             AND status_alumno = 'Error'`,
+          [id_lote]
+        );
+
+        if (reencolados.affectedRows === 0) {
+          const err = new Error('El lote no tiene alumnos con error');
+          err.statusCode = 409;
+          throw err;
+        }
+
+        await conn.execute(
+          `UPDATE recibos_lotes
+           SET status_lote = 'Pendiente',
+               finalizado_en = NULL
+           WHERE id_lote = ?`,
+          [id_lote]
+        );
+
+        return reencolados.affectedRows;
+      });
+
+      await limpiarErroresPrevios(pool, id_lote);
+
+      console.log(`[lote] Reintento lote=${id_lote} alumnos=${reintentos}`);
+
+      lanzarLote(id_lote);
+
+      return res.status(202).json({ ok: true, id_lote, status_lote: 'Pendiente', reintentos });
+
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // POST /recibos/emitir-producto-unico/lote/:id_lote/cancelar  { id_usuario }
+  // Lo ya emitido se queda; lo pendiente no se emite y sus recibos
+  // permanecen en Borrador.
+  async function cancelarLoteHandler(req, res, next) {
+    try {
+      const { id_lote } = await obtenerLote(req.params.id_lote);
+      const id_usuario = req.body?.id_usuario || null;
+
+      const status = await executeInTransaction(async conn => {
+        const [[lote]] = await conn.execute(
+          `SELECT status_lote FROM recibos_lotes WHERE id_lote = ? FOR UPDATE`,
+          [id_lote]
+        );
+
+        if (!['Pendiente', 'EnProceso'].includes(lote.status_lote)) {
+          const err = new Error(`El lote no se puede cancelar (${lote.status_lote})`);
+          err.statusCode = 409;
+          throw err;
+        }
+
+        // Pendiente: nadie lo procesa aún. EnProceso: el worker lo cierra
+        // al terminar el bloque en curso.
+        const nuevo = lote.status_lote === 'Pendiente' ? 'Cancelado' : 'Cancelando';
+
+        await conn.execute(
+          `UPDATE recibos_lotes
+           SET status_lote = ?,
+               cancelado_por = ?
+           WHERE id_lote = ?`,
+          [nuevo, id_usuario, id_lote]
+        );
+
+        return nuevo;
+      });
+
+      if (status === 'Cancelado') {
+        await finalizarCancelacion(pool, id_lote);
+      }
+
+      console.log(`[lote] Cancelación lote=${id_lote} status=${status}`);
+
+      return res.json({ ok: true, id_lote, status_lote: status });
+
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // Al arrancar: retoma los lotes que ninguna instancia está procesando
+  async function reanudarLotes() {
+    const [lotes] = await pool.execute(
+      `SELECT id_lote
+       FROM recibos_lotes
+       WHERE status_lote IN ('Pendiente', 'EnProceso', 'Cancelando')`
+    );
+
+    for (const { id_lote } of lotes) {
+      lanzarLote(id_lote);
+    }
+
+    return lotes.length;
+  }
+
+  return {
+    crearLoteHandler,
+    estadoLoteHandler,
+    reintentarLoteHandler,
+    cancelarLoteHandler,
+    reanudarLotes
   };
-};
\ No newline at end of file
+};
@@ -5,18 +5,29 @@ module.exports = function emitirReciboFactory({
   logger,
   generateReciboPDF,
   getReciboHydrated,
-  generateCorteId,
+  obtenerCorteAbierto,
   getReciboPdfPath,
-  deleteFileIfExists,
-  uploadPdfToGCS,
+  guardarVersionPdf,
   calculateReciboTotal,
+  recalcularCorte,
   procesarRecargaRecibo,
-  guardarErrorRecargaRecibo
+  guardarErrorRecargaRecibo,
+  leerModoEnvioCorreo,
+  enviarReciboCorreo,
+  crearEnlaceRecibo,
+  asignarFolio
 }) {
 
   return async function emitirReciboHandler(req, res, next) {
 
-    const { id_recibo, nombre_recibo } = req.body;
+    const {
+      id_recibo,
+      nombre_recibo,
+      incluir_traza,
+      enviar_correo,
+      enlace_un_solo_uso,
+      serie
+    } = req.body;
     const startTime = Date.now();
 
     // 👉 Aquí pegas TODO tu código del endpoint
@@ -31,6 +42,8 @@ module.exports = function emitirReciboFactory({
   let errorFinal = null;
 
   try {
+    const modoCorreo = leerModoEnvioCorreo(enviar_correo);
+
     // ========================================================================
     // FASE 1: TRANSACCIÓN COMPLETA Y ROBUSTA
     // ========================================================================
@@ -199,29 +212,79 @@ module.exports = function emitirReciboFactory({
       });
 
       // ────────────────────────────────────────────────────────────────────
-      // 1.7 Generar ID de corte
+      // 1.6.1 Recibos cobrados en parcialidades: deben estar liquidados
       // ────────────────────────────────────────────────────────────────────
-      const corteId = generateCorteId(row);
+      const [[pagos]] = await conn.execute(
+        `
+        SELECT
+          COUNT(*) AS cantidad,
+          COALESCE(SUM(monto), 0) AS total_pagado
+        FROM recibos_pagos
+        WHERE id_recibo = ?
+          AND status_pago = 'Aplicado'
+        `,
+        [id_recibo]
+      );
+
+      if (Number(pagos.cantidad) > 0) {
+        const totalPagado = Number(Number(pagos.total_pagado).toFixed(2));
+        const totalFinal = Number(Number(rowAfterCalc.total_recibo).toFixed(2));
+
+        if (totalPagado < totalFinal) {
+          const err = new Error(
+            `El recibo tiene saldo pendiente de $${(totalFinal - totalPagado).toFixed(2)}`
+          );
+          err.statusCode = 409;
+          throw err;
+        }
+
+        if (totalPagado > totalFinal) {
+          const err = new Error(
+            "Los pagos registrados exceden el total recalculado del recibo"
+          );
+          err.statusCode = 409;
+          throw err;
+        }
+
+        await conn.execute(
+          `
+          UPDATE recibos
+          SET saldo_pendiente = 0
+          WHERE id_recibo = ?
+          `,
+          [id_recibo]
+        );
+
+        logger.info("Recibo liquidado con pagos en parcialidades", {
+          id_recibo,
+          pagos: Number(pagos.cantidad),
+          total_pagado: totalPagado
+        });
+      }
+
+      // ────────────────────────────────────────────────────────────────────
+      // 1.7 Corte abierto del cajero (si el del día ya se cerró,
+      //     el de continuación)
+      // ────────────────────────────────────────────────────────────────────
+      const corteId = await obtenerCorteAbierto(conn, row);
 
       logger.info("ID de corte generado", { 
         id_recibo, 
         corteId 
       });
 
-      // Crear corte si no existe
-await conn.execute(
-  `
-  INSERT INTO cortes (id_corte, fecha, id_plantel, id_usuario)
-  VALUES (?, ?, ?, ?)
-  ON DUPLICATE KEY UPDATE id_corte = id_corte
-  `,
-  [
-    corteId,
-    row.fecha,
-    row.id_plantel,
-    row.id_usuario
-  ]
-);
+      // ────────────────────────────────────────────────────────────────────
+      // 1.7.1 Asignar folio consecutivo (lock de la serie hasta el commit)
+      // ────────────────────────────────────────────────────────────────────
+      const folio = await asignarFolio(conn, {
+        id_plantel: row.id_plantel,
+        serie: serie ? String(serie).trim().toUpperCase() : null
+      });
+
+      logger.info("Folio asignado", {
+        id_recibo,
+        folio: folio.folio_completo
+      });
 
       // ────────────────────────────────────────────────────────────────────
       // 1.8 Actualizar recibo a Emitido con validación de estado
@@ -232,13 +295,16 @@ await conn.execute(
         SET
           status_recibo = 'Emitido',
           encorte = ?,
+          serie = ?,
+          folio = ?,
+          folio_completo = ?,
           fecha_emision = NOW(),
           enimpresion = FALSE,
           generando_pdf = TRUE
         WHERE id_recibo = ?
           AND status_recibo = 'Borrador'
         `,
-        [corteId, id_recibo]
+        [corteId, folio.serie, folio.folio, folio.folio_completo, id_recibo]
       );
 
       if (updateRecibo.affectedRows !== 1) {
@@ -311,10 +377,7 @@ logger.info("Fecha aplicada a detalles emitidos", {
         corteId 
       });
 
-      await conn.execute(
-        `CALL sp_recalcular_corte(?)`,
-        [corteId]
-      );
+      await recalcularCorte(conn, corteId);
 
       logger.info("sp_recalcular_corte ejecutado exitosamente", { 
         id_recibo, 
@@ -333,6 +396,7 @@ logger.info("Fecha aplicada a detalles emitidos", {
       return {
         id_recibo,
         corteId,
+        folio: folio.folio_completo,
         id_alumno: row.id_alumno,
         id_plantel: row.id_plantel,
         total: rowAfterCalc.total_recibo
@@ -456,11 +520,18 @@ console.log("DEBUG BEFORE generateReciboPDF", {
 
 
 
-  const pdfBuffer = await generateReciboPDF(reciboParaPdf, detalles);
+  const pdfBuffer = await generateReciboPDF(reciboParaPdf, detalles, {
+    incluirTraza: incluir_traza === true
+  });
   const pdfPath = getReciboPdfPath(nombre_recibo);
 
-  await deleteFileIfExists(pdfPath);
-  rutaPdf = await uploadPdfToGCS(pdfBuffer, pdfPath);
+  rutaPdf = await guardarVersionPdf({
+    tipo_documento: "recibo",
+    id_documento: txResult.id_recibo,
+    clave: pdfPath,
+    buffer: pdfBuffer,
+    motivo: "Emision"
+  });
 
   logger.info("PDF generado y subido", { id_recibo: txResult.id_recibo, rutaPdf });
 
@@ -524,6 +595,60 @@ console.log("DEBUG BEFORE generateReciboPDF", {
       }
     }
 
+    // ========================================================================
+    // FASE 4.5: ENLACE PARA COMPARTIR (no bloquea la emisión)
+    // ========================================================================
+    let enlace = null;
+    let enlaceWarning = null;
+
+    if (rutaPdf) {
+      try {
+        const nuevoEnlace = await crearEnlaceRecibo({
+          id_recibo: txResult.id_recibo,
+          un_solo_uso: enlace_un_solo_uso === true,
+          origen: "emision"
+        });
+
+        enlace = {
+          id_enlace: nuevoEnlace.id_enlace,
+          url: nuevoEnlace.url,
+          expira_en: nuevoEnlace.expira_en,
+          un_solo_uso: nuevoEnlace.un_solo_uso
+        };
+      } catch (enlaceError) {
+        enlaceWarning = "No se pudo generar el enlace para compartir. Puede crearse después.";
+
+        logger.error("Recibo emitido pero el enlace para compartir falló", {
+          id_recibo: txResult.id_recibo,
+          error: enlaceError.message
+        });
+      }
+    }
+
+    // ========================================================================
+    // FASE 5: ENVÍO POR CORREO AL TUTOR (opcional, no bloquea la emisión)
+    // ========================================================================
+    let envioCorreo = null;
+    let correoWarning = null;
+
+    if (modoCorreo && rutaPdf) {
+      try {
+        envioCorreo = await enviarReciboCorreo({
+          id_recibo: txResult.id_recibo,
+          tipo: "Emision",
+          modo: modoCorreo,
+          origen: "emision"
+        });
+      } catch (correoError) {
+        correoWarning = "Recibo emitido pero no se pudo enviar por correo. Puede reenviarse.";
+
+        logger.error("Recibo emitido pero envío por correo falló", {
+          id_recibo: txResult.id_recibo,
+          error: correoError.message
+        });
+      }
+    }
+
     // ========================================================================
     // PREPARAR RESPUESTA EXITOSA
     // ========================================================================
@@ -554,11 +679,16 @@ console.log("DEBUG BEFORE generateReciboPDF", {
     resultado = {
       ok: true,
       id_recibo: txResult.id_recibo,
+      folio: txResult.folio,
       encorte: txResult.corteId,
       ruta_pdf: rutaPdf,
+      enlace,
+      correo: envioCorreo,
       processing_time_ms: duration,
       timestamp: new Date().toISOString(),
-      ...(pdfWarning && { warning: pdfWarning })
+      ...((pdfWarning || enlaceWarning || correoWarning) && {
+        warning: [pdfWarning, enlaceWarning, correoWarning].filter(Boolean).join(" | ")
+      })
     };
 
   } catch (error) {
@@ -0,0 +1,409 @@
+const PERIODO_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function formatoPeriodo(anio, mes) {
+  return `${anio}-${String(mes).padStart(2, "0")}`;
+}
+
+function redondear(valor) {
+  return Number(Number(valor || 0).toFixed(2));
+}
+
+module.exports = function estadoCuentaFactory({
+  pool,
+  logger,
+  generateEstadoCuentaPDF
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function leerFiltros(query = {}) {
+    const desde = query.desde ? String(query.desde).trim() : null;
+    const hasta = query.hasta ? String(query.hasta).trim() : null;
+
+    if (desde && !PERIODO_REGEX.test(desde)) {
+      throw crearError("desde debe tener formato YYYY-MM", 400);
+    }
+
+    if (hasta && !PERIODO_REGEX.test(hasta)) {
+      throw crearError("hasta debe tener formato YYYY-MM", 400);
+    }
+
+    if (desde && hasta && desde > hasta) {
+      throw crearError("El periodo desde no puede ser mayor a hasta", 400);
+    }
+
+    return { desde, hasta };
+  }
+
+  async function obtenerEstadoCuenta(idAlumno, { desde = null, hasta = null } = {}) {
+
+    // =========================================================
+    // 1. ALUMNO + PLANTEL
+    // =========================================================
+    const [[alumno]] = await pool.execute(
+      `
+      SELECT
+        a.id_alumno,
+        CONCAT_WS(' ',
+          a.apellido_paterno,
+          a.apellido_materno,
+          a.nombre
+        ) AS alumno_nombre_completo,
+        a.id_plantel_academico AS id_plantel,
+        g.nombre_grupo,
+        p.nombre_plantel,
+        p.razon_social,
+        p.rfc,
+        p.ubicacion
+      FROM alumnos a
+      LEFT JOIN grupos g
+        ON g.id_grupo = a.id_grupo
+      LEFT JOIN planteles p
+        ON p.id_plantel = a.id_plantel_academico
+      WHERE a.id_alumno = ?
+      `,
+      [idAlumno]
+    );
+
+    if (!alumno) {
+      throw crearError("Alumno no encontrado", 404);
+    }
+
+    // =========================================================
+    // 2. CARGOS (Activos y cancelados) + BECA
+    // =========================================================
+    const [cargos] = await pool.execute(
+      `
+      SELECT
+        ac.id_cargo,
+        ac.id_producto,
+        ac.mes,
+        ac.anio,
+        ac.status_cargo,
+        ac.motivo_cancelacion,
+        p.nombre_producto,
+        p.precio_base,
+        COALESCE(am.beca_monto, 0) AS beca_pct,
+        EXISTS (
+          SELECT 1
+          FROM recibos r
+          JOIN recibos_detalle rd
+            ON rd.id_recibo = r.id_recibo
+          WHERE r.id_alumno = ac.id_alumno
+            AND r.status_recibo = 'Emitido'
+            AND rd.status_detalle = 'Emitido'
+            AND rd.id_producto = ac.id_producto
+            AND rd.mes = ac.mes
+            AND rd.anio = ac.anio
+        ) AS pagado
+      FROM alumnos_cargos ac
+      JOIN productos p
+        ON p.id_producto = ac.id_producto
+      LEFT JOIN alumnos_mensuales am
+        ON am.id_alumno = ac.id_alumno
+       AND am.id_producto = ac.id_producto
+      WHERE ac.id_alumno = ?
+      ORDER BY ac.anio, ac.mes
+      `,
+      [idAlumno]
+    );
+
+    // =========================================================
+    // 3. CONCEPTOS EMITIDOS
+    // =========================================================
+    const [detalles] = await pool.execute(
+      `
+      SELECT
+        rd.id_detalle,
+        rd.id_recibo,
+        rd.id_producto,
+        rd.descripcion,
+        rd.frecuencia_producto,
+        rd.mes,
+        rd.anio,
+        rd.precio_base,
+        rd.beca,
+        rd.descuento,
+        rd.recargo,
+        rd.precio_final,
+        r.fecha,
+        r.forma_pago
+      FROM recibos_detalle rd
+      JOIN recibos r
+        ON r.id_recibo = rd.id_recibo
+      WHERE r.id_alumno = ?
+        AND r.status_recibo = 'Emitido'
+        AND rd.status_detalle = 'Emitido'
+      ORDER BY r.fecha, rd.id_detalle
+      `,
+      [idAlumno]
+    );
+
+    // =========================================================
+    // 4. ABONOS A RECIBOS AÚN NO LIQUIDADOS
+    // =========================================================
+    const [pagosParciales] = await pool.execute(
+      `
+      SELECT
+        rp.id_pago,
+        rp.id_recibo,
+        rp.forma_pago,
+        rp.monto,
+        rp.fecha_pago
+      FROM recibos_pagos rp
+      JOIN recibos r
+        ON r.id_recibo = rp.id_recibo
+      WHERE r.id_alumno = ?
+        AND r.status_recibo = 'Borrador'
+        AND rp.status_pago = 'Aplicado'
+      ORDER BY rp.fecha_pago
+      `,
+      [idAlumno]
+    );
+
+    // =========================================================
+    // 5. MONEDERO GENIUS BITES (informativo, no suma al saldo)
+    // =========================================================
+    const [[cuentaMonedero]] = await pool.execute(
+      `
+      SELECT
+        mc.id_cuenta,
+        mc.saldo_actual
+      FROM monedero_cuenta_alumnos mca
+      JOIN monedero_cuentas mc
+        ON mc.id_cuenta = mca.id_cuenta
+      WHERE mca.id_alumno = ?
+      LIMIT 1
+      `,
+      [idAlumno]
+    );
+
+    const [movimientosMonedero] = await pool.execute(
+      `
+      SELECT
+        id_movimiento,
+        tipo_movimiento,
+        monto,
+        saldo_anterior,
+        concepto,
+        fecha_movimiento
+      FROM monedero_movimientos
+      WHERE id_alumno = ?
+      ORDER BY fecha_movimiento, id_movimiento
+      `,
+      [idAlumno]
+    );
+
+    // =========================================================
+    // 6. MOVIMIENTOS DEL ESTADO DE CUENTA
+    // =========================================================
+    const movimientos = [];
+
+    for (const cargo of cargos) {
+      // Los cargos pagados se reflejan con el concepto emitido
+      if (cargo.status_cargo === "Activo" && Number(cargo.pagado) === 1) {
+        continue;
+      }
+
+      const precioBase = Number(cargo.precio_base || 0);
+      const beca = Math.ceil(precioBase * Number(cargo.beca_pct || 0));
+      const activo = cargo.status_cargo === "Activo";
+
+      movimientos.push({
+        tipo: activo ? "Cargo pendiente" : "Cargo cancelado",
+        periodo: formatoPeriodo(cargo.anio, cargo.mes),
+        fecha: null,
+        concepto: cargo.nombre_producto || cargo.id_producto,
+        referencia: cargo.id_cargo,
+        precio_base: precioBase,
+        beca: activo ? beca : 0,
+        cargo: activo ? redondear(precioBase - beca) : 0,
+        abono: 0,
+        ...(!activo && { motivo: cargo.motivo_cancelacion || null })
+      });
+    }
+
+    for (const detalle of detalles) {
+      const periodo =
+        detalle.frecuencia_producto === "Mensual" && detalle.mes && detalle.anio
+          ? formatoPeriodo(detalle.anio, detalle.mes)
+          : detalle.fecha.slice(0, 7);
+
+      const precioFinal = Number(detalle.precio_final || 0);
+
+      movimientos.push({
+        tipo: "Pagado",
+        periodo,
+        fecha: detalle.fecha.split(" ")[0],
+        concepto: detalle.descripcion || detalle.id_producto,
+        referencia: detalle.id_recibo,
+        forma_pago: detalle.forma_pago,
+        precio_base: Number(detalle.precio_base || 0),
+        beca: Number(detalle.beca || 0),
+        descuento: Number(detalle.descuento || 0),
+        recargo: Number(detalle.recargo || 0),
+        cargo: precioFinal,
+        abono: precioFinal
+      });
+    }
+
+    for (const pago of pagosParciales) {
+      const fechaPago = String(pago.fecha_pago).split(" ")[0];
+
+      movimientos.push({
+        tipo: "Abono parcial",
+        periodo: fechaPago.slice(0, 7),
+        fecha: fechaPago,
+        concepto: `Pago a cuenta (${pago.forma_pago})`,
+        referencia: pago.id_recibo,
+        forma_pago: pago.forma_pago,
+        precio_base: 0,
+        beca: 0,
+        cargo: 0,
+        abono: Number(pago.monto || 0)
+      });
+    }
+
+    const movimientosFiltrados = movimientos
+      .filter(m => (!desde || m.periodo >= desde) && (!hasta || m.periodo <= hasta))
+      .sort((a, b) =>
+        a.periodo.localeCompare(b.periodo) ||
+        String(a.fecha || "").localeCompare(String(b.fecha || ""))
+      );
+
+    // =========================================================
+    // 7. SALDO CORRIDO POR PERIODO
+    // Con desde, arranca del saldo de todo lo anterior al rango.
+    // =========================================================
+    const saldoInicial = desde
+      ? redondear(
+          movimientos
+            .filter(m => m.periodo < desde)
+            .reduce((acc, m) => acc + m.cargo - m.abono, 0)
+        )
+      : 0;
+
+    const periodosMap = new Map();
+    let saldoAcumulado = saldoInicial;
+
+    for (const movimiento of movimientosFiltrados) {
+      saldoAcumulado = redondear(saldoAcumulado + movimiento.cargo - movimiento.abono);
+      movimiento.saldo = saldoAcumulado;
+
+      if (!periodosMap.has(movimiento.periodo)) {
+        periodosMap.set(movimiento.periodo, {
+          periodo: movimiento.periodo,
+          cargos: 0,
+          abonos: 0,
+          becas: 0
+        });
+      }
+
+      const periodo = periodosMap.get(movimiento.periodo);
+      periodo.cargos = redondear(periodo.cargos + movimiento.cargo);
+      periodo.abonos = redondear(periodo.abonos + movimiento.abono);
+      periodo.becas = redondear(periodo.becas + movimiento.beca);
+      periodo.saldo_periodo = redondear(periodo.cargos - periodo.abonos);
+      periodo.saldo_acumulado = saldoAcumulado;
+    }
+
+    const periodos = [...periodosMap.values()];
+
+    const totales = periodos.reduce(
+      (acc, p) => ({
+        cargos: redondear(acc.cargos + p.cargos),
+        abonos: redondear(acc.abonos + p.abonos),
+        becas: redondear(acc.becas + p.becas)
+      }),
+      { cargos: 0, abonos: 0, becas: 0 }
+    );
+
+    const monedero = movimientosMonedero
+      .map(m => {
+        const fecha = String(m.fecha_movimiento).split(" ")[0];
+        return { ...m, monto: Number(m.monto || 0), periodo: fecha.slice(0, 7) };
+      })
+      .filter(m => (!desde || m.periodo >= desde) && (!hasta || m.periodo <= hasta));
+
+    return {
+      alumno,
+      filtros: { desde, hasta },
+      generado_en: new Date().toISOString(),
+      totales: {
+        ...totales,
+        saldo_inicial: saldoInicial,
+        saldo: saldoAcumulado
+      },
+      periodos,
+      movimientos: movimientosFiltrados,
+      monedero: {
+        id_cuenta: cuentaMonedero?.id_cuenta || null,
+        saldo_actual: cuentaMonedero ? Number(cuentaMonedero.saldo_actual) : null,
+        movimientos: monedero
+      }
+    };
+  }
+
+  // ============================================================
+  // GET /alumnos/:id_alumno/estado-cuenta
+  // ============================================================
+  async function estadoCuentaHandler(req, res, next) {
+    try {
+      const idAlumno = String(req.params.id_alumno || "").trim();
+      const filtros = leerFiltros(req.query);
+
+      const estado = await obtenerEstadoCuenta(idAlumno, filtros);
+
+      logger.info("Estado de cuenta consultado", {
+        id_alumno: idAlumno,
+        movimientos: estado.movimientos.length,
+        saldo: estado.totales.saldo
+      });
+
+      return res.json({ ok: true, ...estado });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /alumnos/:id_alumno/estado-cuenta/pdf
+  // ============================================================
+  async function estadoCuentaPdfHandler(req, res, next) {
+    try {
+      const idAlumno = String(req.params.id_alumno || "").trim();
+      const filtros = leerFiltros(req.query);
+
+      const estado = await obtenerEstadoCuenta(idAlumno, filtros);
+      const pdfBuffer = await generateEstadoCuentaPDF(estado);
+
+      logger.info("PDF de estado de cuenta generado", {
+        id_alumno: idAlumno,
+        buffer_size_kb: (pdfBuffer.length / 1024).toFixed(2)
+      });
+
+      res.set("Content-Type", "application/pdf");
+      res.set("Cache-Control", "no-store");
+      res.set(
+        "Content-Disposition",
+        `inline; filename="estado-cuenta-${idAlumno}.pdf"`
+      );
+
+      return res.send(pdfBuffer);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    obtenerEstadoCuenta,
+    estadoCuentaHandler,
+    estadoCuentaPdfHandler
+  };
+};
@@ -1,3 +1,7 @@
+const {
+  aplicarDescuentoHermanosCargos
+} = require("../modules/familias/descuentos-hermanos");
+
 async function generarCargosMensualesCore(conn, mes, anio, alumnosList = null, mode = "soft") {
 
   // fallback seguridad
@@ -81,11 +85,20 @@ async function generarCargosMensualesCore(conn, mes, anio, alumnosList = null, m
     ]
   );
 
+  // Snapshot del descuento por hermanos del periodo
+  const conDescuentoHermanos = await aplicarDescuentoHermanosCargos(
+    conn,
+    mes,
+    anio,
+    alumnosList
+  );
+
   return {
     mes,
     anio,
     mode,
-    procesados: executeResult.affectedRows
+    procesados: executeResult.affectedRows,
+    descuento_hermanos_actualizados: conDescuentoHermanos
   };
 }
 
@@ -147,6 +160,7 @@ function generarCargosMensualesFactory({
           anio: coreResult.anio,
           mode: coreResult.mode,
           total_procesados: coreResult.procesados,
+          descuento_hermanos_actualizados: coreResult.descuento_hermanos_actualizados,
           tx_duration_ms: txDuration
         });
 
@@ -155,6 +169,7 @@ function generarCargosMensualesFactory({
           anio: coreResult.anio,
           mode: coreResult.mode,
           procesados: coreResult.procesados,
+          descuento_hermanos_actualizados: coreResult.descuento_hermanos_actualizados,
           tx_duration_ms: txDuration
         };
       });
@@ -166,6 +181,7 @@ function generarCargosMensualesFactory({
         anio: result.anio,
         mode: result.mode,
         procesados: result.procesados,
+        descuento_hermanos_actualizados: result.descuento_hermanos_actualizados,
         tx_duration_ms: result.tx_duration_ms,
         total_duration_ms: duration
       });
@@ -176,6 +192,7 @@ function generarCargosMensualesFactory({
         anio: result.anio,
         mode: result.mode,
         procesados: result.procesados,
+        descuento_hermanos_actualizados: result.descuento_hermanos_actualizados,
         tx_duration_ms: result.tx_duration_ms,
         total_duration_ms: duration
       });
@@ -0,0 +1,494 @@
+// ============================================================================
+// MOTOR DE PRECIOS
+// Reglas de producto (descuentos / recargos), casos Corriente / Adelantado /
+// Vencido, becas, descuento por hermanos y ajuste manual. Solo lee de BD:
+// quien lo use decide si persiste el resultado (calculateReciboTotal) o no
+// (cotización).
+// ============================================================================
+
+const {
+  ID_REGLA_HERMANOS,
+  obtenerDescuentoHermanosDetalle
+} = require("../modules/familias/descuentos-hermanos");
+
+function parseFecha(fecha) {
+  if (!fecha) {
+    throw new Error("El recibo no tiene fecha operativa");
+  }
+
+  const fechaStr = String(fecha).split(" ")[0]; // "YYYY-MM-DD"
+  const [yearStr, monthStr] = fechaStr.split("-");
+
+  return {
+    fechaStr,
+    year: Number(yearStr),
+    month: Number(monthStr)
+  };
+}
+
+function determinarCaso(detalle, { year, month }) {
+  const anio = Number(detalle.anio);
+  const mes = Number(detalle.mes);
+
+  if (!mes || !anio) return "Corriente";
+
+  if (anio > year || (anio === year && mes > month)) {
+    return "Adelantado";
+  }
+
+  if (anio < year || (anio === year && mes < month)) {
+    return "Vencido";
+  }
+
+  return "Corriente";
+}
+
+async function obtenerReglas(conn, { id_producto, forma_pago, fecha, caso }) {
+  if (caso) {
+    const [reglas] = await conn.execute(
+      `
+      SELECT rp.*
+      FROM reglas_producto rp
+      JOIN reglas_producto_formas_pago rpfp
+        ON rpfp.id_regla = rp.id_regla
+      JOIN reglas_producto_casos rpc
+        ON rpc.id_regla = rp.id_regla
+      WHERE rp.id_producto = ?
+        AND rpfp.forma_pago = ?
+        AND rpc.caso = ?
+        AND (
+          (
+            rp.es_periodica = 1
+            AND DAY(?) BETWEEN rp.dia_mes_inicio AND rp.dia_mes_fin
+          )
+          OR
+          (
+            rp.es_periodica = 0
+            AND (rp.fecha_inicio IS NULL OR rp.fecha_inicio <= ?)
+            AND (rp.fecha_fin IS NULL OR rp.fecha_fin >= ?)
+          )
+        )
+      ORDER BY rp.prioridad DESC
+      `,
+      [id_producto, forma_pago, caso, fecha, fecha, fecha]
+    );
+
+    return reglas;
+  }
+
+  const [reglas] = await conn.execute(
+    `
+    SELECT rp.*
+    FROM reglas_producto rp
+    JOIN reglas_producto_formas_pago rpfp
+      ON rpfp.id_regla = rp.id_regla
+    WHERE rp.id_producto = ?
+      AND rpfp.forma_pago = ?
+      AND (
+        (
+          rp.es_periodica = 1
+          AND DAY(?) BETWEEN rp.dia_mes_inicio AND rp.dia_mes_fin
+        )
+        OR
+        (
+          rp.es_periodica = 0
+          AND (rp.fecha_inicio IS NULL OR rp.fecha_inicio <= ?)
+          AND (rp.fecha_fin IS NULL OR rp.fecha_fin >= ?)
+        )
+      )
+    ORDER BY rp.prioridad DESC
+    `,
+    [id_producto, forma_pago, fecha, fecha, fecha]
+  );
+
+  return reglas;
+}
+
+// ============================================================================
+// POLÍTICAS DE ACUMULACIÓN (productos.politica_reglas)
+//   Suma           → todas las reglas se suman (comportamiento histórico)
+//   Prioridad      → solo aplica el descuento y el recargo de mayor prioridad
+//   MejorDescuento → solo aplica el descuento de mayor monto; recargo por prioridad
+//   SumaConTope    → se suman, topadas por productos.tope_pct_descuento /
+//                    tope_pct_recargo (fracción de la base post beca)
+// ============================================================================
+const POLITICAS_REGLAS = ["Suma", "Prioridad", "MejorDescuento", "SumaConTope"];
+
+async function obtenerPoliticaProducto(conn, id_producto) {
+  const [[producto]] = await conn.execute(
+    `
+    SELECT politica_reglas, tope_pct_descuento, tope_pct_recargo
+    FROM productos
+    WHERE id_producto = ?
+    `,
+    [id_producto]
+  );
+
+  const politica = producto?.politica_reglas || "Suma";
+
+  if (!POLITICAS_REGLAS.includes(politica)) {
+    throw new Error(
+      `ERROR CONFIGURACION: Producto ${id_producto} tiene politica_reglas inválida (${politica})`
+    );
+  }
+
+  return {
+    politica,
+    tope_pct_descuento:
+      producto?.tope_pct_descuento != null ? Number(producto.tope_pct_descuento) : null,
+    tope_pct_recargo:
+      producto?.tope_pct_recargo != null ? Number(producto.tope_pct_recargo) : null
+  };
+}
+
+// Validación de integridad de reglas
+function validarReglas(reglas) {
+  for (const regla of reglas) {
+    if (
+      Number(regla.monto_descuento || 0) < 0 ||
+      Number(regla.monto_recargo || 0) < 0
+    ) {
+      throw new Error(
+        `ERROR CONFIGURACION: Regla ${regla.id_regla} tiene montos fijos negativos`
+      );
+    }
+
+    if (regla.es_periodica) {
+      if (
+        regla.dia_mes_inicio == null ||
+        regla.dia_mes_fin == null
+      ) {
+        throw new Error(
+          `ERROR CONFIGURACION: Regla ${regla.id_regla} es periódica pero no tiene dia_mes_inicio o dia_mes_fin`
+        );
+      }
+    } else {
+      if (
+        regla.fecha_inicio == null &&
+        regla.fecha_fin == null
+      ) {
+        throw new Error(
+          `ERROR CONFIGURACION: Regla ${regla.id_regla} no es periódica pero no tiene fecha_inicio ni fecha_fin`
+        );
+      }
+    }
+  }
+}
+
+async function obtenerBecaPct(conn, id_alumno, id_producto) {
+  const [[alumnoMensual]] = await conn.execute(
+    `
+    SELECT beca_monto
+    FROM alumnos_mensuales
+    WHERE id_alumno = ?
+      AND id_producto = ?
+    `,
+    [id_alumno, id_producto]
+  );
+
+  return Number(alumnoMensual?.beca_monto || 0);
+}
+
+function porPrioridad(a, b) {
+  return Number(b.prioridad || 0) - Number(a.prioridad || 0);
+}
+
+function descartar(descartadas, regla, motivo) {
+  descartadas.push({ ...regla, motivo });
+}
+
+/**
+ * Decide qué reglas candidatas aplican.
+ * 1. Grupos de exclusión: dentro de un mismo grupo solo sobrevive la regla de
+ *    mayor prioridad, salvo las marcadas con permite_combinar.
+ * 2. Política del producto sobre las que quedan.
+ */
+function resolverReglas(candidatas, politica) {
+  const descartadas = [];
+  const ordenadas = [...candidatas].sort(porPrioridad);
+
+  const gruposOcupados = new Set();
+  const vigentes = [];
+
+  for (const regla of ordenadas) {
+    if (regla.grupo_exclusion && !regla.permite_combinar) {
+      if (gruposOcupados.has(regla.grupo_exclusion)) {
+        descartar(descartadas, regla, `Excluida por grupo ${regla.grupo_exclusion}`);
+        continue;
+      }
+      gruposOcupados.add(regla.grupo_exclusion);
+    }
+    vigentes.push(regla);
+  }
+
+  if (politica === "Suma" || politica === "SumaConTope") {
+    return { aplicadas: vigentes, descartadas };
+  }
+
+  const descuentos = vigentes.filter(r => r.descuento > 0);
+  const recargos = vigentes.filter(r => r.recargo > 0);
+
+  let mejorDescuento = descuentos[0] || null;
+
+  if (politica === "MejorDescuento") {
+    mejorDescuento = descuentos.reduce(
+      (mejor, r) => (!mejor || r.descuento > mejor.descuento ? r : mejor),
+      null
+    );
+  }
+
+  const mejorRecargo = recargos[0] || null;
+  const aplicadas = [];
+
+  for (const regla of vigentes) {
+    const aplicaDescuento = regla === mejorDescuento;
+    const aplicaRecargo = regla === mejorRecargo;
+
+    if (!aplicaDescuento && !aplicaRecargo) {
+      descartar(descartadas, regla, `No aplica por política ${politica}`);
+      continue;
+    }
+
+    aplicadas.push({
+      ...regla,
+      descuento: aplicaDescuento ? regla.descuento : 0,
+      recargo: aplicaRecargo ? regla.recargo : 0
+    });
+  }
+
+  return { aplicadas, descartadas };
+}
+
+function limpiarRegla(regla) {
+  const limpia = {
+    id_regla: regla.id_regla,
+    prioridad: regla.prioridad,
+    pct_descuento: regla.pct_descuento,
+    pct_recargo: regla.pct_recargo,
+    monto_descuento: regla.monto_descuento,
+    monto_recargo: regla.monto_recargo,
+    grupo_exclusion: regla.grupo_exclusion,
+    descuento: regla.descuento,
+    recargo: regla.recargo
+  };
+
+  if (regla.motivo) limpia.motivo = regla.motivo;
+
+  return limpia;
+}
+
+/**
+ * Calcula el precio de un detalle.
+ * detalle: { id_producto, frecuencia_producto, mes, anio, precio_base,
+ *            ajuste_manual, monto_ajuste }
+ * contexto: { id_alumno, fecha, forma_pago, id_recibo? }
+ */
+async function calcularDetalle(conn, detalle, contexto) {
+  const { id_alumno, fecha, forma_pago, id_recibo } = contexto;
+  const periodo = parseFecha(fecha);
+  const mensual = detalle.frecuencia_producto === "Mensual";
+
+  // Validación obligatoria para productos Mensuales
+  if (mensual && (!detalle.mes || !detalle.anio)) {
+    throw new Error(
+      `ERROR: Producto mensual ${detalle.id_producto}${id_recibo ? ` en recibo ${id_recibo}` : ""} no tiene mes o año`
+    );
+  }
+
+  const precioBase = Number(detalle.precio_base);
+  const caso = mensual ? determinarCaso(detalle, periodo) : null;
+
+  const reglas = await obtenerReglas(conn, {
+    id_producto: detalle.id_producto,
+    forma_pago,
+    fecha,
+    caso
+  });
+
+  validarReglas(reglas);
+
+  // 1. Calcular beca primero
+  let becaPct = 0;
+  let beca = 0;
+
+  if (mensual) {
+    becaPct = await obtenerBecaPct(conn, id_alumno, detalle.id_producto);
+    beca = Math.ceil(precioBase * becaPct);
+  }
+
+  // 2. Base post beca
+  const basePostBeca = precioBase - beca;
+
+  // 3. Descuentos y recargos sobre base post beca
+  const politica = await obtenerPoliticaProducto(conn, detalle.id_producto);
+
+  const candidatas = reglas.map(regla => ({
+    id_regla: regla.id_regla,
+    prioridad: regla.prioridad,
+    grupo_exclusion: regla.grupo_exclusion || null,
+    permite_combinar: Boolean(regla.permite_combinar),
+    pct_descuento: Number(regla.pct_descuento || 0),
+    pct_recargo: Number(regla.pct_recargo || 0),
+    monto_descuento: Number(regla.monto_descuento || 0),
+    monto_recargo: Number(regla.monto_recargo || 0),
+    descuento:
+      basePostBeca * Number(regla.pct_descuento || 0) +
+      Number(regla.monto_descuento || 0),
+    recargo:
+      basePostBeca * Number(regla.pct_recargo || 0) +
+      Number(regla.monto_recargo || 0)
+  }));
+
+  // Descuento por hermanos: entra como regla virtual para respetar
+  // grupos de exclusión y la política del producto
+  let hermanos = null;
+
+  if (mensual) {
+    hermanos = await obtenerDescuentoHermanosDetalle(conn, {
+      id_alumno,
+      id_producto: detalle.id_producto,
+      mes: detalle.mes,
+      anio: detalle.anio
+    });
+
+    if (hermanos) {
+      candidatas.push({
+        id_regla: ID_REGLA_HERMANOS,
+        prioridad: hermanos.prioridad,
+        grupo_exclusion: hermanos.grupo_exclusion,
+        permite_combinar: hermanos.permite_combinar,
+        pct_descuento: hermanos.pct_descuento,
+        pct_recargo: 0,
+        monto_descuento: 0,
+        monto_recargo: 0,
+        descuento: basePostBeca * hermanos.pct_descuento,
+        recargo: 0
+      });
+    }
+  }
+
+  const { aplicadas, descartadas } = resolverReglas(candidatas, politica.politica);
+
+  const reglaHermanos = aplicadas.find(r => r.id_regla === ID_REGLA_HERMANOS);
+  let descuentoHermanos = reglaHermanos ? reglaHermanos.descuento : 0;
+
+  let descuento = aplicadas.reduce((acc, r) => acc + r.descuento, 0);
+  let recargo = aplicadas.reduce((acc, r) => acc + r.recargo, 0);
+  let topeAplicado = null;
+
+  if (politica.politica === "SumaConTope") {
+    const topeDescuento = politica.tope_pct_descuento != null
+      ? basePostBeca * politica.tope_pct_descuento
+      : null;
+    const topeRecargo = politica.tope_pct_recargo != null
+      ? basePostBeca * politica.tope_pct_recargo
+      : null;
+
+    if (topeDescuento != null && descuento > topeDescuento) {
+      // Hermanos forma parte de la suma topada: se reduce en proporción
+      descuentoHermanos = descuentoHermanos * (topeDescuento / descuento);
+      descuento = topeDescuento;
+      topeAplicado = { ...topeAplicado, descuento: topeDescuento };
+    }
+
+    if (topeRecargo != null && recargo > topeRecargo) {
+      recargo = topeRecargo;
+      topeAplicado = { ...topeAplicado, recargo: topeRecargo };
+    }
+  }
+
+  descuento = Math.ceil(descuento);
+  recargo = Math.ceil(recargo);
+  // Informativo ("incluye descuento por hermanos"): nunca mayor al descuento
+  descuentoHermanos = Math.min(Math.ceil(descuentoHermanos), descuento);
+
+  // 4. Precio final sobre base post beca
+  const montoAjuste = detalle.ajuste_manual
+    ? Number(detalle.monto_ajuste || 0)
+    : 0;
+  const precioCalculado =
+    basePostBeca - descuento + recargo + montoAjuste;
+  const precioFinal = Math.max(0, Math.ceil(precioCalculado));
+
+  return {
+    id_producto: detalle.id_producto,
+    frecuencia_producto: detalle.frecuencia_producto,
+    mes: detalle.mes ?? null,
+    anio: detalle.anio ?? null,
+    caso,
+    precio_base: precioBase,
+    beca_pct: becaPct,
+    beca,
+    base_post_beca: basePostBeca,
+    politica_reglas: politica.politica,
+    reglas_aplicadas: aplicadas.map(limpiarRegla),
+    reglas_descartadas: descartadas.map(limpiarRegla),
+    tope_aplicado: topeAplicado,
+    hermanos: hermanos
+      ? {
+          id_tutor: hermanos.id_tutor,
+          posicion_hermano: hermanos.posicion_hermano,
+          pct_descuento: hermanos.pct_descuento,
+          aplicado: Boolean(reglaHermanos)
+        }
+      : null,
+    descuento_hermanos: descuentoHermanos,
+    descuento,
+    recargo,
+    monto_ajuste: montoAjuste,
+    precio_final: precioFinal
+  };
+}
+
+/**
+ * Traza persistible del cálculo de un detalle (recibos_detalle.traza_calculo):
+ * qué reglas aplicaron, con qué prioridad y porcentajes, caso y beca usada.
+ */
+function construirTraza(calculo, { fecha, forma_pago }) {
+  return {
+    version: 1,
+    calculado_en: new Date().toISOString(),
+    fecha_operativa: parseFecha(fecha).fechaStr,
+    forma_pago,
+    caso: calculo.caso,
+    precio_base: calculo.precio_base,
+    beca_pct: calculo.beca_pct,
+    beca: calculo.beca,
+    base_post_beca: calculo.base_post_beca,
+    politica_reglas: calculo.politica_reglas,
+    reglas: calculo.reglas_aplicadas,
+    reglas_descartadas: calculo.reglas_descartadas,
+    tope_aplicado: calculo.tope_aplicado,
+    hermanos: calculo.hermanos,
+    descuento_hermanos: calculo.descuento_hermanos,
+    descuento: calculo.descuento,
+    recargo: calculo.recargo,
+    monto_ajuste: calculo.monto_ajuste,
+    precio_final: calculo.precio_final
+  };
+}
+
+function leerTraza(valor) {
+  if (!valor) return null;
+  if (typeof valor === "object") return valor;
+
+  try {
+    return JSON.parse(valor);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  POLITICAS_REGLAS,
+  parseFecha,
+  determinarCaso,
+  obtenerReglas,
+  validarReglas,
+  obtenerPoliticaProducto,
+  resolverReglas,
+  obtenerBecaPct,
+  calcularDetalle,
+  construirTraza,
+  leerTraza
+};
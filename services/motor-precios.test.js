@@ -0,0 +1,181 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { resolverReglas, calcularDetalle } = require("./motor-precios");
+
+function regla(id_regla, { prioridad = 0, descuento = 0, recargo = 0, ...resto } = {}) {
+  return {
+    id_regla,
+    prioridad,
+    grupo_exclusion: null,
+    permite_combinar: false,
+    descuento,
+    recargo,
+    ...resto
+  };
+}
+
+function ids(reglas) {
+  return reglas.map(r => r.id_regla);
+}
+
+// Conexión en memoria: responde cada consulta del motor según su tabla
+function conexion({
+  reglas = [],
+  politica = "Suma",
+  tope_pct_descuento = null,
+  beca_monto = 0,
+  posicion_hermano = null,
+  escalon = null
+}) {
+  return {
+    async execute(sql) {
+      if (sql.includes("FROM reglas_producto")) return [reglas];
+      if (sql.includes("FROM productos")) {
+        return [[{ politica_reglas: politica, tope_pct_descuento, tope_pct_recargo: null }]];
+      }
+      if (sql.includes("FROM alumnos_mensuales")) return [[{ beca_monto }]];
+      if (sql.includes("FROM tutores_alumnos")) {
+        return [posicion_hermano ? [{ id_tutor: "T1", posicion_hermano }] : []];
+      }
+      if (sql.includes("FROM descuentos_hermanos")) return [escalon ? [escalon] : []];
+      if (sql.includes("FROM alumnos_cargos")) return [[]];
+
+      throw new Error(`Consulta no esperada: ${sql}`);
+    }
+  };
+}
+
+function reglaBd(id_regla, campos) {
+  return {
+    id_regla,
+    prioridad: 0,
+    es_periodica: 1,
+    dia_mes_inicio: 1,
+    dia_mes_fin: 31,
+    pct_descuento: 0,
+    pct_recargo: 0,
+    monto_descuento: 0,
+    monto_recargo: 0,
+    ...campos
+  };
+}
+
+const COLEGIATURA = {
+  id_producto: "COL",
+  frecuencia_producto: "Mensual",
+  mes: 3,
+  anio: 2024,
+  precio_base: 1000
+};
+
+const CONTEXTO = { id_alumno: "A1", fecha: "2024-03-05", forma_pago: "Efectivo" };
+
+test("resolverReglas: Suma aplica todas las reglas", () => {
+  const { aplicadas, descartadas } = resolverReglas(
+    [
+      regla("D1", { prioridad: 1, descuento: 100 }),
+      regla("D2", { prioridad: 2, descuento: 50 }),
+      regla("R1", { recargo: 30 })
+    ],
+    "Suma"
+  );
+
+  assert.deepEqual(ids(aplicadas), ["D2", "D1", "R1"]);
+  assert.equal(descartadas.length, 0);
+});
+
+test("resolverReglas: Prioridad deja el descuento y el recargo de mayor prioridad", () => {
+  const { aplicadas, descartadas } = resolverReglas(
+    [
+      regla("D1", { prioridad: 1, descuento: 100 }),
+      regla("D2", { prioridad: 2, descuento: 50 }),
+      regla("R1", { prioridad: 0, recargo: 30 }),
+      regla("R2", { prioridad: 3, recargo: 10 })
+    ],
+    "Prioridad"
+  );
+
+  assert.deepEqual(ids(aplicadas), ["R2", "D2"]);
+  assert.deepEqual(ids(descartadas), ["D1", "R1"]);
+  assert.equal(descartadas[0].motivo, "No aplica por política Prioridad");
+});
+
+test("resolverReglas: MejorDescuento elige el mayor monto sin importar prioridad", () => {
+  const { aplicadas } = resolverReglas(
+    [
+      regla("D1", { prioridad: 1, descuento: 100 }),
+      regla("D2", { prioridad: 2, descuento: 50 }),
+      regla("R1", { prioridad: 1, recargo: 30 })
+    ],
+    "MejorDescuento"
+  );
+
+  assert.deepEqual(ids(aplicadas), ["D1", "R1"]);
+  assert.equal(aplicadas[0].descuento, 100);
+  assert.equal(aplicadas[0].recargo, 0);
+});
+
+test("resolverReglas: grupo de exclusión y permite_combinar", () => {
+  const { aplicadas, descartadas } = resolverReglas(
+    [
+      regla("D1", { prioridad: 1, descuento: 100, grupo_exclusion: "PROMO" }),
+      regla("D2", { prioridad: 2, descuento: 50, grupo_exclusion: "PROMO" }),
+      regla("D3", { prioridad: 0, descuento: 20, grupo_exclusion: "PROMO", permite_combinar: true })
+    ],
+    "Suma"
+  );
+
+  assert.deepEqual(ids(aplicadas), ["D2", "D3"]);
+  assert.deepEqual(ids(descartadas), ["D1"]);
+  assert.equal(descartadas[0].motivo, "Excluida por grupo PROMO");
+});
+
+test("calcularDetalle: porcentaje y monto fijo sobre la base post beca", async () => {
+  const calculo = await calcularDetalle(
+    conexion({
+      beca_monto: 0.2,
+      reglas: [
+        reglaBd("D1", { pct_descuento: 0.1, monto_descuento: 100 }),
+        reglaBd("R1", { monto_recargo: 50 })
+      ]
+    }),
+    COLEGIATURA,
+    CONTEXTO
+  );
+
+  assert.equal(calculo.beca, 200);
+  assert.equal(calculo.base_post_beca, 800);
+  assert.equal(calculo.descuento, 180);
+  assert.equal(calculo.recargo, 50);
+  assert.equal(calculo.precio_final, 670);
+});
+
+test("calcularDetalle: SumaConTope topa la suma incluyendo hermanos", async () => {
+  const opciones = {
+    tope_pct_descuento: 0.25,
+    reglas: [reglaBd("D1", { pct_descuento: 0.2 })],
+    posicion_hermano: 2,
+    escalon: { posicion_hermano: 2, pct_descuento: 0.1, prioridad: 0 }
+  };
+
+  const sinTope = await calcularDetalle(conexion(opciones), COLEGIATURA, CONTEXTO);
+
+  assert.equal(sinTope.descuento, 300);
+  assert.equal(sinTope.descuento_hermanos, 100);
+  assert.equal(sinTope.tope_aplicado, null);
+
+  const conTope = await calcularDetalle(
+    conexion({ ...opciones, politica: "SumaConTope" }),
+    COLEGIATURA,
+    CONTEXTO
+  );
+
+  assert.deepEqual(ids(conTope.reglas_aplicadas), ["D1", "HERMANOS"]);
+  assert.equal(conTope.descuento, 250);
+  assert.deepEqual(conTope.tope_aplicado, { descuento: 250 });
+  // 100 de hermanos reducido en la misma proporción que la suma (250 / 300)
+  assert.equal(conTope.descuento_hermanos, 84);
+  assert.ok(conTope.descuento_hermanos <= conTope.descuento);
+  assert.equal(conTope.precio_final, 750);
+});
@@ -0,0 +1,427 @@
+const { randomUUID } = require("crypto");
+
+const FORMAS_PAGO = ["Efectivo", "Tarjeta", "Transferencia"];
+
+// Pagos que no son dinero recibido en caja (traspaso desde un recibo
+// cancelado, saldo a favor del alumno); no se asignan a ningún corte
+const FORMAS_PAGO_INTERNAS = ["Traspaso", "SaldoFavor"];
+
+// Lo que caja puede capturar en /recibos/pagos/registrar
+const FORMAS_PAGO_REGISTRO = [...FORMAS_PAGO, "SaldoFavor"];
+
+module.exports = function pagosReciboFactory({
+  pool,
+  executeInTransaction,
+  logger,
+  calculateReciboTotal,
+  obtenerCorteAbierto,
+  recalcularCorte,
+  emitirRecibo,
+  saldoFavor
+}) {
+
+  function crearError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  function redondear(valor) {
+    return Number(Number(valor || 0).toFixed(2));
+  }
+
+  async function obtenerResumenPagos(conn, idRecibo) {
+    const [[resumen]] = await conn.execute(
+      `
+      SELECT
+        COUNT(*) AS cantidad,
+        COALESCE(SUM(monto), 0) AS total_pagado
+      FROM recibos_pagos
+      WHERE id_recibo = ?
+        AND status_pago = 'Aplicado'
+      `,
+      [idRecibo]
+    );
+
+    return {
+      cantidad: Number(resumen.cantidad || 0),
+      total_pagado: redondear(resumen.total_pagado)
+    };
+  }
+
+  // Invoca el handler de emisión fuera de HTTP (mismo patrón que lotes)
+  async function emitirReciboLiquidado(idRecibo, nombreRecibo) {
+    let respuesta = null;
+    let errorEmision = null;
+
+    await emitirRecibo(
+      { body: { id_recibo: idRecibo, nombre_recibo: nombreRecibo } },
+      { json: (data) => { respuesta = data; } },
+      (error) => { errorEmision = error; }
+    );
+
+    if (errorEmision) {
+      throw errorEmision;
+    }
+
+    return respuesta;
+  }
+
+  /**
+   * Registra un pago en parcialidades dentro de la transacción del
+   * llamador (recibo en Borrador, bloqueado). Además de las formas de caja
+   * acepta las internas (FORMAS_PAGO_INTERNAS), que no van a ningún corte;
+   * 'SaldoFavor' descuenta el saldo a favor del alumno.
+   */
+  async function registrarPago(conn, {
+    id_recibo: idRecibo,
+    id_usuario: idUsuario,
+    forma_pago: formaPago,
+    monto,
+    fecha_pago: fechaPago = null,
+    referencia = null
+  }) {
+    if (![...FORMAS_PAGO, ...FORMAS_PAGO_INTERNAS].includes(formaPago)) {
+      throw crearError(`forma_pago no válida: ${formaPago}`, 400);
+    }
+
+    const [[recibo]] = await conn.execute(
+      `
+      SELECT *
+      FROM recibos
+      WHERE id_recibo = ?
+        AND status_recibo = 'Borrador'
+        AND (generando_pdf IS NULL OR generando_pdf = FALSE)
+        AND (calculando IS NULL OR calculando = FALSE)
+      FOR UPDATE
+      `,
+      [idRecibo]
+    );
+
+    if (!recibo) {
+      throw crearError(
+        "Recibo no encontrado, no está en Borrador o se está procesando",
+        409
+      );
+    }
+
+    // El primer pago cobra sobre el precio vigente y lo deja fijo
+    // (calculateReciboTotal no vuelve a calcular detalles ya cobrados)
+    const calculo = await calculateReciboTotal(conn, idRecibo);
+    const totalRecibo = redondear(calculo.total);
+
+    if (totalRecibo <= 0) {
+      throw crearError(
+        "El recibo no tiene importe por cobrar; emítelo directamente",
+        409
+      );
+    }
+
+    const resumen = await obtenerResumenPagos(conn, idRecibo);
+    const saldoAnterior = redondear(totalRecibo - resumen.total_pagado);
+
+    if (saldoAnterior <= 0) {
+      throw crearError("El recibo ya no tiene saldo pendiente", 409);
+    }
+
+    if (monto > saldoAnterior) {
+      throw crearError(
+        `El pago excede el saldo pendiente ($${saldoAnterior.toFixed(2)})`,
+        400
+      );
+    }
+
+    // -------------------------------------------------------
+    // El dinero entra al corte abierto de HOY (reloj del servidor), sin
+    // importar fecha_pago: esa fecha es informativa (p. ej. el día de una
+    // transferencia, para conciliar) y no puede ser futura.
+    // Las formas internas no mueven dinero de caja.
+    // -------------------------------------------------------
+    const [[hoy]] = await conn.execute(
+      `SELECT DATE_FORMAT(CURDATE(), '%Y-%m-%d') AS fecha`
+    );
+
+    const fechaCobro = fechaPago || hoy.fecha;
+
+    if (fechaCobro > hoy.fecha) {
+      throw crearError("fecha_pago no puede ser posterior a hoy", 400);
+    }
+
+    const corteId = FORMAS_PAGO_INTERNAS.includes(formaPago)
+      ? null
+      : await obtenerCorteAbierto(conn, {
+          fecha: hoy.fecha,
+          id_usuario: idUsuario,
+          id_plantel: recibo.id_plantel
+        });
+
+    // -------------------------------------------------------
+    // Registrar pago y saldo
+    // -------------------------------------------------------
+    const idPago = randomUUID();
+    const saldoPosterior = redondear(saldoAnterior - monto);
+
+    await conn.execute(
+      `
+      INSERT INTO recibos_pagos (
+        id_pago,
+        id_recibo,
+        id_usuario,
+        forma_pago,
+        monto,
+        fecha_pago,
+        referencia,
+        encorte,
+        status_pago
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'Aplicado')
+      `,
+      [
+        idPago,
+        idRecibo,
+        idUsuario,
+        formaPago,
+        monto,
+        fechaCobro,
+        referencia,
+        corteId
+      ]
+    );
+
+    await conn.execute(
+      `
+      UPDATE recibos
+      SET saldo_pendiente = ?
+      WHERE id_recibo = ?
+      `,
+      [saldoPosterior, idRecibo]
+    );
+
+    const movimientoSaldo = formaPago === "SaldoFavor"
+      ? await saldoFavor.moverSaldo(conn, {
+          id_alumno: recibo.id_alumno,
+          monto: -monto,
+          origen: "Pago",
+          concepto: `Pago del recibo ${idRecibo}`,
+          id_usuario: idUsuario,
+          id_recibo: idRecibo,
+          id_pago: idPago
+        })
+      : null;
+
+    if (corteId) {
+      await recalcularCorte(conn, corteId);
+    }
+
+    return {
+      id_pago: idPago,
+      id_recibo: idRecibo,
+      encorte: corteId,
+      fecha_pago: fechaCobro,
+      forma_pago: formaPago,
+      monto,
+      total_recibo: totalRecibo,
+      total_pagado: redondear(resumen.total_pagado + monto),
+      saldo_pendiente: saldoPosterior,
+      numero_pago: resumen.cantidad + 1,
+      ...(movimientoSaldo && { saldo_favor_restante: movimientoSaldo.saldo_posterior })
+    };
+  }
+
+  // ============================================================
+  // POST /recibos/pagos/registrar
+  // ============================================================
+  async function registrarPagoHandler(req, res, next) {
+    const startTime = Date.now();
+
+    const idRecibo = String(req.body?.id_recibo || "").trim();
+    const idUsuario = String(req.body?.id_usuario || "").trim();
+    const formaPago = String(req.body?.forma_pago || "").trim();
+    const referencia = String(req.body?.referencia || "").trim() || null;
+    const fechaPago = req.body?.fecha_pago
+      ? String(req.body.fecha_pago).trim()
+      : null;
+    const nombreRecibo =
+      String(req.body?.nombre_recibo || "").trim() || idRecibo;
+    const monto = redondear(req.body?.monto);
+
+    try {
+      // =========================================================
+      // 1. VALIDAR PAYLOAD
+      // =========================================================
+      if (!idRecibo) {
+        throw crearError("id_recibo es requerido", 400);
+      }
+
+      if (!idUsuario) {
+        throw crearError("id_usuario es requerido", 400);
+      }
+
+      if (!FORMAS_PAGO_REGISTRO.includes(formaPago)) {
+        throw crearError(
+          `forma_pago debe ser una de: ${FORMAS_PAGO_REGISTRO.join(", ")}`,
+          400
+        );
+      }
+
+      if (!Number.isFinite(monto) || monto <= 0) {
+        throw crearError("El monto del pago debe ser mayor a cero", 400);
+      }
+
+      if (
+        fechaPago &&
+        (!/^\d{4}-\d{2}-\d{2}$/.test(fechaPago) ||
+          new Date(Date.parse(fechaPago) || 0).toISOString().slice(0, 10) !== fechaPago)
+      ) {
+        throw crearError("fecha_pago debe ser una fecha válida (YYYY-MM-DD)", 400);
+      }
+
+      if (referencia && referencia.length > 100) {
+        throw crearError("La referencia es demasiado larga", 400);
+      }
+
+      logger.info("Registrando pago de recibo", {
+        id_recibo: idRecibo,
+        id_usuario: idUsuario,
+        forma_pago: formaPago,
+        monto
+      });
+
+      // =========================================================
+      // 2. TRANSACCIÓN
+      // =========================================================
+      const resultado = await executeInTransaction(conn =>
+        registrarPago(conn, {
+          id_recibo: idRecibo,
+          id_usuario: idUsuario,
+          forma_pago: formaPago,
+          monto,
+          fecha_pago: fechaPago,
+          referencia
+        })
+      );
+
+      logger.info("Pago de recibo registrado", resultado);
+
+      // =========================================================
+      // 3. EMITIR AL LIQUIDAR
+      // =========================================================
+      let emision = null;
+      let warning = null;
+
+      if (resultado.saldo_pendiente === 0) {
+        try {
+          emision = await emitirReciboLiquidado(idRecibo, nombreRecibo);
+        } catch (emisionError) {
+          warning =
+            "Pago registrado y recibo liquidado, pero la emisión falló. Puede emitirse manualmente.";
+
+          logger.error("Recibo liquidado pero no emitido", {
+            id_recibo: idRecibo,
+            error: emisionError.message
+          });
+        }
+      }
+
+      return res.json({
+        ok: true,
+        ...resultado,
+        liquidado: resultado.saldo_pendiente === 0,
+        emision,
+        ...(warning && { warning }),
+        duration_ms: Date.now() - startTime
+      });
+
+    } catch (error) {
+      logger.error("Error registrando pago de recibo", {
+        id_recibo: idRecibo,
+        error: error.message,
+        status_code: error.statusCode || 500
+      });
+
+      next(error);
+    }
+  }
+
+  // ============================================================
+  // GET /recibos/:id_recibo/pagos
+  // ============================================================
+  async function listarPagosHandler(req, res, next) {
+    try {
+      const idRecibo = String(req.params.id_recibo || "").trim();
+
+      const [[recibo]] = await pool.execute(
+        `
+        SELECT
+          id_recibo,
+          status_recibo,
+          total_recibo,
+          saldo_pendiente
+        FROM recibos
+        WHERE id_recibo = ?
+        `,
+        [idRecibo]
+      );
+
+      if (!recibo) {
+        throw crearError("Recibo no encontrado", 404);
+      }
+
+      const [pagos] = await pool.execute(
+        `
+        SELECT
+          rp.id_pago,
+          rp.forma_pago,
+          rp.monto,
+          rp.fecha_pago,
+          rp.referencia,
+          rp.encorte,
+          rp.status_pago,
+          rp.id_usuario,
+          CONCAT_WS(' ', u.nombre, u.apellidos) AS cajero
+        FROM recibos_pagos rp
+        LEFT JOIN usuarios u
+          ON u.id_usuario = rp.id_usuario
+        WHERE rp.id_recibo = ?
+        ORDER BY rp.fecha_pago ASC, rp.created_at ASC
+        `,
+        [idRecibo]
+      );
+
+      const totalPagado = redondear(
+        pagos
+          .filter(p => p.status_pago === "Aplicado")
+          .reduce((acc, p) => acc + Number(p.monto), 0)
+      );
+
+      return res.json({
+        ok: true,
+        id_recibo: recibo.id_recibo,
+        status_recibo: recibo.status_recibo,
+        total_recibo: redondear(recibo.total_recibo),
+        total_pagado: totalPagado,
+        saldo_pendiente:
+          recibo.status_recibo === "Borrador" && pagos.length > 0
+            ? redondear(recibo.saldo_pendiente)
+            : recibo.status_recibo === "Emitido"
+              ? 0
+              : null,
+        pagos
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    registrarPago,
+    emitirReciboLiquidado,
+    registrarPagoHandler,
+    listarPagosHandler,
+    obtenerResumenPagos
+  };
+};
+
+module.exports.FORMAS_PAGO = FORMAS_PAGO;
+module.exports.FORMAS_PAGO_INTERNAS = FORMAS_PAGO_INTERNAS;